@@ -4,10 +4,10 @@
  * Purpose: Provides spectral analysis utilities for comparing FTIR spectra
  *
  * Dependencies:
- * - None
+ * - SpectralPreprocessor (optional, passed in for preprocessed comparisons)
  *
  * Exports:
- * - calculateSpectralSimilarity(spectrum1, spectrum2) - Cosine similarity calculation
+ * - calculateSpectralSimilarity(spectrum1, spectrum2, preprocessor) - Similarity calculation
  * - findSimilarSubstances(targetSpectrum, library, count) - Find most similar spectra
  *
  * Usage:
@@ -16,6 +16,9 @@
  * const similarity = calculateSpectralSimilarity(spectrum1, spectrum2);
  * // Returns: 0.0 (completely different) to 1.0 (identical)
  *
+ * // Compare the spectra as peak detection sees them
+ * const preprocessed = calculateSpectralSimilarity(spectrum1, spectrum2, frequencyMapper.getPreprocessor());
+ *
  * // Find 5 most similar substances
  * const similar = findSimilarSubstances(currentSpectrum, libraryData, 5);
  * // Returns: Array of {substance, similarity} objects, sorted by similarity
@@ -25,23 +28,48 @@
  * Uses cosine similarity on binned spectral data (100 bins from 400-4000 cm⁻¹).
  * This provides rotation and scale invariant comparison of spectral patterns.
  *
+ * With a preprocessor, the bins hold the mean preprocessed absorbance
+ * (baseline-corrected, see SpectralPreprocessor) and the score is
+ * 2a·b / (|a|² + |b|²), which also drops when band intensities differ. With
+ * vector normalization enabled, the bins are scaled to unit length first,
+ * so only the band pattern counts and the score equals the cosine.
+ *
  * Performance:
  * O(n) for similarity calculation, O(n*m) for finding similar substances
  * where n = library size, m = bin count (100)
  */
 
+// Binned preprocessed spectra by spectrum array, with the settings they were made with
+const similarityVectors = new WeakMap();
+
 /**
- * Calculate spectral similarity using cosine similarity
+ * Get the bins spectra are compared in
+ * @returns {Object} {minWavenumber, bins, binSize}
+ * @private
+ */
+function getSimilarityBins() {
+    const minWavenumber = 400;
+    const maxWavenumber = 4000;
+    const bins = 100;
+    return { minWavenumber, bins, binSize: (maxWavenumber - minWavenumber) / bins };
+}
+
+/**
+ * Calculate spectral similarity: cosine similarity of the raw spectra, or the
+ * preprocessed comparison described in the module header
  * @param {Array} spectrum1 - First spectrum data
  * @param {Array} spectrum2 - Second spectrum data
+ * @param {SpectralPreprocessor|null} [preprocessor] - Compare preprocessed absorbance
+ *   (see module header), or null to compare raw transmittance
  * @returns {number} Similarity score (0-1)
  */
-function calculateSpectralSimilarity(spectrum1, spectrum2) {
+function calculateSpectralSimilarity(spectrum1, spectrum2, preprocessor = null) {
+    if (preprocessor) {
+        return comparePreprocessedSpectra(spectrum1, spectrum2, preprocessor);
+    }
+
     // Convert spectra to fixed-length vectors for comparison
-    const minWavenumber = 400;
-    const maxWavenumber = 4000;
-    const bins = 100;
-    const binSize = (maxWavenumber - minWavenumber) / bins;
+    const { minWavenumber, bins, binSize } = getSimilarityBins();
 
     const vector1 = new Array(bins).fill(0);
     const vector2 = new Array(bins).fill(0);
@@ -80,3 +108,68 @@ function calculateSpectralSimilarity(spectrum1, spectrum2) {
 
     return dotProduct / (magnitude1 * magnitude2);
 }
+
+/**
+ * Compare two spectra after preprocessing
+ * @param {Array} spectrum1 - First spectrum data
+ * @param {Array} spectrum2 - Second spectrum data
+ * @param {SpectralPreprocessor} preprocessor - Pipeline settings
+ * @returns {number} Similarity score (0-1)
+ * @private
+ */
+function comparePreprocessedSpectra(spectrum1, spectrum2, preprocessor) {
+    const vector1 = getSimilarityVector(spectrum1, preprocessor);
+    const vector2 = getSimilarityVector(spectrum2, preprocessor);
+
+    let dotProduct = 0;
+    let squares = 0;
+    for (let i = 0; i < vector1.length; i++) {
+        dotProduct += vector1[i] * vector2[i];
+        squares += vector1[i] * vector1[i] + vector2[i] * vector2[i];
+    }
+
+    if (squares === 0) return 0;
+
+    return Math.max(0, 2 * dotProduct / squares);
+}
+
+/**
+ * Bin a spectrum's preprocessed absorbance for comparison
+ *
+ * Vectors are cached per spectrum array, so comparing one spectrum with a
+ * whole library preprocesses each library spectrum once per setting.
+ *
+ * @param {Array} spectrum - Spectrum data
+ * @param {SpectralPreprocessor} preprocessor - Pipeline settings
+ * @returns {Array<number>} Mean absorbance per bin, unit length with vector normalization
+ * @private
+ */
+function getSimilarityVector(spectrum, preprocessor) {
+    const normalize = preprocessor.getVectorNormalization();
+    const settings = `${preprocessor.getBaselineMethod()}/${normalize}`;
+    const cached = similarityVectors.get(spectrum);
+    if (cached && cached.settings === settings) {
+        return cached.vector;
+    }
+
+    const { minWavenumber, bins, binSize } = getSimilarityBins();
+    const sums = new Array(bins).fill(0);
+    const counts = new Array(bins).fill(0);
+
+    // Mean rather than sum, so the point spacing does not scale the bins
+    preprocessor.process(spectrum).forEach(point => {
+        const binIndex = Math.floor((point.wavenumber - minWavenumber) / binSize);
+        if (binIndex >= 0 && binIndex < bins) {
+            sums[binIndex] += point.absorbance;
+            counts[binIndex]++;
+        }
+    });
+
+    let vector = sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : 0));
+    if (normalize) {
+        vector = SpectralPreprocessor.vectorNormalize(vector);
+    }
+
+    similarityVectors.set(spectrum, { settings, vector });
+    return vector;
+}
@@ -8,17 +8,25 @@
  * loaded from separate files for better maintainability.
  */
 
-/* global handlePeakSelectionChange, setupThemeToggle, LibraryLoader, PerformanceMonitor */
+/* global handlePeakSelectionChange, setupThemeToggle, LibraryLoader, IndexedDBStorage, PerformanceMonitor */
 
 // Global instances
 let audioEngine;
 let visualizer;
 let frequencyMapper;
+let scaleQuantizer;
 let midiOutput;
+let midiInput;
+let midiClock;
 let currentSpectrum = null;
 let currentPeaks = null;
 let libraryData = null;
 let libraryIndex = null; // Library index for lazy loading
+let userLibraryAvailable = false; // My Spectra (IndexedDB) is available
+let unsavedImportCount = 0; // Numbers the ids of imports not saved to My Spectra
+let csvWizard = null; // Open CSV import wizard: {file, text, analysis, mapping}
+let batchRenderer = null; // Batch render queue (see setupBatchRender)
+let batchImporter = null; // Batch import queue (see setupBatchImport)
 
 // DOM elements are now loaded from dom-elements.js
 
@@ -58,11 +66,18 @@ async function init() {
         // Create instances
         audioEngine = new AudioEngine();
         frequencyMapper = new FrequencyMapper();
+        scaleQuantizer = new ScaleQuantizer();
+        audioEngine.setFrequencyMapper(frequencyMapper);
+        audioEngine.setScaleQuantizer(scaleQuantizer);
+        restoreSeed();
 
         // Create MIDI output instance (optional, may not be supported)
         try {
             if (typeof MIDIOutput !== 'undefined') {
                 midiOutput = new MIDIOutput();
+                midiOutput.setFrequencyMapper(frequencyMapper);
+                midiOutput.setScaleQuantizer(scaleQuantizer);
+                midiOutput.setPeakMixer(audioEngine.getPeakMixer());
                 // Try to initialize MIDI (don't fail if not supported)
                 try {
                     await midiOutput.init();
@@ -75,9 +90,28 @@ async function init() {
             Logger.info('MIDI Output not loaded');
         }
 
+        // Create MIDI input instance (optional, may not be supported)
+        if (typeof MIDIInput !== 'undefined') {
+            midiInput = new MIDIInput();
+            setupMIDIInput();
+            try {
+                await midiInput.init();
+                refreshMIDIInputDevices();
+            } catch (midiError) {
+                Logger.info('MIDI input not available:', midiError.message);
+            }
+        }
+
+        // Create MIDI clock (sent through the output, or followed from the input)
+        if (typeof MIDIClock !== 'undefined') {
+            midiClock = new MIDIClock();
+            setupMIDIClock();
+        }
+
         // Create visualizer for single mode
         visualizer = new Visualizer(ftirCanvas, audioCanvas);
         visualizer.setAudioEngine(audioEngine);
+        visualizer.setFrequencyMapper(frequencyMapper);
         visualizer.onPeakSelectionChange = handlePeakSelectionChange;
 
         // Initialize library loader
@@ -86,6 +120,9 @@ async function init() {
         // Load FTIR library (using lazy loading if available)
         await loadLibrary();
 
+        // Add the user's saved spectra (My Spectra)
+        await loadUserSpectra();
+
         // Preload popular categories in background (after initial render)
         setTimeout(() => {
             if (LibraryLoader.isLazyLoadingEnabled()) {
@@ -101,12 +138,15 @@ async function init() {
         setupOnboarding();
         setupKeyboardShortcuts();
         setupMenuModals();
+        setupCSVWizard();
+        setupBatchRender();
+        setupBatchImport();
 
         // Set up theme toggle
         setupThemeToggle();
 
-        // Check if MP3 export is available
-        checkMP3ExportAvailability();
+        // Check which audio export formats this browser can encode
+        await checkAudioExportFormats();
 
         LoadingOverlay.hide();
         Toast.success('Spectral Synthesizer ready! 🎵');
@@ -131,22 +171,51 @@ async function init() {
 }
 
 /**
- * Check if MP3 export is available (requires lamejs library)
- * If not available, disable/hide the MP3 export button
+ * Check which audio export formats are available
+ * MP3 requires the lamejs library and Ogg/Opus a WebCodecs Opus encoder;
+ * unavailable formats are disabled in the format selector
  */
-function checkMP3ExportAvailability() {
-    const exportMP3 = document.getElementById('export-mp3');
-    if (exportMP3) {
-        if (typeof lamejs === 'undefined') {
-            // Disable MP3 export if lamejs isn't loaded
-            exportMP3.disabled = true;
-            exportMP3.title = 'MP3 export requires lamejs library (not loaded). WAV export is available.';
-            exportMP3.style.opacity = '0.5';
-            Logger.info('⚠️ MP3 export disabled: lamejs library not loaded. Use WAV export instead.');
-        } else {
-            Logger.log('✓ MP3 export available');
+async function checkAudioExportFormats() {
+    const formatSelect = document.getElementById('audio-export-format');
+    if (!formatSelect) return;
+
+    for (const option of formatSelect.options) {
+        if (await AudioFileEncoder.isSupported(option.value)) {
+            Logger.log(`✓ ${option.text} export available`);
+            continue;
         }
+        option.disabled = true;
+        option.text += ' (not supported in this browser)';
+        option.title = option.value === 'mp3'
+            ? 'MP3 export requires lamejs library (not loaded).'
+            : 'Ogg/Opus export requires WebCodecs Opus encoding.';
+        Logger.info(`⚠️ ${option.value.toUpperCase()} export disabled: ${option.title}`);
+    }
+
+    updateAudioExportOptions();
+}
+
+/**
+ * Match the bit depth and sample rate selectors to the selected audio format
+ * Bit depth only applies to WAV and FLAC, and Opus is always 48 kHz
+ */
+function updateAudioExportOptions() {
+    const format = AudioFileEncoder.getFormats()[document.getElementById('audio-export-format').value];
+    const bitDepthSelect = document.getElementById('audio-export-bit-depth');
+    const sampleRateSelect = document.getElementById('audio-export-sample-rate');
+
+    for (const option of bitDepthSelect.options) {
+        option.disabled = !format.bitDepths.includes(parseInt(option.value, 10));
+    }
+    bitDepthSelect.disabled = format.bitDepths.length === 0;
+    if (!bitDepthSelect.disabled && bitDepthSelect.selectedOptions[0].disabled) {
+        bitDepthSelect.value = String(format.bitDepths[0]);
+    }
+
+    if (format.sampleRates) {
+        sampleRateSelect.value = String(format.sampleRates[0]);
     }
+    sampleRateSelect.disabled = Boolean(format.sampleRates);
 }
 
 /**
@@ -186,7 +255,7 @@ async function loadLibrary() {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            libraryData = await response.json();
+            libraryData = (await response.json()).map(substance => SpectralPreprocessor.upgradeLibraryEntry(substance));
 
             Logger.log(`✓ Loaded ${libraryData.length} spectra from ENFSI library`);
 
@@ -207,6 +276,76 @@ async function loadLibrary() {
     }
 }
 
+/**
+ * Load the user's saved spectra (My Spectra) from IndexedDB into the library
+ *
+ * Saved spectra are categorized as 'my-spectra'. The app keeps working
+ * without them if IndexedDB is unavailable.
+ */
+async function loadUserSpectra() {
+    if (typeof IndexedDBStorage === 'undefined' || !IndexedDBStorage.isSupported()) {
+        return;
+    }
+
+    try {
+        await IndexedDBStorage.init();
+        const userSpectra = await IndexedDBStorage.getUserSpectra();
+        userLibraryAvailable = true;
+
+        if (userSpectra.length > 0) {
+            libraryData.push(...userSpectra);
+            populateSubstanceSelector();
+            Logger.log(`✓ Loaded ${userSpectra.length} spectra from My Spectra`);
+        }
+    } catch (error) {
+        Logger.info('My Spectra not available:', error.message);
+    }
+}
+
+/**
+ * Add an imported spectrum to the library without updating the selector
+ *
+ * The spectrum is saved to My Spectra when IndexedDB is available,
+ * otherwise it only lasts until the page is reloaded.
+ *
+ * @param {Object} data - Imported substance data
+ * @returns {Promise<Object>} Library entry
+ */
+async function saveImportedSpectrum(data) {
+    // Saved spectra get a 'user-' id from My Spectra; this prefix cannot collide with it or library ids
+    let entry = { ...data, id: `imported-${++unsavedImportCount}` };
+
+    if (userLibraryAvailable) {
+        try {
+            entry = await IndexedDBStorage.saveUserSpectrum(data);
+        } catch (error) {
+            Logger.error('Failed to save imported spectrum:', error);
+            Toast.warning('Could not save to My Spectra. The spectrum will be lost on reload.');
+        }
+    }
+
+    libraryData.push(entry);
+    return entry;
+}
+
+/**
+ * Add an imported spectrum to the library and select it
+ * @param {Object} data - Imported substance data
+ * @returns {Promise<Object>} Library entry
+ */
+async function addImportedSpectrum(data) {
+    const entry = await saveImportedSpectrum(data);
+
+    // Repopulate selector
+    populateSubstanceSelector();
+
+    // Auto-select the imported substance
+    substanceSelect.value = entry.id;
+    handleSubstanceChange();
+
+    return entry;
+}
+
 // categorizeSubstance is now loaded from substance-utilities.js
 
 /**
@@ -247,14 +386,28 @@ function populateSubstanceSelector() {
     // Clear existing options except the first one
     substanceSelect.innerHTML = '<option value="">-- Select a Substance --</option>';
 
-    // Add filtered substances
+    // Add filtered substances, with the user's saved spectra in their own group
+    let userGroup = null;
     filteredData.forEach(item => {
         const option = document.createElement('option');
         option.value = item.id;
         option.textContent = item.name;
-        substanceSelect.appendChild(option);
+
+        if (item.category === 'my-spectra') {
+            if (!userGroup) {
+                userGroup = document.createElement('optgroup');
+                userGroup.label = 'My Spectra';
+            }
+            userGroup.appendChild(option);
+        } else {
+            substanceSelect.appendChild(option);
+        }
     });
 
+    if (userGroup) {
+        substanceSelect.appendChild(userGroup);
+    }
+
     // Update results count
     resultsCount.textContent = `${filteredData.length} substance${filteredData.length !== 1 ? 's' : ''}`;
 
@@ -426,7 +579,9 @@ function setupKeyboardShortcuts() {
             searchInput.value = '';
             categorySelect.value = 'all';
             handleSearch();
-        }
+        },
+        onNoteOn: handleNoteOn,
+        onNoteOff: handleNoteOff
     });
 }
 
@@ -505,16 +660,18 @@ function handleSubstanceChange() {
         // Clear everything
         currentSpectrum = null;
         currentPeaks = null;
+        audioEngine.setSpectrum(null);
         visualizer.clear();
         visualizer.clearSelection();
         playButton.disabled = true;
         selectAllButton.disabled = true;
         clearSelectionButton.disabled = true;
         // Note: playSelectedButton removed - main Play button handles selected peaks automatically
-        const exportWAV = document.getElementById('export-wav');
-        if (exportWAV) {
-            exportWAV.disabled = true;
+        const exportAudio = document.getElementById('export-audio');
+        if (exportAudio) {
+            exportAudio.disabled = true;
         }
+        setSpectrumExportEnabled(false);
         // Hide favorite button
         const favoriteButton = document.getElementById('favorite-toggle');
         if (favoriteButton) {
@@ -528,6 +685,10 @@ function handleSubstanceChange() {
         if (mappingInfoModal) {
             mappingInfoModal.innerHTML = defaultMessage;
         }
+        audioEngine.getPeakMixer().reset();
+        renderPeakMixer();
+        audioEngine.allNotesOff();
+        setInstrumentPanelVisible(false);
         return;
     }
 
@@ -539,6 +700,7 @@ function handleSubstanceChange() {
     }
 
     currentSpectrum = data.spectrum;
+    audioEngine.setSpectrum(currentSpectrum);
 
     // Extract peaks for sonification
     currentPeaks = frequencyMapper.extractPeaks(currentSpectrum);
@@ -557,20 +719,25 @@ function handleSubstanceChange() {
     // Update mapping info with annotations
     updateMappingInfo(data, currentPeaks);
 
+    // Start the new substance with a neutral mixer
+    audioEngine.getPeakMixer().reset();
+    renderPeakMixer();
+
+    // Notes held from the previous substance would keep its peaks
+    audioEngine.allNotesOff();
+    setInstrumentPanelVisible(currentPeaks.length > 0);
+
     // Enable playback and selection controls
     playButton.disabled = false;
     selectAllButton.disabled = false;
     clearSelectionButton.disabled = false;
 
     // Enable export buttons
-    const exportWAV = document.getElementById('export-wav');
-    const exportMP3 = document.getElementById('export-mp3');
-    if (exportWAV) {
-        exportWAV.disabled = false;
-    }
-    if (exportMP3) {
-        exportMP3.disabled = false;
+    const exportAudio = document.getElementById('export-audio');
+    if (exportAudio) {
+        exportAudio.disabled = false;
     }
+    setSpectrumExportEnabled(true);
 
     // Update MIDI send button
     updateMIDISendButton();
@@ -635,7 +802,10 @@ function updateMappingInfo(data, peaks) {
 
     html += '<p style="margin-top: 15px; font-size: 0.9em;">';
     html += `Mapping: ${frequencyMapper.IR_MIN}-${frequencyMapper.IR_MAX} cm⁻¹ → `;
-    html += `${frequencyMapper.AUDIO_MIN}-${frequencyMapper.AUDIO_MAX} Hz (logarithmic scale)`;
+    html += `${frequencyMapper.AUDIO_MIN}-${frequencyMapper.AUDIO_MAX} Hz (${frequencyMapper.getStrategyName()} scale)`;
+    if (scaleQuantizer && scaleQuantizer.isEnabled()) {
+        html += `<br>Playback quantized to ${scaleQuantizer.getDescription()}`;
+    }
     html += '</p>';
 
     if (mappingInfo) {
@@ -647,191 +817,1058 @@ function updateMappingInfo(data, peaks) {
 }
 
 /**
- * Handle play button click
+ * Handle frequency mapping strategy change
  *
- * Toggles between play and stop.
- * Automatically uses selected peaks if any exist, otherwise uses all peaks.
- * Updates button text to reflect current state.
+ * Re-maps the current peaks with the new strategy and refreshes the
+ * spectrum axes and mapping table, keeping the current peak selection.
+ *
+ * @param {string} strategy - Strategy key
  */
-// Playback functions moved to playback-controller.js
-// Functions: handlePlay, handleStop, handlePeakSelectionChange, handleClearSelection, handleSelectAll
+function handleMappingStrategyChange(strategy) {
+    frequencyMapper.setStrategy(strategy);
+    Logger.log(`Mapping strategy changed to: ${strategy}`);
+
+    if (!currentSpectrum || !currentPeaks) {
+        return;
+    }
+
+    currentPeaks = frequencyMapper.remapPeaks(currentPeaks);
+    visualizer.drawFTIRSpectrum(currentSpectrum, currentPeaks);
+    refreshMappingInfo();
+    renderPeakMixer();
+}
 
 /**
- * Handle CSV import
- * @param {Event} e - File input change event
+ * Refresh mapping info for the selected substance
+ * @private
  */
-async function handleCSVImport(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function refreshMappingInfo() {
+    if (!currentPeaks) return;
 
-    try {
-        LoadingOverlay.show(`Importing ${file.name}...`);
+    const data = libraryData.find(item => item.id === substanceSelect.value);
+    if (data) {
+        updateMappingInfo(data, currentPeaks);
+    }
+}
 
-        const data = await CSVImporter.parseCSV(file);
-        CSVImporter.validate(data);
+/**
+ * Handle spectral preprocessing change (baseline correction)
+ *
+ * Re-runs peak detection on the current spectrum with the new settings.
+ * Peak indices and positions change, so the current selection and the
+ * peak mixer are cleared, as for a new substance.
+ */
+function handlePreprocessingChange() {
+    const preprocessor = frequencyMapper.getPreprocessor();
+    Logger.log(`Preprocessing: baseline=${preprocessor.getBaselineMethod()}`);
 
-        // Add to library
-        libraryData.push(data);
+    if (!currentSpectrum) return;
 
-        // Repopulate selector
-        populateSubstanceSelector();
+    currentPeaks = frequencyMapper.extractPeaks(currentSpectrum);
+    visualizer.clearSelection();
+    visualizer.drawFTIRSpectrum(currentSpectrum, currentPeaks);
+    refreshMappingInfo();
+    audioEngine.getPeakMixer().reset();
+    renderPeakMixer();
+}
 
-        // Auto-select the imported substance
-        substanceSelect.value = libraryData.length - 1;
-        handleSubstanceChange();
+/**
+ * Handle vector normalization change
+ *
+ * Peak detection scales each spectrum to its strongest band, so the peaks
+ * and the peak mixer stay as they are; the similar substances, which are
+ * compared on the preprocessed spectra, are found again.
+ */
+function handleNormalizationChange() {
+    Logger.log(`Preprocessing: normalize=${frequencyMapper.getPreprocessor().getVectorNormalization()}`);
 
-        // Enable export button
-        const exportWAV = document.getElementById('export-wav');
-        if (exportWAV) {
-            exportWAV.disabled = false;
-        }
+    const data = libraryData.find(item => item.id === substanceSelect.value);
+    if (data && currentSpectrum) {
+        showSmartSuggestions(data);
+    }
+}
 
-        LoadingOverlay.hide();
-        Toast.success(`Successfully imported: ${data.name} (${data.metadata.finalPoints} data points)`);
-    } catch (error) {
-        LoadingOverlay.hide();
-        ErrorHandler.handle(
-            error,
-            `Failed to import CSV: ${error.message}\n\nPlease ensure your CSV has two columns:\nwavenumber,transmittance\n\nDownload the template for an example.`
-        );
+/**
+ * Handle scale quantization change
+ * @param {string} scale - Scale key ('off' disables quantization)
+ */
+function handleScaleChange(scale) {
+    scaleQuantizer.setScale(scale);
+    Logger.log(`Scale quantization changed to: ${scale}`);
+    refreshMappingInfo();
+    renderPeakMixer();
+}
+
+/**
+ * Handle quantization key change
+ * @param {number} key - Root pitch class (0 = C)
+ */
+function handleScaleKeyChange(key) {
+    scaleQuantizer.setKey(key);
+    Logger.log(`Scale key changed to: ${CONFIG.quantization.KEY_NAMES[key]}`);
+    refreshMappingInfo();
+    renderPeakMixer();
+}
+
+/**
+ * Format an effect parameter for display, to the precision of its slider step
+ * @param {number} value - Parameter value
+ * @param {Object} spec - Parameter spec from CONFIG.effects
+ * @returns {string} Formatted value with unit
+ */
+function formatEffectValue(value, spec) {
+    const decimals = spec.step < 1 ? String(spec.step).split('.')[1].length : 0;
+    return `${value.toFixed(decimals)}${spec.unit ? ' ' + spec.unit : ''}`;
+}
+
+/**
+ * Sync the reverb and filter sliders with the effects chain
+ */
+function syncEffectSliders() {
+    if (reverbSlider && reverbValue) {
+        reverbSlider.value = Math.round(audioEngine.getReverb() * 100);
+        reverbValue.textContent = reverbSlider.value;
+    }
+    if (filterFreqSlider && filterFreqValue) {
+        filterFreqSlider.value = audioEngine.getFilterFrequency();
+        filterFreqValue.textContent = filterFreqSlider.value;
     }
+}
 
-    // Clear the file input so the same file can be imported again
-    e.target.value = '';
+/**
+ * Render the effects chain editor and sync the reverb and filter sliders
+ */
+function renderEffectsChain() {
+    syncEffectSliders();
+
+    const effectsChainList = document.getElementById('effects-chain-list');
+    if (!effectsChainList) return;
+
+    const chain = audioEngine.getEffectsChain();
+    const processors = chain.getProcessors();
+    const effects = chain.getEffects();
+
+    effectsChainList.innerHTML = effects.map((effect, index) => {
+        const info = processors[effect.type];
+        const params = Object.keys(info.params).map(key => {
+            const spec = info.params[key];
+            const inputId = `effect-${effect.id}-${key}`;
+            return `
+                <div class="slider-control">
+                    <label for="${inputId}">${spec.label}: <span class="effect-value">${formatEffectValue(effect.params[key], spec)}</span></label>
+                    <input type="range" id="${inputId}" data-param="${key}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${effect.params[key]}">
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <li class="effect-item${effect.enabled ? '' : ' bypassed'}" data-effect-id="${effect.id}">
+                <div class="effect-header">
+                    <label class="checkbox-label" title="${info.description}">
+                        <input type="checkbox" data-action="toggle" ${effect.enabled ? 'checked' : ''} aria-label="Enable ${info.name}">
+                        <span>${index + 1}. ${info.name}</span>
+                    </label>
+                    <div class="effect-actions">
+                        <button class="secondary-button" data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="Move ${info.name} up">↑</button>
+                        <button class="secondary-button" data-action="down" ${index === effects.length - 1 ? 'disabled' : ''} aria-label="Move ${info.name} down">↓</button>
+                        <button class="secondary-button" data-action="remove" aria-label="Remove ${info.name}">✕</button>
+                    </div>
+                </div>
+                <div class="effect-params">${params}</div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Format a peak mixer value for display
+ * @param {string} setting - 'gain' or 'detune'
+ * @param {number} value - Setting value
+ * @returns {string} Formatted value with unit
+ */
+function formatPeakMixerValue(setting, value) {
+    if (setting === 'gain') {
+        return `${Math.round(value * 100)}%`;
+    }
+    return `${value > 0 ? '+' : ''}${value} ¢`;
 }
 
 /**
- * Handle WAV export
+ * Render the peak mixer table for the current peaks
+ *
+ * Rows are the peaks as played: when quantization merges peaks onto one
+ * pitch, only the strongest is listed, and the settings of the others are
+ * cleared so a hidden solo cannot silence the rest. The panel is hidden
+ * while no substance is loaded. Rows of muted (or not soloed) peaks are
+ * dimmed.
  */
-async function handleExportWAV() {
+function renderPeakMixer() {
+    const panel = document.getElementById('peak-mixer-panel');
+    const body = document.getElementById('peak-mixer-body');
+    if (!panel || !body) return;
+
     if (!currentPeaks || currentPeaks.length === 0) {
-        Toast.warning('Please select a substance first');
+        panel.classList.add('hidden');
+        body.innerHTML = '';
         return;
     }
 
-    const duration = parseFloat(durationSlider.value);
-    const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
-    const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${duration}s.wav`;
+    const mixer = audioEngine.getPeakMixer();
+    const waveforms = mixer.getWaveforms();
+    const maxDetune = CONFIG.audio.MAX_DETUNE;
+    const peaks = frequencyMapper.mapPeaks(currentPeaks, scaleQuantizer);
 
-    try {
-        const exportButton = document.getElementById('export-wav');
-        exportButton.disabled = true;
-        exportButton.textContent = '⏳ Exporting...';
+    const cleared = mixer.retain(peaks.map(peak => peak.wavenumber));
+    if (cleared > 0) {
+        Logger.info(`Peak mixer: cleared ${cleared} peak(s) merged by quantization`);
+    }
 
-        LoadingOverlay.show(`Rendering audio: ${filename}`);
+    body.innerHTML = peaks.map(peak => {
+        const channel = mixer.getChannel(peak.wavenumber);
+        const label = `${peak.wavenumber.toFixed(0)} cm⁻¹`;
+        const options = Object.keys(waveforms).map(key =>
+            `<option value="${key}" title="${waveforms[key].description}" ${key === channel.waveform ? 'selected' : ''}>${waveforms[key].name}</option>`
+        ).join('');
 
-        await audioEngine.exportWAV(currentPeaks, duration, filename);
+        return `
+            <tr class="${mixer.isAudible(peak.wavenumber) ? '' : 'inaudible'}" data-wavenumber="${peak.wavenumber}">
+                <td>${peak.wavenumber.toFixed(0)}</td>
+                <td>${peak.audioFreq.toFixed(1)}</td>
+                <td class="mixer-group">${frequencyMapper.getFunctionalGroup(peak.wavenumber)}</td>
+                <td class="mixer-toggle"><input type="checkbox" data-setting="mute" ${channel.mute ? 'checked' : ''} aria-label="Mute ${label}"></td>
+                <td class="mixer-toggle"><input type="checkbox" data-setting="solo" ${channel.solo ? 'checked' : ''} aria-label="Solo ${label}"></td>
+                <td>
+                    <input type="range" data-setting="gain" min="0" max="${CONFIG.peakMixer.MAX_GAIN}" step="0.05" value="${channel.gain}" aria-label="Gain of ${label}">
+                    <span class="mixer-value">${formatPeakMixerValue('gain', channel.gain)}</span>
+                </td>
+                <td>
+                    <input type="range" data-setting="detune" min="${-maxDetune}" max="${maxDetune}" step="1" value="${channel.detune}" aria-label="Detune of ${label}">
+                    <span class="mixer-value">${formatPeakMixerValue('detune', channel.detune)}</span>
+                </td>
+                <td><select data-setting="waveform" aria-label="Waveform of ${label}">${options}</select></td>
+            </tr>
+        `;
+    }).join('');
 
-        LoadingOverlay.hide();
-        exportButton.disabled = false;
-        exportButton.textContent = '💾 Export WAV';
+    panel.classList.remove('hidden');
+}
 
-        MicroInteractions.celebrate(`First export! Successfully exported: ${filename}`);
+/**
+ * Render the on-screen piano from CONFIG.instrument.PIANO_LOW_NOTE to PIANO_HIGH_NOTE
+ */
+function renderPianoKeyboard() {
+    const pianoKeyboard = document.getElementById('piano-keyboard');
+    if (!pianoKeyboard) return;
+
+    const { PIANO_LOW_NOTE, PIANO_HIGH_NOTE } = CONFIG.instrument;
+    const keyNames = CONFIG.quantization.KEY_NAMES;
+    let html = '';
+
+    for (let note = PIANO_LOW_NOTE; note <= PIANO_HIGH_NOTE; note++) {
+        const name = `${keyNames[note % 12]}${Math.floor(note / 12) - 1}`;
+        const black = keyNames[note % 12].includes('#');
+        html += `<button type="button" class="piano-key ${black ? 'black' : 'white'}" data-note="${note}" aria-label="${name}" aria-pressed="false">${!black && note % 12 === 0 ? name : ''}</button>`;
+    }
+
+    pianoKeyboard.innerHTML = html;
+}
+
+/**
+ * Show or hide the instrument panel
+ * @param {boolean} visible - True to show the panel
+ */
+function setInstrumentPanelVisible(visible) {
+    const panel = document.getElementById('instrument-panel');
+    if (panel) {
+        panel.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * Apply the random seed saved in a previous session, if any
+ */
+function restoreSeed() {
+    const seed = Settings.get('seed', null);
+    if (seed === null) {
+        return;
+    }
+
+    try {
+        audioEngine.setSeed(seed);
     } catch (error) {
-        LoadingOverlay.hide();
-        const exportButton = document.getElementById('export-wav');
-        exportButton.disabled = false;
-        exportButton.textContent = '💾 Export WAV';
+        Logger.warn('Ignoring saved seed:', error.message);
+    }
+}
 
-        ErrorHandler.handle(error, `Failed to export audio: ${error.message}`);
+/**
+ * Handle random seed change
+ * @param {number} seed - New seed
+ */
+function handleSeedChange(seed) {
+    audioEngine.setSeed(seed);
+    Settings.set('seed', seed);
+    Logger.log(`Random seed changed to: ${seed}`);
+
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) {
+        seedInput.value = seed;
     }
 }
 
 /**
- * Handle JCAMP-DX import
+ * Handle Scala (.scl) tuning file import
  * @param {Event} e - File input change event
  */
-async function handleJCAMPImport(e) {
+async function handleScalaImport(e) {
     const file = e.target.files[0];
     if (!file) return;
 
     try {
-        LoadingOverlay.show(`Importing JCAMP-DX: ${file.name}...`);
+        const text = await file.text();
+        const tuning = scaleQuantizer.loadScala(text);
+
+        // Add or refresh the Scala option in the scale selector
+        const scaleSelect = document.getElementById('scale-select');
+        if (scaleSelect) {
+            let option = scaleSelect.querySelector('option[value="scala"]');
+            if (!option) {
+                option = document.createElement('option');
+                option.value = 'scala';
+                scaleSelect.appendChild(option);
+            }
+            option.textContent = `Scala - ${tuning.name || file.name}`;
+            scaleSelect.value = 'scala';
+        }
 
-        const data = await JCAMPImporter.parseJCAMP(file);
-        JCAMPImporter.validate(data);
+        refreshMappingInfo();
+        renderPeakMixer();
+        Toast.success(`Loaded tuning: ${tuning.name || file.name} (${tuning.degrees.length} notes)`);
+    } catch (error) {
+        ErrorHandler.handle(error, `Failed to load Scala file: ${error.message}`);
+    }
 
-        // Add to library
-        data.id = libraryData.length.toString();
-        libraryData.push(data);
+    // Clear the file input so the same file can be imported again
+    e.target.value = '';
+}
 
-        // Repopulate selector
-        populateSubstanceSelector();
+/**
+ * Handle play button click
+ *
+ * Toggles between play and stop.
+ * Automatically uses selected peaks if any exist, otherwise uses all peaks.
+ * Updates button text to reflect current state.
+ */
+// Playback functions moved to playback-controller.js
+// Functions: handlePlay, handleStop, handlePeakSelectionChange, handleClearSelection, handleSelectAll
 
-        // Auto-select the imported substance
-        substanceSelect.value = data.id;
-        handleSubstanceChange();
+/**
+ * Handle CSV import
+ *
+ * Opens the import wizard with the detected format, columns and units.
+ *
+ * @param {Event} e - File input change event
+ */
+async function handleCSVImport(e) {
+    if (importSelectionAsBatch(e)) return;
+
+    const file = e.target.files[0];
+    if (!file) return;
 
-        // Enable export buttons
-        const exportWAV = document.getElementById('export-wav');
-        const exportMP3 = document.getElementById('export-mp3');
-        if (exportWAV) exportWAV.disabled = false;
-        if (exportMP3) exportMP3.disabled = false;
+    try {
+        const text = await CSVImporter.readText(file);
+        const analysis = CSVImporter.analyze(text);
 
-        LoadingOverlay.hide();
-        Toast.success(`Successfully imported JCAMP-DX: ${data.name} (${data.metadata.finalPoints} data points)`);
+        csvWizard = { file, text, analysis, mapping: CSVImporter.getDefaultMapping(analysis) };
+        renderCSVWizard();
+
+        const csvWizardModal = document.getElementById('csv-wizard-modal');
+        csvWizardModal.classList.remove('hidden');
+        csvWizardModal.style.display = 'flex';
     } catch (error) {
-        LoadingOverlay.hide();
         ErrorHandler.handle(
             error,
-            `Failed to import JCAMP-DX: ${error.message}\n\nPlease ensure your file is a valid JCAMP-DX format (.jdx, .dx, or .jcamp).`
+            `Failed to import CSV: ${error.message}\n\nPlease ensure your CSV has a wavenumber or wavelength column and one or more spectrum columns.\n\nDownload the template for an example.`
         );
     }
 
-    // Clear the file input
+    // Clear the file input so the same file can be imported again
     e.target.value = '';
 }
 
 /**
- * Handle MP3 export
+ * Render the CSV import wizard from its current analysis and mapping
  */
-async function handleExportMP3() {
-    if (!currentPeaks || currentPeaks.length === 0) {
-        Toast.warning('Please select a substance first');
-        return;
-    }
+function renderCSVWizard() {
+    const { file, analysis, mapping } = csvWizard;
 
-    // Check if lamejs is loaded
-    if (typeof lamejs === 'undefined') {
-        Toast.error('MP3 export requires the lamejs library. Please ensure the library is loaded.', 5000);
-        return;
-    }
+    document.getElementById('csv-wizard-file').textContent =
+        `${file.name}: ${analysis.rows.length} data rows, ${analysis.columns.length} columns`;
+    document.getElementById('csv-delimiter').value = analysis.delimiter;
+    document.getElementById('csv-decimal').value = analysis.decimalSeparator;
 
-    const duration = parseFloat(durationSlider.value);
-    const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
-    const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${duration}s.mp3`;
+    const fillSelect = (select, entries, value) => {
+        select.innerHTML = '';
+        entries.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+    };
 
-    try {
-        const exportButton = document.getElementById('export-mp3');
-        exportButton.disabled = true;
-        exportButton.textContent = '⏳ Encoding MP3...';
+    fillSelect(
+        document.getElementById('csv-x-column'),
+        analysis.columns.map(column => [column.index, column.label]),
+        mapping.xColumn
+    );
+    fillSelect(
+        document.getElementById('csv-x-units'),
+        Object.entries(CSVImporter.X_UNITS).map(([key, units]) => [key, units.label]),
+        mapping.xUnits
+    );
+    fillSelect(
+        document.getElementById('csv-y-units'),
+        Object.entries(CSVImporter.Y_UNITS).map(([key, units]) => [key, units.label]),
+        mapping.yUnits
+    );
 
-        LoadingOverlay.show(`Encoding MP3: ${filename}`);
+    // One checkbox per possible Y column
+    const yColumnsContainer = document.getElementById('csv-y-columns');
+    yColumnsContainer.innerHTML = '';
+    analysis.columns
+        .filter(column => column.index !== mapping.xColumn)
+        .forEach(column => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = column.index;
+            checkbox.checked = mapping.yColumns.includes(column.index);
+
+            const text = document.createElement('span');
+            text.textContent = column.label;
+
+            label.append(checkbox, text);
+            yColumnsContainer.appendChild(label);
+        });
 
-        await audioEngine.exportMP3(currentPeaks, duration, filename, 128);
+    renderCSVPreview();
+}
 
-        LoadingOverlay.hide();
-        exportButton.disabled = false;
-        exportButton.textContent = '🎵 Export MP3';
+/**
+ * Render the first rows of the CSV file, marking the X and Y columns
+ */
+function renderCSVPreview() {
+    const { analysis, mapping } = csvWizard;
+    const preview = document.getElementById('csv-preview');
+    const PREVIEW_ROWS = 8;
+
+    const columnClass = index => {
+        if (index === mapping.xColumn) return 'csv-x-column';
+        return mapping.yColumns.includes(index) ? 'csv-y-column' : 'csv-unused-column';
+    };
 
-        MicroInteractions.celebrate(`First MP3 export! Successfully exported: ${filename}`);
-    } catch (error) {
-        LoadingOverlay.hide();
-        const exportButton = document.getElementById('export-mp3');
-        exportButton.disabled = false;
-        exportButton.textContent = '🎵 Export MP3';
+    const headerRow = document.createElement('tr');
+    analysis.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.className = columnClass(column.index);
+        th.textContent = column.label;
+        headerRow.appendChild(th);
+    });
 
-        ErrorHandler.handle(error, `Failed to export MP3: ${error.message}`);
-    }
-}
+    const rows = analysis.rows.slice(0, PREVIEW_ROWS).map(row => {
+        const tr = document.createElement('tr');
+        analysis.columns.forEach(column => {
+            const td = document.createElement('td');
+            td.className = columnClass(column.index);
+            td.textContent = row.fields[column.index] || '';
+            tr.appendChild(td);
+        });
+        return tr;
+    });
+
+    preview.replaceChildren(headerRow, ...rows);
 
+    const spectraCount = mapping.yColumns.length;
+    document.getElementById('csv-wizard-summary').textContent = spectraCount === 0
+        ? 'Select at least one Y column.'
+        : `Imports ${spectraCount} spectr${spectraCount === 1 ? 'um' : 'a'}.`;
+    document.getElementById('csv-wizard-import').disabled = spectraCount === 0;
+}
 
 /**
- * Refresh MIDI device list
+ * Set up the CSV import wizard controls
  */
-async function refreshMIDIDevices() {
-    const midiDeviceSelect = document.getElementById('midi-device-select');
-    if (!midiDeviceSelect) return;
+function setupCSVWizard() {
+    const csvWizardModal = document.getElementById('csv-wizard-modal');
+    if (!csvWizardModal) return;
+
+    const closeCSVWizard = () => {
+        csvWizard = null;
+        csvWizardModal.classList.add('hidden');
+        csvWizardModal.style.display = 'none';
+    };
+
+    // Changing the format re-reads the file and resets the mapping
+    const reanalyze = () => {
+        const analysis = CSVImporter.analyze(csvWizard.text, {
+            delimiter: document.getElementById('csv-delimiter').value,
+            decimalSeparator: document.getElementById('csv-decimal').value
+        });
+        csvWizard.analysis = analysis;
+        csvWizard.mapping = CSVImporter.getDefaultMapping(analysis);
+        renderCSVWizard();
+    };
+
+    document.getElementById('csv-delimiter').addEventListener('change', reanalyze);
+    document.getElementById('csv-decimal').addEventListener('change', reanalyze);
+
+    document.getElementById('csv-x-column').addEventListener('change', (e) => {
+        const { analysis, mapping } = csvWizard;
+        const xColumn = parseInt(e.target.value, 10);
+        const values = analysis.rows.map(row => row.values[xColumn]).filter(value => value !== undefined && !isNaN(value));
+
+        mapping.xColumn = xColumn;
+        mapping.yColumns = mapping.yColumns.filter(index => index !== xColumn);
+        mapping.xUnits = CSVImporter.detectXUnits((analysis.header || [])[xColumn] || '', values);
+        renderCSVWizard();
+    });
+
+    document.getElementById('csv-x-units').addEventListener('change', (e) => {
+        csvWizard.mapping.xUnits = e.target.value;
+    });
+
+    document.getElementById('csv-y-units').addEventListener('change', (e) => {
+        csvWizard.mapping.yUnits = e.target.value;
+    });
+
+    document.getElementById('csv-y-columns').addEventListener('change', () => {
+        csvWizard.mapping.yColumns = Array.from(document.querySelectorAll('#csv-y-columns input:checked'))
+            .map(checkbox => parseInt(checkbox.value, 10));
+        renderCSVPreview();
+    });
+
+    document.getElementById('csv-wizard-import').addEventListener('click', async () => {
+        const { file, analysis, mapping } = csvWizard;
+
+        try {
+            const spectra = CSVImporter.createSpectra(analysis, mapping, file.name);
+            spectra.forEach(data => CSVImporter.validate(data));
+            closeCSVWizard();
+
+            // Add to library and My Spectra
+            for (const data of spectra) {
+                await addImportedSpectrum(data);
+            }
+
+            // Enable export button
+            const exportAudio = document.getElementById('export-audio');
+            if (exportAudio) {
+                exportAudio.disabled = false;
+            }
+
+            Toast.success(spectra.length === 1
+                ? `Successfully imported: ${spectra[0].name} (${spectra[0].metadata.finalPoints} data points)`
+                : `Successfully imported ${spectra.length} spectra from ${file.name}`);
+        } catch (error) {
+            ErrorHandler.handle(error, `Failed to import CSV: ${error.message}`);
+        }
+    });
+
+    document.getElementById('csv-wizard-cancel').addEventListener('click', closeCSVWizard);
+    document.getElementById('csv-wizard-close').addEventListener('click', closeCSVWizard);
+    csvWizardModal.addEventListener('click', (e) => {
+        if (e.target === csvWizardModal) closeCSVWizard();
+    });
+}
+
+/**
+ * Handle audio export in the selected format, bit depth and sample rate
+ */
+async function handleExportAudio() {
+    if (!currentPeaks || currentPeaks.length === 0) {
+        Toast.warning('Please select a substance first');
+        return;
+    }
+
+    const format = document.getElementById('audio-export-format').value;
+    const formatInfo = AudioFileEncoder.getFormats()[format];
+    const bitDepth = parseInt(document.getElementById('audio-export-bit-depth').value, 10);
+    const sampleRate = parseInt(document.getElementById('audio-export-sample-rate').value, 10);
+    const duration = parseFloat(durationSlider.value);
+    const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
+    const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${duration}s_seed${audioEngine.getSeed()}.${formatInfo.extension}`;
+
+    const exportButton = document.getElementById('export-audio');
+    try {
+        exportButton.disabled = true;
+        exportButton.textContent = '⏳ Exporting...';
+
+        LoadingOverlay.show(`Rendering audio: ${filename}`);
+
+        await audioEngine.exportAudio(currentPeaks, duration, filename, {
+            format,
+            bitDepth,
+            sampleRate,
+            metadata: { title: substanceName, mapping: getMappingDescription() }
+        });
+
+        LoadingOverlay.hide();
+        exportButton.disabled = false;
+        exportButton.textContent = '💾 Export Audio';
+
+        MicroInteractions.celebrate(`First export! Successfully exported: ${filename}`);
+    } catch (error) {
+        LoadingOverlay.hide();
+        exportButton.disabled = false;
+        exportButton.textContent = '💾 Export Audio';
+
+        ErrorHandler.handle(error, `Failed to export audio: ${error.message}`);
+    }
+}
+
+/**
+ * Set up the batch render controls in the Import/Export modal
+ */
+function setupBatchRender() {
+    const startButton = document.getElementById('batch-render-start');
+    const cancelButton = document.getElementById('batch-render-cancel');
+    if (!startButton || !cancelButton) return;
+
+    batchRenderer = new BatchRenderer(audioEngine, frequencyMapper);
+    populateBatchSources();
+
+    startButton.addEventListener('click', handleBatchRender);
+    cancelButton.addEventListener('click', () => {
+        batchRenderer.cancel();
+        cancelButton.disabled = true;
+        document.getElementById('batch-render-status').textContent = 'Cancelling after the current substance...';
+    });
+}
+
+/**
+ * Fill the batch source selector with the filter results and library categories
+ * Counts reflect the current search and filters
+ */
+function populateBatchSources() {
+    const sourceSelect = document.getElementById('batch-source');
+    if (!sourceSelect || !libraryData) return;
+
+    const selected = sourceSelect.value;
+    sourceSelect.innerHTML = '';
+
+    const filteredOption = document.createElement('option');
+    filteredOption.value = 'filtered';
+    filteredOption.textContent = `Current search and filter results (${getFilteredLibrary().length})`;
+    sourceSelect.appendChild(filteredOption);
+
+    for (const categoryOption of categorySelect.options) {
+        if (categoryOption.value === 'all') continue;
+
+        const count = libraryData.filter(item => categorizeSubstance(item) === categoryOption.value).length;
+        if (count === 0) continue;
+
+        const option = document.createElement('option');
+        option.value = categoryOption.value;
+        option.textContent = `Category: ${categoryOption.text} (${count})`;
+        sourceSelect.appendChild(option);
+    }
+
+    if (Array.from(sourceSelect.options).some(option => option.value === selected)) {
+        sourceSelect.value = selected;
+    }
+}
+
+/**
+ * Get the substances for a batch source
+ * Library categories come from LibraryLoader when lazy loading is enabled
+ * @param {string} source - 'filtered' or a category name
+ * @returns {Promise<Array>} Library entries
+ */
+async function getBatchSubstances(source) {
+    if (source === 'filtered') {
+        return getFilteredLibrary();
+    }
+
+    const index = LibraryLoader.getIndex();
+    if (LibraryLoader.isLazyLoadingEnabled() && index && index.categories.some(category => category.name === source)) {
+        return LibraryLoader.loadCategory(source);
+    }
+    return libraryData.filter(item => categorizeSubstance(item) === source);
+}
+
+/**
+ * Render every substance in the selected batch source to one ZIP
+ * Uses the duration and the audio format, bit depth and sample rate of the Export Audio section
+ */
+async function handleBatchRender() {
+    if (batchRenderer.isRunning()) return;
+
+    const startButton = document.getElementById('batch-render-start');
+    const cancelButton = document.getElementById('batch-render-cancel');
+    const progressContainer = document.getElementById('batch-render-progress-container');
+    const progressBar = document.getElementById('batch-render-progress');
+    const status = document.getElementById('batch-render-status');
+    const source = document.getElementById('batch-source').value;
+    const format = document.getElementById('audio-export-format').value;
+
+    try {
+        const substances = await getBatchSubstances(source);
+        if (substances.length === 0) {
+            Toast.warning('No substances to render. Change the search or filters, or pick a category.');
+            return;
+        }
+
+        handleStop();
+        startButton.disabled = true;
+        cancelButton.disabled = false;
+        cancelButton.classList.remove('hidden');
+        progressContainer.classList.remove('hidden');
+
+        const result = await batchRenderer.render(substances, {
+            duration: parseFloat(durationSlider.value),
+            format,
+            bitDepth: parseInt(document.getElementById('audio-export-bit-depth').value, 10),
+            sampleRate: parseInt(document.getElementById('audio-export-sample-rate').value, 10),
+            mapping: getMappingDescription()
+        }, ({ completed, total, name }) => {
+            progressBar.value = completed / total;
+            status.textContent = name
+                ? `Rendering ${completed + 1} of ${total}: ${name}`
+                : `Rendered ${completed} of ${total}`;
+        });
+
+        if (result.cancelled) {
+            status.textContent = `Cancelled after ${result.rows.length} of ${substances.length} substances`;
+            Toast.info('Batch render cancelled');
+            return;
+        }
+
+        const filename = `spectral_synth_${source}_${AudioFileEncoder.getFormats()[format].extension}.zip`;
+        SpectrumExporter.download(result.zip, filename, 'application/zip');
+
+        status.textContent = result.failed > 0
+            ? `Rendered ${result.rendered} files; ${result.failed} failed (see manifest.csv)`
+            : `Rendered ${result.rendered} files`;
+        Toast.success(`Exported ${result.rendered} files: ${filename}`);
+    } catch (error) {
+        status.textContent = '';
+        ErrorHandler.handle(error, `Failed to render batch: ${error.message}`);
+    } finally {
+        startButton.disabled = false;
+        cancelButton.classList.add('hidden');
+    }
+}
+
+/**
+ * Describe the current IR-to-audio mapping for exported files
+ * @returns {Object} {strategy, ranges, scale}
+ */
+function getMappingDescription() {
+    return {
+        strategy: frequencyMapper.getStrategyName(),
+        ranges: frequencyMapper.getRanges(),
+        scale: scaleQuantizer.isEnabled() ? scaleQuantizer.getDescription() : null
+    };
+}
+
+/**
+ * Enable or disable the spectrum and peak table export buttons
+ * @param {boolean} enabled - Whether a substance is loaded
+ */
+function setSpectrumExportEnabled(enabled) {
+    ['export-jcamp', 'export-csv', 'export-json', 'export-peaks'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = !enabled;
+        }
+    });
+}
+
+/**
+ * Handle spectrum or peak table export
+ *
+ * Spectra are exported raw or preprocessed as chosen in the export menu;
+ * the peak table lists the current peaks as played, with the active mapping,
+ * scale and peak mixer.
+ *
+ * @param {string} format - 'jcamp', 'csv', 'json' or 'peaks'
+ */
+function handleSpectrumExport(format) {
+    const substance = libraryData.find(item => item.id === substanceSelect.value);
+    if (!substance || !currentSpectrum) {
+        Toast.warning('Please select a substance first');
+        return;
+    }
+
+    try {
+        const peakTable = SpectrumExporter.getPeakTable(currentPeaks || [], frequencyMapper, scaleQuantizer, audioEngine.getPeakMixer());
+
+        if (format === 'peaks') {
+            const filename = SpectrumExporter.createFilename(substance.name, 'peaks', 'csv');
+            SpectrumExporter.download(SpectrumExporter.peakTableToCSV(peakTable), filename, 'text/csv');
+            Toast.success(`Exported ${peakTable.length} peaks: ${filename}`);
+            return;
+        }
+
+        const preprocessed = document.getElementById('spectrum-export-data')?.value === 'preprocessed';
+        const data = SpectrumExporter.getSpectrumData(currentSpectrum, preprocessed ? frequencyMapper.getPreprocessor() : null);
+        const suffix = preprocessed ? 'preprocessed' : 'spectrum';
+
+        let filename;
+        if (format === 'jcamp') {
+            filename = SpectrumExporter.createFilename(substance.name, suffix, 'jdx');
+            SpectrumExporter.download(SpectrumExporter.toJCAMP(substance, data), filename, 'chemical/x-jcamp-dx');
+        } else if (format === 'csv') {
+            filename = SpectrumExporter.createFilename(substance.name, suffix, 'csv');
+            SpectrumExporter.download(SpectrumExporter.toCSV(data), filename, 'text/csv');
+        } else if (format === 'json') {
+            filename = SpectrumExporter.createFilename(substance.name, suffix, 'json');
+            SpectrumExporter.download(SpectrumExporter.toJSON(substance, data, peakTable, getMappingDescription()), filename, 'application/json');
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        Toast.success(`Exported: ${filename}`);
+    } catch (error) {
+        ErrorHandler.handle(error, `Failed to export spectrum: ${error.message}`);
+    }
+}
+
+/**
+ * Handle JCAMP-DX import
+ * @param {Event} e - File input change event
+ */
+async function handleJCAMPImport(e) {
+    if (importSelectionAsBatch(e)) return;
+
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        LoadingOverlay.show(`Importing JCAMP-DX: ${file.name}...`);
+
+        const data = await JCAMPImporter.parseJCAMP(file);
+        JCAMPImporter.validate(data);
+
+        // Add to library and My Spectra
+        await addImportedSpectrum(data);
+
+        // Enable export button
+        const exportAudio = document.getElementById('export-audio');
+        if (exportAudio) exportAudio.disabled = false;
+
+        LoadingOverlay.hide();
+        Toast.success(`Successfully imported JCAMP-DX: ${data.name} (${data.metadata.finalPoints} data points)`);
+    } catch (error) {
+        LoadingOverlay.hide();
+        ErrorHandler.handle(
+            error,
+            `Failed to import JCAMP-DX: ${error.message}\n\nPlease ensure your file is a valid JCAMP-DX format (.jdx, .dx, or .jcamp).`
+        );
+    }
+
+    // Clear the file input
+    e.target.value = '';
+}
+
+/**
+ * Handle import of a file in any registered format (see SpectrumImporter)
+ * @param {Event} e - File input change event
+ */
+async function handleSpectrumImport(e) {
+    if (importSelectionAsBatch(e)) return;
+
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        LoadingOverlay.show(`Importing ${file.name}...`);
+
+        const data = await SpectrumImporter.importFile(file);
+
+        // Add to library and My Spectra
+        await addImportedSpectrum(data);
+
+        // Enable export button
+        const exportAudio = document.getElementById('export-audio');
+        if (exportAudio) exportAudio.disabled = false;
+
+        LoadingOverlay.hide();
+        Toast.success(`Successfully imported: ${data.name} (${data.metadata.finalPoints} data points)`);
+    } catch (error) {
+        LoadingOverlay.hide();
+        ErrorHandler.handle(
+            error,
+            `Failed to import spectrum: ${error.message}\n\nSupported formats: ${SpectrumImporter.getFormats().map(format => format.name).join(', ')}.`
+        );
+    }
+
+    // Clear the file input
+    e.target.value = '';
+}
+
+/**
+ * Send a selection of several files to the batch importer
+ * @param {Event} e - File input change event
+ * @returns {boolean} True if the files were handed to handleBatchImport
+ */
+function importSelectionAsBatch(e) {
+    if (e.target.files.length < 2) return false;
+
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    handleBatchImport(files);
+    return true;
+}
+
+/**
+ * Set up batch import: the file and folder inputs, the drop zone and Cancel
+ */
+function setupBatchImport() {
+    const filesInput = document.getElementById('batch-import-files');
+    const folderInput = document.getElementById('batch-import-folder');
+    const dropZone = document.getElementById('batch-import-drop');
+    const cancelButton = document.getElementById('batch-import-cancel');
+    if (!filesInput || !folderInput || !dropZone || !cancelButton) return;
+
+    batchImporter = new BatchImporter({ preprocessor: frequencyMapper.getPreprocessor() });
+
+    [filesInput, folderInput].forEach(input => {
+        input.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            if (files.length > 0) {
+                handleBatchImport(files);
+            }
+        });
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+
+        try {
+            handleBatchImport(await BatchImporter.collectFiles(e.dataTransfer));
+        } catch (error) {
+            ErrorHandler.handle(error, `Failed to read the dropped files: ${error.message}`);
+        }
+    });
+
+    cancelButton.addEventListener('click', () => {
+        batchImporter.cancel();
+        cancelButton.disabled = true;
+        document.getElementById('batch-import-status').textContent = 'Cancelling after the current file...';
+    });
+}
+
+/**
+ * Import several files, add the new spectra to the library and report the rest
+ * @param {Array<File>} files - Selected or dropped files
+ */
+async function handleBatchImport(files) {
+    if (batchImporter.isRunning()) {
+        Toast.warning('A batch import is already running');
+        return;
+    }
+
+    const selected = BatchImporter.selectFiles(files);
+    if (selected.length === 0) {
+        Toast.warning('No files to import');
+        return;
+    }
+
+    const cancelButton = document.getElementById('batch-import-cancel');
+    const progressContainer = document.getElementById('batch-import-progress-container');
+    const progressBar = document.getElementById('batch-import-progress');
+    const status = document.getElementById('batch-import-status');
+
+    try {
+        cancelButton.disabled = false;
+        cancelButton.classList.remove('hidden');
+        progressContainer.classList.remove('hidden');
+        renderBatchImportReport([]);
+
+        const result = await batchImporter.import(selected, libraryData, ({ completed, total, name }) => {
+            progressBar.value = completed / total;
+            status.textContent = name
+                ? `Importing ${completed + 1} of ${total}: ${name}`
+                : `Read ${completed} of ${total} files`;
+        });
+
+        // Add to library and My Spectra, then select the last one
+        let entry = null;
+        for (const data of result.spectra) {
+            entry = await saveImportedSpectrum(data);
+        }
+        if (entry) {
+            populateSubstanceSelector();
+            substanceSelect.value = entry.id;
+            handleSubstanceChange();
+
+            const exportAudio = document.getElementById('export-audio');
+            if (exportAudio) exportAudio.disabled = false;
+        }
+
+        renderBatchImportReport(result.rows);
+
+        const skipped = [
+            result.duplicates > 0 ? `${result.duplicates} duplicates skipped` : '',
+            result.failed > 0 ? `${result.failed} files failed` : ''
+        ].filter(Boolean).join(', ');
+        status.textContent = `${result.cancelled ? 'Cancelled. ' : ''}Imported ${result.imported} spectra` +
+            (skipped ? `; ${skipped} (see below)` : '');
+
+        if (result.imported > 0) {
+            Toast.success(`Imported ${result.imported} spectra`);
+        } else {
+            Toast.warning('No new spectra imported');
+        }
+    } catch (error) {
+        status.textContent = '';
+        ErrorHandler.handle(error, `Failed to import files: ${error.message}`);
+    } finally {
+        cancelButton.classList.add('hidden');
+    }
+}
+
+/**
+ * List the duplicates and failed files of a batch import
+ * @param {Array<Object>} rows - BatchImporter rows ({file, name, status, detail})
+ */
+function renderBatchImportReport(rows) {
+    const report = document.getElementById('batch-import-report');
+    const problems = rows.filter(row => row.status !== 'imported');
+
+    report.innerHTML = '';
+    problems.forEach(row => {
+        const item = document.createElement('li');
+        const file = document.createElement('strong');
+        file.textContent = row.file;
+        item.appendChild(file);
+        item.appendChild(document.createTextNode(row.status === 'duplicate'
+            ? ` (${row.name}) skipped: ${row.detail}`
+            : ` failed: ${row.detail}`));
+        report.appendChild(item);
+    });
+    report.classList.toggle('hidden', problems.length === 0);
+}
+
+/**
+ * Refresh MIDI device list
+ */
+async function refreshMIDIDevices() {
+    const midiDeviceSelect = document.getElementById('midi-device-select');
+    if (!midiDeviceSelect) return;
 
     if (!midiOutput || !midiOutput.isSupported()) {
         Toast.warning('Web MIDI API is not supported in your browser', 4000);
@@ -874,6 +1911,185 @@ async function refreshMIDIDevices() {
     }
 }
 
+/**
+ * Connect MIDI input messages to the instrument, sliders and substance list
+ *
+ * Restores CC mappings saved in a previous session.
+ */
+function setupMIDIInput() {
+    midiInput.onNoteOn = handleNoteOn;
+    midiInput.onNoteOff = handleNoteOff;
+    midiInput.onAllNotesOff = () => audioEngine.getActiveNotes().forEach(handleNoteOff);
+    midiInput.onControlChange = handleMIDIControlChange;
+    midiInput.onProgramChange = handleMIDIProgramChange;
+    midiInput.onLearn = (target, cc) => {
+        Settings.set('midiCCMappings', midiInput.getMappings());
+        renderMIDIMappings();
+        Toast.success(`CC ${cc} mapped to ${midiInput.getTargets()[target].name}`, 2000);
+    };
+
+    try {
+        midiInput.setMappings(Settings.get('midiCCMappings', {}));
+    } catch (error) {
+        Logger.warn('Ignoring saved MIDI mappings:', error.message);
+    }
+    renderMIDIMappings();
+}
+
+/**
+ * Wire the MIDI clock to the MIDI devices, tempo and transport
+ *
+ * As master, the clock is started and stopped by handlePlay() and
+ * handleStop(). When following, incoming Start restarts playback from the
+ * top, Continue starts it if stopped, and Stop stops it.
+ */
+function setupMIDIClock() {
+    midiClock.setMIDIOutput(midiOutput || null);
+    midiClock.setTempo(audioEngine.getTempo());
+    midiClock.onTempoChange = handleTempoChange;
+    midiClock.onStart = () => {
+        handleStop();
+        handlePlay();
+    };
+    midiClock.onContinue = () => {
+        if (!audioEngine.isPlaying) {
+            handlePlay();
+        }
+    };
+    midiClock.onStop = handleStop;
+
+    if (midiInput) {
+        midiInput.onClock = (status, timestamp) => midiClock.handleMessage(status, timestamp);
+    }
+}
+
+/**
+ * Set the tempo for the audio engine, MIDI clock and MIDI arpeggios
+ *
+ * Called by the tempo slider and by a followed MIDI clock; keeps the slider
+ * in step either way.
+ *
+ * @param {number} bpm - Beats per minute
+ * @throws {Error} If bpm is out of range
+ */
+function handleTempoChange(bpm) {
+    audioEngine.setTempo(bpm);
+    if (midiClock) {
+        midiClock.setTempo(bpm);
+    }
+    updateMIDIArpeggioStep();
+
+    const tempoSlider = document.getElementById('tempo-slider');
+    const tempoValue = document.getElementById('tempo-value');
+    if (tempoSlider) {
+        tempoSlider.value = Math.round(bpm);
+    }
+    if (tempoValue) {
+        tempoValue.textContent = Math.round(bpm);
+    }
+}
+
+/**
+ * Give MIDI arpeggios the audio engine's synced step, or none when tempo sync is off
+ */
+function updateMIDIArpeggioStep() {
+    if (midiOutput) {
+        midiOutput.setArpeggioStep(audioEngine.getTempoSync() ? audioEngine.getStepDuration() * 1000 : null);
+    }
+}
+
+/**
+ * Refresh the MIDI input device list, keeping the selected device if still connected
+ */
+function refreshMIDIInputDevices() {
+    const midiInputSelect = document.getElementById('midi-input-select');
+    if (!midiInputSelect || !midiInput || !midiInput.isSupported()) return;
+
+    const devices = midiInput.getInputDevices();
+    const selected = midiInput.hasSelectedDevice() ? midiInput.selectedInput.id : '';
+
+    midiInputSelect.innerHTML = `<option value="">${devices.length === 0 ? '-- No MIDI devices found --' : '-- Select MIDI Controller --'}</option>`;
+    devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.id;
+        option.textContent = `${device.name} (${device.manufacturer})`;
+        midiInputSelect.appendChild(option);
+    });
+
+    if (devices.some(device => device.id === selected)) {
+        midiInputSelect.value = selected;
+    } else {
+        midiInput.selectInput('');
+    }
+}
+
+/**
+ * Set the slider a MIDI CC is mapped to
+ *
+ * The slider is moved and its input event fired, so the value display
+ * and audio engine update exactly as if it had been dragged.
+ *
+ * @param {string} target - Key from CONFIG.midiInput.TARGETS
+ * @param {number} value - Controller position from 0 to 1
+ */
+function handleMIDIControlChange(target, value) {
+    const sliders = {
+        volume: volumeSlider,
+        reverb: reverbSlider,
+        filter: filterFreqSlider,
+        attack: attackSlider,
+        decay: decaySlider,
+        sustain: sustainSlider,
+        release: releaseSlider
+    };
+    const slider = sliders[target];
+    if (!slider) return;
+
+    const min = parseFloat(slider.min);
+    const max = parseFloat(slider.max);
+    slider.value = min + value * (max - min);
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Select a substance from the filtered list by MIDI program number
+ * @param {number} program - Program number (0-127), wrapping around the list
+ */
+function handleMIDIProgramChange(program) {
+    const options = Array.from(substanceSelect.options).filter(option => option.value);
+    if (options.length === 0) return;
+
+    substanceSelect.value = options[program % options.length].value;
+    handleSubstanceChange();
+}
+
+/**
+ * Render the MIDI CC mapping table
+ */
+function renderMIDIMappings() {
+    const midiMappingsBody = document.getElementById('midi-cc-mappings');
+    if (!midiMappingsBody || !midiInput) return;
+
+    const targets = midiInput.getTargets();
+    const mappings = midiInput.getMappings();
+    const learning = midiInput.getLearnTarget();
+
+    midiMappingsBody.innerHTML = Object.keys(targets).map(key => {
+        const mapped = key in mappings;
+        const cc = key === learning ? 'Move a control…' : (mapped ? `CC ${mappings[key]}` : '—');
+        return `
+            <tr class="${key === learning ? 'learning' : ''}" data-target="${key}">
+                <td>${targets[key].name}</td>
+                <td>${cc}</td>
+                <td>
+                    <button class="secondary-button" data-action="learn" aria-label="Learn a controller for ${targets[key].name}">${key === learning ? 'Cancel' : 'Learn'}</button>
+                    <button class="secondary-button" data-action="clear" ${mapped ? '' : 'disabled'} aria-label="Clear the controller for ${targets[key].name}">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
 /**
  * Update MIDI send button state
  */
@@ -941,18 +2157,25 @@ async function handleExportMIDIFile() {
 
     try {
         const exportButton = document.getElementById('export-midi-file');
-        const tempoSlider = document.getElementById('midi-tempo');
 
         exportButton.disabled = true;
         exportButton.textContent = '⏳ Exporting...';
 
-        // Use the global playback mode from audio engine
+        // Same notes and timing as audio playback in the global playback mode
         const mode = audioEngine.getPlaybackMode();
-        const tempo = tempoSlider ? parseInt(tempoSlider.value) : 120;
+        const tempo = audioEngine.getTempo();
         const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
-        const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${mode}.mid`;
-
-        midiOutput.exportMIDIFile(currentPeaks, mode, tempo, filename);
+        const seed = audioEngine.getSeed();
+        const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${mode}_seed${seed}.mid`;
+        const notes = audioEngine.getNoteSchedule(currentPeaks, parseFloat(durationSlider.value));
+
+        midiOutput.exportMIDIFile(notes, filename, {
+            tempo,
+            trackPerGroup: document.getElementById('midi-track-per-group').checked,
+            automation: document.getElementById('midi-automation').checked
+                ? { ...audioEngine.getADSRSettings(), filterFrequency: audioEngine.getFilterFrequency() }
+                : null
+        });
 
         exportButton.disabled = false;
         exportButton.textContent = '💾 Export MIDI File';
@@ -1054,6 +2277,7 @@ function setupMenuModals() {
 
     if (importExportBtn && importExportModal) {
         importExportBtn.addEventListener('click', () => {
+            populateBatchSources();
             importExportModal.classList.remove('hidden');
             importExportModal.style.display = 'flex';
         });
@@ -1162,6 +2386,32 @@ function setupMenuModals() {
             if (e.target === favoritesModal) closeFavorites();
         });
     }
+
+    // My Spectra Modal
+    const mySpectraModal = document.getElementById('my-spectra-modal');
+    const mySpectraBtn = document.getElementById('my-spectra-menu-btn');
+    const mySpectraClose = document.getElementById('my-spectra-close');
+    const mySpectraOk = document.getElementById('my-spectra-ok');
+
+    if (mySpectraBtn && mySpectraModal) {
+        mySpectraBtn.addEventListener('click', () => {
+            updateMySpectraList();
+            mySpectraModal.classList.remove('hidden');
+            mySpectraModal.style.display = 'flex';
+        });
+
+        const closeMySpectra = () => {
+            mySpectraModal.classList.add('hidden');
+            mySpectraModal.style.display = 'none';
+        };
+
+        if (mySpectraClose) mySpectraClose.addEventListener('click', closeMySpectra);
+        if (mySpectraOk) mySpectraOk.addEventListener('click', closeMySpectra);
+
+        mySpectraModal.addEventListener('click', (e) => {
+            if (e.target === mySpectraModal) closeMySpectra();
+        });
+    }
 }
 
 /**
@@ -1232,6 +2482,223 @@ function updateFavoritesList() {
     });
 }
 
+/**
+ * Update the My Spectra list in the modal
+ *
+ * Built with DOM nodes rather than HTML strings because names and
+ * metadata are user-edited.
+ */
+function updateMySpectraList() {
+    const mySpectraList = document.getElementById('my-spectra-list');
+    if (!mySpectraList) return;
+
+    mySpectraList.innerHTML = '';
+
+    if (!userLibraryAvailable) {
+        mySpectraList.innerHTML = '<p class="empty-favorites">My Spectra needs IndexedDB, which is not available in this browser. Imported spectra last until the page is reloaded.</p>';
+        return;
+    }
+
+    const userSpectra = libraryData.filter(item => item.category === 'my-spectra');
+
+    if (userSpectra.length === 0) {
+        mySpectraList.innerHTML = '<p class="empty-favorites">No saved spectra yet. Import a spectrum from Import/Export to add it here.</p>';
+        return;
+    }
+
+    const createButton = (className, text, onClick) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    userSpectra.forEach(substance => {
+        const item = document.createElement('div');
+        item.className = 'favorite-item';
+
+        const details = document.createElement('div');
+        details.className = 'my-spectrum-details';
+
+        const name = document.createElement('span');
+        name.className = 'favorite-name';
+        name.textContent = substance.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'my-spectrum-meta';
+        meta.textContent = [
+            substance.formula,
+            substance.source,
+            substance.created ? `added ${new Date(substance.created).toLocaleDateString()}` : null
+        ].filter(Boolean).join(' · ');
+
+        details.append(name, meta);
+
+        if (substance.description) {
+            const description = document.createElement('span');
+            description.className = 'my-spectrum-meta';
+            description.textContent = substance.description;
+            details.appendChild(description);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'favorite-actions';
+        actions.append(
+            createButton('favorite-load-btn', 'Load', () => {
+                substanceSelect.value = substance.id;
+                handleSubstanceChange();
+                const mySpectraModal = document.getElementById('my-spectra-modal');
+                if (mySpectraModal) {
+                    mySpectraModal.classList.add('hidden');
+                    mySpectraModal.style.display = 'none';
+                }
+            }),
+            createButton('favorite-load-btn', 'Edit', () => showMySpectrumForm(item, substance)),
+            createButton('favorite-remove-btn', 'Delete', () => deleteMySpectrum(substance))
+        );
+
+        item.append(details, actions);
+        mySpectraList.appendChild(item);
+    });
+}
+
+/**
+ * Replace a My Spectra list item with a form to rename it and edit its metadata
+ * @param {HTMLElement} item - List item
+ * @param {Object} substance - Saved spectrum
+ */
+function showMySpectrumForm(item, substance) {
+    const form = document.createElement('form');
+    form.className = 'my-spectrum-edit';
+
+    const grid = document.createElement('div');
+    grid.className = 'my-spectrum-form';
+
+    const fields = [
+        { key: 'name', label: 'Name' },
+        { key: 'formula', label: 'Formula' },
+        { key: 'description', label: 'Description' },
+        { key: 'source', label: 'Source' }
+    ];
+
+    const inputs = {};
+    fields.forEach(({ key, label }) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `my-spectrum-${key}`;
+        input.value = substance[key] || '';
+
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = input.id;
+        labelElement.textContent = label;
+
+        inputs[key] = input;
+        grid.append(labelElement, input);
+    });
+    inputs.name.required = true;
+
+    const actions = document.createElement('div');
+    actions.className = 'favorite-actions';
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'favorite-load-btn';
+    save.textContent = 'Save';
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'favorite-remove-btn';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', updateMySpectraList);
+
+    actions.append(save, cancel);
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const changes = {};
+        fields.forEach(({ key }) => {
+            changes[key] = inputs[key].value;
+        });
+
+        await updateMySpectrum(substance, changes);
+    });
+
+    form.append(grid, actions);
+    item.replaceChildren(form);
+    inputs.name.focus();
+}
+
+/**
+ * Save edited metadata of a My Spectra entry and refresh the library
+ * @param {Object} substance - Saved spectrum (library entry)
+ * @param {Object} changes - Edited metadata fields
+ */
+async function updateMySpectrum(substance, changes) {
+    const oldName = substance.name;
+
+    try {
+        const record = await IndexedDBStorage.updateUserSpectrum(substance.id, changes);
+        Object.assign(substance, record);
+
+        // Favorites are kept by name
+        if (record.name !== oldName && Favorites.isFavorite(oldName)) {
+            Favorites.remove(oldName);
+            Favorites.add(record.name);
+        }
+
+        refreshLibraryAfterUserEdit();
+        updateMySpectraList();
+        Toast.success(`Saved: ${record.name}`);
+    } catch (error) {
+        ErrorHandler.handle(error, `Failed to update spectrum: ${error.message}`);
+    }
+}
+
+/**
+ * Delete a My Spectra entry after confirmation
+ * @param {Object} substance - Saved spectrum (library entry)
+ */
+async function deleteMySpectrum(substance) {
+    if (!confirm(`Delete "${substance.name}" from My Spectra? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await IndexedDBStorage.deleteUserSpectrum(substance.id);
+
+        const index = libraryData.indexOf(substance);
+        if (index !== -1) {
+            libraryData.splice(index, 1);
+        }
+        Favorites.remove(substance.name);
+
+        refreshLibraryAfterUserEdit();
+        updateMySpectraList();
+        Toast.success(`Deleted: ${substance.name}`);
+    } catch (error) {
+        ErrorHandler.handle(error, `Failed to delete spectrum: ${error.message}`);
+    }
+}
+
+/**
+ * Repopulate the substance selector after a My Spectra change,
+ * keeping the current selection if it still exists
+ */
+function refreshLibraryAfterUserEdit() {
+    const selectedId = substanceSelect.value;
+
+    populateSubstanceSelector();
+
+    if (selectedId && libraryData.some(item => item.id === selectedId)) {
+        substanceSelect.value = selectedId;
+    } else if (selectedId) {
+        substanceSelect.value = '';
+        handleSubstanceChange();
+    }
+}
+
 /**
  * Check if we should show onboarding
  */
@@ -1510,7 +2977,7 @@ function showSmartSuggestions(currentSubstance) {
         .filter(item => item.id !== currentSubstance.id)
         .map(item => ({
             substance: item,
-            similarity: calculateSpectralSimilarity(currentSubstance.spectrum, item.spectrum)
+            similarity: calculateSpectralSimilarity(currentSubstance.spectrum, item.spectrum, frequencyMapper.getPreprocessor())
         }))
         .sort((a, b) => b.similarity - a.similarity)
         .slice(0, 5); // Top 5 similar substances
@@ -1579,6 +3046,7 @@ window.spectralSynth = {
     audioEngine,
     visualizer,
     frequencyMapper,
+    scaleQuantizer,
     getCurrentPeaks: () => currentPeaks,
     getCurrentSpectrum: () => currentSpectrum
 };
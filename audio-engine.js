@@ -5,6 +5,9 @@
  *
  * Dependencies:
  * - CONFIG (for default audio parameters)
+ * - EffectsChain (for the effects processors after the master gain)
+ * - PeakMixer (per-peak mute, solo, gain trim, detune and waveform)
+ * - AudioFileEncoder (for WAV, FLAC, Ogg/Opus and MP3 export)
  * - Web Audio API (browser built-in)
  *
  * Exports:
@@ -12,8 +15,10 @@
  *
  * Core Concept:
  * Converts FTIR spectral peaks into audible sound using additive synthesis.
- * Each infrared absorption peak becomes an oscillator at a mapped audio frequency,
- * with amplitude proportional to absorption intensity.
+ * Each infrared absorption peak becomes a voice at a mapped audio frequency,
+ * with amplitude proportional to absorption intensity and timbre chosen from
+ * the band width: sharp peaks are pure tones, medium bands FM/AM voices and
+ * broad bands filtered noise.
  *
  * Usage:
  * ```javascript
@@ -23,31 +28,73 @@
  * // Play spectrum peaks
  * await engine.play(peaks, 2.0); // peaks array, 2 second duration
  *
+ * // Play the entire spectrum instead of its peaks
+ * engine.setFrequencyMapper(mapper);
+ * engine.setSpectrum(spectrum);
+ * engine.setPlaybackMode('spectrum');
+ * await engine.play(peaks, 2.0);
+ *
  * // Configure audio
  * engine.setVolume(0.5);
  * engine.setReverb(0.3);
  * engine.setFilterFrequency(4000);
  *
+ * // Reproducible random ordering, reverb and noise
+ * engine.setSeed(1234);
+ *
  * // Configure ADSR envelope
  * engine.setAttackTime(0.1);
  * engine.setReleaseTime(0.2);
  *
+ * // Hold the peaks and play with them while they sound
+ * engine.setPlaybackMode('drone');
+ * await engine.play(peaks);
+ * engine.setDetune(-50);               // cents, glides on the running voices
+ * engine.setPeakLevel(peaks[0].wavenumber, 1.5);
+ *
+ * // Play the peaks as an instrument: each note transposes the whole set
+ * await engine.noteOn(60, peaks);      // MIDI note, peaks
+ * engine.noteOff(60);
+ *
+ * // Arpeggio steps on sixteenth notes at 96 BPM, loops in whole bars
+ * engine.setTempo(96);
+ * engine.setSubdivision('1/16');
+ * engine.setTempoSync(true);
+ *
+ * // The notes the current mode plays, with start times (for MIDI files)
+ * const notes = engine.getNoteSchedule(peaks, 2.0);
+ *
  * // Stop playback
  * engine.stop();
  * ```
  *
  * Features:
- * - Additive synthesis with mixed waveforms (sine, triangle, square)
+ * - Additive synthesis with per-peak timbre from band width (tone, FM, AM, noise)
  * - ADSR envelope control (Attack, Decay, Sustain, Release)
- * - Audio effects (reverb, low-pass filter)
- * - Multiple playback modes (chord, arpeggio, sequential, random)
+ * - Ordered, editable effects chain (filter, reverb, delay, chorus, stereo
+ *   widener, compressor/limiter, distortion, EQ); presets can set a whole chain
+ * - Multiple playback modes (chord, arpeggio, sequential, random, full spectrum, scan, drone)
+ * - Drone mode: voices sustain until stopped; volume, effects, detune,
+ *   sustain level and per-peak levels glide on the running voices
+ * - Per-peak mixer (getPeakMixer()): mute, solo, gain trim, detune and
+ *   waveform override, heard live and in exports
+ * - Playable instrument: noteOn()/noteOff() hold the peak set transposed so
+ *   its strongest or lowest peak sounds at the note, polyphonically with the
+ *   current ADSR (independent of play()/stop())
+ * - Full-spectrum mode: the whole absorbance curve resampled onto a harmonic
+ *   series and played as one PeriodicWave, so band shapes are audible too
+ * - Scan mode: a cursor sweeps the wavenumber axis; a tracking tone or moving
+ *   noise band follows the absorbance under it (getScanPosition() for displays)
+ * - One voice-graph builder for live playback and offline export; with the
+ *   seeded random source, exports match what was heard
+ * - Optional spatialization: peaks panned by wavenumber or functional-group
+ *   region, or placed around the head with an HRTF panner (kept in exports)
  * - Real-time FFT analysis for visualization
  * - Frequency-dependent amplitude correction (equal loudness)
  *
  * Audio Graph:
- * oscillators[] → masterGain → filter → [dryGain, wetGain] → analyser → destination
- *                                         ↓
- *                                      convolver (reverb)
+ * voices[] and note voices (→ level → envelope → panner) → masterGain → effects chain → analyser → destination
+ * (default chain: low-pass filter → reverb; see getEffectsChain())
  *
  * Performance:
  * - Supports up to 20 simultaneous oscillators
@@ -62,19 +109,68 @@ class AudioEngine {
         this.analyser = null;
         this.oscillators = [];
         this.isPlaying = false;
-
-        // Audio effects
-        this.convolver = null;  // Reverb
-        this.filter = null;     // Low-pass filter
+        this.isDroning = false;  // Voices held until stop() ('drone' mode)
+
+        // Audio effects: the chain model, and its nodes once built in the live context
+        this.effectsChain = new EffectsChain(CONFIG.effectsChain.DEFAULT);
+        this.effectsChain.onChange = (change) => this.handleEffectsChange(change);
+        this.effectsGraph = null;
+        this.convolver = null;  // Reverb (first reverb in the chain)
+        this.filter = null;     // Low-pass filter (first filter in the chain)
+        this.dryGain = null;
+        this.wetGain = null;
         this.reverbMix = 0;     // 0-1
         this.filterFrequency = CONFIG.frequency.AUDIO_MAX;  // Hz
+        this.syncEffectSettings();
 
         // Playback mode
         this.playbackMode = 'sequential';  // Default to sequential mode (order by intensity)
 
+        // Optional FrequencyMapper - when set, peaks are re-mapped with its
+        // active strategy before synthesis so playback follows the current mapping
+        this.frequencyMapper = null;
+
+        // Optional ScaleQuantizer - snaps mapped frequencies to a musical scale
+        this.scaleQuantizer = null;
+
+        // Noise buffers for broad-band voices, one per audio context
+        this.noiseBuffers = new WeakMap();
+
+        // Full spectrum ({wavenumber, transmittance}[]) for the 'spectrum' and 'scan' playback modes
+        this.spectrum = null;
+
+        // Scan playback: sound source and the sweep currently playing
+        this.scanSource = CONFIG.scanSynthesis.DEFAULT_SOURCE;
+        this.scanState = null;  // {startTime, duration, startWavenumber, endWavenumber}
+
+        // Stereo placement of peak voices (see setSpatialMode)
+        this.spatialMode = CONFIG.spatialization.DEFAULT_MODE;
+
+        // Live-adjustable voice parameters: detune in cents for every voice,
+        // and the per-peak mixer (keyed by wavenumber)
+        this.detune = 0;
+        this.peakMixer = new PeakMixer();
+        this.peakMixer.onChange = (change) => this.handlePeakMixChange(change);
+
+        // Instrument: held notes (MIDI note -> scheduled voices, oldest first)
+        // and the peak placed on the played pitch
+        this.notes = new Map();
+        this.instrumentRoot = CONFIG.instrument.DEFAULT_ROOT;
+
+        // Seed for everything random in the graph (random ordering, reverb
+        // impulse, noise voices) so live playback and exports match
+        this.seed = CONFIG.audio.DEFAULT_SEED;
+        this.random = AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.ORDER);
+
         // Looping parameters
         this.loopEnabled = CONFIG.looping.DEFAULT_LOOP_ENABLED;  // Enable looping for arpeggios
         this.loopTimeoutId = null;  // Store timeout ID for loop control
+        this.endTimeoutId = null;  // Timeout that ends chord, spectrum and scan playback
+
+        // Tempo sync: arpeggio steps on a note value at a tempo, loops in whole bars
+        this.tempoSync = false;
+        this.tempo = CONFIG.tempo.DEFAULT_BPM;
+        this.subdivision = CONFIG.tempo.DEFAULT_SUBDIVISION;
 
         // ADSR envelope parameters
         this.attackTime = CONFIG.adsr.DEFAULT_ATTACK;
@@ -91,6 +187,13 @@ class AudioEngine {
         this.FFT_SIZE = CONFIG.audio.FFT_SIZE;
         this.ANALYSER_SMOOTHING = CONFIG.audio.ANALYSER_SMOOTHING;
         this.FILTER_Q_VALUE = CONFIG.audio.FILTER_Q_VALUE;
+        this.TIMBRE = CONFIG.timbre;
+        this.SPECTRUM_FUNDAMENTAL = CONFIG.spectrumSynthesis.FUNDAMENTAL;
+        this.SPECTRUM_GAIN = CONFIG.spectrumSynthesis.GAIN;
+        this.SCAN = CONFIG.scanSynthesis;
+        this.SPATIAL = CONFIG.spatialization;
+        this.INSTRUMENT = CONFIG.instrument;
+        this.TEMPO = CONFIG.tempo;
     }
 
     /**
@@ -111,43 +214,17 @@ class AudioEngine {
 
             this.audioContext = new AudioContext();
 
-            // Create master gain node for volume control
-            this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = this.DEFAULT_VOLUME;
-
-            // Create filter (low-pass)
-            this.filter = this.audioContext.createBiquadFilter();
-            this.filter.type = 'lowpass';
-            this.filter.frequency.value = this.filterFrequency;
-            this.filter.Q.value = this.FILTER_Q_VALUE;
-
-            // Create convolver for reverb
-            this.convolver = this.audioContext.createConvolver();
-            await this.createReverbImpulse();
-
-            // Create dry/wet mixing for reverb
-            this.dryGain = this.audioContext.createGain();
-            this.wetGain = this.audioContext.createGain();
-            this.dryGain.gain.value = 1;
-            this.wetGain.gain.value = 0;
-
             // Create analyser node for FFT visualization
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = this.FFT_SIZE;
             this.analyser.smoothingTimeConstant = this.ANALYSER_SMOOTHING;
 
             // Connect audio graph:
-            // oscillators -> masterGain -> filter -> [dry path, wet path] -> analyser -> destination
-            this.masterGain.connect(this.filter);
-
-            // Dry path (no reverb)
-            this.filter.connect(this.dryGain);
-            this.dryGain.connect(this.analyser);
-
-            // Wet path (with reverb)
-            this.filter.connect(this.convolver);
-            this.convolver.connect(this.wetGain);
-            this.wetGain.connect(this.analyser);
+            // oscillators -> masterGain -> effects chain -> analyser -> destination
+            const effects = this.buildEffectsChain(this.audioContext, this.analyser);
+            this.masterGain = effects.input;
+            this.effectsGraph = effects.graph;
+            this.linkEffectNodes();
 
             // Output
             this.analyser.connect(this.audioContext.destination);
@@ -160,25 +237,146 @@ class AudioEngine {
     }
 
     /**
-     * Create impulse response for reverb
+     * Create a seeded pseudo-random number generator (mulberry32)
      *
-     * Generates an exponentially decaying noise impulse for natural-sounding reverb.
+     * The same seed and stream always give the same sequence, so anything
+     * drawn from it sounds the same live and in exports. Separate streams
+     * keep e.g. the reverb impulse independent of the random note order.
+     *
+     * @param {number} seed - 32-bit integer seed
+     * @param {number} [stream=0] - Stream index (see AudioEngine.RANDOM_STREAMS)
+     * @returns {Function} Generator returning floats in [0, 1)
      */
-    async createReverbImpulse() {
-        const sampleRate = this.audioContext.sampleRate;
-        const duration = this.REVERB_DURATION;
-        const length = sampleRate * duration;
-        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
-
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                // Exponentially decaying noise
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
-            }
+    static createRandom(seed, stream = 0) {
+        let state = (seed ^ Math.imul(stream + 1, 0x9E3779B9)) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Build masterGain -> effects chain -> destination in a context
+     *
+     * Used for the live context and for offline rendering, so both run the
+     * same processors with the same settings and reverb impulse.
+     *
+     * @param {BaseAudioContext} context - Audio context (live or offline)
+     * @param {AudioNode} destination - Node the end of the chain feeds
+     * @returns {Object} {input, graph}; voices connect to input (the master gain)
+     * @private
+     */
+    buildEffectsChain(context, destination) {
+        // Master gain for volume control
+        const input = context.createGain();
+        input.gain.value = this.masterGain ? this.masterGain.gain.value : this.DEFAULT_VOLUME;
+
+        const graph = this.effectsChain.build(context, destination, {
+            createImpulse: (ctx, duration) => this.createReverbImpulse(ctx, duration)
+        });
+        input.connect(graph.input);
+
+        return { input, graph };
+    }
+
+    /**
+     * Replace the live effect nodes after the chain's structure changed
+     * @private
+     */
+    rebuildEffects() {
+        this.masterGain.disconnect();
+        this.effectsGraph.disconnect();
+
+        this.effectsGraph = this.effectsChain.build(this.audioContext, this.analyser, {
+            createImpulse: (ctx, duration) => this.createReverbImpulse(ctx, duration)
+        });
+        this.masterGain.connect(this.effectsGraph.input);
+        this.linkEffectNodes();
+    }
+
+    /**
+     * Point filter, convolver, dryGain and wetGain at the live nodes of the
+     * first filter and reverb in the chain (null when bypassed or absent)
+     * @private
+     */
+    linkEffectNodes() {
+        const instanceOf = (type) => {
+            const effect = this.effectsChain.findEffect(type);
+            return effect ? this.effectsGraph.instances.get(effect.id) || null : null;
+        };
+        const filter = instanceOf('filter');
+        const reverb = instanceOf('reverb');
+
+        this.filter = filter ? filter.filter : null;
+        this.convolver = reverb ? reverb.convolver : null;
+        this.dryGain = reverb ? reverb.dryGain : null;
+        this.wetGain = reverb ? reverb.wetGain : null;
+    }
+
+    /**
+     * Keep reverbMix and filterFrequency in step with the chain
+     * @private
+     */
+    syncEffectSettings() {
+        const reverb = this.effectsChain.findEffect('reverb');
+        const filter = this.effectsChain.findEffect('filter');
+
+        this.reverbMix = reverb ? reverb.params.mix : 0;
+        this.filterFrequency = filter ? filter.params.frequency : CONFIG.frequency.AUDIO_MAX;
+    }
+
+    /**
+     * Apply an effects chain edit to the live graph
+     *
+     * Parameter edits update the running nodes; structural edits (add,
+     * remove, move, bypass) rebuild the chain.
+     *
+     * @param {Object} change - {kind: 'params', id} or {kind: 'structure'}
+     * @private
+     */
+    handleEffectsChange(change) {
+        this.syncEffectSettings();
+        if (!this.effectsGraph) {
+            return;
+        }
+
+        if (change.kind === 'params') {
+            this.effectsChain.updateGraph(this.effectsGraph, change.id);
+        } else {
+            this.rebuildEffects();
         }
+    }
+
+    /**
+     * Get the effects chain
+     *
+     * Edits made through it (addEffect, moveEffect, setEffectParams, ...)
+     * apply to live playback straight away and to later exports.
+     *
+     * @returns {EffectsChain} The engine's effects chain
+     */
+    getEffectsChain() {
+        return this.effectsChain;
+    }
 
-        this.convolver.buffer = impulse;
+    /**
+     * Create impulse response for reverb
+     *
+     * Generates an exponentially decaying noise impulse for natural-sounding reverb.
+     * The noise comes from the engine seed, so every context gets the same impulse.
+     *
+     * @param {BaseAudioContext} context - Audio context that will own the buffer
+     * @param {number} [duration] - Impulse length in seconds (defaults to CONFIG.audio.REVERB_DURATION)
+     * @returns {AudioBuffer} Stereo impulse response
+     * @private
+     */
+    createReverbImpulse(context, duration = this.REVERB_DURATION) {
+        return EffectsChain.createImpulse(
+            context, duration, AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.REVERB)
+        );
     }
 
     /**
@@ -186,6 +384,10 @@ class AudioEngine {
      *
      * Creates one oscillator per peak using additive synthesis. Each oscillator's
      * frequency and amplitude are derived from the peak's IR wavenumber and intensity.
+     * In 'spectrum' and 'scan' modes the peaks are ignored and the spectrum
+     * passed to setSpectrum() is played instead (as one waveform, or swept
+     * by a cursor). In 'drone' mode the duration is ignored and the peaks
+     * sound until stop() is called.
      *
      * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
      * @param {number} [duration=2.0] - Duration in seconds
@@ -202,17 +404,78 @@ class AudioEngine {
         if (this.isPlaying) {
             this.stop();
         }
+        this.clearPlaybackTimeouts();
 
         await this.init();
 
+        peaks = this.mapPeaks(peaks);
+
+        // Restart the random sequence so each play matches an export
+        this.random = AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.ORDER);
+
         // Use appropriate playback method based on mode
-        if (this.playbackMode === 'chord') {
+        if (this.playbackMode === 'spectrum') {
+            await this.playSpectrum(duration);
+        } else if (this.playbackMode === 'scan') {
+            await this.playScan(duration);
+        } else if (this.playbackMode === 'chord') {
             await this.playChord(peaks, duration);
+        } else if (this.playbackMode === 'drone') {
+            await this.playDrone(peaks);
         } else {
             await this.playArpeggio(peaks, duration);
         }
     }
 
+    /**
+     * Set the frequency mapper whose active strategy determines peak pitches
+     * @param {FrequencyMapper|null} frequencyMapper - Mapper instance, or null to use peaks as-is
+     */
+    setFrequencyMapper(frequencyMapper) {
+        this.frequencyMapper = frequencyMapper;
+    }
+
+    /**
+     * Set the full spectrum played by the 'spectrum' and 'scan' playback modes
+     * @param {Array|null} spectrum - Array of {wavenumber, transmittance} objects, or null to clear
+     * @throws {Error} If spectrum is not a non-empty array or null
+     */
+    setSpectrum(spectrum) {
+        if (spectrum !== null && (!Array.isArray(spectrum) || spectrum.length === 0)) {
+            throw new Error('Invalid spectrum: must be a non-empty array or null');
+        }
+        this.spectrum = spectrum;
+    }
+
+    /**
+     * Get the spectrum used by the full-spectrum and scan modes
+     * @returns {Array|null} Array of {wavenumber, transmittance} objects, or null
+     */
+    getSpectrum() {
+        return this.spectrum;
+    }
+
+    /**
+     * Set the scale quantizer applied after frequency mapping
+     * @param {ScaleQuantizer|null} scaleQuantizer - Quantizer instance, or null to disable
+     */
+    setScaleQuantizer(scaleQuantizer) {
+        this.scaleQuantizer = scaleQuantizer;
+    }
+
+    /**
+     * Re-map peak frequencies through the attached frequency mapper and scale quantizer
+     *
+     * See FrequencyMapper.mapPeaks; the result can be shorter than the input.
+     *
+     * @param {Array} peaks - Array of peak objects
+     * @returns {Array} Peaks with audioFreq from the active strategy and scale (unchanged if no mapper is set)
+     * @private
+     */
+    mapPeaks(peaks) {
+        return this.frequencyMapper ? this.frequencyMapper.mapPeaks(peaks, this.scaleQuantizer) : peaks;
+    }
+
     /**
      * Play all peaks simultaneously as a chord
      *
@@ -221,153 +484,237 @@ class AudioEngine {
      * @private
      */
     async playChord(peaks, duration) {
-        const currentTime = this.audioContext.currentTime;
+        this.startVoices('chord', peaks, duration);
+        this.scheduleEnd(duration);
+    }
 
-        this.isPlaying = true;
-        this.oscillators = [];
+    /**
+     * Hold all peaks until stop() is called ('drone' mode)
+     *
+     * The voices have no scheduled end, so parameter changes made while they
+     * sound (setVolume, setDetune, setSustainLevel, setPeakLevel, effects)
+     * are heard on them directly.
+     *
+     * @param {Array} peaks - Array of peak objects
+     * @private
+     */
+    async playDrone(peaks) {
+        this.startVoices('drone', peaks, Infinity);
+        this.isDroning = true;
+    }
 
-        // Create oscillators for each peak using additive synthesis
-        // Each FTIR peak becomes one oscillator in the audio output
-        peaks.forEach((peak, idx) => {
-            const osc = this.audioContext.createOscillator();
-            const gain = this.audioContext.createGain();
-
-            // Set frequency from mapped audio frequency
-            osc.frequency.value = peak.audioFreq;
-
-            // Use different waveforms for variety and richness
-            // Alternates between sine, triangle, and square for harmonic variety
-            const waveforms = ['sine', 'triangle', 'square'];
-            // Weight towards sine and triangle (more musical) by using square only every 3rd peak
-            const waveformIndex = idx % 3 === 2 ? 2 : (idx % 2);
-            osc.type = waveforms[waveformIndex];
-
-            // Set amplitude based on absorption intensity
-            // Scale by 0.8 and divide by peak count to prevent clipping when many peaks play
-            const baseGain = (peak.absorbance * 0.8) / peaks.length;
-
-            // Apply frequency-dependent amplitude correction (equal loudness contour)
-            // Higher frequencies are perceived as louder, so we attenuate them
-            // freqCorrection ranges from 0.125 (at 8000 Hz) to 1.0 (at ≤1000 Hz)
-            const freqCorrection = Math.min(1.0, 1000 / peak.audioFreq);
-            const peakGain = baseGain * freqCorrection;
-            const sustainGain = peakGain * this.sustainLevel;
-
-            // Apply ADSR envelope
-            this.applyADSREnvelope(gain, currentTime, duration, peakGain, sustainGain);
-
-            // Connect: oscillator -> gain -> masterGain
-            osc.connect(gain);
-            gain.connect(this.masterGain);
-
-            // Schedule start and stop
-            osc.start(currentTime);
-            osc.stop(currentTime + duration);
-
-            this.oscillators.push({osc, gain});
-
-            // Clean up when finished
-            osc.onended = () => {
-                osc.disconnect();
-                gain.disconnect();
-            };
-        });
+    /**
+     * Play the whole spectrum as one periodic waveform ('spectrum' mode)
+     *
+     * @param {number} duration - Duration in seconds
+     * @throws {Error} If no spectrum or frequency mapper is set
+     * @private
+     */
+    async playSpectrum(duration) {
+        this.startVoices('spectrum', [], duration);
+        this.scheduleEnd(duration);
+    }
 
-        // Set flag to false after duration
-        setTimeout(() => {
+    /**
+     * Sweep a cursor across the spectrum ('scan' mode)
+     *
+     * @param {number} duration - Sweep duration in seconds
+     * @throws {Error} If no spectrum or frequency mapper is set
+     * @private
+     */
+    async playScan(duration) {
+        const currentTime = this.startVoices('scan', [], duration);
+        const voice = this.oscillators[0].osc;
+
+        this.scanState = {
+            startTime: currentTime,
+            duration,
+            startWavenumber: voice.startWavenumber,
+            endWavenumber: voice.endWavenumber
+        };
+        this.scheduleEnd(duration);
+    }
+
+    /**
+     * Mark playback finished once a single pass has ended
+     *
+     * The timeout is kept so stop() and the next play() can cancel it;
+     * otherwise it would end a playback started in the meantime.
+     *
+     * @param {number} duration - Seconds until the pass ends
+     * @private
+     */
+    scheduleEnd(duration) {
+        this.endTimeoutId = setTimeout(() => {
+            this.endTimeoutId = null;
             this.isPlaying = false;
+            this.scanState = null;
         }, duration * 1000);
     }
 
     /**
-     * Play peaks in sequence (arpeggio mode)
+     * Cancel pending loop and end-of-playback timeouts
+     * @private
+     */
+    clearPlaybackTimeouts() {
+        if (this.loopTimeoutId) {
+            clearTimeout(this.loopTimeoutId);
+            this.loopTimeoutId = null;
+        }
+        if (this.endTimeoutId) {
+            clearTimeout(this.endTimeoutId);
+            this.endTimeoutId = null;
+        }
+    }
+
+    /**
+     * Schedule one pass of voices on the live context, starting now
      *
+     * @param {string} mode - Playback mode
      * @param {Array} peaks - Array of peak objects
-     * @param {number} duration - Total duration in seconds
+     * @param {number} duration - Duration in seconds (Infinity to hold until stopped)
+     * @param {number} [startTime] - Audio-clock start time (default: now)
+     * @returns {number} Audio-clock start time
      * @private
      */
-    async playArpeggio(peaks, duration) {
+    startVoices(mode, peaks, duration, startTime = this.audioContext.currentTime) {
         const currentTime = this.audioContext.currentTime;
+
+        // Voices of a previous loop pass may still be sounding when the next is scheduled ahead
+        this.oscillators = this.oscillators
+            .filter(voice => voice.endTime > currentTime)
+            .concat(this.scheduleVoices(
+                this.audioContext, mode, peaks, this.masterGain, startTime, duration, this.random
+            ));
         this.isPlaying = true;
-        this.oscillators = [];
 
-        // Sort and arrange peaks based on playback mode
-        let orderedPeaks = [...peaks];
+        return startTime;
+    }
 
-        switch (this.playbackMode) {
-            case 'arpeggio-up':
-                // Sort by frequency (low to high)
-                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                break;
-            case 'arpeggio-down':
-                // Sort by frequency (high to low)
-                orderedPeaks.sort((a, b) => b.audioFreq - a.audioFreq);
-                break;
-            case 'arpeggio-updown':
-                // Sort by frequency then add reverse (skip last to avoid duplicate)
-                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                orderedPeaks = [...orderedPeaks, ...orderedPeaks.slice(0, -1).reverse()];
-                break;
-            case 'sequential':
-                // Sort by intensity (strongest first)
-                orderedPeaks.sort((a, b) => b.absorbance - a.absorbance);
-                break;
-            case 'random':
-                // Shuffle array
-                for (let i = orderedPeaks.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [orderedPeaks[i], orderedPeaks[j]] = [orderedPeaks[j], orderedPeaks[i]];
-                }
-                break;
+    /**
+     * Get the wavenumber under the scan cursor at the current audio time
+     *
+     * Uses the audio clock, so a display polling this stays in sync with
+     * what is heard.
+     *
+     * @returns {number|null} Cursor wavenumber in cm⁻¹, or null when no scan is playing
+     */
+    getScanPosition() {
+        if (!this.scanState || !this.audioContext) {
+            return null;
         }
 
-        // Calculate timing for each note
-        const noteCount = orderedPeaks.length;
-        const noteDuration = duration / noteCount;
-        const noteOverlap = 0.1; // Small overlap for smoother transitions
-        const actualNoteDuration = Math.min(noteDuration + noteOverlap, 0.5); // Cap at 0.5s
+        const { startTime, duration, startWavenumber, endWavenumber } = this.scanState;
+        const progress = (this.audioContext.currentTime - startTime) / duration;
+        if (progress < 0 || progress > 1) {
+            return null;
+        }
+        return startWavenumber + progress * (endWavenumber - startWavenumber);
+    }
+
+    /**
+     * Set the sound source used by scan playback
+     * @param {string} source - Source key from CONFIG.scanSources ('tone' or 'noise')
+     * @throws {Error} If source is invalid
+     */
+    setScanSource(source) {
+        if (!CONFIG.scanSources[source]) {
+            throw new Error(`Invalid scan source: ${source}`);
+        }
+        this.scanSource = source;
+    }
 
-        // Create oscillators for each note in sequence
-        orderedPeaks.forEach((peak, idx) => {
-            const osc = this.audioContext.createOscillator();
-            const gain = this.audioContext.createGain();
+    /**
+     * Get the scan playback sound source
+     * @returns {string} Source key
+     */
+    getScanSource() {
+        return this.scanSource;
+    }
 
-            const startTime = currentTime + (idx * noteDuration);
-            const endTime = startTime + actualNoteDuration;
+    /**
+     * Get available scan sound sources
+     * @returns {Object} Scan sources object from CONFIG
+     */
+    getScanSources() {
+        return CONFIG.scanSources;
+    }
 
-            // Set frequency
-            osc.frequency.value = peak.audioFreq;
+    /**
+     * Set how peak voices are placed in the stereo field
+     *
+     * 'wavenumber' pans each peak by its position on the spectrum chart,
+     * 'region' by its functional-group region (CONFIG.spatialization.REGIONS),
+     * and 'hrtf' places it around the listener's head with an HRTF panner.
+     * The scan voice follows the cursor; the full-spectrum voice stays centred.
+     *
+     * @param {string} mode - Mode key from CONFIG.spatialModes
+     * @throws {Error} If mode is invalid
+     */
+    setSpatialMode(mode) {
+        if (!CONFIG.spatialModes[mode]) {
+            throw new Error(`Invalid spatial mode: ${mode}`);
+        }
+        this.spatialMode = mode;
+    }
 
-            // Waveform selection - cycle through sine, triangle, square
-            const waveforms = ['sine', 'triangle', 'square'];
-            const waveformIndex = idx % 3;
-            osc.type = waveforms[waveformIndex];
+    /**
+     * Get the spatial mode
+     * @returns {string} Mode key
+     */
+    getSpatialMode() {
+        return this.spatialMode;
+    }
 
-            // Calculate gain with frequency correction
-            const baseGain = peak.absorbance * 0.5; // Higher volume for individual notes
-            const freqCorrection = Math.min(1.0, 1000 / peak.audioFreq);
-            const peakGain = baseGain * freqCorrection;
-            const sustainGain = peakGain * this.sustainLevel;
+    /**
+     * Get available spatial modes
+     * @returns {Object} Spatial modes object from CONFIG
+     */
+    getSpatialModes() {
+        return CONFIG.spatialModes;
+    }
 
-            // Apply ADSR envelope
-            this.applyADSREnvelope(gain, startTime, actualNoteDuration, peakGain, sustainGain);
+    /**
+     * Get the stereo position of a wavenumber in the current spatial mode
+     *
+     * @param {number} wavenumber - Wavenumber in cm⁻¹
+     * @returns {number|null} Position from -1 (left) to 1 (right), or null when spatialization is off
+     */
+    getSpatialPosition(wavenumber) {
+        if (this.spatialMode === 'off') {
+            return null;
+        }
 
-            // Connect
-            osc.connect(gain);
-            gain.connect(this.masterGain);
+        if (this.spatialMode === 'region') {
+            const region = this.SPATIAL.REGIONS.find(r => wavenumber >= r.min && wavenumber < r.max);
+            return region ? region.pan : 0;
+        }
 
-            // Schedule
-            osc.start(startTime);
-            osc.stop(endTime);
+        // Low wavenumbers on the left, as drawn on the chart
+        const { irMin, irMax } = this.frequencyMapper
+            ? this.frequencyMapper.getRanges()
+            : { irMin: CONFIG.frequency.IR_MIN, irMax: CONFIG.frequency.IR_MAX };
+        const normalized = Math.max(0, Math.min(1, (wavenumber - irMin) / (irMax - irMin)));
+        return (normalized * 2 - 1) * this.SPATIAL.WIDTH;
+    }
 
-            this.oscillators.push({osc, gain});
+    /**
+     * Play peaks in sequence (arpeggio mode)
+     *
+     * Loop passes are placed on the audio clock, each starting exactly where
+     * the previous one ends; the timer only has to wake up a little before
+     * (CONFIG.tempo.LOOKAHEAD), so timer jitter does not add up to drift.
+     *
+     * @param {Array} peaks - Array of peak objects
+     * @param {number} duration - Total duration in seconds (rounded up to whole bars with tempo sync)
+     * @param {number} [startTime] - Audio-clock start time of this pass (default: now)
+     * @private
+     */
+    async playArpeggio(peaks, duration, startTime = this.audioContext.currentTime) {
+        const passDuration = this.getPassDuration(this.playbackMode, peaks, duration);
 
-            // Clean up
-            osc.onended = () => {
-                osc.disconnect();
-                gain.disconnect();
-            };
-        });
+        // Looped passes keep drawing from the same random sequence
+        this.startVoices(this.playbackMode, peaks, passDuration, startTime);
 
         // Handle looping or stop after duration
         if (this.loopTimeoutId) {
@@ -375,16 +722,43 @@ class AudioEngine {
             this.loopTimeoutId = null;
         }
 
+        const nextStart = startTime + passDuration;
+        const wakeTime = this.loopEnabled ? nextStart - this.TEMPO.LOOKAHEAD : nextStart;
+
         this.loopTimeoutId = setTimeout(() => {
             // Check if looping is enabled and we're in an arpeggio mode
             if (this.loopEnabled && this.isPlaying && this.playbackMode !== 'chord') {
                 // Restart the arpeggio with the same peaks
-                this.playArpeggio(peaks, duration);
+                this.playArpeggio(peaks, duration, Math.max(nextStart, this.audioContext.currentTime));
             } else {
                 this.isPlaying = false;
                 this.loopTimeoutId = null;
             }
-        }, duration * 1000);
+        }, Math.max(0, (wakeTime - this.audioContext.currentTime) * 1000));
+    }
+
+    /**
+     * Get the length of one arpeggio pass
+     *
+     * With tempo sync, the notes fill steps of the subdivision and the pass
+     * is rounded up to whole bars, so loops line up with bars; otherwise it
+     * is the requested duration.
+     *
+     * @param {string} mode - Arpeggio playback mode
+     * @param {Array} peaks - Array of mapped peak objects
+     * @param {number} duration - Requested duration in seconds
+     * @returns {number} Pass duration in seconds
+     * @private
+     */
+    getPassDuration(mode, peaks, duration) {
+        if (!this.tempoSync) {
+            return duration;
+        }
+
+        // Step count doesn't depend on the shuffle, so any random source will do
+        const steps = this.orderPeaks(peaks, mode, () => 0).length;
+        const bar = this.getBarDuration();
+        return Math.max(1, Math.ceil(steps * this.getStepDuration() / bar - 1e-9)) * bar;
     }
 
     /**
@@ -417,7 +791,8 @@ class AudioEngine {
                 frequencyMap.set(key, {
                     wavenumber: peak.wavenumber,
                     audioFreq: peak.audioFreq,
-                    absorbance: peak.absorbance * weightA
+                    absorbance: peak.absorbance * weightA,
+                    width: peak.width
                 });
             } else {
                 const existing = frequencyMap.get(key);
@@ -432,7 +807,8 @@ class AudioEngine {
                 frequencyMap.set(key, {
                     wavenumber: peak.wavenumber,
                     audioFreq: peak.audioFreq,
-                    absorbance: peak.absorbance * ratio
+                    absorbance: peak.absorbance * ratio,
+                    width: peak.width
                 });
             } else {
                 const existing = frequencyMap.get(key);
@@ -449,36 +825,49 @@ class AudioEngine {
 
     /**
      * Stop all currently playing oscillators
+     *
+     * Held drone voices fade out over the release time; everything else is
+     * cut with a short fade.
      */
     stop() {
         const currentTime = this.audioContext ? this.audioContext.currentTime : 0;
+        const fade = this.isDroning ? this.releaseTime : 0.05;
 
-        // Clear any pending loop timeout
-        if (this.loopTimeoutId) {
-            clearTimeout(this.loopTimeoutId);
-            this.loopTimeoutId = null;
-        }
+        // Clear any pending loop or end-of-playback timeout
+        this.clearPlaybackTimeouts();
 
-        this.oscillators.forEach(({osc, gain}) => {
-            try {
-                // Quick fade out
-                gain.gain.cancelScheduledValues(currentTime);
-                gain.gain.setValueAtTime(gain.gain.value, currentTime);
-                gain.gain.linearRampToValueAtTime(0, currentTime + 0.05);
-
-                osc.stop(currentTime + 0.05);
-            } catch (e) {
-                // Oscillator may already be stopped
-            }
-        });
+        this.oscillators.forEach(voice => this.fadeOut(voice, currentTime, fade));
 
         this.oscillators = [];
         this.isPlaying = false;
+        this.isDroning = false;
+        this.scanState = null;
+    }
+
+    /**
+     * Fade a scheduled voice to silence and stop it
+     * @param {Object} voice - Scheduled voice ({osc, gain}) from scheduleVoice
+     * @param {number} currentTime - Context time to start the fade
+     * @param {number} fade - Fade length in seconds
+     * @private
+     */
+    fadeOut({ osc, gain }, currentTime, fade) {
+        try {
+            gain.gain.cancelScheduledValues(currentTime);
+            gain.gain.setValueAtTime(gain.gain.value, currentTime);
+            gain.gain.linearRampToValueAtTime(0, currentTime + fade);
+
+            osc.stop(currentTime + fade);
+        } catch (e) {
+            // Oscillator may already be stopped
+        }
     }
 
     /**
      * Set master volume
      *
+     * Glides to the new level so it can be changed while sound is playing.
+     *
      * @param {number} volume - Volume from 0 to 1
      * @throws {Error} If volume is not a number or out of range
      */
@@ -491,7 +880,7 @@ class AudioEngine {
         const clampedVolume = Math.max(0, Math.min(1, volume));
 
         if (this.masterGain) {
-            this.masterGain.gain.value = clampedVolume;
+            EffectsChain.setParam(this.audioContext, this.masterGain.gain, clampedVolume, true);
         }
     }
 
@@ -558,10 +947,13 @@ class AudioEngine {
             throw new Error('Invalid reverb amount: must be a number');
         }
 
-        if (this.dryGain && this.wetGain) {
-            this.reverbMix = Math.max(0, Math.min(1, amount));
-            this.dryGain.gain.value = 1 - this.reverbMix;
-            this.wetGain.gain.value = this.reverbMix;
+        const mix = Math.max(0, Math.min(1, amount));
+        const reverb = this.effectsChain.findEffect('reverb');
+        if (reverb) {
+            this.effectsChain.setEffectParams(reverb.id, { mix });
+        } else if (mix > 0) {
+            // No reverb in the chain yet: add one at the end
+            this.effectsChain.addEffect('reverb', { mix });
         }
     }
 
@@ -576,9 +968,12 @@ class AudioEngine {
             throw new Error('Invalid filter frequency: must be a positive number');
         }
 
-        if (this.filter) {
-            this.filterFrequency = frequency;
-            this.filter.frequency.value = frequency;
+        const filter = this.effectsChain.findEffect('filter');
+        if (filter) {
+            this.effectsChain.setEffectParams(filter.id, { frequency });
+        } else {
+            // No filter in the chain yet: add one at the start
+            this.effectsChain.addEffect('filter', { frequency }, 0);
         }
     }
 
@@ -601,6 +996,9 @@ class AudioEngine {
     /**
      * Apply an effect preset
      *
+     * Presets with a `chain` replace the whole effects chain; the others set
+     * the reverb mix and filter cutoff of the current chain.
+     *
      * @param {string} presetName - Name of preset from CONFIG.presets
      * @throws {Error} If preset name is invalid
      */
@@ -610,8 +1008,12 @@ class AudioEngine {
             throw new Error(`Invalid preset: ${presetName}`);
         }
 
-        this.setReverb(preset.reverb);
-        this.setFilterFrequency(preset.filterFreq);
+        if (preset.chain) {
+            this.effectsChain.setChain(preset.chain);
+        } else {
+            this.setReverb(preset.reverb);
+            this.setFilterFrequency(preset.filterFreq);
+        }
     }
 
     /**
@@ -672,6 +1074,395 @@ class AudioEngine {
         return this.loopEnabled;
     }
 
+    /**
+     * Enable or disable tempo sync for arpeggios
+     *
+     * When enabled, arpeggio steps last one subdivision at the tempo and a
+     * pass lasts whole bars (the duration passed to play() is ignored).
+     *
+     * @param {boolean} enabled - Whether to sync arpeggios to the tempo
+     * @throws {Error} If enabled is not a boolean
+     */
+    setTempoSync(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Tempo sync must be a boolean');
+        }
+        this.tempoSync = enabled;
+    }
+
+    /**
+     * Get tempo sync state
+     * @returns {boolean} Whether arpeggios follow the tempo
+     */
+    getTempoSync() {
+        return this.tempoSync;
+    }
+
+    /**
+     * Set the tempo
+     *
+     * Takes effect from the next arpeggio pass.
+     *
+     * @param {number} bpm - Beats (quarter notes) per minute, CONFIG.tempo.MIN_BPM to MAX_BPM
+     * @throws {Error} If bpm is out of range
+     */
+    setTempo(bpm) {
+        const { MIN_BPM, MAX_BPM } = this.TEMPO;
+        if (typeof bpm !== 'number' || isNaN(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+            throw new Error(`Invalid tempo: must be between ${MIN_BPM} and ${MAX_BPM} BPM`);
+        }
+        this.tempo = bpm;
+    }
+
+    /**
+     * Get the tempo
+     * @returns {number} Beats per minute
+     */
+    getTempo() {
+        return this.tempo;
+    }
+
+    /**
+     * Set the note value of one arpeggio step
+     * @param {string} subdivision - Key from CONFIG.subdivisions
+     * @throws {Error} If subdivision is invalid
+     */
+    setSubdivision(subdivision) {
+        if (!CONFIG.subdivisions[subdivision]) {
+            throw new Error(`Invalid subdivision: ${subdivision}`);
+        }
+        this.subdivision = subdivision;
+    }
+
+    /**
+     * Get the arpeggio step note value
+     * @returns {string} Subdivision key
+     */
+    getSubdivision() {
+        return this.subdivision;
+    }
+
+    /**
+     * Get available subdivisions
+     * @returns {Object} Subdivisions object from CONFIG
+     */
+    getSubdivisions() {
+        return CONFIG.subdivisions;
+    }
+
+    /**
+     * Get the length of one synced arpeggio step
+     * @returns {number} Step duration in seconds
+     */
+    getStepDuration() {
+        return 60 / this.tempo * CONFIG.subdivisions[this.subdivision].beats;
+    }
+
+    /**
+     * Get the length of one bar
+     * @returns {number} Bar duration in seconds
+     */
+    getBarDuration() {
+        return 60 / this.tempo * this.TEMPO.BEATS_PER_BAR;
+    }
+
+    /**
+     * Set the seed for the engine's random sources
+     *
+     * Random ordering, the reverb impulse and noise voices are all drawn from
+     * this seed, so the same seed and settings regenerate the same sound.
+     *
+     * @param {number} seed - Integer from 0 to 4294967295
+     * @throws {Error} If seed is not an integer in range
+     */
+    setSeed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error('Invalid seed: must be an integer from 0 to 4294967295');
+        }
+
+        this.seed = seed;
+        this.random = AudioEngine.createRandom(seed, AudioEngine.RANDOM_STREAMS.ORDER);
+
+        // Live reverb impulses are drawn from the seed too
+        if (this.effectsGraph) {
+            this.rebuildEffects();
+        }
+    }
+
+    /**
+     * Get the current random seed
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Pick a fresh seed (for a "new variation" control)
+     * @returns {number} Random integer from 0 to 4294967295
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Detune every voice
+     *
+     * Applies to the next play() and exports, and glides on voices that are
+     * already sounding.
+     *
+     * @param {number} cents - Detune in cents (±CONFIG.audio.MAX_DETUNE)
+     * @throws {Error} If cents is not a number in range
+     */
+    setDetune(cents) {
+        const max = CONFIG.audio.MAX_DETUNE;
+        if (typeof cents !== 'number' || isNaN(cents) || cents < -max || cents > max) {
+            throw new Error(`Invalid detune: must be between -${max} and ${max} cents`);
+        }
+
+        this.detune = cents;
+        this.oscillators.concat(this.getNoteVoices()).forEach(({ detune, peak }) =>
+            detune.forEach(param => EffectsChain.setParam(this.audioContext, param, this.getVoiceDetune(peak), true)));
+    }
+
+    /**
+     * Get the detune applied to every voice
+     * @returns {number} Detune in cents
+     */
+    getDetune() {
+        return this.detune;
+    }
+
+    /**
+     * Set the level of one peak's voice (the mixer's gain trim)
+     *
+     * Applies to the next play() and exports, and glides on the peak's voices
+     * if they are sounding.
+     *
+     * @param {number} wavenumber - Wavenumber of the peak in cm⁻¹
+     * @param {number} level - Level multiplier from 0 to CONFIG.peakMixer.MAX_GAIN (1 = unchanged)
+     * @throws {Error} If level is not a number in range
+     */
+    setPeakLevel(wavenumber, level) {
+        this.peakMixer.setChannel(wavenumber, { gain: level });
+    }
+
+    /**
+     * Get the level multiplier of one peak
+     * @param {number} wavenumber - Wavenumber of the peak in cm⁻¹
+     * @returns {number} Level multiplier (1 if never set)
+     */
+    getPeakLevel(wavenumber) {
+        return this.peakMixer.getChannel(wavenumber).gain;
+    }
+
+    /**
+     * Get the per-peak mixer
+     *
+     * Edits to it are heard on sounding voices: level and detune glide, and
+     * in drone mode a waveform change re-voices the peak.
+     *
+     * @returns {PeakMixer} Mixer
+     */
+    getPeakMixer() {
+        return this.peakMixer;
+    }
+
+    /**
+     * Apply a mixer change to the sounding voices
+     * @param {Object} change - {wavenumber, settings} from PeakMixer.onChange
+     * @private
+     */
+    handlePeakMixChange(change) {
+        if (!this.audioContext) {
+            return;
+        }
+
+        // Held voices are rebuilt with the new timbre; shorter notes pick it up on their next pass
+        if (this.isDroning && change.settings.includes('waveform')) {
+            this.oscillators = this.oscillators.map(voice =>
+                voice.peak && (change.wavenumber === null || voice.peak.wavenumber === change.wavenumber)
+                    ? this.revoice(voice)
+                    : voice
+            );
+        }
+
+        // Solo changes the level of every peak, so update them all
+        this.oscillators.concat(this.getNoteVoices()).forEach(({ peak, level, detune }) => {
+            if (!peak) {
+                return;
+            }
+            EffectsChain.setParam(this.audioContext, level.gain, this.peakMixer.getLevel(peak.wavenumber), true);
+            detune.forEach(param => EffectsChain.setParam(this.audioContext, param, this.getVoiceDetune(peak), true));
+        });
+    }
+
+    /**
+     * Replace a held voice with a fresh one for the same peak
+     * @param {Object} voice - Scheduled voice from scheduleVoice
+     * @returns {Object} The new scheduled voice
+     * @private
+     */
+    revoice(voice) {
+        const currentTime = this.audioContext.currentTime;
+        this.fadeOut(voice, currentTime, 0.05);
+
+        return this.scheduleVoice(
+            this.audioContext, this.createVoice(this.audioContext, voice.peak), this.masterGain,
+            currentTime, Infinity, voice.peakGain, this.getSpatialPosition(voice.peak.wavenumber)
+        );
+    }
+
+    /**
+     * Start a note of the peak set played as an instrument
+     *
+     * The peaks are mapped like play() does, then transposed together so the
+     * root peak (see setInstrumentRoot) sounds at the note's pitch; intervals
+     * between peaks are kept. The note holds at the sustain level until
+     * noteOff(). Starting a note that is already held restarts it, and past
+     * CONFIG.instrument.MAX_POLYPHONY notes the oldest is released.
+     *
+     * @param {number} note - MIDI note number (0-127, 69 = A4)
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @param {number} [velocity=1] - Note level from 0 to 1
+     * @throws {Error} If the note, peaks or velocity are invalid
+     */
+    async noteOn(note, peaks, velocity = 1) {
+        if (!Number.isInteger(note) || note < 0 || note > 127) {
+            throw new Error('Invalid note: must be an integer from 0 to 127');
+        }
+        if (!Array.isArray(peaks) || peaks.length === 0) {
+            throw new Error('Invalid peaks: must be a non-empty array');
+        }
+        if (typeof velocity !== 'number' || isNaN(velocity) || velocity < 0 || velocity > 1) {
+            throw new Error('Invalid velocity: must be between 0 and 1');
+        }
+
+        await this.init();
+
+        this.noteOff(note);
+        if (this.notes.size >= this.INSTRUMENT.MAX_POLYPHONY) {
+            this.noteOff(this.notes.keys().next().value);
+        }
+
+        const transposed = this.transposePeaks(this.mapPeaks(peaks), AudioEngine.noteToFrequency(note));
+        const currentTime = this.audioContext.currentTime;
+
+        this.notes.set(note, transposed.map(peak => this.scheduleVoice(
+            this.audioContext, this.createVoice(this.audioContext, peak), this.masterGain,
+            currentTime, Infinity, this.getPeakGain(peak, velocity * this.INSTRUMENT.GAIN / transposed.length),
+            this.getSpatialPosition(peak.wavenumber)
+        )));
+    }
+
+    /**
+     * Release a held note over the release time
+     * @param {number} note - MIDI note number (nothing happens if it is not held)
+     */
+    noteOff(note) {
+        const voices = this.notes.get(note);
+        if (!voices) {
+            return;
+        }
+
+        const currentTime = this.audioContext.currentTime;
+        voices.forEach(voice => this.fadeOut(voice, currentTime, this.releaseTime));
+        this.notes.delete(note);
+    }
+
+    /**
+     * Release every held note
+     */
+    allNotesOff() {
+        Array.from(this.notes.keys()).forEach(note => this.noteOff(note));
+    }
+
+    /**
+     * Get the notes currently held
+     * @returns {Array<number>} MIDI note numbers, oldest first
+     */
+    getActiveNotes() {
+        return Array.from(this.notes.keys());
+    }
+
+    /**
+     * Get the voices of every held note
+     * @returns {Array} Scheduled voices (see scheduleVoice)
+     * @private
+     */
+    getNoteVoices() {
+        return Array.from(this.notes.values()).flat();
+    }
+
+    /**
+     * Set which peak lands on the played note
+     * @param {string} root - Key from CONFIG.instrumentRoots ('strongest' or 'fundamental')
+     * @throws {Error} If root is not a known root
+     */
+    setInstrumentRoot(root) {
+        if (!CONFIG.instrumentRoots[root]) {
+            throw new Error(`Invalid instrument root: ${root}`);
+        }
+        this.instrumentRoot = root;
+    }
+
+    /**
+     * Get which peak lands on the played note
+     * @returns {string} Root key
+     */
+    getInstrumentRoot() {
+        return this.instrumentRoot;
+    }
+
+    /**
+     * Get available instrument roots
+     * @returns {Object} Roots from CONFIG.instrumentRoots
+     */
+    getInstrumentRoots() {
+        return CONFIG.instrumentRoots;
+    }
+
+    /**
+     * Transpose peaks so the root peak sounds at a frequency
+     *
+     * Peaks pushed above the Nyquist frequency are dropped.
+     *
+     * @param {Array} peaks - Mapped peaks
+     * @param {number} frequency - Target frequency of the root peak in Hz
+     * @returns {Array} New peak objects with scaled audioFreq
+     * @private
+     */
+    transposePeaks(peaks, frequency) {
+        const root = this.instrumentRoot === 'fundamental'
+            ? peaks.reduce((lowest, peak) => (peak.audioFreq < lowest.audioFreq ? peak : lowest))
+            : peaks.reduce((strongest, peak) => (peak.absorbance > strongest.absorbance ? peak : strongest));
+        const ratio = frequency / root.audioFreq;
+        const nyquist = this.audioContext.sampleRate / 2;
+
+        return peaks
+            .map(peak => ({ ...peak, audioFreq: peak.audioFreq * ratio }))
+            .filter(peak => peak.audioFreq < nyquist);
+    }
+
+    /**
+     * Convert a MIDI note number to its equal-tempered frequency
+     * @param {number} note - MIDI note number (69 = A4)
+     * @returns {number} Frequency in Hz (A4 = CONFIG.quantization.REFERENCE_FREQUENCY)
+     */
+    static noteToFrequency(note) {
+        return CONFIG.quantization.REFERENCE_FREQUENCY * Math.pow(2, (note - 69) / 12);
+    }
+
+    /**
+     * Get the detune a voice plays at: the engine detune plus its peak's mixer detune
+     * @param {Object|null} peak - The voice's peak (null for spectrum and scan voices)
+     * @returns {number} Detune in cents
+     * @private
+     */
+    getVoiceDetune(peak) {
+        return this.detune + (peak ? this.peakMixer.getDetune(peak.wavenumber) : 0);
+    }
+
     /**
      * Apply ADSR envelope to a gain node
      *
@@ -691,9 +1482,12 @@ class AudioEngine {
      * - Chord mode: All notes play for full duration with synchronized envelopes
      * - Arpeggio mode: Short individual notes each get properly shaped envelopes
      *
+     * With an infinite duration (drone mode) the note stays at the sustain
+     * level after the decay; stop() applies the release.
+     *
      * @param {GainNode} gainNode - Web Audio API gain node to apply envelope to
      * @param {number} startTime - AudioContext time when envelope should start
-     * @param {number} duration - Total duration in seconds (from UI slider or note length)
+     * @param {number} duration - Total duration in seconds (from UI slider or note length), or Infinity to hold
      * @param {number} peakGain - Maximum gain value at end of attack phase
      * @param {number} sustainGain - Gain value during sustain phase (peakGain * sustainLevel)
      * @private
@@ -714,6 +1508,7 @@ class AudioEngine {
         // Ensure decay doesn't overlap with release (can happen with very short durations)
         // If attack+decay+release > duration, sustain phase will be 0
         const sustainDuration = Math.max(0, releaseStart - decayEnd);
+        const held = !Number.isFinite(duration);
 
         // Apply envelope based on curve type
         gainNode.gain.cancelScheduledValues(startTime);
@@ -725,6 +1520,9 @@ class AudioEngine {
             gainNode.gain.setTargetAtTime(peakGain, startTime, attack / 3);
             // Decay phase
             gainNode.gain.setTargetAtTime(sustainGain, attackEnd, decay / 3);
+            if (held) {
+                return;
+            }
             // Sustain phase - hold at sustain level
             if (sustainDuration > 0) {
                 gainNode.gain.setValueAtTime(sustainGain, decayEnd);
@@ -742,6 +1540,9 @@ class AudioEngine {
             gainNode.gain.exponentialRampToValueAtTime(Math.max(minValue, peakGain), attackEnd);
             // Decay phase
             gainNode.gain.exponentialRampToValueAtTime(Math.max(minValue, sustainGain), decayEnd);
+            if (held) {
+                return;
+            }
             // Sustain phase
             if (sustainDuration > 0) {
                 gainNode.gain.setValueAtTime(Math.max(minValue, sustainGain), releaseStart);
@@ -755,6 +1556,9 @@ class AudioEngine {
             gainNode.gain.linearRampToValueAtTime(peakGain, attackEnd);
             // Decay phase
             gainNode.gain.linearRampToValueAtTime(sustainGain, decayEnd);
+            if (held) {
+                return;
+            }
             // Sustain phase
             if (sustainDuration > 0) {
                 gainNode.gain.setValueAtTime(sustainGain, releaseStart);
@@ -790,6 +1594,9 @@ class AudioEngine {
 
     /**
      * Set ADSR sustain level
+     *
+     * Held drone voices and instrument notes glide to the new level.
+     *
      * @param {number} level - Sustain level (0.0 - 1.0)
      * @throws {Error} If level is invalid
      */
@@ -798,6 +1605,11 @@ class AudioEngine {
             throw new Error(`Invalid sustain level: must be between ${CONFIG.adsr.MIN_SUSTAIN} and ${CONFIG.adsr.MAX_SUSTAIN}`);
         }
         this.sustainLevel = level;
+
+        // Drone voices and instrument notes are held at the sustain level
+        const held = this.isDroning ? this.oscillators.concat(this.getNoteVoices()) : this.getNoteVoices();
+        held.forEach(({ gain, peakGain }) =>
+            EffectsChain.setParam(this.audioContext, gain.gain, peakGain * level, true));
     }
 
     /**
@@ -847,263 +1659,767 @@ class AudioEngine {
     }
 
     /**
-     * Create oscillators in offline context based on playback mode
+     * Classify a peak's voice from its band width (FWHM in cm⁻¹)
      *
-     * @param {OfflineAudioContext} offlineContext - Offline audio context
-     * @param {Array} peaks - Array of peak objects
-     * @param {AudioNode} masterGain - Master gain node to connect to
-     * @param {number} duration - Total duration in seconds
+     * Sharp bands become pure tones, medium bands FM then AM voices, and broad
+     * bands (O-H, N-H stretches) band-limited noise. Peaks without a width
+     * (e.g. blended or hand-made peak lists) play as pure tones.
+     *
+     * @param {Object} peak - Peak object with optional width
+     * @returns {string} 'tone', 'fm', 'am' or 'noise'
+     */
+    getVoiceType(peak) {
+        const width = peak.width;
+        if (typeof width !== 'number' || !(width > 0)) {
+            return 'tone';
+        }
+        if (width >= this.TIMBRE.NOISE_MIN_WIDTH) {
+            return 'noise';
+        }
+        if (width > this.TIMBRE.FM_MAX_WIDTH) {
+            return 'am';
+        }
+        if (width > this.TIMBRE.TONE_MAX_WIDTH) {
+            return 'fm';
+        }
+        return 'tone';
+    }
+
+    /**
+     * Create the sound source for one peak, with timbre derived from its band shape
+     *
+     * The relative band width (width / wavenumber) sets the audible spread:
+     * the noise band's Q, the AM sideband spacing and the FM index all grow
+     * with it, so broad bands sound broad and sharp bands sound pure.
+     * Works with any BaseAudioContext, so live playback and offline exports
+     * share the same timbres. A waveform override in the peak mixer replaces
+     * the band-shape timbre with a plain oscillator of that shape.
+     *
+     * @param {BaseAudioContext} context - Audio context to create nodes in
+     * @param {Object} peak - Peak object {wavenumber, audioFreq, width}
+     * @returns {Object} Voice with the OscillatorNode interface used by callers:
+     *   connect(), start(), stop(), disconnect() and an onended property,
+     *   plus its peak and detuneParams (the AudioParams setDetune moves)
      * @private
      */
-    createOfflineOscillators(offlineContext, peaks, masterGain, duration) {
-        if (this.playbackMode === 'chord') {
-            // Chord mode: all peaks play simultaneously
-            peaks.forEach((peak, idx) => {
-                const osc = offlineContext.createOscillator();
-                const gain = offlineContext.createGain();
+    createVoice(context, peak) {
+        const waveform = this.peakMixer.getWaveform(peak.wavenumber);
+        const type = waveform === 'auto' ? this.getVoiceType(peak) : 'tone';
+        const relativeWidth = type === 'tone' ? 0 : peak.width / peak.wavenumber;
+        const sources = [];
+        const nodes = [];
+        const detuneParams = [];
+        let output;
+
+        if (type === 'noise') {
+            const noise = context.createBufferSource();
+            noise.buffer = this.getNoiseBuffer(context);
+            noise.loop = true;
+
+            const bandpass = context.createBiquadFilter();
+            bandpass.type = 'bandpass';
+            bandpass.frequency.value = peak.audioFreq;
+            bandpass.Q.value = Math.min(this.TIMBRE.MAX_NOISE_Q, Math.max(this.TIMBRE.MIN_NOISE_Q, 1 / relativeWidth));
+
+            // Filtering white noise removes most of its energy; restore it to roughly sine level
+            const bandwidth = peak.audioFreq / bandpass.Q.value;
+            const makeup = context.createGain();
+            makeup.gain.value = Math.min(this.TIMBRE.NOISE_MAX_BOOST, Math.sqrt((context.sampleRate / 2) / bandwidth));
+
+            noise.connect(bandpass);
+            bandpass.connect(makeup);
+            sources.push(noise);
+            nodes.push(bandpass, makeup);
+            detuneParams.push(bandpass.detune);
+            output = makeup;
+        } else {
+            const carrier = context.createOscillator();
+            carrier.type = waveform === 'auto' ? 'sine' : waveform;
+            carrier.frequency.value = peak.audioFreq;
+            sources.push(carrier);
+            detuneParams.push(carrier.detune);
+            output = carrier;
+
+            if (type === 'fm') {
+                // Index rises from 0 at TONE_MAX_WIDTH to FM_MAX_INDEX at FM_MAX_WIDTH
+                const index = this.TIMBRE.FM_MAX_INDEX *
+                    (peak.width - this.TIMBRE.TONE_MAX_WIDTH) / (this.TIMBRE.FM_MAX_WIDTH - this.TIMBRE.TONE_MAX_WIDTH);
+
+                const modulator = context.createOscillator();
+                modulator.type = 'sine';
+                modulator.frequency.value = peak.audioFreq * this.TIMBRE.FM_RATIO;
+
+                const deviation = context.createGain();
+                deviation.gain.value = index * modulator.frequency.value;
+
+                modulator.connect(deviation);
+                deviation.connect(carrier.frequency);
+                sources.push(modulator);
+                nodes.push(deviation);
+                detuneParams.push(modulator.detune);
+            } else if (type === 'am') {
+                // Sidebands at ± half the mapped band width
+                const modulator = context.createOscillator();
+                modulator.type = 'sine';
+                modulator.frequency.value = peak.audioFreq * relativeWidth / 2;
+
+                const amplitude = context.createGain();
+                amplitude.gain.value = 1 - this.TIMBRE.AM_DEPTH / 2;
+                const depth = context.createGain();
+                depth.gain.value = this.TIMBRE.AM_DEPTH / 2;
+
+                carrier.connect(amplitude);
+                modulator.connect(depth);
+                depth.connect(amplitude.gain);
+                sources.push(modulator);
+                nodes.push(amplitude, depth);
+                detuneParams.push(modulator.detune);
+                output = amplitude;
+            }
+        }
+
+        const primary = sources[0];
+        return {
+            type,
+            peak,
+            detuneParams,
+            connect: destination => output.connect(destination),
+            start: time => sources.forEach(source => source.start(time)),
+            stop: time => sources.forEach(source => source.stop(time)),
+            disconnect: () => [...sources, ...nodes].forEach(node => node.disconnect()),
+            set onended(handler) {
+                primary.onended = handler;
+            }
+        };
+    }
 
-                osc.frequency.value = peak.audioFreq;
+    /**
+     * Get a looping white noise buffer for a context (created once per context)
+     *
+     * The noise is drawn from the engine seed; the buffer is rebuilt if the seed changes.
+     *
+     * @param {BaseAudioContext} context - Audio context
+     * @returns {AudioBuffer} Mono noise buffer
+     * @private
+     */
+    getNoiseBuffer(context) {
+        const cached = this.noiseBuffers.get(context);
+        if (cached && cached.seed === this.seed) {
+            return cached.buffer;
+        }
 
-                const waveforms = ['sine', 'triangle', 'square'];
-                const waveformIndex = idx % 3 === 2 ? 2 : (idx % 2);
-                osc.type = waveforms[waveformIndex];
+        const length = Math.floor(context.sampleRate * this.TIMBRE.NOISE_BUFFER_DURATION);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.NOISE);
+        for (let i = 0; i < length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+        this.noiseBuffers.set(context, { seed: this.seed, buffer });
+        return buffer;
+    }
 
-                const baseGain = (peak.absorbance * 0.8) / peaks.length;
-                const freqCorrection = Math.min(1.0, 1000 / peak.audioFreq);
-                const peakGain = baseGain * freqCorrection;
-                const sustainGain = peakGain * this.sustainLevel;
+    /**
+     * Resample the spectrum onto a harmonic series covering the mapped audio band
+     *
+     * Harmonic k sits at k × FUNDAMENTAL Hz. Its amplitude is the absorbance
+     * (after the frequency mapper's preprocessing) at the wavenumber that maps
+     * to that frequency, interpolated linearly between spectrum points. The
+     * octave-folded strategy maps several wavenumbers onto the same harmonic;
+     * their absorbances add up. Steps where the mapping folds back are skipped.
+     *
+     * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
+     * @returns {Float32Array} Amplitudes indexed by harmonic number (index 0 = DC, always 0), max 1
+     * @throws {Error} If no frequency mapper is set
+     */
+    buildSpectrumHarmonics(spectrum) {
+        if (!this.frequencyMapper) {
+            throw new Error('Full-spectrum mode requires a frequency mapper');
+        }
 
-                // Apply ADSR envelope
-                this.applyADSREnvelope(gain, 0, duration, peakGain, sustainGain);
+        const processed = this.frequencyMapper.getPreprocessor().process(spectrum);
+        const fundamental = this.SPECTRUM_FUNDAMENTAL;
+        const count = Math.floor(this.frequencyMapper.getRanges().audioMax / fundamental);
+        const amplitudes = new Float32Array(count + 1);
+        const frequencies = processed.map(point => this.frequencyMapper.irToAudio(point.wavenumber));
+
+        for (let i = 0; i < processed.length - 1; i++) {
+            const startFreq = frequencies[i];
+            const endFreq = frequencies[i + 1];
+            if (!(endFreq > startFreq)) {
+                continue;  // Clamped outside the IR range, or folded back
+            }
 
-                osc.connect(gain);
-                gain.connect(masterGain);
+            // Harmonics in [startFreq, endFreq)
+            const first = Math.max(1, Math.ceil(startFreq / fundamental));
+            const last = Math.min(count, Math.ceil(endFreq / fundamental) - 1);
+            const startAbsorbance = processed[i].absorbance;
+            const endAbsorbance = processed[i + 1].absorbance;
 
-                osc.start(0);
-                osc.stop(duration);
-            });
-        } else {
-            // Arpeggio/sequential modes: peaks play in sequence
-            let orderedPeaks = [...peaks];
-
-            // Sort based on playback mode
-            switch (this.playbackMode) {
-                case 'arpeggio-up':
-                    orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                    break;
-                case 'arpeggio-down':
-                    orderedPeaks.sort((a, b) => b.audioFreq - a.audioFreq);
-                    break;
-                case 'arpeggio-updown':
-                    orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                    orderedPeaks = [...orderedPeaks, ...orderedPeaks.slice(0, -1).reverse()];
-                    break;
-                case 'sequential':
-                    orderedPeaks.sort((a, b) => b.absorbance - a.absorbance);
-                    break;
-                case 'random':
-                    for (let i = orderedPeaks.length - 1; i > 0; i--) {
-                        const j = Math.floor(Math.random() * (i + 1));
-                        [orderedPeaks[i], orderedPeaks[j]] = [orderedPeaks[j], orderedPeaks[i]];
-                    }
-                    break;
+            for (let k = first; k <= last; k++) {
+                const t = (k * fundamental - startFreq) / (endFreq - startFreq);
+                amplitudes[k] += startAbsorbance + t * (endAbsorbance - startAbsorbance);
+            }
+        }
+
+        const max = Math.max(...amplitudes);
+        if (max > 0) {
+            for (let k = 0; k < amplitudes.length; k++) {
+                amplitudes[k] /= max;
             }
+        }
+        return amplitudes;
+    }
+
+    /**
+     * Create an oscillator that plays the whole spectrum as one periodic waveform
+     *
+     * Uses Schroeder phases (φ = πk²/N) instead of aligned ones so the hundreds
+     * of harmonics do not pile up into a single click per period.
+     *
+     * @param {BaseAudioContext} context - Audio context to create nodes in
+     * @returns {OscillatorNode} Oscillator at the fundamental with the spectrum's periodic wave
+     * @throws {Error} If no spectrum or frequency mapper is set
+     * @private
+     */
+    createSpectrumVoice(context) {
+        if (!this.spectrum) {
+            throw new Error('Full-spectrum mode requires a spectrum');
+        }
 
-            // Calculate timing
-            const noteCount = orderedPeaks.length;
-            const noteDuration = duration / noteCount;
-            const noteOverlap = 0.1;
-            const actualNoteDuration = Math.min(noteDuration + noteOverlap, 0.5);
+        const amplitudes = this.buildSpectrumHarmonics(this.spectrum);
+        const count = amplitudes.length - 1;
+        const real = new Float32Array(count + 1);
+        const imag = new Float32Array(count + 1);
+        for (let k = 1; k <= count; k++) {
+            const phase = Math.PI * k * k / count;
+            real[k] = amplitudes[k] * Math.sin(phase);
+            imag[k] = amplitudes[k] * Math.cos(phase);
+        }
 
-            orderedPeaks.forEach((peak, idx) => {
-                const osc = offlineContext.createOscillator();
-                const gain = offlineContext.createGain();
+        const osc = context.createOscillator();
+        osc.frequency.value = this.SPECTRUM_FUNDAMENTAL;
+        osc.setPeriodicWave(context.createPeriodicWave(real, imag));
+        return osc;
+    }
+
+    /**
+     * Sample the cursor path for scan playback
+     *
+     * The cursor moves from the lowest to the highest wavenumber (left to
+     * right on the FTIR display). At each of CURVE_POINTS positions the
+     * absorbance is interpolated from the preprocessed spectrum and the
+     * frequency comes from the frequency mapper.
+     *
+     * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
+     * @returns {Object} {frequencies, levels (absorbance, max 1), startWavenumber, endWavenumber}
+     * @throws {Error} If no frequency mapper is set
+     */
+    buildScanCurves(spectrum) {
+        if (!this.frequencyMapper) {
+            throw new Error('Scan mode requires a frequency mapper');
+        }
 
-                const startTime = idx * noteDuration;
-                const endTime = startTime + actualNoteDuration;
+        const processed = this.frequencyMapper.getPreprocessor().process(spectrum);
+        const startWavenumber = processed[0].wavenumber;
+        const endWavenumber = processed[processed.length - 1].wavenumber;
+        const count = this.SCAN.CURVE_POINTS;
+        const frequencies = new Float32Array(count);
+        const levels = new Float32Array(count);
+
+        let segment = 0;
+        for (let i = 0; i < count; i++) {
+            const wavenumber = startWavenumber + (endWavenumber - startWavenumber) * i / (count - 1);
+            while (segment < processed.length - 2 && processed[segment + 1].wavenumber < wavenumber) {
+                segment++;
+            }
 
-                osc.frequency.value = peak.audioFreq;
+            const left = processed[segment];
+            const right = processed[Math.min(segment + 1, processed.length - 1)];
+            const span = right.wavenumber - left.wavenumber;
+            const t = span > 0 ? Math.min(1, Math.max(0, (wavenumber - left.wavenumber) / span)) : 0;
 
-                const waveforms = ['sine', 'triangle', 'square'];
-                const waveformIndex = idx % 3;
-                osc.type = waveforms[waveformIndex];
+            levels[i] = left.absorbance + t * (right.absorbance - left.absorbance);
+            frequencies[i] = this.frequencyMapper.irToAudio(wavenumber);
+        }
 
-                const baseGain = peak.absorbance * 0.5;
-                const freqCorrection = Math.min(1.0, 1000 / peak.audioFreq);
-                const peakGain = baseGain * freqCorrection;
-                const sustainGain = peakGain * this.sustainLevel;
+        const max = Math.max(...levels);
+        if (max > 0) {
+            for (let i = 0; i < count; i++) {
+                levels[i] /= max;
+            }
+        }
 
-                // Apply ADSR envelope
-                this.applyADSREnvelope(gain, startTime, actualNoteDuration, peakGain, sustainGain);
+        return { frequencies, levels, startWavenumber, endWavenumber };
+    }
 
-                osc.connect(gain);
-                gain.connect(masterGain);
+    /**
+     * Create the scan voice: a tracking oscillator or a moving band-pass on noise
+     *
+     * Frequency and level follow the cursor through setValueCurveAtTime, so
+     * the sweep is sample-accurate in both live and offline contexts.
+     *
+     * @param {BaseAudioContext} context - Audio context to create nodes in
+     * @param {number} startTime - Sweep start in context time
+     * @param {number} duration - Sweep duration in seconds
+     * @returns {Object} Voice with connect(), start(), stop(), disconnect(), onended,
+     *   detuneParams, plus the sweep's startWavenumber and endWavenumber
+     * @throws {Error} If no spectrum or frequency mapper is set
+     * @private
+     */
+    createScanVoice(context, startTime, duration) {
+        if (!this.spectrum) {
+            throw new Error('Scan mode requires a spectrum');
+        }
 
-                osc.start(startTime);
-                osc.stop(endTime);
-            });
+        const curves = this.buildScanCurves(this.spectrum);
+        const level = context.createGain();
+        level.gain.setValueCurveAtTime(curves.levels, startTime, duration);
+
+        let source;
+        const nodes = [level];
+        const detuneParams = [];
+        if (this.scanSource === 'noise') {
+            source = context.createBufferSource();
+            source.buffer = this.getNoiseBuffer(context);
+            source.loop = true;
+
+            const bandpass = context.createBiquadFilter();
+            bandpass.type = 'bandpass';
+            bandpass.Q.value = this.SCAN.NOISE_Q;
+            bandpass.frequency.setValueCurveAtTime(curves.frequencies, startTime, duration);
+
+            // Make-up gain for the band at the middle of the sweep
+            const centre = curves.frequencies[Math.floor(curves.frequencies.length / 2)];
+            const makeup = context.createGain();
+            makeup.gain.value = Math.min(this.TIMBRE.NOISE_MAX_BOOST,
+                Math.sqrt((context.sampleRate / 2) * this.SCAN.NOISE_Q / centre));
+
+            source.connect(bandpass);
+            bandpass.connect(makeup);
+            makeup.connect(level);
+            nodes.push(bandpass, makeup);
+            detuneParams.push(bandpass.detune);
+        } else {
+            source = context.createOscillator();
+            source.type = 'sine';
+            source.frequency.setValueCurveAtTime(curves.frequencies, startTime, duration);
+            source.connect(level);
+            detuneParams.push(source.detune);
         }
+
+        return {
+            detuneParams,
+            startWavenumber: curves.startWavenumber,
+            endWavenumber: curves.endWavenumber,
+            connect: destination => level.connect(destination),
+            start: time => source.start(time),
+            stop: time => source.stop(time),
+            disconnect: () => [source, ...nodes].forEach(node => node.disconnect()),
+            set onended(handler) {
+                source.onended = handler;
+            }
+        };
     }
 
     /**
-     * Export audio as WAV file
+     * Arrange peaks in the order an arpeggio mode plays them
+     *
+     * @param {Array} peaks - Array of peak objects
+     * @param {string} mode - Playback mode
+     * @param {Function} random - Random source for 'random' mode (see createRandom)
+     * @returns {Array} Ordered peaks (new array)
+     * @private
+     */
+    orderPeaks(peaks, mode, random) {
+        let orderedPeaks = [...peaks];
+
+        switch (mode) {
+            case 'arpeggio-up':
+                // Sort by frequency (low to high)
+                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
+                break;
+            case 'arpeggio-down':
+                // Sort by frequency (high to low)
+                orderedPeaks.sort((a, b) => b.audioFreq - a.audioFreq);
+                break;
+            case 'arpeggio-updown':
+                // Sort by frequency then add reverse (skip last to avoid duplicate)
+                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
+                orderedPeaks = [...orderedPeaks, ...orderedPeaks.slice(0, -1).reverse()];
+                break;
+            case 'sequential':
+                // Sort by intensity (strongest first)
+                orderedPeaks.sort((a, b) => b.absorbance - a.absorbance);
+                break;
+            case 'random':
+                // Shuffle array
+                for (let i = orderedPeaks.length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [orderedPeaks[i], orderedPeaks[j]] = [orderedPeaks[j], orderedPeaks[i]];
+                }
+                break;
+        }
+
+        return orderedPeaks;
+    }
+
+    /**
+     * Schedule the voices for one pass of a playback mode
+     *
+     * The single place where voices, gains, envelopes and timing are decided.
+     * Live playback and offline rendering both call it, so an export is the
+     * same graph as what was heard.
+     *
+     * @param {BaseAudioContext} context - Audio context (live or offline)
+     * @param {string} mode - Playback mode
+     * @param {Array} peaks - Array of mapped peak objects (ignored in 'spectrum' and 'scan' modes)
+     * @param {AudioNode} destination - Node voices connect to (effects chain input)
+     * @param {number} startTime - Context time of the first note
+     * @param {number} duration - Duration in seconds (Infinity holds 'drone' voices until stopped)
+     * @param {Function} [random] - Random source for 'random' mode; defaults to a fresh seeded one
+     * @returns {Array} Scheduled voices (see scheduleVoice)
+     * @private
+     */
+    scheduleVoices(context, mode, peaks, destination, startTime, duration, random) {
+        if (mode === 'spectrum') {
+            // Full-spectrum mode: one periodic waveform, peaks are not used
+            const osc = this.createSpectrumVoice(context);
+            return [this.scheduleVoice(context, osc, destination, startTime, duration, this.SPECTRUM_GAIN)];
+        }
+
+        if (mode === 'scan') {
+            // Scan mode: one voice sweeping the spectrum, peaks are not used.
+            // Its stereo position follows the cursor
+            const voice = this.createScanVoice(context, startTime, duration);
+            const placement = this.getScanPlacement(voice.startWavenumber, voice.endWavenumber);
+            return [this.scheduleVoice(context, voice, destination, startTime, duration, this.SCAN.GAIN, placement)];
+        }
+
+        // Chord, drone and arpeggio modes: one voice per planned note
+        const notes = this.planNotes(
+            mode, peaks, duration, random || AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.ORDER)
+        );
+        return notes.map(note => this.scheduleVoice(
+            context, this.createVoice(context, note.peak), destination,
+            startTime + note.start, note.duration, note.gain,
+            this.getSpatialPosition(note.peak.wavenumber)
+        ));
+    }
+
+    /**
+     * Decide the notes of a peak-based playback mode
+     *
+     * @param {string} mode - Playback mode (not 'spectrum' or 'scan')
+     * @param {Array} peaks - Array of mapped peak objects
+     * @param {number} duration - Duration in seconds (Infinity for held 'drone' notes)
+     * @param {Function} random - Random source for 'random' mode
+     * @returns {Array} [{peak, start (seconds from the first note), duration, gain}]
+     * @private
+     */
+    planNotes(mode, peaks, duration, random) {
+        if (mode === 'chord' || mode === 'drone') {
+            // Chord mode: all peaks play simultaneously. Each FTIR peak becomes
+            // one voice; scale by 0.8 and divide by peak count to prevent
+            // clipping when many peaks play. A drone is the same chord, held
+            // (an infinite duration live, the export length offline)
+            return peaks.map(peak => ({
+                peak, start: 0, duration, gain: this.getPeakGain(peak, 0.8 / peaks.length)
+            }));
+        }
+
+        // Arpeggio/sequential modes: peaks play in sequence
+        const orderedPeaks = this.orderPeaks(peaks, mode, random);
+
+        if (this.tempoSync) {
+            // One note per step; notes past the duration (e.g. an export's end) are dropped
+            const step = this.getStepDuration();
+            return orderedPeaks
+                .map((peak, idx) => ({
+                    peak, start: idx * step, duration: step * this.TEMPO.GATE, gain: this.getPeakGain(peak, 0.5)
+                }))
+                .filter(note => note.start < duration);
+        }
+
+        // Calculate timing for each note
+        const noteCount = orderedPeaks.length;
+        const noteDuration = duration / noteCount;
+        const noteOverlap = 0.1; // Small overlap for smoother transitions
+        const actualNoteDuration = Math.min(noteDuration + noteOverlap, 0.5); // Cap at 0.5s
+
+        // Higher volume for individual notes
+        return orderedPeaks.map((peak, idx) => ({
+            peak, start: idx * noteDuration, duration: actualNoteDuration, gain: this.getPeakGain(peak, 0.5)
+        }));
+    }
+
+    /**
+     * Get the notes the current playback mode plays, for note-based exports (MIDI)
      *
-     * Renders the synthesized audio to a buffer and exports it as a downloadable WAV file.
-     * Uses the currently selected playback mode for rendering.
+     * Uses the same mapping, ordering, seed and timing as play() and the
+     * audio exports. Modes without discrete notes are approximated: 'spectrum'
+     * as a chord of the peaks, and 'scan' as each peak sounding while the
+     * cursor crosses its band (its width, or an equal share of the sweep). A
+     * drone lasts the given duration, and a tempo-synced arpeggio one pass. The engine detune is folded into each
+     * peak's audioFreq; mixer levels are not applied.
      *
      * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
      * @param {number} [duration=2.0] - Duration in seconds
-     * @param {string} [filename='spectral-synth.wav'] - Output filename
-     * @throws {Error} If peaks array is invalid or duration is not positive
+     * @returns {Array} [{peak, start, duration, gain}] sorted by start time (seconds)
+     * @throws {Error} If peaks or duration are invalid, or 'scan' mode has no spectrum
      */
-    async exportWAV(peaks, duration = 2.0, filename = 'spectral-synth.wav') {
+    getNoteSchedule(peaks, duration = 2.0) {
         if (!Array.isArray(peaks) || peaks.length === 0) {
             throw new Error('Invalid peaks: must be a non-empty array');
         }
-
-        if (typeof duration !== 'number' || duration <= 0) {
+        if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
             throw new Error('Invalid duration: must be a positive number');
         }
 
-        await this.init();
+        const ratio = Math.pow(2, this.detune / 1200);
+        const mapped = this.mapPeaks(peaks).map(peak => ({ ...peak, audioFreq: peak.audioFreq * ratio }));
+        const random = AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.ORDER);
+
+        let notes;
+        if (this.playbackMode === 'spectrum') {
+            notes = this.planNotes('chord', mapped, duration, random);
+        } else if (this.playbackMode === 'scan') {
+            notes = this.planScanNotes(mapped, duration);
+        } else if (this.playbackMode === 'chord' || this.playbackMode === 'drone') {
+            notes = this.planNotes(this.playbackMode, mapped, duration, random);
+        } else {
+            notes = this.planNotes(
+                this.playbackMode, mapped, this.getPassDuration(this.playbackMode, mapped, duration), random
+            );
+        }
 
-        // Create an offline audio context for rendering
-        const sampleRate = this.audioContext.sampleRate;
-        const offlineContext = new OfflineAudioContext(2, sampleRate * duration, sampleRate);
-
-        // Create master gain
-        const masterGain = offlineContext.createGain();
-        masterGain.gain.value = this.masterGain.gain.value;
-
-        // Create filter
-        const filter = offlineContext.createBiquadFilter();
-        filter.type = 'lowpass';
-        filter.frequency.value = this.filterFrequency;
-        filter.Q.value = this.FILTER_Q_VALUE;
-
-        // Create reverb if enabled
-        const dryGain = offlineContext.createGain();
-        const wetGain = offlineContext.createGain();
-        dryGain.gain.value = 1 - this.reverbMix;
-        wetGain.gain.value = this.reverbMix;
-
-        // Create reverb impulse
-        const convolver = offlineContext.createConvolver();
-        const impulseLength = sampleRate * this.REVERB_DURATION;
-        const impulse = offlineContext.createBuffer(2, impulseLength, sampleRate);
-
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < impulseLength; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / impulseLength, 2);
-            }
+        return notes.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Place peaks on the scan sweep as notes
+     *
+     * @param {Array} peaks - Array of mapped peak objects
+     * @param {number} duration - Sweep duration in seconds
+     * @returns {Array} [{peak, start, duration, gain}]
+     * @throws {Error} If no spectrum is set
+     * @private
+     */
+    planScanNotes(peaks, duration) {
+        if (!this.spectrum) {
+            throw new Error('Scan mode requires a spectrum');
         }
-        convolver.buffer = impulse;
 
-        // Connect audio graph
-        masterGain.connect(filter);
-        filter.connect(dryGain);
-        dryGain.connect(offlineContext.destination);
-        filter.connect(convolver);
-        convolver.connect(wetGain);
-        wetGain.connect(offlineContext.destination);
+        // The cursor moves from the lowest to the highest wavenumber
+        const wavenumbers = this.spectrum.map(point => point.wavenumber);
+        const low = Math.min(...wavenumbers);
+        const range = (Math.max(...wavenumbers) - low) || 1;
+        const timeAt = wavenumber => Math.max(0, Math.min(duration, (wavenumber - low) / range * duration));
+
+        return peaks.map(peak => {
+            const halfWidth = (peak.width || range / peaks.length) / 2;
+            const start = timeAt(peak.wavenumber - halfWidth);
+            return {
+                peak,
+                start,
+                duration: Math.max(timeAt(peak.wavenumber + halfWidth) - start, 0.05),
+                gain: this.SCAN.GAIN * peak.absorbance
+            };
+        });
+    }
 
-        // Create oscillators based on playback mode
-        this.createOfflineOscillators(offlineContext, peaks, masterGain, duration);
+    /**
+     * Connect a voice through its level, envelope gain (and spatial node) and schedule it
+     *
+     * The level gain carries the peak's mixer level (gain trim, mute, solo)
+     * and the voice's detune params start at setDetune() plus the peak's
+     * mixer detune, so both can later glide independently of the envelope.
+     *
+     * @param {BaseAudioContext} context - Audio context
+     * @param {Object} voice - Voice from createVoice, createSpectrumVoice or createScanVoice
+     * @param {AudioNode} destination - Node the envelope gain connects to
+     * @param {number} startTime - Start time in seconds
+     * @param {number} duration - Note duration in seconds (Infinity to hold until stopped)
+     * @param {number} peakGain - Envelope peak level
+     * @param {number|Array<number>|null} [placement=null] - Stereo position (-1 to 1),
+     *   positions spread over the duration, or null for a centred voice
+     * @returns {Object} {osc, gain, level, panner, peak, peakGain, detune (AudioParams), endTime}
+     * @private
+     */
+    scheduleVoice(context, voice, destination, startTime, duration, peakGain, placement = null) {
+        const level = context.createGain();
+        const gain = context.createGain();
+        const panner = placement === null ? null : this.createSpatialNode(context, placement, startTime, duration);
+        const peak = voice.peak || null;
+        const detune = voice.detuneParams || [voice.detune];
+
+        level.gain.value = peak ? this.peakMixer.getLevel(peak.wavenumber) : 1;
+        detune.forEach(param => { param.value = this.getVoiceDetune(peak); });
+
+        // Apply ADSR envelope
+        this.applyADSREnvelope(gain, startTime, duration, peakGain, peakGain * this.sustainLevel);
+
+        // Connect: voice -> level -> gain -> [panner ->] destination
+        voice.connect(level);
+        level.connect(gain);
+        if (panner) {
+            gain.connect(panner);
+            panner.connect(destination);
+        } else {
+            gain.connect(destination);
+        }
 
-        // Render audio
-        const renderedBuffer = await offlineContext.startRendering();
+        // Schedule start and stop (held voices are stopped by stop())
+        voice.start(startTime);
+        if (Number.isFinite(duration)) {
+            voice.stop(startTime + duration);
+        }
 
-        // Convert to WAV
-        const wavBlob = this.bufferToWave(renderedBuffer);
+        // Clean up when finished
+        voice.onended = () => {
+            voice.disconnect();
+            level.disconnect();
+            gain.disconnect();
+            if (panner) {
+                panner.disconnect();
+            }
+        };
 
-        // Download file
-        const url = URL.createObjectURL(wavBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        URL.revokeObjectURL(url);
+        return { osc: voice, gain, level, panner, peak, peakGain, detune, endTime: startTime + duration };
     }
 
     /**
-     * Convert AudioBuffer to WAV blob
+     * Create the panner for a voice in the current spatial mode
      *
-     * @param {AudioBuffer} buffer - Audio buffer to convert
-     * @returns {Blob} WAV file as blob
+     * Stereo modes use a StereoPannerNode. 'hrtf' uses an HRTF PannerNode on
+     * a circle around the listener: -1 is hard left, 0 straight ahead and 1
+     * hard right (±HRTF_MAX_AZIMUTH degrees).
+     *
+     * @param {BaseAudioContext} context - Audio context
+     * @param {number|Array<number>} placement - Position, or positions spread over the duration
+     * @param {number} startTime - Start of the movement in seconds
+     * @param {number} duration - Length of the movement in seconds
+     * @returns {AudioNode} StereoPannerNode or PannerNode
      * @private
      */
-    bufferToWave(buffer) {
-        const length = buffer.length * buffer.numberOfChannels * 2;
-        const arrayBuffer = new ArrayBuffer(44 + length);
-        const view = new DataView(arrayBuffer);
-
-        // WAV header
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
+    createSpatialNode(context, placement, startTime, duration) {
+        const positions = Array.isArray(placement) ? placement : [placement];
+        const moving = positions.length > 1;
+
+        if (this.spatialMode !== 'hrtf') {
+            const panner = context.createStereoPanner();
+            panner.pan.value = positions[0];
+            if (moving) {
+                panner.pan.setValueCurveAtTime(Float32Array.from(positions), startTime, duration);
             }
-        };
+            return panner;
+        }
 
-        const sampleRate = buffer.sampleRate;
-        const numChannels = buffer.numberOfChannels;
-        const bitsPerSample = 16;
-
-        // RIFF chunk descriptor
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length, true);
-        writeString(8, 'WAVE');
-
-        // FMT sub-chunk
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true); // SubChunk1Size
-        view.setUint16(20, 1, true); // AudioFormat (PCM)
-        view.setUint16(22, numChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * numChannels * bitsPerSample / 8, true); // ByteRate
-        view.setUint16(32, numChannels * bitsPerSample / 8, true); // BlockAlign
-        view.setUint16(34, bitsPerSample, true);
-
-        // Data sub-chunk
-        writeString(36, 'data');
-        view.setUint32(40, length, true);
-
-        // Write audio data
-        const offset = 44;
-        const channels = [];
-        for (let i = 0; i < numChannels; i++) {
-            channels.push(buffer.getChannelData(i));
-        }
-
-        let pos = 0;
-        for (let i = 0; i < buffer.length; i++) {
-            for (let channel = 0; channel < numChannels; channel++) {
-                let sample = channels[channel][i];
-                // Clamp to [-1, 1]
-                sample = Math.max(-1, Math.min(1, sample));
-                // Convert to 16-bit PCM
-                sample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                view.setInt16(offset + pos, sample, true);
-                pos += 2;
+        const panner = context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.SPATIAL.HRTF_DISTANCE;
+
+        // Listener at the origin facing -z: azimuth θ is at (sin θ, 0, -cos θ)
+        const maxAzimuth = this.SPATIAL.HRTF_MAX_AZIMUTH * Math.PI / 180;
+        const xs = positions.map(p => Math.sin(p * maxAzimuth) * this.SPATIAL.HRTF_DISTANCE);
+        const zs = positions.map(p => -Math.cos(p * maxAzimuth) * this.SPATIAL.HRTF_DISTANCE);
+
+        if (panner.positionX) {
+            panner.positionX.value = xs[0];
+            panner.positionY.value = 0;
+            panner.positionZ.value = zs[0];
+            if (moving) {
+                panner.positionX.setValueCurveAtTime(Float32Array.from(xs), startTime, duration);
+                panner.positionZ.setValueCurveAtTime(Float32Array.from(zs), startTime, duration);
             }
+        } else {
+            // Older implementations without position AudioParams: start position only
+            panner.setPosition(xs[0], 0, zs[0]);
+        }
+        return panner;
+    }
+
+    /**
+     * Get the stereo positions along a scan sweep
+     *
+     * @param {number} startWavenumber - Wavenumber at the start of the sweep
+     * @param {number} endWavenumber - Wavenumber at the end of the sweep
+     * @returns {Array<number>|null} Positions over the sweep, or null when spatialization is off
+     * @private
+     */
+    getScanPlacement(startWavenumber, endWavenumber) {
+        if (this.spatialMode === 'off') {
+            return null;
         }
 
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
+        const points = this.SCAN.CURVE_POINTS;
+        return Array.from({ length: points }, (_, i) =>
+            this.getSpatialPosition(startWavenumber + (i / (points - 1)) * (endWavenumber - startWavenumber))
+        );
     }
 
     /**
-     * Export audio as MP3 file
+     * Get the envelope peak level for a peak
      *
-     * Renders the synthesized audio to a buffer and exports it as a downloadable MP3 file.
-     * Requires lamejs library to be loaded.
+     * Amplitude follows absorption intensity, with a frequency-dependent
+     * correction (equal loudness contour): higher frequencies are perceived
+     * as louder, so they are attenuated. The correction ranges from 0.125
+     * (at 8000 Hz) to 1.0 (at ≤1000 Hz).
+     *
+     * @param {Object} peak - Peak with absorbance and audioFreq
+     * @param {number} scale - Mode-specific gain scale
+     * @returns {number} Peak gain
+     * @private
+     */
+    getPeakGain(peak, scale) {
+        const freqCorrection = Math.min(1.0, 1000 / peak.audioFreq);
+        return peak.absorbance * scale * freqCorrection;
+    }
+
+    /**
+     * Render the current playback mode, effects and seed to an audio buffer
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @param {number} duration - Duration in seconds
+     * @param {number} [sampleRate] - Sample rate in Hz (default: the audio context rate)
+     * @returns {Promise<AudioBuffer>} Rendered stereo audio
+     * @private
+     */
+    async renderOffline(peaks, duration, sampleRate = null) {
+        await this.init();
+
+        // Create an offline audio context for rendering
+        const rate = sampleRate || this.audioContext.sampleRate;
+        const offlineContext = new OfflineAudioContext(2, Math.round(rate * duration), rate);
+
+        const effects = this.buildEffectsChain(offlineContext, offlineContext.destination);
+        this.scheduleVoices(
+            offlineContext, this.playbackMode, this.mapPeaks(peaks), effects.input, 0, duration,
+            AudioEngine.createRandom(this.seed, AudioEngine.RANDOM_STREAMS.ORDER)
+        );
+
+        return offlineContext.startRendering();
+    }
+
+    /**
+     * Render audio and encode it in any AudioFileEncoder format
+     *
+     * Uses the currently selected playback mode for rendering. The seed and
+     * playback mode are added to the file metadata.
      *
      * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
      * @param {number} [duration=2.0] - Duration in seconds
-     * @param {string} [filename='spectral-synth.mp3'] - Output filename
-     * @param {number} [bitrate=128] - MP3 bitrate in kbps
-     * @throws {Error} If peaks array is invalid, duration is not positive, or lamejs is not loaded
+     * @param {Object} [options] - Export options
+     * @param {string} [options.format='wav'] - 'wav', 'flac', 'opus' or 'mp3'
+     * @param {number} [options.bitDepth=16] - Bits per sample (WAV: 16, 24 or 32 float; FLAC: 16 or 24)
+     * @param {number} [options.sampleRate] - Sample rate in Hz (default: the audio context rate)
+     * @param {number} [options.bitrate] - Bitrate in kbps for MP3 and Opus
+     * @param {Object} [options.metadata] - {title, mapping} to embed
+     * @returns {Promise<Blob>} Encoded file
+     * @throws {Error} If peaks array is invalid, duration is not positive or sample rate is out of range
      */
-    async exportMP3(peaks, duration = 2.0, filename = 'spectral-synth.mp3', bitrate = 128) {
+    async renderToFile(peaks, duration = 2.0, options = {}) {
         if (!Array.isArray(peaks) || peaks.length === 0) {
             throw new Error('Invalid peaks: must be a non-empty array');
         }
@@ -1112,69 +2428,88 @@ class AudioEngine {
             throw new Error('Invalid duration: must be a positive number');
         }
 
-        // Check if MP3Encoder is available
-        if (typeof MP3Encoder === 'undefined') {
-            throw new Error('MP3 encoder not available. Please ensure mp3-encoder.js is loaded.');
-        }
-
-        await this.init();
-
-        // Create an offline audio context for rendering
-        const sampleRate = this.audioContext.sampleRate;
-        const offlineContext = new OfflineAudioContext(2, sampleRate * duration, sampleRate);
-
-        // Create master gain
-        const masterGain = offlineContext.createGain();
-        masterGain.gain.value = this.masterGain.gain.value;
-
-        // Create filter
-        const filter = offlineContext.createBiquadFilter();
-        filter.type = 'lowpass';
-        filter.frequency.value = this.filterFrequency;
-        filter.Q.value = this.FILTER_Q_VALUE;
-
-        // Create reverb if enabled
-        const dryGain = offlineContext.createGain();
-        const wetGain = offlineContext.createGain();
-        dryGain.gain.value = 1 - this.reverbMix;
-        wetGain.gain.value = this.reverbMix;
-
-        // Create reverb impulse
-        const convolver = offlineContext.createConvolver();
-        const impulseLength = sampleRate * this.REVERB_DURATION;
-        const impulse = offlineContext.createBuffer(2, impulseLength, sampleRate);
-
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < impulseLength; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / impulseLength, 2);
-            }
+        const { sampleRate = null } = options;
+        if (sampleRate !== null && (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000)) {
+            throw new Error('Invalid sample rate: must be an integer between 8000 and 192000 Hz');
         }
-        convolver.buffer = impulse;
-
-        // Connect audio graph
-        masterGain.connect(filter);
-        filter.connect(dryGain);
-        dryGain.connect(offlineContext.destination);
-        filter.connect(convolver);
-        convolver.connect(wetGain);
-        wetGain.connect(offlineContext.destination);
-
-        // Create oscillators based on playback mode
-        this.createOfflineOscillators(offlineContext, peaks, masterGain, duration);
 
         // Render audio
-        const renderedBuffer = await offlineContext.startRendering();
+        const renderedBuffer = await this.renderOffline(peaks, duration, sampleRate);
+
+        return AudioFileEncoder.encode(renderedBuffer, {
+            ...options,
+            metadata: { seed: this.seed, playbackMode: this.playbackMode, ...options.metadata }
+        });
+    }
 
-        // Convert to MP3
-        const mp3Blob = await MP3Encoder.encodeToMP3(renderedBuffer, bitrate);
+    /**
+     * Export audio as a downloadable file
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @param {number} [duration=2.0] - Duration in seconds
+     * @param {string} [filename='spectral-synth.wav'] - Output filename
+     * @param {Object} [options] - Export options (see renderToFile)
+     * @throws {Error} If peaks array is invalid or duration is not positive
+     */
+    async exportAudio(peaks, duration = 2.0, filename = 'spectral-synth.wav', options = {}) {
+        const blob = await this.renderToFile(peaks, duration, options);
 
         // Download file
-        const url = URL.createObjectURL(mp3Blob);
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
         a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
+
+    /**
+     * Export audio as WAV file
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @param {number} [duration=2.0] - Duration in seconds
+     * @param {string} [filename='spectral-synth.wav'] - Output filename
+     * @param {Object} [options] - {bitDepth, sampleRate, metadata} (see renderToFile)
+     * @throws {Error} If peaks array is invalid or duration is not positive
+     */
+    async exportWAV(peaks, duration = 2.0, filename = 'spectral-synth.wav', options = {}) {
+        await this.exportAudio(peaks, duration, filename, { ...options, format: 'wav' });
+    }
+
+    /**
+     * Convert AudioBuffer to WAV blob
+     *
+     * @param {AudioBuffer} buffer - Audio buffer to convert
+     * @param {number} [bitDepth=16] - 16, 24 or 32 (float)
+     * @param {Object} [metadata] - Metadata for the LIST/INFO chunk
+     * @returns {Blob} WAV file as blob
+     * @private
+     */
+    bufferToWave(buffer, bitDepth = 16, metadata = {}) {
+        const channels = AudioFileEncoder.getChannels(buffer);
+        const bytes = AudioFileEncoder.encodeWAV(channels, buffer.sampleRate, bitDepth, metadata);
+        return new Blob([bytes], { type: 'audio/wav' });
+    }
+
+    /**
+     * Export audio as MP3 file
+     *
+     * Requires lamejs library to be loaded.
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @param {number} [duration=2.0] - Duration in seconds
+     * @param {string} [filename='spectral-synth.mp3'] - Output filename
+     * @param {number} [bitrate=128] - MP3 bitrate in kbps
+     * @throws {Error} If peaks array is invalid, duration is not positive, or lamejs is not loaded
+     */
+    async exportMP3(peaks, duration = 2.0, filename = 'spectral-synth.mp3', bitrate = 128) {
+        await this.exportAudio(peaks, duration, filename, { format: 'mp3', bitrate });
+    }
 }
+
+// Independent random streams drawn from the engine seed
+AudioEngine.RANDOM_STREAMS = Object.freeze({
+    ORDER: 0,
+    REVERB: 1,
+    NOISE: 2
+});
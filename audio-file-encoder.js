@@ -0,0 +1,574 @@
+/**
+ * Audio File Encoder - Format-agnostic audio export
+ *
+ * Purpose: Turn a rendered AudioBuffer into a WAV, FLAC, Ogg/Opus or MP3
+ * file, with the sonification settings embedded as metadata
+ *
+ * Dependencies:
+ * - FLACEncoder (for FLAC frames and Vorbis comments)
+ * - MP3Encoder (for MP3, optional: needs the lamejs library)
+ * - WebCodecs AudioEncoder (for Opus, optional: browser built-in where supported)
+ *
+ * Exports:
+ * - AudioFileEncoder class - Static encoding helpers and format registry
+ *
+ * Usage:
+ * ```javascript
+ * const blob = await AudioFileEncoder.encode(renderedBuffer, {
+ *     format: 'flac',
+ *     bitDepth: 24,
+ *     metadata: { title: 'Caffeine', seed: 42, playbackMode: 'chord', mapping }
+ * });
+ * ```
+ *
+ * Metadata is written as a LIST/INFO chunk in WAV files and as Vorbis
+ * comments in FLAC and Ogg/Opus files. MP3 files carry no metadata.
+ */
+
+class AudioFileEncoder {
+    /**
+     * Get the export formats
+     * @returns {Object} Map of format id to {name, extension, mimeType, bitDepths, sampleRates}
+     */
+    static getFormats() {
+        return AudioFileEncoder.FORMATS;
+    }
+
+    /**
+     * Check whether a format can be encoded in this browser
+     *
+     * WAV and FLAC are always available. MP3 needs lamejs, and Opus needs a
+     * WebCodecs AudioEncoder that supports it.
+     *
+     * @param {string} format - Format id
+     * @returns {Promise<boolean>} Whether the format is available
+     */
+    static async isSupported(format) {
+        if (format === 'wav' || format === 'flac') {
+            return true;
+        }
+        if (format === 'mp3') {
+            return typeof MP3Encoder !== 'undefined' && typeof lamejs !== 'undefined';
+        }
+        if (format === 'opus') {
+            if (typeof AudioEncoder === 'undefined') {
+                return false;
+            }
+            try {
+                const { supported } = await AudioEncoder.isConfigSupported(this.getOpusConfig(2));
+                return supported;
+            } catch (error) {
+                Logger.info('Opus encoding not available:', error.message);
+                return false;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Encode a rendered buffer
+     *
+     * @param {AudioBuffer} buffer - Rendered audio
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.format='wav'] - Format id (see FORMATS)
+     * @param {number} [options.bitDepth=16] - Bits per sample (32 is floating point WAV)
+     * @param {number} [options.bitrate] - Bitrate in kbps for MP3 and Opus
+     * @param {Object} [options.metadata] - {title, mapping, seed, playbackMode, date}
+     * @returns {Promise<Blob>} Encoded file
+     * @throws {Error} If the format, bit depth or sample rate is not supported
+     */
+    static async encode(buffer, options = {}) {
+        const { format = 'wav', bitDepth = 16, metadata = {} } = options;
+        const info = AudioFileEncoder.FORMATS[format];
+        if (!info) {
+            throw new Error(`Invalid format: ${format}. Valid formats: ${Object.keys(AudioFileEncoder.FORMATS).join(', ')}`);
+        }
+        if (info.bitDepths.length > 0 && !info.bitDepths.includes(bitDepth)) {
+            throw new Error(`Invalid bit depth: ${info.name} supports ${info.bitDepths.join(', ')} bits`);
+        }
+        if (info.sampleRates && !info.sampleRates.includes(buffer.sampleRate)) {
+            throw new Error(`Invalid sample rate: ${info.name} export requires ${info.sampleRates.join(' or ')} Hz`);
+        }
+
+        const channels = this.getChannels(buffer);
+        let bytes;
+        if (format === 'wav') {
+            bytes = this.encodeWAV(channels, buffer.sampleRate, bitDepth, metadata);
+        } else if (format === 'flac') {
+            const samples = channels.map(channel => this.toInteger(channel, bitDepth));
+            bytes = FLACEncoder.encode(samples, buffer.sampleRate, bitDepth, this.getVorbisComments(metadata));
+        } else if (format === 'opus') {
+            bytes = await this.encodeOpus(channels, buffer.sampleRate, options.bitrate || 128, metadata);
+        } else {
+            if (typeof MP3Encoder === 'undefined') {
+                throw new Error('MP3 encoder not available. Please ensure mp3-encoder.js is loaded.');
+            }
+            return MP3Encoder.encodeToMP3(buffer, options.bitrate || 128);
+        }
+
+        return new Blob([bytes], { type: info.mimeType });
+    }
+
+    /**
+     * Get the sample data of each channel
+     * @param {AudioBuffer} buffer - Audio buffer
+     * @returns {Array<Float32Array>} Channel data
+     * @private
+     */
+    static getChannels(buffer) {
+        const channels = [];
+        for (let i = 0; i < buffer.numberOfChannels; i++) {
+            channels.push(buffer.getChannelData(i));
+        }
+        return channels;
+    }
+
+    /**
+     * Convert floating point samples to signed integers
+     * @param {Float32Array} channel - Samples in [-1, 1] (clamped)
+     * @param {number} bitDepth - Bits per sample
+     * @returns {Int32Array} Integer samples
+     */
+    static toInteger(channel, bitDepth) {
+        const scale = Math.pow(2, bitDepth - 1);
+        const samples = new Int32Array(channel.length);
+        for (let i = 0; i < channel.length; i++) {
+            const sample = Math.max(-1, Math.min(1, channel[i]));
+            samples[i] = Math.round(sample < 0 ? sample * scale : sample * (scale - 1));
+        }
+        return samples;
+    }
+
+    /**
+     * Write a WAV file
+     *
+     * 16 and 24 bits are integer PCM; 32 bits is IEEE floating point, which
+     * adds the 'fact' chunk required for non-PCM data.
+     *
+     * @param {Array<Float32Array>} channels - Channel data
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitDepth - 16, 24 or 32 (float)
+     * @param {Object} [metadata] - Metadata for the LIST/INFO chunk
+     * @returns {Uint8Array} WAV file bytes
+     */
+    static encodeWAV(channels, sampleRate, bitDepth, metadata = {}) {
+        const isFloat = bitDepth === 32;
+        const numChannels = channels.length;
+        const frames = channels[0].length;
+        const bytesPerSample = bitDepth / 8;
+        const dataLength = frames * numChannels * bytesPerSample;
+        const info = this.createInfoChunk(metadata);
+        const fmtLength = isFloat ? 18 : 16;
+        const factLength = isFloat ? 12 : 0;
+        const headerLength = 12 + 8 + fmtLength + factLength + info.length + 8;
+
+        const bytes = new Uint8Array(headerLength + dataLength + (dataLength % 2));
+        const view = new DataView(bytes.buffer);
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        // RIFF chunk descriptor
+        writeString(0, 'RIFF');
+        view.setUint32(4, bytes.length - 8, true);
+        writeString(8, 'WAVE');
+
+        // fmt chunk
+        writeString(12, 'fmt ');
+        view.setUint32(16, fmtLength, true);
+        view.setUint16(20, isFloat ? 3 : 1, true); // WAVE_FORMAT_IEEE_FLOAT or PCM
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * numChannels * bytesPerSample, true); // Byte rate
+        view.setUint16(32, numChannels * bytesPerSample, true); // Block align
+        view.setUint16(34, bitDepth, true);
+        let offset = 20 + fmtLength;
+        if (isFloat) {
+            view.setUint16(36, 0, true); // No extension
+
+            writeString(offset, 'fact');
+            view.setUint32(offset + 4, 4, true);
+            view.setUint32(offset + 8, frames, true);
+            offset += factLength;
+        }
+
+        bytes.set(info, offset);
+        offset += info.length;
+
+        // data chunk
+        writeString(offset, 'data');
+        view.setUint32(offset + 4, dataLength, true);
+        offset += 8;
+
+        const samples = isFloat ? channels : channels.map(channel => this.toInteger(channel, bitDepth));
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < numChannels; channel++) {
+                const sample = samples[channel][i];
+                if (isFloat) {
+                    view.setFloat32(offset, sample, true);
+                } else if (bitDepth === 16) {
+                    view.setInt16(offset, sample, true);
+                } else {
+                    view.setUint8(offset, sample & 0xFF);
+                    view.setUint8(offset + 1, (sample >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (sample >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Write a LIST/INFO chunk
+     * @param {Object} metadata - Metadata
+     * @returns {Uint8Array} Chunk bytes (empty when there is no metadata)
+     * @private
+     */
+    static createInfoChunk(metadata) {
+        const entries = this.getTags(metadata)
+            .filter(tag => tag.info)
+            .map(tag => ({ id: tag.info, text: new TextEncoder().encode(tag.value) }));
+        if (entries.length === 0) {
+            return new Uint8Array(0);
+        }
+
+        // Each sub-chunk holds a zero-terminated string, padded to an even length
+        const size = entries.reduce((sum, entry) => sum + 8 + ((entry.text.length + 2) & ~1), 4);
+        const bytes = new Uint8Array(8 + size);
+        const view = new DataView(bytes.buffer);
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'LIST');
+        view.setUint32(4, size, true);
+        writeString(8, 'INFO');
+        let offset = 12;
+        for (const entry of entries) {
+            writeString(offset, entry.id);
+            view.setUint32(offset + 4, entry.text.length + 1, true);
+            bytes.set(entry.text, offset + 8);
+            offset += 8 + ((entry.text.length + 2) & ~1);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode Opus in an Ogg container with WebCodecs
+     *
+     * @param {Array<Float32Array>} channels - Channel data at 48000 Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitrate - Bitrate in kbps
+     * @param {Object} metadata - Metadata for the OpusTags header
+     * @returns {Promise<Uint8Array>} Ogg/Opus file bytes
+     * @throws {Error} If the browser has no Opus encoder
+     * @private
+     */
+    static async encodeOpus(channels, sampleRate, bitrate, metadata) {
+        if (!(await this.isSupported('opus'))) {
+            throw new Error('Ogg/Opus export requires a browser with WebCodecs Opus encoding support');
+        }
+
+        const packets = [];
+        let description = null;
+        let encodeError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, chunkMetadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                // Opus packets last 20 ms unless the encoder says otherwise
+                packets.push({ data, samples: chunk.duration ? Math.round(chunk.duration * 48000 / 1e6) : 960 });
+                if (chunkMetadata && chunkMetadata.decoderConfig && chunkMetadata.decoderConfig.description) {
+                    description = new Uint8Array(chunkMetadata.decoderConfig.description);
+                }
+            },
+            error: (error) => {
+                encodeError = error;
+            }
+        });
+        encoder.configure({ ...this.getOpusConfig(channels.length), bitrate: bitrate * 1000 });
+
+        // Feed one second at a time
+        const frames = channels[0].length;
+        for (let start = 0; start < frames; start += sampleRate) {
+            const count = Math.min(sampleRate, frames - start);
+            const planar = new Float32Array(count * channels.length);
+            channels.forEach((channel, i) => planar.set(channel.subarray(start, start + count), i * count));
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: count,
+                numberOfChannels: channels.length,
+                timestamp: Math.round(start * 1e6 / sampleRate),
+                data: planar
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+        await encoder.flush();
+        encoder.close();
+
+        if (encodeError) {
+            throw encodeError;
+        }
+
+        return this.createOggOpus(packets, channels.length, sampleRate, frames, this.getPreSkip(description), metadata);
+    }
+
+    /**
+     * Get the WebCodecs configuration for Opus
+     * @param {number} numberOfChannels - Channel count
+     * @returns {Object} AudioEncoderConfig
+     * @private
+     */
+    static getOpusConfig(numberOfChannels) {
+        return { codec: 'opus', sampleRate: 48000, numberOfChannels, bitrate: 128000 };
+    }
+
+    /**
+     * Read the encoder delay from an OpusHead decoder description
+     * @param {Uint8Array|null} description - Decoder description from WebCodecs
+     * @returns {number} Pre-skip in 48 kHz samples
+     * @private
+     */
+    static getPreSkip(description) {
+        if (description && description.length >= 19 && String.fromCharCode(...description.subarray(0, 8)) === 'OpusHead') {
+            return description[10] | (description[11] << 8);
+        }
+        return AudioFileEncoder.OPUS_PRE_SKIP;
+    }
+
+    /**
+     * Wrap Opus packets in an Ogg stream (RFC 7845)
+     *
+     * @param {Array<Object>} packets - Encoded packets as {data, samples} (samples at 48 kHz)
+     * @param {number} numberOfChannels - Channel count
+     * @param {number} inputSampleRate - Original sample rate in Hz
+     * @param {number} totalFrames - Original length in samples, to trim the final packet
+     * @param {number} preSkip - Encoder delay in 48 kHz samples
+     * @param {Object} metadata - Metadata for the OpusTags header
+     * @returns {Uint8Array} Ogg/Opus file bytes
+     */
+    static createOggOpus(packets, numberOfChannels, inputSampleRate, totalFrames, preSkip, metadata) {
+        const head = new Uint8Array(19);
+        const headView = new DataView(head.buffer);
+        head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+        head[8] = 1; // Version
+        head[9] = numberOfChannels;
+        headView.setUint16(10, preSkip, true);
+        headView.setUint32(12, inputSampleRate, true);
+        headView.setInt16(16, 0, true); // Output gain
+        head[18] = 0; // Channel mapping family (mono/stereo)
+
+        const tags = FLACEncoder.concat([
+            new Uint8Array([0x4F, 0x70, 0x75, 0x73, 0x54, 0x61, 0x67, 0x73]), // "OpusTags"
+            FLACEncoder.createVorbisComment(AudioFileEncoder.OPUS_VENDOR, this.getVorbisComments(metadata))
+        ]);
+
+        const serial = Math.floor(Math.random() * 0x100000000);
+        const endGranule = preSkip + Math.round(totalFrames * 48000 / inputSampleRate);
+        let granule = preSkip;
+        const audio = packets.map(packet => {
+            granule += packet.samples;
+            return { data: packet.data, granule: Math.min(granule, endGranule) };
+        });
+
+        const pages = [
+            ...this.createOggPages([{ data: head, granule: 0 }], serial, 0, true),
+            ...this.createOggPages([{ data: tags, granule: 0 }], serial, 1)
+        ];
+        pages.push(...this.createOggPages(audio, serial, pages.length));
+
+        // Mark the end of the stream
+        const last = pages[pages.length - 1];
+        last[5] |= 0x04;
+        new DataView(last.buffer, last.byteOffset).setUint32(22, 0, true);
+        new DataView(last.buffer, last.byteOffset).setUint32(22, AudioFileEncoder.oggCRC(last), true);
+
+        return FLACEncoder.concat(pages);
+    }
+
+    /**
+     * Split packets into Ogg pages
+     *
+     * A page holds up to 255 lacing segments; packets longer than the room
+     * left continue on the next page.
+     *
+     * @param {Array<Object>} packets - Packets as {data, granule}
+     * @param {number} serial - Stream serial number
+     * @param {number} sequence - Sequence number of the first page
+     * @param {boolean} [isFirst=false] - Whether the first page starts the stream
+     * @returns {Array<Uint8Array>} Pages
+     * @private
+     */
+    static createOggPages(packets, serial, sequence, isFirst = false) {
+        const pages = [];
+        let segments = [];
+        let body = [];
+        let granule = -1;
+        let continued = false;
+
+        const flush = (nextContinued) => {
+            pages.push(this.createOggPage({
+                segments,
+                body: FLACEncoder.concat(body),
+                granule,
+                serial,
+                sequence: sequence + pages.length,
+                flags: (continued ? 0x01 : 0) | (isFirst && pages.length === 0 ? 0x02 : 0)
+            }));
+            segments = [];
+            body = [];
+            granule = -1;
+            continued = nextContinued;
+        };
+
+        for (const packet of packets) {
+            let offset = 0;
+            // A packet whose length is a multiple of 255 ends with a 0 segment
+            while (true) {
+                if (segments.length === 255) {
+                    flush(offset > 0);
+                }
+                const size = Math.min(255, packet.data.length - offset);
+                segments.push(size);
+                body.push(packet.data.subarray(offset, offset + size));
+                offset += size;
+                if (size < 255) {
+                    granule = packet.granule;
+                    break;
+                }
+            }
+        }
+        if (segments.length > 0) {
+            flush(false);
+        }
+        return pages;
+    }
+
+    /**
+     * Write one Ogg page
+     * @param {Object} page - {segments, body, granule, serial, sequence, flags}
+     * @returns {Uint8Array} Page bytes with CRC
+     * @private
+     */
+    static createOggPage(page) {
+        const bytes = new Uint8Array(27 + page.segments.length + page.body.length);
+        const view = new DataView(bytes.buffer);
+        bytes.set([0x4F, 0x67, 0x67, 0x53]); // "OggS"
+        bytes[4] = 0; // Version
+        bytes[5] = page.flags;
+        if (page.granule < 0) {
+            view.setUint32(6, 0xFFFFFFFF, true);
+            view.setUint32(10, 0xFFFFFFFF, true);
+        } else {
+            view.setUint32(6, page.granule % 0x100000000, true);
+            view.setUint32(10, Math.floor(page.granule / 0x100000000), true);
+        }
+        view.setUint32(14, page.serial, true);
+        view.setUint32(18, page.sequence, true);
+        bytes[26] = page.segments.length;
+        bytes.set(page.segments, 27);
+        bytes.set(page.body, 27 + page.segments.length);
+        view.setUint32(22, AudioFileEncoder.oggCRC(bytes), true);
+        return bytes;
+    }
+
+    /**
+     * Ogg page checksum (CRC-32, polynomial 0x04C11DB7, initial value 0, no reflection)
+     * @param {Uint8Array} bytes - Page with a zero CRC field
+     * @returns {number} CRC
+     */
+    static oggCRC(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte << 24;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+            }
+        }
+        return crc >>> 0;
+    }
+
+    /**
+     * Describe the IR-to-audio mapping for metadata
+     * @param {Object} mapping - {strategy, ranges: {irMin, irMax, audioMin, audioMax}, scale}
+     * @returns {string} Description such as "Logarithmic, 400-4000 cm-1 to 100-8000 Hz, C Major"
+     */
+    static describeMapping(mapping) {
+        const parts = [mapping.strategy];
+        if (mapping.ranges) {
+            const { irMin, irMax, audioMin, audioMax } = mapping.ranges;
+            parts.push(`${irMin}-${irMax} cm-1 to ${audioMin}-${audioMax} Hz`);
+        }
+        if (mapping.scale) {
+            parts.push(mapping.scale);
+        }
+        return parts.filter(Boolean).join(', ');
+    }
+
+    /**
+     * Turn export metadata into tags
+     *
+     * @param {Object} metadata - {title, mapping, seed, playbackMode, date}
+     * @returns {Array<Object>} Tags as {field, info, value}: the Vorbis comment
+     *   field name and, where one exists, the RIFF INFO chunk id
+     */
+    static getTags(metadata) {
+        const tags = [];
+        const add = (field, info, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                tags.push({ field, info, value: String(value) });
+            }
+        };
+        const mapping = metadata.mapping ? this.describeMapping(metadata.mapping) : null;
+        const date = metadata.date || new Date();
+        const notes = [
+            mapping && `Mapping: ${mapping}`,
+            metadata.playbackMode && `Playback: ${metadata.playbackMode}`,
+            metadata.seed !== undefined && metadata.seed !== null && `Seed: ${metadata.seed}`
+        ].filter(Boolean);
+
+        add('TITLE', 'INAM', metadata.title);
+        add('DATE', 'ICRD', date.toISOString().slice(0, 10));
+        add('ENCODER', 'ISFT', 'Spectral Synthesizer');
+        add('COMMENT', 'ICMT', notes.length ? `Sonified FTIR spectrum. ${notes.join('; ')}` : null);
+        add('MAPPING', null, mapping);
+        add('PLAYBACK_MODE', null, metadata.playbackMode);
+        add('SEED', null, metadata.seed);
+        return tags;
+    }
+
+    /**
+     * Get Vorbis comments for FLAC and Opus
+     * @param {Object} metadata - Metadata
+     * @returns {Array<Array<string>>} [field, value] pairs
+     * @private
+     */
+    static getVorbisComments(metadata) {
+        return this.getTags(metadata).map(tag => [tag.field, tag.value]);
+    }
+}
+
+// Export formats
+AudioFileEncoder.FORMATS = Object.freeze({
+    wav: { name: 'WAV', extension: 'wav', mimeType: 'audio/wav', bitDepths: [16, 24, 32] },
+    flac: { name: 'FLAC', extension: 'flac', mimeType: 'audio/flac', bitDepths: [16, 24] },
+    opus: { name: 'Ogg/Opus', extension: 'opus', mimeType: 'audio/ogg; codecs=opus', bitDepths: [], sampleRates: [48000] },
+    mp3: { name: 'MP3', extension: 'mp3', mimeType: 'audio/mp3', bitDepths: [] }
+});
+
+// Export sample rates in Hz
+AudioFileEncoder.SAMPLE_RATES = Object.freeze([44100, 48000, 88200, 96000]);
+
+// Opus encoder delay (libopus) when WebCodecs gives no OpusHead description
+AudioFileEncoder.OPUS_PRE_SKIP = 312;
+
+// Vendor string in the OpusTags header
+AudioFileEncoder.OPUS_VENDOR = 'Spectral Synthesizer';
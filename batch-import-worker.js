@@ -0,0 +1,31 @@
+/**
+ * Batch Import Worker
+ *
+ * Parses spectrum files for BatchImporter off the main thread, so importing
+ * a large instrument export folder does not freeze the page.
+ *
+ * Messages:
+ * - In:  {id, file}
+ * - Out: {id, spectra} with the validated spectra, or {id, error} with the reason
+ */
+
+/* global self, importScripts, BatchImporter */
+
+importScripts(
+    'debug-logger.js',
+    'csv-importer.js',
+    'jcamp-parser.js',
+    'jcamp-importer.js',
+    'spectrum-importer.js',
+    'batch-importer.js'
+);
+
+self.onmessage = async (e) => {
+    const { id, file } = e.data;
+
+    try {
+        self.postMessage({ id, spectra: await BatchImporter.parseFile(file) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
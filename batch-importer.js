@@ -0,0 +1,394 @@
+/**
+ * Batch Importer - Import many spectrum files at once
+ *
+ * Purpose: Load a whole instrument export folder, or any selection of files,
+ * with progress, duplicate checks and a report of what failed and why
+ *
+ * Dependencies:
+ * - CSVImporter, JCAMPImporter, SpectrumImporter (for parsing and validation)
+ * - calculateSpectralSimilarity (from analysis-utilities.js, for duplicates)
+ * - batch-import-worker.js (optional, parses files off the main thread)
+ *
+ * Exports:
+ * - BatchImporter class - Cancellable import queue
+ *
+ * Usage:
+ * ```javascript
+ * const importer = new BatchImporter();
+ * const files = await BatchImporter.collectFiles(dropEvent.dataTransfer);
+ * const result = await importer.import(files, libraryData,
+ *     progress => console.log(`${progress.completed}/${progress.total} ${progress.name}`));
+ * // result.spectra: new spectra; result.rows: one row per spectrum or failed file
+ *
+ * // From a Cancel button
+ * importer.cancel();
+ * ```
+ *
+ * Files are parsed one at a time, in a Web Worker when the page can start
+ * one and on the main thread otherwise. CSV files import every spectrum
+ * column, each with the Y units detected from its own header and values, and
+ * are checked with CSVImporter.validate; JCAMP-DX files are
+ * checked with JCAMPImporter.validate; instrument files go through
+ * SpectrumImporter.importFile.
+ *
+ * A spectrum is a duplicate when its name matches a library entry or an
+ * earlier spectrum in the batch (ignoring case), or when its spectrum is at
+ * least DUPLICATE_SIMILARITY similar to one, compared after preprocessing
+ * when the importer has a preprocessor. Duplicates are skipped and reported
+ * with the entry they match.
+ */
+
+class BatchImporter {
+    /**
+     * @param {Object} [options] - Importer settings
+     * @param {string|null} [options.workerUrl] - Worker script, or null to parse on the main thread
+     * @param {number} [options.similarity] - Similarity (0-1) from which spectra are duplicates
+     * @param {SpectralPreprocessor|null} [options.preprocessor] - Compare spectra after preprocessing
+     *   (see calculateSpectralSimilarity), or null to compare raw transmittance
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl !== undefined ? options.workerUrl : BatchImporter.WORKER_URL;
+        this.similarity = options.similarity !== undefined ? options.similarity : BatchImporter.DUPLICATE_SIMILARITY;
+        this.preprocessor = options.preprocessor || null;
+        this.worker = null;
+        this.requests = new Map(); // Files waiting for the worker, by request id
+        this.nextRequestId = 0;
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Check whether a batch is importing
+     * @returns {boolean} Whether import() is in progress
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Stop the batch after the file being parsed
+     */
+    cancel() {
+        if (this.running) {
+            this.cancelled = true;
+        }
+    }
+
+    /**
+     * Parse files and sort their spectra into new spectra and duplicates
+     *
+     * @param {Array<File>} files - Files to import
+     * @param {Array<Object>} library - Entries to check for duplicates ({name, spectrum})
+     * @param {Function} [onProgress] - Called with {completed, total, name} before each file and at the end
+     * @returns {Promise<Object>} {spectra, rows, imported, duplicates, failed, cancelled};
+     *   rows are {file, name, status: 'imported'|'duplicate'|'failed', detail}.
+     *   A cancelled batch returns the spectra of the files parsed so far.
+     * @throws {Error} If a batch is already running or there are no files
+     */
+    async import(files, library, onProgress = () => {}) {
+        if (this.running) {
+            throw new Error('A batch import is already running');
+        }
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new Error('Invalid files: must be a non-empty array');
+        }
+
+        const known = library.slice();
+        const spectra = [];
+        const rows = [];
+        let completed = 0;
+
+        this.running = true;
+        this.cancelled = false;
+
+        try {
+            for (const file of files) {
+                onProgress({ completed, total: files.length, name: file.name });
+
+                // Let the progress display update, and a Cancel click land, between files
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.cancelled) {
+                    break;
+                }
+
+                try {
+                    const parsed = await this.parse(file);
+
+                    parsed.forEach(data => {
+                        const duplicate = BatchImporter.findDuplicate(data, known, this.similarity, this.preprocessor);
+                        if (duplicate) {
+                            rows.push({
+                                file: file.name,
+                                name: data.name,
+                                status: 'duplicate',
+                                detail: BatchImporter.describeDuplicate(duplicate)
+                            });
+                            return;
+                        }
+
+                        known.push(data);
+                        spectra.push(data);
+                        rows.push({ file: file.name, name: data.name, status: 'imported', detail: '' });
+                    });
+                } catch (error) {
+                    rows.push({ file: file.name, name: '', status: 'failed', detail: error.message });
+                }
+                completed++;
+            }
+        } finally {
+            this.stopWorker();
+            this.running = false;
+        }
+
+        onProgress({ completed, total: files.length, name: null });
+
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+            spectra,
+            rows,
+            imported: count('imported'),
+            duplicates: count('duplicate'),
+            failed: count('failed'),
+            cancelled: this.cancelled
+        };
+    }
+
+    /**
+     * Parse a file in the worker, or on the main thread without one
+     * @param {File} file - File to parse
+     * @returns {Promise<Array<Object>>} Validated spectra
+     * @private
+     */
+    parse(file) {
+        if (!this.worker && this.workerUrl && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(this.workerUrl);
+                this.worker.onmessage = e => this.handleWorkerMessage(e.data);
+                this.worker.onerror = e => this.handleWorkerError(e);
+            } catch (error) {
+                // Pages opened from file:// cannot start workers
+                Logger.warn('Batch import worker unavailable, parsing on the main thread:', error.message);
+                this.workerUrl = null;
+            }
+        }
+
+        if (!this.worker) {
+            return BatchImporter.parseFile(file);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextRequestId;
+            this.requests.set(id, { file, resolve, reject });
+            this.worker.postMessage({ id, file });
+        });
+    }
+
+    /**
+     * Settle a worker request from its {id, spectra} or {id, error} reply
+     * @param {Object} message - Worker reply
+     * @private
+     */
+    handleWorkerMessage({ id, spectra, error }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.requests.delete(id);
+        if (error !== undefined) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(spectra);
+        }
+    }
+
+    /**
+     * Fall back to the main thread when the worker fails to load or crashes
+     * @param {Event} event - Worker error event
+     * @private
+     */
+    handleWorkerError(event) {
+        if (event && typeof event.preventDefault === 'function') {
+            event.preventDefault();
+        }
+        Logger.warn('Batch import worker failed, parsing on the main thread:', event && event.message);
+
+        const pending = Array.from(this.requests.values());
+        this.workerUrl = null;
+        this.stopWorker();
+        pending.forEach(({ file, resolve, reject }) => BatchImporter.parseFile(file).then(resolve, reject));
+    }
+
+    /**
+     * Terminate the worker; it is started again by the next batch
+     * @private
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.requests.clear();
+    }
+
+    /**
+     * Parse and validate every spectrum in a file
+     *
+     * Runs in batch-import-worker.js as well as on the main thread.
+     *
+     * @param {File} file - CSV, JCAMP-DX or instrument file
+     * @returns {Promise<Array<Object>>} Spectra ({name, spectrum, metadata})
+     * @throws {Error} If the format is not recognised or the file is invalid
+     */
+    static async parseFile(file) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        // Same limit as SpectrumImporter.importFile, checked before reading the file
+        if (file.size > BatchImporter.MAX_FILE_SIZE) {
+            throw new Error(`File too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Maximum size: 50MB`);
+        }
+
+        const format = SpectrumImporter.detect(file, new Uint8Array(await file.arrayBuffer()));
+
+        if (format && format.id === 'csv') {
+            const analysis = CSVImporter.analyze(await CSVImporter.readText(file));
+            const mapping = CSVImporter.getDefaultMapping(analysis);
+            const header = analysis.header || [];
+
+            // The default mapping takes its Y units from the first column, but an
+            // instrument export can hold %T and absorbance side by side
+            return mapping.yColumns.map(yColumn => {
+                const values = analysis.rows
+                    .map(row => row.values[yColumn])
+                    .filter(value => value !== undefined && !isNaN(value));
+                const yUnits = CSVImporter.detectYUnits(header[yColumn] || '', values);
+                const [data] = CSVImporter.createSpectra(analysis, { ...mapping, yColumns: [yColumn], yUnits }, file.name);
+
+                if (mapping.yColumns.length > 1) {
+                    data.name = CSVImporter.sanitizeName(`${data.name} - ${analysis.columns[yColumn].label}`);
+                }
+                CSVImporter.validate(data);
+                return data;
+            });
+        }
+
+        if (format && format.id === 'jcamp') {
+            const data = await JCAMPImporter.parseJCAMP(file);
+            JCAMPImporter.validate(data);
+            return [data];
+        }
+
+        return [await SpectrumImporter.importFile(file)];
+    }
+
+    /**
+     * Find the entry a spectrum duplicates
+     *
+     * @param {Object} data - Imported spectrum ({name, spectrum})
+     * @param {Array<Object>} entries - Library entries and earlier imports
+     * @param {number} similarity - Similarity from which spectra match
+     * @param {SpectralPreprocessor|null} [preprocessor] - Compare spectra after preprocessing
+     * @returns {Object|null} {entry, by: 'name'|'spectrum', similarity}, or null if there is none
+     */
+    static findDuplicate(data, entries, similarity, preprocessor = null) {
+        const name = data.name.trim().toLowerCase();
+        const sameName = entries.find(entry => typeof entry.name === 'string' && entry.name.trim().toLowerCase() === name);
+        if (sameName) {
+            return { entry: sameName, by: 'name', similarity: null };
+        }
+
+        let best = null;
+        entries.forEach(entry => {
+            if (!Array.isArray(entry.spectrum) || entry.spectrum.length === 0) return;
+
+            const score = calculateSpectralSimilarity(data.spectrum, entry.spectrum, preprocessor);
+            if (score >= similarity && (!best || score > best.similarity)) {
+                best = { entry, by: 'spectrum', similarity: score };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Describe a duplicate for the import report
+     * @param {Object} duplicate - Result of findDuplicate()
+     * @returns {string} Reason such as 'same name as "Caffeine"'
+     */
+    static describeDuplicate(duplicate) {
+        if (duplicate.by === 'name') {
+            return `same name as "${duplicate.entry.name}"`;
+        }
+        return `same spectrum as "${duplicate.entry.name}" (${(duplicate.similarity * 100).toFixed(1)}% similar)`;
+    }
+
+    /**
+     * Get the files dropped on the page, including those inside dropped folders
+     *
+     * Must be called from the drop event handler, while the items are readable.
+     *
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Promise<Array<File>>} Files to import (see selectFiles)
+     */
+    static async collectFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return BatchImporter.selectFiles(Array.from(dataTransfer.files || []));
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            files.push(...await BatchImporter.readEntry(entry));
+        }
+        return BatchImporter.selectFiles(files);
+    }
+
+    /**
+     * Read the files under a file system entry
+     * @param {FileSystemEntry} entry - Dropped file or folder
+     * @returns {Promise<Array<File>>} Files, folders read recursively
+     * @private
+     */
+    static async readEntry(entry) {
+        if (entry.isFile) {
+            return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+        }
+
+        // readEntries() returns folders in pieces, then an empty array
+        const reader = entry.createReader();
+        const files = [];
+        let children;
+        do {
+            children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of children) {
+                files.push(...await BatchImporter.readEntry(child));
+            }
+        } while (children.length > 0);
+
+        return files;
+    }
+
+    /**
+     * Drop hidden files (such as .DS_Store) and sort by path, numbers in order
+     * @param {Array<File>} files - Selected or dropped files
+     * @returns {Array<File>} Files to import
+     */
+    static selectFiles(files) {
+        const path = file => file.webkitRelativePath || file.name;
+
+        return files
+            .filter(file => !file.name.startsWith('.'))
+            .sort((a, b) => path(a).localeCompare(path(b), undefined, { numeric: true }));
+    }
+}
+
+// Worker script that parses files off the main thread
+BatchImporter.WORKER_URL = 'batch-import-worker.js';
+
+// Similarity (see calculateSpectralSimilarity) from which two spectra are the same
+BatchImporter.DUPLICATE_SIMILARITY = 0.995;
+
+// Largest file parsed (50MB, as for SpectrumImporter.importFile)
+BatchImporter.MAX_FILE_SIZE = 50 * 1024 * 1024;
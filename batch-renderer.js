@@ -0,0 +1,237 @@
+/**
+ * Batch Renderer - Render many substances to one ZIP archive
+ *
+ * Purpose: Sonify every substance in a filtered result set or library
+ * category with the current settings, for installations and sample packs
+ *
+ * Dependencies:
+ * - AudioEngine (for offline rendering and encoding, see renderToFile)
+ * - AudioFileEncoder (for format names and mapping descriptions)
+ * - FrequencyMapper (for peak extraction)
+ * - ZipWriter (for the archive)
+ *
+ * Exports:
+ * - BatchRenderer class - Cancellable render queue
+ *
+ * Usage:
+ * ```javascript
+ * const renderer = new BatchRenderer(audioEngine, frequencyMapper);
+ * const result = await renderer.render(substances, {
+ *     duration: 3,
+ *     format: 'flac',
+ *     bitDepth: 24,
+ *     sampleRate: 48000,
+ *     mapping
+ * }, progress => console.log(`${progress.completed}/${progress.total} ${progress.name}`));
+ *
+ * // From a Cancel button
+ * renderer.cancel();
+ * ```
+ *
+ * Substances are rendered one at a time, yielding to the browser between
+ * them. Each uses every detected peak with a neutral peak mixer, since mixer
+ * settings belong to the substance they were made for; the engine's
+ * spectrum and mixer are restored afterwards. Substances that fail (for
+ * example with no detectable peaks) are listed in the manifest and skipped.
+ */
+
+class BatchRenderer {
+    /**
+     * @param {AudioEngine} audioEngine - Engine with the current playback, effects and seed settings
+     * @param {FrequencyMapper} frequencyMapper - Mapper with the current strategy and ranges
+     */
+    constructor(audioEngine, frequencyMapper) {
+        this.audioEngine = audioEngine;
+        this.frequencyMapper = frequencyMapper;
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Check whether a batch is rendering
+     * @returns {boolean} Whether render() is in progress
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Stop the batch after the substance being rendered
+     */
+    cancel() {
+        if (this.running) {
+            this.cancelled = true;
+        }
+    }
+
+    /**
+     * Render substances to a ZIP archive with a manifest
+     *
+     * @param {Array<Object>} substances - Library entries ({id, name, formula, spectrum})
+     * @param {Object} options - Render options
+     * @param {number} options.duration - Duration of each file in seconds
+     * @param {string} [options.format='wav'] - AudioFileEncoder format id
+     * @param {number} [options.bitDepth=16] - Bits per sample
+     * @param {number} [options.sampleRate] - Sample rate in Hz
+     * @param {Object} [options.mapping] - Mapping description for metadata and the manifest
+     * @param {Function} [onProgress] - Called with {completed, total, name} before each substance and at the end
+     * @returns {Promise<Object>} {zip: Blob|null, rows, rendered, failed, cancelled};
+     *   zip is null when the batch was cancelled
+     * @throws {Error} If a batch is already running or there is nothing to render
+     */
+    async render(substances, options, onProgress = () => {}) {
+        if (this.running) {
+            throw new Error('A batch render is already running');
+        }
+        if (!Array.isArray(substances) || substances.length === 0) {
+            throw new Error('Invalid substances: must be a non-empty array');
+        }
+        if (typeof options.duration !== 'number' || options.duration <= 0) {
+            throw new Error('Invalid duration: must be a positive number');
+        }
+
+        const { format = 'wav', bitDepth = 16, sampleRate = null, mapping = null } = options;
+        const formatInfo = AudioFileEncoder.getFormats()[format];
+        if (!formatInfo) {
+            throw new Error(`Invalid format: ${format}`);
+        }
+
+        const peakMixer = this.audioEngine.getPeakMixer();
+        const mixerChannels = peakMixer.getChannels();
+        const spectrum = this.audioEngine.getSpectrum();
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+        const rows = [];
+
+        this.running = true;
+        this.cancelled = false;
+        peakMixer.reset();
+
+        try {
+            for (let i = 0; i < substances.length; i++) {
+                const substance = substances[i];
+                onProgress({ completed: i, total: substances.length, name: substance.name });
+
+                // Let the progress display update, and a Cancel click land, between renders
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.cancelled) {
+                    break;
+                }
+
+                const file = BatchRenderer.createFilename(substance.name, formatInfo.extension, usedNames);
+                const row = {
+                    file,
+                    name: substance.name,
+                    formula: substance.formula || '',
+                    peaks: 0,
+                    status: 'rendered',
+                    error: ''
+                };
+
+                try {
+                    const peaks = this.frequencyMapper.extractPeaks(substance.spectrum);
+                    row.peaks = peaks.length;
+                    this.audioEngine.setSpectrum(substance.spectrum);
+
+                    const blob = await this.audioEngine.renderToFile(peaks, options.duration, {
+                        format,
+                        bitDepth,
+                        sampleRate,
+                        metadata: { title: substance.name, mapping }
+                    });
+                    zip.addFile(file, await BatchRenderer.readBlob(blob));
+                } catch (error) {
+                    row.file = '';
+                    row.status = 'failed';
+                    row.error = error.message;
+                }
+                rows.push(row);
+            }
+        } finally {
+            this.audioEngine.setSpectrum(spectrum);
+            peakMixer.reset();
+            mixerChannels.forEach(({ wavenumber, ...settings }) => peakMixer.setChannel(wavenumber, settings));
+            this.running = false;
+        }
+
+        const cancelled = this.cancelled;
+        const rendered = rows.filter(row => row.status === 'rendered').length;
+        onProgress({ completed: rows.length, total: substances.length, name: null });
+
+        if (cancelled) {
+            return { zip: null, rows, rendered, failed: rows.length - rendered, cancelled };
+        }
+
+        zip.addFile('manifest.csv', BatchRenderer.createManifest(rows, {
+            duration: options.duration,
+            format: formatInfo.name,
+            bitDepth: formatInfo.bitDepths.length > 0 ? bitDepth : '',
+            sampleRate: sampleRate || this.audioEngine.getSampleRate(),
+            seed: this.audioEngine.getSeed(),
+            playbackMode: this.audioEngine.getPlaybackMode(),
+            mapping: mapping ? AudioFileEncoder.describeMapping(mapping) : ''
+        }));
+
+        return { zip: zip.toBlob(), rows, rendered, failed: rows.length - rendered, cancelled };
+    }
+
+    /**
+     * Write the manifest CSV
+     *
+     * One row per substance, with the settings shared by the whole batch
+     * repeated on each row so the file stands alone in a spreadsheet.
+     *
+     * @param {Array<Object>} rows - {file, name, formula, peaks, status, error}
+     * @param {Object} settings - {duration, format, bitDepth, sampleRate, seed, playbackMode, mapping}
+     * @returns {string} CSV text
+     */
+    static createManifest(rows, settings) {
+        const quote = value => {
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = 'file,name,formula,peaks,status,error,duration_s,format,bit_depth,sample_rate_hz,seed,playback_mode,mapping';
+        const lines = rows.map(row => [
+            row.file, row.name, row.formula, row.peaks, row.status, row.error,
+            settings.duration, settings.format, settings.bitDepth, settings.sampleRate,
+            settings.seed, settings.playbackMode, settings.mapping
+        ].map(quote).join(','));
+
+        return [header, ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * Create a unique, file-system-safe file name
+     * @param {string} name - Substance name
+     * @param {string} extension - Extension without the dot
+     * @param {Set<string>} usedNames - Names already in the archive (updated)
+     * @returns {string} File name such as "caffeine.flac" or "caffeine_2.flac"
+     */
+    static createFilename(name, extension, usedNames) {
+        const base = (name || 'substance').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'substance';
+        let file = `${base}.${extension}`;
+        for (let n = 2; usedNames.has(file); n++) {
+            file = `${base}_${n}.${extension}`;
+        }
+        usedNames.add(file);
+        return file;
+    }
+
+    /**
+     * Read a Blob's bytes
+     * @param {Blob} blob - Blob
+     * @returns {Promise<Uint8Array>} Contents
+     * @private
+     */
+    static async readBlob(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return new Uint8Array(await blob.arrayBuffer());
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+}
@@ -7,8 +7,10 @@
  * and converts them into a JSON format suitable for the web application.
  *
  * Features:
- * - Parses JCAMP-DX format (standard for spectroscopy data)
- * - Converts absorbance to transmittance
+ * - Parses JCAMP-DX format (standard for spectroscopy data) with the
+ *   JCAMPParser shared with the app's importer
+ * - Converts absorbance to transmittance (Beer–Lambert, shared with the app
+ *   via spectral-preprocessor.js)
  * - Downsamples spectra for web performance (~400 points per spectrum)
  * - Extracts metadata (name, formula, molecular weight, etc.)
  *
@@ -20,81 +22,47 @@
 
 const fs = require('fs');
 const path = require('path');
+const SpectralPreprocessor = require('./spectral-preprocessor.js');
+const JCAMPParser = require('./jcamp-parser.js');
+
+// % - floor for -log10(T) when a file stores transmittance (as CONFIG.preprocessing)
+const MIN_TRANSMITTANCE = 0.01;
 
 /**
  * Parse a JCAMP-DX file
  *
  * JCAMP-DX is a standard format for exchanging spectroscopic data.
- * Files contain metadata (##KEY=VALUE) and compressed data tables.
+ * Files contain metadata (##KEY=VALUE) and compressed data tables, read by
+ * JCAMPParser (shared with the app's JCAMP-DX importer).
  *
  * @param {string} filePath - Path to .JDX file
  * @returns {Object} Parsed spectrum data with metadata and spectrum array
+ * @throws {Error} If the file has no spectrum or its data fails a check
  */
 function parseJCAMP(filePath) {
     const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
-
-    const metadata = {};
-    const xyData = [];
-    let inDataSection = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        if (line.startsWith('##')) {
-            // Parse header line
-            const match = line.match(/^##([^=]+)=\s*(.+)$/);
-            if (match) {
-                const key = match[1].trim();
-                const value = match[2].trim();
-                metadata[key] = value;
-
-                // Check if we're entering the data section
-                if (key === 'XYDATA') {
-                    inDataSection = true;
-                }
-            }
-        } else if (inDataSection && line && !line.startsWith('##END')) {
-            // Parse data line
-            const parts = line.split(/\s+/);
-            if (parts.length > 0 && !isNaN(parseFloat(parts[0]))) {
-                xyData.push(parts.map(p => parseFloat(p)));
-            }
-        } else if (line.startsWith('##END')) {
-            break;
-        }
+    const block = JCAMPParser.selectSpectrum(JCAMPParser.parse(content));
+    if (!block || block.points.length === 0) {
+        throw new Error('No spectral data found');
     }
 
-    // Convert compressed format to (x,y) pairs
-    const spectrum = [];
-    const deltaX = parseFloat(metadata.DELTAX || 1);
-    const xFactor = parseFloat(metadata.XFACTOR || 1);
-    const yFactor = parseFloat(metadata.YFACTOR || 1);
-
-    for (let i = 0; i < xyData.length; i++) {
-        const row = xyData[i];
-        const x = row[0] * xFactor;
+    const metadata = block.labels;
+    const isTransmittance = /TRANS/i.test(block.yUnits);
+    const scale = isTransmittance && Math.max(...block.points.map(point => point.y)) <= 1.5 ? 100 : 1;
 
-        // First value after x is y at that x
-        // Subsequent values are y at x + deltaX, x + 2*deltaX, etc.
-        for (let j = 1; j < row.length; j++) {
-            const wavenumber = x + (j - 1) * deltaX;
-            const absorbance = row[j] * yFactor;
-
-            // Convert absorbance to transmittance for consistency
-            // T = 10^(-A)  where A is absorbance
-            // But for simplicity, we'll use T% = 100 * (1 - normalized_absorbance)
-            spectrum.push({ wavenumber, absorbance });
-        }
-    }
+    // Converted to transmittance later (see convertToTransmittance)
+    const spectrum = block.points.map(({ x, y }) => ({
+        wavenumber: JCAMPParser.toWavenumber(x, block.xUnits),
+        absorbance: isTransmittance ? -Math.log10(Math.max(y * scale, MIN_TRANSMITTANCE) / 100) : y
+    }));
 
     return {
-        title: metadata.TITLE || '',
-        name: extractSubstanceName(metadata.TITLE || ''),
-        molForm: metadata.MOLFORM || '',
-        mw: metadata.MW || '',
-        casName: metadata['CAS NAME'] || '',
-        description: metadata['SAMPLE DESCRIPTION'] || '',
+        title: metadata.title || '',
+        name: extractSubstanceName(metadata.title || ''),
+        molForm: metadata.molform || '',
+        mw: metadata.mw || '',
+        casName: metadata.casname || '',
+        description: metadata.sampledescription || '',
         spectrum: spectrum
     };
 }
@@ -113,20 +81,18 @@ function extractSubstanceName(title) {
 /**
  * Convert absorbance spectrum to transmittance
  *
- * Transmittance (T) and absorbance (A) are related by: T = 10^(-A)
- * For web display, we normalize and use a simplified conversion:
- * T% = 100 * (1 - normalized_absorbance)
+ * Transmittance (T) and absorbance (A) are related by Beer–Lambert: T% = 10^(-A) × 100.
+ * This is the same convention used by the CSV/JCAMP importers, so the app's
+ * SpectralPreprocessor recovers the original absorbance for library and
+ * imported spectra alike.
  *
  * @param {Array} spectrum - Array of {wavenumber, absorbance}
  * @returns {Array} Array of {wavenumber, transmittance}
  */
 function convertToTransmittance(spectrum) {
-    // Find max absorbance for normalization
-    const maxAbs = Math.max(...spectrum.map(p => p.absorbance));
-
     return spectrum.map(point => ({
         wavenumber: point.wavenumber,
-        transmittance: 100 * (1 - (point.absorbance / maxAbs))
+        transmittance: SpectralPreprocessor.absorbanceToTransmittance(point.absorbance)
     }));
 }
 
@@ -284,6 +250,7 @@ function buildLibrary() {
                     casName: data.casName,
                     description: data.description || `FTIR spectrum of ${data.name}`,
                     source: 'ENFSI DWG IR Library',
+                    formatVersion: SpectralPreprocessor.LIBRARY_FORMAT_VERSION,
                     spectrum: downsampled
                 };
                 processedCount++;
@@ -43,13 +43,28 @@ const JS_FILES = [
     'performance-monitor.js',
     'indexeddb-storage.js',
     'library-loader.js',
+    'spectral-preprocessor.js',
+    'peak-detector.js',
     'frequency-mapper.js',
+    'scale-quantizer.js',
+    'effects-chain.js',
+    'peak-mixer.js',
     'audio-engine.js',
     'visualizer.js',
     'csv-importer.js',
+    'jcamp-parser.js',
     'jcamp-importer.js',
+    'spectrum-importer.js',
+    'spectrum-exporter.js',
     'mp3-encoder.js',
+    'flac-encoder.js',
+    'audio-file-encoder.js',
+    'zip-writer.js',
+    'batch-renderer.js',
+    'batch-importer.js',
     'midi-output.js',
+    'midi-input.js',
+    'midi-clock.js',
     'dom-elements.js',
     'event-handlers.js',
     'handlers-import-export.js',
@@ -61,6 +76,17 @@ const JS_FILES = [
     'app.js'
 ];
 
+// The batch import worker loads these with importScripts(), so they are copied unbundled
+const WORKER_FILES = [
+    'batch-import-worker.js',
+    'debug-logger.js',
+    'csv-importer.js',
+    'jcamp-parser.js',
+    'jcamp-importer.js',
+    'spectrum-importer.js',
+    'batch-importer.js'
+];
+
 const OUTPUT_DIR = 'dist';
 
 /**
@@ -196,7 +222,8 @@ function copyStaticFiles() {
         'manifest.json',
         'service-worker.js',
         'sw-register.js',
-        'ftir-library.json'
+        'ftir-library.json',
+        ...WORKER_FILES
     ];
 
     for (const file of staticFiles) {
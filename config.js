@@ -15,12 +15,114 @@ const CONFIG = {
         // Audio frequency range (Hz)
         AUDIO_MIN: 100,  // Start at 100Hz for better musicality
         AUDIO_MAX: 8000, // Cap at 8kHz for pleasant sounds
+
+        // Mapping strategy (see mappingStrategies below)
+        DEFAULT_STRATEGY: 'logarithmic',
+        FOLD_OCTAVES: 2,  // Octave window used by the octave-folded strategy
+    },
+
+    // Frequency mapping strategies
+    mappingStrategies: {
+        'linear': {
+            name: 'Linear',
+            description: 'Equal wavenumber steps give equal Hz steps',
+        },
+        'logarithmic': {
+            name: 'Logarithmic',
+            description: 'Equal wavenumber steps give equal musical intervals',
+        },
+        'mel': {
+            name: 'Mel',
+            description: 'Perceptually even pitch spacing (mel scale)',
+        },
+        'bark': {
+            name: 'Bark',
+            description: 'Critical-band spacing (Bark scale)',
+        },
+        'octave-folded': {
+            name: 'Octave-Folded',
+            description: 'Keeps harmonic ratios, folded into a fixed octave window',
+        },
+    },
+
+    // Scale quantization parameters
+    quantization: {
+        DEFAULT_SCALE: 'off',          // Quantization disabled by default
+        DEFAULT_KEY: 0,                // Root pitch class (0 = C)
+        REFERENCE_FREQUENCY: 440,      // A4 in Hz
+        KEY_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    },
+
+    // Musical scales (intervals in semitones above the key)
+    scales: {
+        'off': {
+            name: 'Off',
+            description: 'No quantization',
+            intervals: null,
+        },
+        'chromatic': {
+            name: 'Chromatic',
+            description: 'All 12 semitones',
+            intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+        },
+        'major': {
+            name: 'Major',
+            description: 'Bright diatonic scale',
+            intervals: [0, 2, 4, 5, 7, 9, 11],
+        },
+        'minor': {
+            name: 'Minor',
+            description: 'Natural minor scale',
+            intervals: [0, 2, 3, 5, 7, 8, 10],
+        },
+        'pentatonic': {
+            name: 'Pentatonic',
+            description: 'Major pentatonic, always consonant',
+            intervals: [0, 2, 4, 7, 9],
+        },
+        'whole-tone': {
+            name: 'Whole-Tone',
+            description: 'Dreamy, ambiguous whole steps',
+            intervals: [0, 2, 4, 6, 8, 10],
+        },
+    },
+
+    // Spectral preprocessing (applied before peak detection)
+    preprocessing: {
+        DEFAULT_BASELINE: 'rubberband',  // 'none', 'rubberband' or 'als'
+        VECTOR_NORMALIZE: false,         // Scale absorbance to unit L2 norm
+        MIN_TRANSMITTANCE: 0.01,         // % - floor for -log10(T) (max absorbance 4)
+        ALS_LAMBDA: 1e5,                 // ALS smoothness
+        ALS_P: 0.01,                     // ALS asymmetry
+        ALS_ITERATIONS: 10,              // ALS reweighting iterations
+    },
+
+    // Baseline correction methods
+    baselineMethods: {
+        'none': {
+            name: 'None',
+            description: 'Use absorbance as measured',
+        },
+        'rubberband': {
+            name: 'Rubber Band',
+            description: 'Lower convex hull, robust for sloping baselines',
+        },
+        'als': {
+            name: 'Asymmetric Least Squares',
+            description: 'Smooth fit that follows curved baselines',
+        },
     },
 
     // Peak detection parameters
     peakDetection: {
-        DEFAULT_THRESHOLD: 0.15,  // Minimum absorption intensity (0-1)
+        DEFAULT_THRESHOLD: 0.15,  // Minimum intensity relative to the strongest band (0-1)
         DEFAULT_MAX_PEAKS: 20,    // Maximum number of peaks to extract
+        SMOOTHING_WINDOW: 7,      // Savitzky–Golay window in points (odd; 1 disables smoothing)
+        SMOOTHING_ORDER: 2,       // Savitzky–Golay polynomial order
+        MIN_PROMINENCE: 0.05,     // Minimum topographic prominence relative to the strongest band (0-1)
+        MIN_SEPARATION: 8,        // Minimum distance between reported peaks in cm⁻¹
+        DETECT_SHOULDERS: true,   // Report shoulders found in the second derivative
+        SHOULDER_MIN_CURVATURE: 0.1,  // Minimum shoulder curvature relative to the sharpest band (0-1)
     },
 
     // Audio synthesis parameters
@@ -35,6 +137,23 @@ const CONFIG = {
         DEFAULT_DURATION: 2.0,       // Default playback duration in seconds
         MIN_DURATION: 0.5,           // Minimum playback duration
         MAX_DURATION: 5.0,           // Maximum playback duration
+        DEFAULT_SEED: 1,             // Seed for random ordering, reverb impulse and noise voices
+        PARAM_RAMP_TIME: 0.03,       // Time constant in seconds for live parameter changes (avoids zipper noise)
+        MAX_DETUNE: 1200,            // Detune range in cents (±)
+    },
+
+    // Per-peak timbre, chosen from band width (FWHM in cm⁻¹)
+    timbre: {
+        TONE_MAX_WIDTH: 12,          // Up to this width: pure sine tone
+        FM_MAX_WIDTH: 30,            // Up to this width: FM voice
+        NOISE_MIN_WIDTH: 60,         // From this width: band-limited noise (AM voice in between)
+        FM_RATIO: 1,                 // Modulator/carrier frequency ratio (1 = harmonic spectrum)
+        FM_MAX_INDEX: 3,             // FM modulation index reached at FM_MAX_WIDTH
+        AM_DEPTH: 0.6,               // AM modulation depth (0-1)
+        MIN_NOISE_Q: 0.5,            // Widest allowed noise band
+        MAX_NOISE_Q: 30,             // Narrowest allowed noise band
+        NOISE_MAX_BOOST: 8,          // Maximum make-up gain for filtered noise
+        NOISE_BUFFER_DURATION: 2,    // Looping noise buffer length in seconds
     },
 
     // ADSR envelope parameters
@@ -83,6 +202,7 @@ const CONFIG = {
         SPECTRUM_COLOR: '#8b5cf6', // Color for FTIR spectrum line
         PEAK_COLOR: '#ec4899',    // Color for peak markers
         SELECTED_PEAK_COLOR: '#10b981', // Color for selected peaks
+        SCAN_CURSOR_COLOR: '#fbbf24',   // Color for the scan playback cursor
     },
 
     // UI parameters
@@ -134,6 +254,146 @@ const CONFIG = {
             reverb: 0.9,
             filterFreq: 5000,
         },
+        // Presets with a `chain` replace the whole effects chain
+        // (entries: {type, enabled?, params?}; omitted params use CONFIG.effects defaults)
+        'space-echo': {
+            name: 'Space Echo',
+            description: 'Tape-style echoes into a large room',
+            chain: [
+                { type: 'filter', params: { frequency: 5000 } },
+                { type: 'delay', params: { time: 0.375, feedback: 0.5, mix: 0.35 } },
+                { type: 'reverb', params: { mix: 0.4 } },
+            ],
+        },
+        'lo-fi': {
+            name: 'Lo-Fi',
+            description: 'Driven, band-limited and squashed',
+            chain: [
+                { type: 'eq', params: { low: -6, mid: 4, high: -9 } },
+                { type: 'distortion', params: { drive: 0.6, mix: 0.7 } },
+                { type: 'filter', params: { frequency: 3000 } },
+                { type: 'compressor', params: { threshold: -30, ratio: 8 } },
+            ],
+        },
+        'wide-chorus': {
+            name: 'Wide Chorus',
+            description: 'Detuned shimmer spread across the stereo field',
+            chain: [
+                { type: 'filter' },
+                { type: 'chorus', params: { rate: 0.8, depth: 4, mix: 0.5 } },
+                { type: 'reverb', params: { mix: 0.25 } },
+                { type: 'widener', params: { width: 1.8 } },
+            ],
+        },
+        'mastered': {
+            name: 'Mastered',
+            description: 'Gentle EQ with a brick-wall limiter',
+            chain: [
+                { type: 'filter' },
+                { type: 'eq', params: { low: 2, high: 2 } },
+                { type: 'reverb', params: { mix: 0.15 } },
+                { type: 'compressor', params: { threshold: -3, ratio: 20, attack: 0.001, release: 0.1, makeup: 3 } },
+            ],
+        },
+    },
+
+    // Effects chain processors: display names and parameters
+    // ({label, min, max, step, default, unit} per parameter)
+    effects: {
+        'filter': {
+            name: 'Low-pass Filter',
+            description: 'Removes high frequencies',
+            params: {
+                frequency: { label: 'Cutoff', min: 100, max: 8000, step: 100, default: 8000, unit: 'Hz' },
+                q: { label: 'Resonance', min: 0.1, max: 20, step: 0.1, default: 1, unit: '' },
+            },
+        },
+        'reverb': {
+            name: 'Reverb',
+            description: 'Convolution with a decaying noise impulse',
+            params: {
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0, unit: '' },
+                duration: { label: 'Length', min: 0.5, max: 5, step: 0.1, default: 2, unit: 's' },
+            },
+        },
+        'delay': {
+            name: 'Delay',
+            description: 'Repeating echoes',
+            params: {
+                time: { label: 'Time', min: 0.01, max: 2, step: 0.01, default: 0.3, unit: 's' },
+                feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, default: 0.35, unit: '' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3, unit: '' },
+            },
+        },
+        'chorus': {
+            name: 'Chorus',
+            description: 'Slowly modulated delay for a thicker sound',
+            params: {
+                rate: { label: 'Rate', min: 0.1, max: 5, step: 0.1, default: 1.5, unit: 'Hz' },
+                depth: { label: 'Depth', min: 0, max: 10, step: 0.1, default: 3, unit: 'ms' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.5, unit: '' },
+            },
+        },
+        'widener': {
+            name: 'Stereo Widener',
+            description: 'Mid/side width (0 = mono, 1 = unchanged)',
+            params: {
+                width: { label: 'Width', min: 0, max: 2, step: 0.05, default: 1.5, unit: '' },
+            },
+        },
+        'compressor': {
+            name: 'Compressor / Limiter',
+            description: 'Evens out levels; a high ratio makes it a limiter',
+            params: {
+                threshold: { label: 'Threshold', min: -60, max: 0, step: 1, default: -18, unit: 'dB' },
+                ratio: { label: 'Ratio', min: 1, max: 20, step: 0.5, default: 4, unit: ':1' },
+                attack: { label: 'Attack', min: 0, max: 1, step: 0.001, default: 0.003, unit: 's' },
+                release: { label: 'Release', min: 0.01, max: 1, step: 0.01, default: 0.25, unit: 's' },
+                makeup: { label: 'Makeup', min: 0, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            },
+        },
+        'distortion': {
+            name: 'Distortion',
+            description: 'Soft-clipping wave shaper',
+            params: {
+                drive: { label: 'Drive', min: 0, max: 1, step: 0.01, default: 0.3, unit: '' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 1, unit: '' },
+            },
+        },
+        'eq': {
+            name: '3-Band EQ',
+            description: 'Low shelf, mid peak and high shelf',
+            params: {
+                low: { label: 'Low (250 Hz)', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+                mid: { label: 'Mid (1 kHz)', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+                high: { label: 'High (4 kHz)', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            },
+        },
+    },
+
+    effectsChain: {
+        // Chain a new engine starts with (the classic filter → reverb graph)
+        DEFAULT: [
+            { type: 'filter' },
+            { type: 'reverb' },
+        ],
+        MAX_EFFECTS: 12,             // Longest chain the editor allows
+        CHORUS_BASE_DELAY: 0.02,     // Chorus centre delay in seconds
+        EQ_LOW_FREQUENCY: 250,       // Low shelf corner in Hz
+        EQ_MID_FREQUENCY: 1000,      // Mid peak centre in Hz
+        EQ_HIGH_FREQUENCY: 4000,     // High shelf corner in Hz
+    },
+
+    // Per-peak mixer (mute, solo, gain trim, detune, waveform override)
+    peakMixer: {
+        MAX_GAIN: 2,                 // Largest gain trim (level multiplier)
+        WAVEFORMS: {
+            'auto': { name: 'Auto', description: 'Timbre from the band shape' },
+            'sine': { name: 'Sine', description: 'Pure tone' },
+            'triangle': { name: 'Triangle', description: 'Soft odd harmonics' },
+            'square': { name: 'Square', description: 'Hollow odd harmonics' },
+            'sawtooth': { name: 'Sawtooth', description: 'Bright, all harmonics' },
+        },
     },
 
     // Playback modes
@@ -162,19 +422,197 @@ const CONFIG = {
             name: 'Random',
             description: 'Play peaks in random order',
         },
+        'spectrum': {
+            name: 'Full Spectrum',
+            description: 'Whole spectrum as one periodic waveform',
+        },
+        'scan': {
+            name: 'Scan',
+            description: 'Sweep a cursor across the spectrum',
+        },
+        'drone': {
+            name: 'Drone (Sustain)',
+            description: 'All peaks held until stopped; settings change the sound live',
+        },
+    },
+
+    // Full-spectrum ("inverse FFT") synthesis
+    spectrumSynthesis: {
+        FUNDAMENTAL: 20,   // Harmonic spacing in Hz (frequency resolution of the resampled spectrum)
+        GAIN: 0.4,         // Peak gain of the normalized waveform
+    },
+
+    // Scan (sweep) playback
+    scanSynthesis: {
+        DEFAULT_SOURCE: 'tone',  // Sound under the cursor (key from scanSources)
+        CURVE_POINTS: 512,       // Cursor positions sampled along the sweep
+        NOISE_Q: 12,             // Band-pass Q for the noise source
+        GAIN: 0.5,               // Gain at the strongest absorbance
+    },
+
+    // Sound sources for scan playback
+    scanSources: {
+        'tone': {
+            name: 'Tracking Tone',
+            description: 'Oscillator following the cursor frequency',
+        },
+        'noise': {
+            name: 'Filtered Noise',
+            description: 'Band-pass on noise moving with the cursor',
+        },
+    },
+
+    // Stereo placement of peaks
+    spatialModes: {
+        'off': {
+            name: 'Off',
+            description: 'All peaks centred',
+        },
+        'wavenumber': {
+            name: 'By Wavenumber',
+            description: 'Pan from left (low cm⁻¹) to right (high cm⁻¹), as on the chart',
+        },
+        'region': {
+            name: 'By Region',
+            description: 'Pan by functional-group region of the spectrum',
+        },
+        'hrtf': {
+            name: '3D (HRTF)',
+            description: 'Place peaks around the head by wavenumber (best on headphones)',
+        },
+    },
+
+    spatialization: {
+        DEFAULT_MODE: 'off',
+        WIDTH: 0.9,                  // Pan position (0-1) of the spectrum edges in 'wavenumber' mode
+        HRTF_MAX_AZIMUTH: 90,        // Degrees left/right of centre for the spectrum edges in 'hrtf' mode
+        HRTF_DISTANCE: 1,            // Source distance from the listener in 'hrtf' mode
+        // Classic IR regions ('region' mode), low to high wavenumber
+        REGIONS: [
+            { name: 'Fingerprint', min: 0, max: 1500, pan: -0.75 },
+            { name: 'Double bond', min: 1500, max: 2000, pan: -0.25 },
+            { name: 'Triple bond', min: 2000, max: 2500, pan: 0.25 },
+            { name: 'X–H stretch', min: 2500, max: Infinity, pan: 0.75 },
+        ],
+    },
+
+    // Playable instrument (on-screen piano and computer keyboard)
+    instrument: {
+        DEFAULT_ROOT: 'strongest',   // Peak that lands on the played note (key from instrumentRoots)
+        MAX_POLYPHONY: 8,            // Held notes before the oldest is released
+        GAIN: 0.5,                   // Gain shared by one note's peaks
+        PIANO_LOW_NOTE: 48,          // Lowest on-screen key (MIDI note, C3)
+        PIANO_HIGH_NOTE: 72,         // Highest on-screen key (MIDI note, C5)
+        KEYBOARD_BASE_NOTE: 60,      // MIDI note of the 'A' key (C4)
+        MAX_OCTAVE_SHIFT: 3,         // Octaves the computer keyboard can shift up or down
+    },
+
+    // Peak placed on the played note
+    instrumentRoots: {
+        'strongest': {
+            name: 'Strongest Peak',
+            description: 'The most intense peak sounds at the played pitch',
+        },
+        'fundamental': {
+            name: 'Fundamental',
+            description: 'The lowest peak sounds at the played pitch',
+        },
+    },
+
+    // MIDI input (controller playing the instrument)
+    midiInput: {
+        MAX_CC: 119,                 // Highest learnable control change (120-127 are channel mode messages)
+        // Controls a CC can be mapped to with MIDI learn
+        TARGETS: {
+            'volume': { name: 'Volume' },
+            'reverb': { name: 'Reverb' },
+            'filter': { name: 'Filter Cutoff' },
+            'attack': { name: 'Attack' },
+            'decay': { name: 'Decay' },
+            'sustain': { name: 'Sustain' },
+            'release': { name: 'Release' },
+        },
+    },
+
+    // Standard MIDI File export
+    midiExport: {
+        TICKS_PER_BEAT: 480,         // Time division (pulses per quarter note)
+        PITCH_BEND_RANGE: 2,         // Pitch bend range in semitones (set with RPN 0)
+        DRUM_CHANNEL: 9,             // General MIDI percussion channel, never used for notes
+        // Sound controllers written by envelope & filter automation
+        CC: {
+            ATTACK: 73,              // Attack Time
+            DECAY: 75,               // Decay Time
+            SUSTAIN: 79,             // Sound Controller 10 (sustain level)
+            RELEASE: 72,             // Release Time
+            CUTOFF: 74,              // Brightness (filter cutoff)
+        },
     },
 
     // Looping parameters
     looping: {
         DEFAULT_LOOP_ENABLED: true,  // Enable looping by default for arpeggios
     },
+
+    // Tempo sync for arpeggios, and MIDI clock
+    tempo: {
+        DEFAULT_BPM: 120,
+        MIN_BPM: 30,
+        MAX_BPM: 300,
+        DEFAULT_SUBDIVISION: '1/16',
+        BEATS_PER_BAR: 4,            // Synced loops last whole bars of this many quarter notes
+        GATE: 0.9,                   // Synced note length as a fraction of the step
+        PPQN: 24,                    // MIDI clock pulses per quarter note
+        LOOKAHEAD: 0.1,              // Seconds of notes and clock pulses scheduled ahead
+        SCHEDULER_INTERVAL: 25,      // Milliseconds between clock scheduling passes
+        DEFAULT_CLOCK_MODE: 'internal',
+    },
+
+    // Note values an arpeggio step can last (beats = quarter notes)
+    subdivisions: {
+        '1/4': { name: '1/4 (Quarter)', beats: 1 },
+        '1/8': { name: '1/8 (Eighth)', beats: 1 / 2 },
+        '1/8T': { name: '1/8 Triplet', beats: 1 / 3 },
+        '1/16': { name: '1/16 (Sixteenth)', beats: 1 / 4 },
+        '1/16T': { name: '1/16 Triplet', beats: 1 / 6 },
+        '1/32': { name: '1/32 (Thirty-second)', beats: 1 / 8 },
+    },
+
+    // MIDI clock roles
+    clockModes: {
+        'internal': {
+            name: 'Internal',
+            description: 'No MIDI clock is sent or followed',
+        },
+        'master': {
+            name: 'Send MIDI Clock',
+            description: 'Send clock and Start/Stop to the MIDI output while playing, at the tempo',
+        },
+        'follow': {
+            name: 'Follow MIDI Clock',
+            description: 'Take the tempo and Start/Stop/Continue from the MIDI input',
+        },
+    },
 };
 
 // Freeze config to prevent accidental modification
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.frequency);
+Object.freeze(CONFIG.mappingStrategies);
+Object.keys(CONFIG.mappingStrategies).forEach(key => Object.freeze(CONFIG.mappingStrategies[key]));
+Object.freeze(CONFIG.quantization);
+Object.freeze(CONFIG.quantization.KEY_NAMES);
+Object.freeze(CONFIG.scales);
+Object.keys(CONFIG.scales).forEach(key => {
+    Object.freeze(CONFIG.scales[key]);
+    if (CONFIG.scales[key].intervals) Object.freeze(CONFIG.scales[key].intervals);
+});
+Object.freeze(CONFIG.preprocessing);
+Object.freeze(CONFIG.baselineMethods);
+Object.keys(CONFIG.baselineMethods).forEach(key => Object.freeze(CONFIG.baselineMethods[key]));
 Object.freeze(CONFIG.peakDetection);
 Object.freeze(CONFIG.audio);
+Object.freeze(CONFIG.timbre);
 Object.freeze(CONFIG.adsr);
 Object.freeze(CONFIG.adsrCurves);
 Object.keys(CONFIG.adsrCurves).forEach(key => Object.freeze(CONFIG.adsrCurves[key]));
@@ -182,7 +620,51 @@ Object.freeze(CONFIG.visualization);
 Object.freeze(CONFIG.ui);
 Object.freeze(CONFIG.library);
 Object.freeze(CONFIG.presets);
-Object.keys(CONFIG.presets).forEach(key => Object.freeze(CONFIG.presets[key]));
+Object.keys(CONFIG.presets).forEach(key => {
+    const preset = CONFIG.presets[key];
+    if (preset.chain) {
+        preset.chain.forEach(effect => {
+            if (effect.params) Object.freeze(effect.params);
+            Object.freeze(effect);
+        });
+        Object.freeze(preset.chain);
+    }
+    Object.freeze(preset);
+});
+Object.freeze(CONFIG.effects);
+Object.keys(CONFIG.effects).forEach(key => {
+    Object.keys(CONFIG.effects[key].params).forEach(param => Object.freeze(CONFIG.effects[key].params[param]));
+    Object.freeze(CONFIG.effects[key].params);
+    Object.freeze(CONFIG.effects[key]);
+});
+Object.freeze(CONFIG.effectsChain);
+CONFIG.effectsChain.DEFAULT.forEach(effect => Object.freeze(effect));
+Object.freeze(CONFIG.effectsChain.DEFAULT);
+Object.freeze(CONFIG.peakMixer);
+Object.keys(CONFIG.peakMixer.WAVEFORMS).forEach(key => Object.freeze(CONFIG.peakMixer.WAVEFORMS[key]));
+Object.freeze(CONFIG.peakMixer.WAVEFORMS);
 Object.freeze(CONFIG.playbackModes);
 Object.keys(CONFIG.playbackModes).forEach(key => Object.freeze(CONFIG.playbackModes[key]));
+Object.freeze(CONFIG.spectrumSynthesis);
+Object.freeze(CONFIG.scanSynthesis);
+Object.freeze(CONFIG.scanSources);
+Object.keys(CONFIG.scanSources).forEach(key => Object.freeze(CONFIG.scanSources[key]));
+Object.freeze(CONFIG.spatialModes);
+Object.keys(CONFIG.spatialModes).forEach(key => Object.freeze(CONFIG.spatialModes[key]));
+Object.freeze(CONFIG.spatialization);
+CONFIG.spatialization.REGIONS.forEach(region => Object.freeze(region));
+Object.freeze(CONFIG.spatialization.REGIONS);
+Object.freeze(CONFIG.instrument);
+Object.freeze(CONFIG.instrumentRoots);
+Object.keys(CONFIG.instrumentRoots).forEach(key => Object.freeze(CONFIG.instrumentRoots[key]));
+Object.freeze(CONFIG.midiInput);
+Object.keys(CONFIG.midiInput.TARGETS).forEach(key => Object.freeze(CONFIG.midiInput.TARGETS[key]));
+Object.freeze(CONFIG.midiInput.TARGETS);
+Object.freeze(CONFIG.midiExport);
+Object.freeze(CONFIG.midiExport.CC);
 Object.freeze(CONFIG.looping);
+Object.freeze(CONFIG.tempo);
+Object.freeze(CONFIG.subdivisions);
+Object.keys(CONFIG.subdivisions).forEach(key => Object.freeze(CONFIG.subdivisions[key]));
+Object.freeze(CONFIG.clockModes);
+Object.keys(CONFIG.clockModes).forEach(key => Object.freeze(CONFIG.clockModes[key]));
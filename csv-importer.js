@@ -7,7 +7,11 @@
 
 class CSVImporter {
     /**
-     * Parse CSV file containing FTIR data
+     * Parse CSV file containing FTIR data with the detected column mapping
+     *
+     * Uses the first column as X and the second as Y, with units detected
+     * from the header and the values. The import wizard (see analyze and
+     * createSpectra) lets the user choose columns and units instead.
      *
      * Expected formats:
      * 1. Two columns: wavenumber, transmittance
@@ -19,12 +23,28 @@ class CSVImporter {
      * @throws {Error} If file is invalid or parsing fails
      */
     static async parseCSV(file) {
+        const text = await this.readText(file);
+        const analysis = this.analyze(text);
+        const mapping = this.getDefaultMapping(analysis);
+
+        return this.createSpectra(analysis, { ...mapping, yColumns: mapping.yColumns.slice(0, 1) }, file.name)[0];
+    }
+
+    /**
+     * Read a CSV or text file after checking its extension and size
+     *
+     * @param {File} file - File from input element
+     * @returns {Promise<string>} File contents
+     * @throws {Error} If the file is missing, not a text table, empty or too large
+     */
+    static async readText(file) {
         if (!file) {
             throw new Error('No file provided');
         }
 
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            throw new Error('File must be a CSV file');
+        const lowerName = file.name.toLowerCase();
+        if (!CSVImporter.EXTENSIONS.some(extension => lowerName.endsWith(extension))) {
+            throw new Error(`File must be a CSV or text file (${CSVImporter.EXTENSIONS.join(', ')})`);
         }
 
         // Validate file size (10MB max)
@@ -37,92 +57,309 @@ class CSVImporter {
             throw new Error('File is empty');
         }
 
-        const text = await file.text();
-        const lines = text.split('\n').filter(line => line.trim());
+        return file.text();
+    }
+
+    /**
+     * Split CSV text into a header and numeric rows
+     *
+     * The delimiter and decimal separator are detected from the lines that
+     * parse as numbers, so decimal-comma files such as "1,5;98,2" work.
+     * Lines before the first data line are preamble; the last of them is
+     * used as the column header. '#' lines are comments.
+     *
+     * @param {string} text - File contents
+     * @param {Object} [options] - Overrides for the detected format
+     * @param {string} [options.delimiter] - ',', ';', '\t' or ' ' (any whitespace)
+     * @param {string} [options.decimalSeparator] - '.' or ','
+     * @returns {Object} {delimiter, decimalSeparator, header, columns, rows}
+     *   where rows are {line, fields, values} with NaN for non-numeric fields
+     * @throws {Error} If there are fewer than two lines
+     */
+    static analyze(text, options = {}) {
+        const lines = text.split(/\r?\n/)
+            .map((line, index) => ({ line: index + 1, text: line.trim() }))
+            .filter(({ text: line }) => line && !line.startsWith('#'));
 
         if (lines.length < 2) {
             throw new Error('CSV file must contain at least 2 data points');
         }
 
-        const spectrum = [];
-        let hasHeader = false;
-        let isAbsorbance = false;
-
-        // Check if first line is a header
-        const firstLine = lines[0].split(/[,;\t]/);
-        if (isNaN(parseFloat(firstLine[0])) || isNaN(parseFloat(firstLine[1]))) {
-            hasHeader = true;
-            // Check if header mentions absorbance
-            const headerText = lines[0].toLowerCase();
-            isAbsorbance = headerText.includes('absorbance') || headerText.includes('absorption');
-        }
+        const detected = this.detectFormat(lines.slice(0, 50).map(({ text: line }) => line));
+        const delimiter = options.delimiter || detected.delimiter;
+        const decimalSeparator = options.decimalSeparator || detected.decimalSeparator;
 
-        const startIdx = hasHeader ? 1 : 0;
+        const parsed = lines.map(({ line, text: lineText }) => {
+            const fields = this.splitLine(lineText, delimiter);
+            return { line, text: lineText, fields, values: fields.map(field => this.parseNumber(field, decimalSeparator)) };
+        });
 
-        for (let i = startIdx; i < lines.length; i++) {
-            const parts = lines[i].split(/[,;\t]/).map(p => p.trim());
+        const isData = row => row.values.filter(value => !isNaN(value)).length >= 2;
+        const firstData = parsed.findIndex(isData);
+        const dataStart = firstData === -1 ? parsed.length : firstData;
+        const header = dataStart > 0 ? parsed[dataStart - 1].fields : null;
+        const rows = parsed.slice(dataStart);
 
-            if (parts.length < 2) continue;
+        const columnCount = rows.reduce((count, row) => Math.max(count, row.fields.length), header ? header.length : 0);
+        const columns = Array.from({ length: columnCount }, (_, index) => ({
+            index,
+            label: (header && header[index]) || `Column ${index + 1}`
+        }));
 
-            const wavenumber = parseFloat(parts[0]);
-            const value = parseFloat(parts[1]);
+        return { delimiter, decimalSeparator, header, columns, rows };
+    }
 
-            if (isNaN(wavenumber) || isNaN(value)) {
-                Logger.warn(`Skipping invalid line ${i + 1}: ${lines[i]}`);
-                continue;
-            }
+    /**
+     * Detect the delimiter and decimal separator of CSV lines
+     *
+     * Each combination is scored by the number of lines that split into at
+     * least two numbers with no text fields; ties go to the earlier delimiter
+     * and to the decimal point.
+     *
+     * @param {Array<string>} lines - Sample lines
+     * @returns {Object} {delimiter, decimalSeparator}
+     * @private
+     */
+    static detectFormat(lines) {
+        let best = { delimiter: ',', decimalSeparator: '.', score: 0 };
+
+        CSVImporter.DECIMAL_SEPARATORS.forEach(decimalSeparator => {
+            CSVImporter.DELIMITERS.forEach(delimiter => {
+                if (delimiter === decimalSeparator) {
+                    return;
+                }
+
+                const score = lines.filter(line => {
+                    const fields = this.splitLine(line, delimiter);
+                    const values = fields.map(field => this.parseNumber(field, decimalSeparator));
+                    return values.filter(value => !isNaN(value)).length >= 2 &&
+                        fields.every((field, i) => !field || !isNaN(values[i]));
+                }).length;
+
+                if (score > best.score) {
+                    best = { delimiter, decimalSeparator, score };
+                }
+            });
+        });
 
-            // If absorbance, convert to transmittance
-            // transmittance = 10^(-absorbance) * 100
-            let transmittance;
-            if (isAbsorbance) {
-                transmittance = Math.pow(10, -value) * 100;
-            } else {
-                transmittance = value;
-            }
+        return { delimiter: best.delimiter, decimalSeparator: best.decimalSeparator };
+    }
 
-            // Validate reasonable ranges
-            if (wavenumber < 100 || wavenumber > 10000) {
-                Logger.warn(`Wavenumber ${wavenumber} outside typical range (100-10000 cm⁻¹)`);
-            }
+    /**
+     * Split a line into trimmed, unquoted fields
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Delimiter (' ' splits on any whitespace)
+     * @returns {Array<string>} Fields
+     * @private
+     */
+    static splitLine(line, delimiter) {
+        const fields = delimiter === ' ' ? line.split(/\s+/) : line.split(delimiter);
+        return fields.map(field => field.trim().replace(/^"(.*)"$/, '$1').trim());
+    }
 
-            if (transmittance < 0 || transmittance > 100) {
-                // Clamp to valid range
-                transmittance = Math.max(0, Math.min(100, transmittance));
-            }
+    /**
+     * Parse a number written with the given decimal separator
+     * @param {string} field - Field text
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number} Value, or NaN if the field is not a number
+     * @private
+     */
+    static parseNumber(field, decimalSeparator) {
+        const separator = decimalSeparator === ',' ? ',' : '\\.';
+        const pattern = new RegExp(`^[+-]?(\\d+(${separator}\\d*)?|${separator}\\d+)([eE][+-]?\\d+)?$`);
+        if (!pattern.test(field)) {
+            return NaN;
+        }
+        return parseFloat(decimalSeparator === ',' ? field.replace(',', '.') : field);
+    }
 
-            spectrum.push({ wavenumber, transmittance });
+    /**
+     * Get the default column mapping and units for an analysed file
+     *
+     * X is the first column; every other column with numbers is a Y column
+     * (one spectrum per sample column).
+     *
+     * @param {Object} analysis - Result of analyze
+     * @returns {Object} {xColumn, yColumns, xUnits, yUnits}
+     */
+    static getDefaultMapping(analysis) {
+        const columnValues = index => analysis.rows
+            .map(row => row.values[index])
+            .filter(value => value !== undefined && !isNaN(value));
+
+        const xColumn = 0;
+        const yColumns = analysis.columns
+            .map(column => column.index)
+            .filter(index => index !== xColumn && columnValues(index).length > 0);
+
+        const header = analysis.header || [];
+        const firstY = yColumns.length > 0 ? yColumns[0] : 1;
+
+        return {
+            xColumn,
+            yColumns,
+            xUnits: this.detectXUnits(header[xColumn] || '', columnValues(xColumn)),
+            yUnits: this.detectYUnits(header[firstY] || '', columnValues(firstY))
+        };
+    }
+
+    /**
+     * Detect X units from a column label, or from the values without one
+     *
+     * Values all below 50 are taken as micrometres (2.5-25 µm is the mid-IR).
+     *
+     * @param {string} label - Column header ('' if none)
+     * @param {Array<number>} values - Column values
+     * @returns {string} Key of X_UNITS
+     */
+    static detectXUnits(label, values) {
+        const lower = label.toLowerCase();
+        if (/wavenum|cm/.test(lower)) {
+            return 'cm⁻¹';
+        }
+        if (/\bnm\b|nanomet/.test(lower)) {
+            return 'nm';
+        }
+        if (/µm|μm|\bum\b|micro/.test(lower)) {
+            return 'µm';
         }
 
-        if (spectrum.length === 0) {
-            throw new Error('No valid data points found in CSV');
+        const max = values.reduce((result, value) => Math.max(result, value), -Infinity);
+        return max > 0 && max <= 50 ? 'µm' : 'cm⁻¹';
+    }
+
+    /**
+     * Detect Y units from a column label, or from the values without one
+     *
+     * Transmittance with all values up to 1.5 is a fraction. Without a
+     * recognised label, values above 5 are taken as %T and others as absorbance.
+     *
+     * @param {string} label - Column header ('' if none)
+     * @param {Array<number>} values - Column values
+     * @returns {string} Key of Y_UNITS
+     */
+    static detectYUnits(label, values) {
+        const lower = label.toLowerCase().trim();
+        const max = values.reduce((result, value) => Math.max(result, value), -Infinity);
+
+        if (/kubelka|\bk-?m\b|f\(r\)/.test(lower)) {
+            return 'KM';
+        }
+        if (/log\s*\(?\s*1\s*\/\s*r/.test(lower)) {
+            return 'log(1/R)';
+        }
+        if (/absor|^a$|\babs\b|\(a\)/.test(lower)) {
+            return 'A';
         }
+        if (lower.includes('%')) {
+            return '%T';
+        }
+        if (/transmi|^t$|\(t\)/.test(lower)) {
+            return max <= 1.5 ? 'T' : '%T';
+        }
+
+        return max > 5 ? '%T' : 'A';
+    }
 
-        // Sort by wavenumber
-        spectrum.sort((a, b) => a.wavenumber - b.wavenumber);
+    /**
+     * Create one spectrum per Y column of an analysed file
+     *
+     * X values are converted to wavenumbers and Y values to transmittance
+     * (0-100); rows without a number in the X or Y column are skipped.
+     *
+     * @param {Object} analysis - Result of analyze
+     * @param {Object} mapping - {xColumn, yColumns, xUnits, yUnits}
+     * @param {string} fileName - Source file name, used for spectrum names
+     * @returns {Array<Object>} Spectrum data with metadata, one per Y column
+     * @throws {Error} If the mapping is invalid or a column has no valid points
+     */
+    static createSpectra(analysis, mapping, fileName) {
+        const { xColumn, yColumns, xUnits, yUnits } = mapping;
+        const columnCount = analysis.columns.length;
 
-        // Downsample if too many points (for performance)
-        const MAX_POINTS = 1000;
-        let finalSpectrum = spectrum;
-        if (spectrum.length > MAX_POINTS) {
-            finalSpectrum = this.downsample(spectrum, MAX_POINTS);
+        if (analysis.rows.length === 0) {
+            throw new Error('No valid data points found in CSV');
+        }
+        if (!Number.isInteger(xColumn) || xColumn < 0 || xColumn >= columnCount) {
+            throw new Error('Invalid CSV mapping: X column does not exist');
+        }
+        if (!Array.isArray(yColumns) || yColumns.length === 0) {
+            throw new Error('Invalid CSV mapping: select at least one Y column');
+        }
+        if (yColumns.some(index => !Number.isInteger(index) || index < 0 || index >= columnCount || index === xColumn)) {
+            throw new Error('Invalid CSV mapping: Y columns must exist and differ from the X column');
+        }
+        if (!CSVImporter.X_UNITS[xUnits]) {
+            throw new Error(`Invalid CSV mapping: unknown X units '${xUnits}'`);
+        }
+        if (!CSVImporter.Y_UNITS[yUnits]) {
+            throw new Error(`Invalid CSV mapping: unknown Y units '${yUnits}'`);
         }
 
-        return {
-            name: this.sanitizeName(file.name.replace('.csv', '')),
-            source: 'User Import',
-            category: 'custom',
-            spectrum: finalSpectrum,
-            metadata: {
-                originalPoints: spectrum.length,
-                finalPoints: finalSpectrum.length,
-                wavenumberRange: [
-                    Math.min(...finalSpectrum.map(p => p.wavenumber)),
-                    Math.max(...finalSpectrum.map(p => p.wavenumber))
-                ],
-                importDate: new Date().toISOString(),
+        const toWavenumber = CSVImporter.X_UNITS[xUnits].toWavenumber;
+        const toTransmittance = CSVImporter.Y_UNITS[yUnits].toTransmittance;
+        const baseName = this.sanitizeName(fileName.replace(/\.[^.]+$/, ''));
+        const importDate = new Date().toISOString();
+
+        return yColumns.map(yColumn => {
+            const label = analysis.columns[yColumn].label;
+            const spectrum = [];
+
+            analysis.rows.forEach(row => {
+                const wavenumber = toWavenumber(row.values[xColumn]);
+                const value = row.values[yColumn];
+
+                if (!isFinite(wavenumber) || wavenumber <= 0 || value === undefined || isNaN(value)) {
+                    Logger.warn(`Skipping invalid line ${row.line}: ${row.text}`);
+                    return;
+                }
+
+                // Clamp to valid range
+                const transmittance = Math.max(0, Math.min(100, toTransmittance(value)));
+                spectrum.push({ wavenumber, transmittance });
+            });
+
+            if (spectrum.length === 0) {
+                throw new Error(yColumns.length > 1
+                    ? `No valid data points found in CSV column '${label}'`
+                    : 'No valid data points found in CSV');
             }
-        };
+
+            // Validate reasonable ranges
+            const outOfRange = spectrum.filter(point => point.wavenumber < 100 || point.wavenumber > 10000).length;
+            if (outOfRange > 0) {
+                Logger.warn(`${outOfRange} wavenumbers outside typical range (100-10000 cm⁻¹)`);
+            }
+
+            // Sort by wavenumber
+            spectrum.sort((a, b) => a.wavenumber - b.wavenumber);
+
+            // Downsample if too many points (for performance)
+            const MAX_POINTS = 1000;
+            let finalSpectrum = spectrum;
+            if (spectrum.length > MAX_POINTS) {
+                finalSpectrum = this.downsample(spectrum, MAX_POINTS);
+            }
+
+            return {
+                name: yColumns.length > 1 ? this.sanitizeName(`${baseName} - ${label}`) : baseName,
+                source: 'User Import',
+                category: 'custom',
+                spectrum: finalSpectrum,
+                metadata: {
+                    originalPoints: spectrum.length,
+                    finalPoints: finalSpectrum.length,
+                    wavenumberRange: [
+                        finalSpectrum[0].wavenumber,
+                        finalSpectrum[finalSpectrum.length - 1].wavenumber
+                    ],
+                    column: label,
+                    xUnits,
+                    yUnits,
+                    importDate,
+                }
+            };
+        });
     }
 
     /**
@@ -313,3 +550,33 @@ class CSVImporter {
         URL.revokeObjectURL(url);
     }
 }
+
+// File extensions accepted as CSV or other delimited text
+CSVImporter.EXTENSIONS = Object.freeze(['.csv', '.tsv', '.txt', '.dat', '.prn']);
+
+// Candidate delimiters and decimal separators, in order of preference (' ' is any whitespace)
+CSVImporter.DELIMITERS = Object.freeze(['\t', ';', ',', ' ']);
+CSVImporter.DECIMAL_SEPARATORS = Object.freeze(['.', ',']);
+
+// X units -> label and conversion to cm⁻¹
+CSVImporter.X_UNITS = Object.freeze({
+    'cm⁻¹': { label: 'Wavenumber (cm⁻¹)', toWavenumber: value => value },
+    'µm': { label: 'Wavelength (µm)', toWavenumber: value => 1e4 / value },
+    'nm': { label: 'Wavelength (nm)', toWavenumber: value => 1e7 / value }
+});
+
+// Y units -> label and conversion to transmittance (%). Reflectance data is
+// used as apparent transmittance; Kubelka–Munk is inverted to reflectance.
+CSVImporter.Y_UNITS = Object.freeze({
+    '%T': { label: 'Transmittance (%T)', toTransmittance: value => value },
+    'T': { label: 'Transmittance (fraction)', toTransmittance: value => value * 100 },
+    'A': { label: 'Absorbance (A)', toTransmittance: value => Math.pow(10, -value) * 100 },
+    'log(1/R)': { label: 'log(1/R)', toTransmittance: value => Math.pow(10, -value) * 100 },
+    'KM': {
+        label: 'Kubelka–Munk f(R)',
+        toTransmittance: value => {
+            const f = Math.max(0, value);
+            return (1 + f - Math.sqrt(f * f + 2 * f)) * 100;
+        }
+    }
+});
@@ -0,0 +1,664 @@
+/**
+ * Effects Chain Module
+ *
+ * Purpose: Ordered, editable chain of audio effect processors
+ *
+ * Dependencies:
+ * - CONFIG (for processor names, parameter ranges and the default chain)
+ * - Web Audio API (browser built-in)
+ *
+ * Exports:
+ * - EffectsChain class - Chain model plus a builder for any BaseAudioContext
+ *
+ * Usage:
+ * ```javascript
+ * const chain = new EffectsChain([{ type: 'filter' }, { type: 'reverb', params: { mix: 0.3 } }]);
+ * const delayId = chain.addEffect('delay', { time: 0.25 });
+ * chain.moveEffect(delayId, 0);
+ *
+ * // Build the nodes in a live or offline context
+ * const graph = chain.build(context, context.destination);
+ * source.connect(graph.input);
+ *
+ * // Parameter edits can be applied to a built graph without rebuilding it
+ * // (values glide there, so live edits do not click)
+ * chain.setEffectParams(delayId, { feedback: 0.6 });
+ * chain.updateGraph(graph, delayId);
+ * ```
+ *
+ * Model:
+ * - Each entry is {id, type, enabled, params}; ids are stable across moves
+ * - Chains are described (presets, storage) as [{type, enabled?, params?}]
+ * - Parameters are clamped to the ranges in CONFIG.effects; omitted ones
+ *   take their defaults
+ * - Disabled effects are skipped when the chain is built
+ * - onChange is called after every edit with {kind: 'params', id} or
+ *   {kind: 'structure'}; only structure changes need a rebuild
+ */
+
+class EffectsChain {
+    /**
+     * @param {Array} [chain] - Effect descriptions (defaults to CONFIG.effectsChain.DEFAULT)
+     * @throws {Error} If the chain description is invalid
+     */
+    constructor(chain = CONFIG.effectsChain.DEFAULT) {
+        this.effects = [];
+        this.nextId = 1;
+        this.MAX_EFFECTS = CONFIG.effectsChain.MAX_EFFECTS;
+
+        // Change callback, see module header
+        this.onChange = null;
+
+        this.setChain(chain);
+    }
+
+    /**
+     * Get the available processors
+     * @returns {Object} Processor info from CONFIG.effects, keyed by type
+     */
+    getProcessors() {
+        const processors = {};
+        Object.keys(EffectsChain.processors).forEach(type => {
+            if (CONFIG.effects[type]) {
+                processors[type] = CONFIG.effects[type];
+            }
+        });
+        return processors;
+    }
+
+    /**
+     * Replace the whole chain
+     *
+     * @param {Array} chain - Effect descriptions [{type, enabled?, params?}]
+     * @throws {Error} If any entry is invalid (the chain is left unchanged)
+     */
+    setChain(chain) {
+        if (!Array.isArray(chain)) {
+            throw new Error('Invalid effects chain: must be an array');
+        }
+        if (chain.length > this.MAX_EFFECTS) {
+            throw new Error(`Invalid effects chain: at most ${this.MAX_EFFECTS} effects`);
+        }
+
+        const effects = chain.map(description => EffectsChain.normalize(description));
+        this.effects = effects.map(effect => ({ id: this.nextId++, ...effect }));
+        this.notify({ kind: 'structure' });
+    }
+
+    /**
+     * Describe the chain (for presets and storage)
+     * @returns {Array} [{type, enabled, params}]
+     */
+    getChain() {
+        return this.effects.map(({ type, enabled, params }) => ({ type, enabled, params: { ...params } }));
+    }
+
+    /**
+     * Get the chain entries in order
+     * @returns {Array} Copies of [{id, type, enabled, params}]
+     */
+    getEffects() {
+        return this.effects.map(effect => ({ ...effect, params: { ...effect.params } }));
+    }
+
+    /**
+     * Get one chain entry
+     * @param {number} id - Effect id
+     * @returns {Object|null} Copy of {id, type, enabled, params}, or null if not found
+     */
+    getEffect(id) {
+        const effect = this.effects.find(e => e.id === id);
+        return effect ? { ...effect, params: { ...effect.params } } : null;
+    }
+
+    /**
+     * Find the first entry of a type
+     * @param {string} type - Processor type
+     * @returns {Object|null} Copy of the entry, or null if the chain has none
+     */
+    findEffect(type) {
+        const effect = this.effects.find(e => e.type === type);
+        return effect ? this.getEffect(effect.id) : null;
+    }
+
+    /**
+     * Add an effect
+     *
+     * @param {string} type - Processor type (key of CONFIG.effects)
+     * @param {Object} [params={}] - Parameter values; omitted ones use defaults
+     * @param {number} [index] - Position in the chain (defaults to the end)
+     * @returns {number} Id of the new effect
+     * @throws {Error} If the type or parameters are invalid, or the chain is full
+     */
+    addEffect(type, params = {}, index = this.effects.length) {
+        if (this.effects.length >= this.MAX_EFFECTS) {
+            throw new Error(`Effects chain is full: at most ${this.MAX_EFFECTS} effects`);
+        }
+
+        const effect = { id: this.nextId++, ...EffectsChain.normalize({ type, params }) };
+        this.effects.splice(this.clampIndex(index, this.effects.length), 0, effect);
+        this.notify({ kind: 'structure' });
+        return effect.id;
+    }
+
+    /**
+     * Remove an effect
+     * @param {number} id - Effect id
+     * @throws {Error} If the id is unknown
+     */
+    removeEffect(id) {
+        this.effects.splice(this.indexOf(id), 1);
+        this.notify({ kind: 'structure' });
+    }
+
+    /**
+     * Move an effect to a new position
+     * @param {number} id - Effect id
+     * @param {number} index - New position (clamped to the chain)
+     * @throws {Error} If the id is unknown
+     */
+    moveEffect(id, index) {
+        const [effect] = this.effects.splice(this.indexOf(id), 1);
+        this.effects.splice(this.clampIndex(index, this.effects.length), 0, effect);
+        this.notify({ kind: 'structure' });
+    }
+
+    /**
+     * Enable or bypass an effect
+     * @param {number} id - Effect id
+     * @param {boolean} enabled - Whether the effect is in the signal path
+     * @throws {Error} If the id is unknown or enabled is not a boolean
+     */
+    setEffectEnabled(id, enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid effect enabled state: must be a boolean');
+        }
+
+        this.effects[this.indexOf(id)].enabled = enabled;
+        this.notify({ kind: 'structure' });
+    }
+
+    /**
+     * Update some of an effect's parameters
+     * @param {number} id - Effect id
+     * @param {Object} params - Parameter values to change (clamped to their ranges)
+     * @throws {Error} If the id or a parameter is invalid
+     */
+    setEffectParams(id, params) {
+        const effect = this.effects[this.indexOf(id)];
+        effect.params = EffectsChain.validateParams(effect.type, params, effect.params);
+        this.notify({ kind: 'params', id });
+    }
+
+    /**
+     * Build the enabled effects in a context
+     *
+     * @param {BaseAudioContext} context - Audio context (live or offline)
+     * @param {AudioNode} destination - Node the last effect feeds
+     * @param {Object} [options] - Builder options
+     * @param {Function} [options.createImpulse] - (context, duration) => AudioBuffer for reverbs
+     * @returns {Object} {input, instances: Map(id → processor), disconnect()}
+     */
+    build(context, destination, options = {}) {
+        const input = context.createGain();
+        const instances = new Map();
+
+        let previous = input;
+        this.effects.filter(effect => effect.enabled).forEach(effect => {
+            const instance = EffectsChain.processors[effect.type](context, effect.params, options);
+            previous.connect(instance.input);
+            previous = instance.output;
+            instances.set(effect.id, instance);
+        });
+        previous.connect(destination);
+
+        return {
+            input,
+            instances,
+            disconnect: () => {
+                input.disconnect();
+                instances.forEach(instance => instance.disconnect());
+            }
+        };
+    }
+
+    /**
+     * Apply an effect's current parameters to a built graph
+     *
+     * Continuous parameters ramp to their new values (see setParam).
+     *
+     * @param {Object} graph - Result of build()
+     * @param {number} id - Effect id
+     * @returns {boolean} True if the effect is in the graph and was updated
+     */
+    updateGraph(graph, id) {
+        const instance = graph.instances.get(id);
+        const effect = this.effects.find(e => e.id === id);
+        if (!instance || !effect) {
+            return false;
+        }
+        instance.update(effect.params, true);
+        return true;
+    }
+
+    /**
+     * Get the position of an effect
+     * @param {number} id - Effect id
+     * @returns {number} Index in the chain
+     * @throws {Error} If the id is unknown
+     * @private
+     */
+    indexOf(id) {
+        const index = this.effects.findIndex(e => e.id === id);
+        if (index === -1) {
+            throw new Error(`Invalid effect id: ${id}`);
+        }
+        return index;
+    }
+
+    /**
+     * Clamp an insertion index to [0, length]
+     * @private
+     */
+    clampIndex(index, length) {
+        if (typeof index !== 'number' || isNaN(index)) {
+            throw new Error('Invalid effect position: must be a number');
+        }
+        return Math.max(0, Math.min(length, Math.round(index)));
+    }
+
+    /**
+     * Report an edit to onChange
+     * @private
+     */
+    notify(change) {
+        if (this.onChange) {
+            this.onChange(change);
+        }
+    }
+
+    /**
+     * Validate an effect description and fill in defaults
+     *
+     * @param {Object} description - {type, enabled?, params?}
+     * @returns {Object} {type, enabled, params}
+     * @throws {Error} If the type, enabled flag or parameters are invalid
+     */
+    static normalize(description) {
+        if (!description || typeof description !== 'object') {
+            throw new Error('Invalid effect: must be an object');
+        }
+
+        const { type, enabled = true, params = {} } = description;
+        if (!CONFIG.effects[type] || !Object.prototype.hasOwnProperty.call(EffectsChain.processors, type)) {
+            throw new Error(`Invalid effect type: ${type}`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid effect enabled state: must be a boolean');
+        }
+
+        return { type, enabled, params: EffectsChain.validateParams(type, params, EffectsChain.defaultParams(type)) };
+    }
+
+    /**
+     * Get a processor's default parameters
+     * @param {string} type - Processor type
+     * @returns {Object} Parameter values
+     */
+    static defaultParams(type) {
+        const specs = CONFIG.effects[type].params;
+        const params = {};
+        Object.keys(specs).forEach(key => {
+            params[key] = specs[key].default;
+        });
+        return params;
+    }
+
+    /**
+     * Merge parameter values over a base set, clamping each to its range
+     *
+     * @param {string} type - Processor type
+     * @param {Object} params - New values
+     * @param {Object} base - Current values
+     * @returns {Object} Merged parameters
+     * @throws {Error} If a parameter is unknown or not a number
+     */
+    static validateParams(type, params, base) {
+        if (!params || typeof params !== 'object') {
+            throw new Error('Invalid effect parameters: must be an object');
+        }
+
+        const specs = CONFIG.effects[type].params;
+        const result = { ...base };
+        Object.keys(params).forEach(key => {
+            const spec = specs[key];
+            if (!spec) {
+                throw new Error(`Invalid effect parameter: ${type}.${key}`);
+            }
+
+            const value = params[key];
+            if (typeof value !== 'number' || isNaN(value)) {
+                throw new Error(`Invalid ${type}.${key}: must be a number`);
+            }
+            result[key] = Math.max(spec.min, Math.min(spec.max, value));
+        });
+        return result;
+    }
+
+    /**
+     * Create a dry/wet mixer: input → dry → output, with wet → output for the effect
+     *
+     * @param {BaseAudioContext} context - Audio context
+     * @returns {Object} {input, output, dry, wet, setMix(mix, ramp), nodes}
+     */
+    static createMix(context) {
+        const input = context.createGain();
+        const output = context.createGain();
+        const dry = context.createGain();
+        const wet = context.createGain();
+
+        input.connect(dry);
+        dry.connect(output);
+        wet.connect(output);
+
+        return {
+            input,
+            output,
+            dry,
+            wet,
+            setMix: (mix, ramp = false) => {
+                EffectsChain.setParam(context, dry.gain, 1 - mix, ramp);
+                EffectsChain.setParam(context, wet.gain, mix, ramp);
+            },
+            nodes: [input, output, dry, wet]
+        };
+    }
+
+    /**
+     * Set an AudioParam, optionally gliding from its current value
+     *
+     * Ramping (exponential approach with time constant
+     * CONFIG.audio.PARAM_RAMP_TIME) avoids clicks and zipper noise when a
+     * parameter changes while sound is playing.
+     *
+     * @param {BaseAudioContext} context - Context that owns the param
+     * @param {AudioParam} param - Parameter to set
+     * @param {number} value - New value
+     * @param {boolean} [ramp=false] - Glide to the value instead of jumping
+     */
+    static setParam(context, param, value, ramp = false) {
+        if (!ramp) {
+            param.value = value;
+            return;
+        }
+
+        const now = context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.setTargetAtTime(value, now, CONFIG.audio.PARAM_RAMP_TIME);
+    }
+
+    /**
+     * Create impulse response for reverb
+     *
+     * Exponentially decaying stereo noise for natural-sounding reverb.
+     *
+     * @param {BaseAudioContext} context - Audio context that will own the buffer
+     * @param {number} duration - Impulse length in seconds
+     * @param {Function} [random=Math.random] - Noise source returning [0, 1)
+     * @returns {AudioBuffer} Stereo impulse response
+     */
+    static createImpulse(context, duration, random = Math.random) {
+        const sampleRate = context.sampleRate;
+        const length = Math.floor(sampleRate * duration);
+        const impulse = context.createBuffer(2, length, sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const channelData = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                // Exponentially decaying noise
+                channelData[i] = (random() * 2 - 1) * Math.pow(1 - i / length, 2);
+            }
+        }
+
+        return impulse;
+    }
+
+    /**
+     * Create a soft-clipping wave-shaper curve
+     *
+     * @param {number} drive - Drive 0-1 (0 leaves the signal unchanged)
+     * @param {number} [length=1024] - Curve resolution
+     * @returns {Float32Array} Curve over inputs -1..1
+     */
+    static distortionCurve(drive, length = 1024) {
+        const k = drive * 50;
+        const curve = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const x = (i * 2) / (length - 1) - 1;
+            curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+        }
+        return curve;
+    }
+}
+
+/**
+ * Processor registry
+ *
+ * Each processor receives the context, its parameters and the builder
+ * options, and returns {input, output, update(params, ramp), disconnect()}
+ * plus any nodes worth exposing. update() ramps AudioParams when `ramp` is
+ * set (live edits) and sets them directly otherwise. Display names and parameter ranges live in
+ * CONFIG.effects.
+ */
+EffectsChain.processors = {
+    'filter': (context, params) => {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+
+        const update = (p, ramp) => {
+            EffectsChain.setParam(context, filter.frequency, p.frequency, ramp);
+            EffectsChain.setParam(context, filter.Q, p.q, ramp);
+        };
+        update(params);
+
+        return { input: filter, output: filter, filter, update, disconnect: () => filter.disconnect() };
+    },
+
+    'reverb': (context, params, options) => {
+        const mix = EffectsChain.createMix(context);
+        const convolver = context.createConvolver();
+        const createImpulse = options.createImpulse ||
+            ((ctx, duration) => EffectsChain.createImpulse(ctx, duration));
+
+        mix.input.connect(convolver);
+        convolver.connect(mix.wet);
+
+        let duration = null;
+        const update = (p, ramp) => {
+            mix.setMix(p.mix, ramp);
+            if (p.duration !== duration) {
+                duration = p.duration;
+                convolver.buffer = createImpulse(context, duration);
+            }
+        };
+        update(params);
+
+        return {
+            input: mix.input,
+            output: mix.output,
+            convolver,
+            dryGain: mix.dry,
+            wetGain: mix.wet,
+            update,
+            disconnect: () => [...mix.nodes, convolver].forEach(node => node.disconnect())
+        };
+    },
+
+    'delay': (context, params) => {
+        const mix = EffectsChain.createMix(context);
+        const delay = context.createDelay(CONFIG.effects.delay.params.time.max);
+        const feedback = context.createGain();
+
+        // Echoes loop back through the feedback gain
+        mix.input.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        delay.connect(mix.wet);
+
+        const update = (p, ramp) => {
+            EffectsChain.setParam(context, delay.delayTime, p.time, ramp);
+            EffectsChain.setParam(context, feedback.gain, p.feedback, ramp);
+            mix.setMix(p.mix, ramp);
+        };
+        update(params);
+
+        return {
+            input: mix.input,
+            output: mix.output,
+            update,
+            disconnect: () => [...mix.nodes, delay, feedback].forEach(node => node.disconnect())
+        };
+    },
+
+    'chorus': (context, params) => {
+        const baseDelay = CONFIG.effectsChain.CHORUS_BASE_DELAY;
+        const maxDepth = CONFIG.effects.chorus.params.depth.max / 1000;
+        const mix = EffectsChain.createMix(context);
+        const delay = context.createDelay(baseDelay + maxDepth);
+        const lfo = context.createOscillator();
+        const depth = context.createGain();
+
+        // A sine LFO sweeps the delay time around its centre
+        delay.delayTime.value = baseDelay;
+        lfo.type = 'sine';
+        lfo.connect(depth);
+        depth.connect(delay.delayTime);
+        mix.input.connect(delay);
+        delay.connect(mix.wet);
+        lfo.start();
+
+        const update = (p, ramp) => {
+            EffectsChain.setParam(context, lfo.frequency, p.rate, ramp);
+            EffectsChain.setParam(context, depth.gain, p.depth / 1000, ramp);
+            mix.setMix(p.mix, ramp);
+        };
+        update(params);
+
+        return {
+            input: mix.input,
+            output: mix.output,
+            update,
+            disconnect: () => {
+                lfo.stop();
+                [...mix.nodes, delay, lfo, depth].forEach(node => node.disconnect());
+            }
+        };
+    },
+
+    'widener': (context, params) => {
+        // Up-mix to stereo first so mono sources reach both channels
+        const input = context.createGain();
+        input.channelCount = 2;
+        input.channelCountMode = 'explicit';
+        input.channelInterpretation = 'speakers';
+
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        const direct = [context.createGain(), context.createGain()];  // L → L, R → R
+        const cross = [context.createGain(), context.createGain()];   // L → R, R → L
+
+        input.connect(splitter);
+        [0, 1].forEach(channel => {
+            splitter.connect(direct[channel], channel);
+            direct[channel].connect(merger, 0, channel);
+            splitter.connect(cross[channel], channel);
+            cross[channel].connect(merger, 0, 1 - channel);
+        });
+
+        // Mid/side: L' = M + wS, R' = M - wS with M = (L+R)/2, S = (L-R)/2
+        const update = (p, ramp) => {
+            direct.forEach(gain => EffectsChain.setParam(context, gain.gain, (1 + p.width) / 2, ramp));
+            cross.forEach(gain => EffectsChain.setParam(context, gain.gain, (1 - p.width) / 2, ramp));
+        };
+        update(params);
+
+        return {
+            input,
+            output: merger,
+            update,
+            disconnect: () => [input, splitter, merger, ...direct, ...cross].forEach(node => node.disconnect())
+        };
+    },
+
+    'compressor': (context, params) => {
+        const compressor = context.createDynamicsCompressor();
+        const makeup = context.createGain();
+        compressor.connect(makeup);
+
+        const update = (p, ramp) => {
+            EffectsChain.setParam(context, compressor.threshold, p.threshold, ramp);
+            EffectsChain.setParam(context, compressor.ratio, p.ratio, ramp);
+            EffectsChain.setParam(context, compressor.attack, p.attack, ramp);
+            EffectsChain.setParam(context, compressor.release, p.release, ramp);
+            EffectsChain.setParam(context, makeup.gain, Math.pow(10, p.makeup / 20), ramp);
+        };
+        update(params);
+
+        return {
+            input: compressor,
+            output: makeup,
+            update,
+            disconnect: () => [compressor, makeup].forEach(node => node.disconnect())
+        };
+    },
+
+    'distortion': (context, params) => {
+        const mix = EffectsChain.createMix(context);
+        const shaper = context.createWaveShaper();
+        shaper.oversample = '4x';
+
+        mix.input.connect(shaper);
+        shaper.connect(mix.wet);
+
+        const update = (p, ramp) => {
+            shaper.curve = EffectsChain.distortionCurve(p.drive);
+            mix.setMix(p.mix, ramp);
+        };
+        update(params);
+
+        return {
+            input: mix.input,
+            output: mix.output,
+            update,
+            disconnect: () => [...mix.nodes, shaper].forEach(node => node.disconnect())
+        };
+    },
+
+    'eq': (context, params) => {
+        const bands = [
+            ['lowshelf', CONFIG.effectsChain.EQ_LOW_FREQUENCY],
+            ['peaking', CONFIG.effectsChain.EQ_MID_FREQUENCY],
+            ['highshelf', CONFIG.effectsChain.EQ_HIGH_FREQUENCY]
+        ].map(([type, frequency]) => {
+            const filter = context.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            filter.Q.value = 1;
+            return filter;
+        });
+        const [low, mid, high] = bands;
+
+        low.connect(mid);
+        mid.connect(high);
+
+        const update = (p, ramp) => {
+            EffectsChain.setParam(context, low.gain, p.low, ramp);
+            EffectsChain.setParam(context, mid.gain, p.mid, ramp);
+            EffectsChain.setParam(context, high.gain, p.high, ramp);
+        };
+        update(params);
+
+        return { input: low, output: high, update, disconnect: () => bands.forEach(node => node.disconnect()) };
+    },
+};
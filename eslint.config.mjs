@@ -46,11 +46,16 @@ export default [
                 AudioContext: 'readonly',
                 webkitAudioContext: 'readonly',
                 OfflineAudioContext: 'readonly',
+                AudioEncoder: 'readonly',
+                AudioData: 'readonly',
                 Blob: 'readonly',
+                TextEncoder: 'readonly',
                 File: 'readonly',
                 FileReader: 'readonly',
+                Worker: 'readonly',
                 URL: 'readonly',
                 IntersectionObserver: 'readonly',
+                Event: 'readonly',
                 confirm: 'readonly',
                 alert: 'readonly',
                 prompt: 'readonly',
@@ -73,15 +78,31 @@ export default [
                 
                 // Core modules
                 AudioEngine: 'readonly',
+                EffectsChain: 'readonly',
+                PeakMixer: 'readonly',
+                SpectralPreprocessor: 'readonly',
+                PeakDetector: 'readonly',
                 FrequencyMapper: 'readonly',
+                ScaleQuantizer: 'readonly',
                 Visualizer: 'readonly',
                 MIDIOutput: 'readonly',
+                MIDIInput: 'readonly',
+                MIDIClock: 'readonly',
                 CSVImporter: 'readonly',
+                JCAMPParser: 'readonly',
                 JCAMPImporter: 'readonly',
+                SpectrumImporter: 'readonly',
+                SpectrumExporter: 'readonly',
                 MP3Encoder: 'readonly',
+                FLACEncoder: 'readonly',
+                AudioFileEncoder: 'readonly',
+                ZipWriter: 'readonly',
+                BatchRenderer: 'readonly',
+                BatchImporter: 'readonly',
                 
                 // Feature modules
                 Favorites: 'readonly',
+                Settings: 'readonly',
                 KeyboardShortcuts: 'readonly',
                 ModalManager: 'readonly',
                 FilterManager: 'readonly',
@@ -99,27 +120,50 @@ export default [
                 handleSubstanceChange: 'readonly',
                 handleSearch: 'readonly',
                 handleCategoryChange: 'readonly',
+                handleMappingStrategyChange: 'readonly',
+                handlePreprocessingChange: 'readonly',
+                handleNormalizationChange: 'readonly',
+                handleScaleChange: 'readonly',
+                handleScaleKeyChange: 'readonly',
+                handleScalaImport: 'readonly',
+                handleSeedChange: 'readonly',
+                renderEffectsChain: 'readonly',
+                renderPeakMixer: 'readonly',
+                formatEffectValue: 'readonly',
+                formatPeakMixerValue: 'readonly',
+                syncEffectSliders: 'readonly',
                 handlePlay: 'readonly',
                 handleStop: 'readonly',
                 handleSelectAll: 'readonly',
                 handleClearSelection: 'readonly',
+                handleNoteOn: 'readonly',
+                handleNoteOff: 'readonly',
+                renderPianoKeyboard: 'readonly',
                 handleKeyboardShortcut: 'readonly',
                 handleFavoritesFilterChange: 'readonly',
                 handleFavoriteToggle: 'readonly',
                 populateSubstanceSelector: 'readonly',
                 updateFavoritesList: 'readonly',
+                updateMySpectraList: 'readonly',
                 
                 // Import/Export handlers
                 handleCSVImport: 'readonly',
                 handleJCAMPImport: 'readonly',
-                handleExportWAV: 'readonly',
-                handleExportMP3: 'readonly',
+                handleSpectrumImport: 'readonly',
+                importSelectionAsBatch: 'readonly',
+                handleExportAudio: 'readonly',
+                updateAudioExportOptions: 'readonly',
+                handleSpectrumExport: 'readonly',
                 
                 // MIDI handlers
                 handleSendMIDI: 'readonly',
                 handleExportMIDIFile: 'readonly',
                 refreshMIDIDevices: 'readonly',
+                refreshMIDIInputDevices: 'readonly',
+                renderMIDIMappings: 'readonly',
                 updateMIDISendButton: 'readonly',
+                handleTempoChange: 'readonly',
+                updateMIDIArpeggioStep: 'readonly',
                 
                 // DOM elements (exported from dom-elements.js)
                 durationValue: 'readonly',
@@ -161,7 +205,10 @@ export default [
                 visualizerB: 'writable',
                 audioEngine: 'writable',
                 frequencyMapper: 'writable',
-                midiOutput: 'writable'
+                scaleQuantizer: 'writable',
+                midiOutput: 'writable',
+                midiInput: 'writable',
+                midiClock: 'writable'
             }
         },
         rules: {
@@ -13,9 +13,12 @@
  * Exports:
  * - setupSubstanceListeners() - Substance selection and filtering
  * - setupPlaybackListeners() - Play/stop controls
- * - setupSliderListeners() - Volume, duration, reverb, filter sliders
+ * - setupSliderListeners() - Volume, duration, detune, reverb, filter sliders
  * - setupADSRListeners() - ADSR envelope controls
  * - setupEffectPresetListeners() - Audio effect preset dropdown
+ * - setupEffectsChainListeners() - Effects chain editor (add, reorder, bypass, parameters)
+ * - setupPeakMixerListeners() - Per-peak mute, solo, gain, detune and waveform
+ * - setupInstrumentListeners() - On-screen piano, root peak and computer-keyboard toggle
  * - setupPlaybackModeListeners() - Playback mode selection
  * - setupImportExportListeners() - File import/export handlers
  * - setupMIDIListeners() - MIDI device and output handlers
@@ -93,12 +96,27 @@ function setupSliderListeners() {
         });
     }
 
+    // Detune slider (glides on sounding voices)
+    const detuneSlider = document.getElementById('detune');
+    const detuneValue = document.getElementById('detune-value');
+    if (detuneSlider && detuneValue) {
+        detuneSlider.addEventListener('input', (e) => {
+            const cents = parseInt(e.target.value);
+            detuneValue.textContent = e.target.value;
+            audioEngine.setDetune(cents);
+
+            // Visual feedback
+            showSliderFeedback(detuneSlider, detuneValue);
+        });
+    }
+
     // Reverb slider
     if (reverbSlider && reverbValue) {
         reverbSlider.addEventListener('input', (e) => {
             const reverb = parseInt(e.target.value) / 100;
             reverbValue.textContent = e.target.value;
             audioEngine.setReverb(reverb);
+            renderEffectsChain();
 
             // Visual feedback
             showSliderFeedback(reverbSlider, reverbValue);
@@ -111,6 +129,7 @@ function setupSliderListeners() {
             const freq = parseInt(e.target.value);
             filterFreqValue.textContent = freq;
             audioEngine.setFilterFrequency(freq);
+            renderEffectsChain();
 
             // Visual feedback
             showSliderFeedback(filterFreqSlider, filterFreqValue);
@@ -211,10 +230,7 @@ function setupAudioModeListeners() {
                 try {
                     audioEngine.applyPreset(e.target.value);
                     // Update UI to reflect preset values
-                    reverbSlider.value = Math.round(audioEngine.getReverb() * 100);
-                    reverbValue.textContent = reverbSlider.value;
-                    filterFreqSlider.value = audioEngine.getFilterFrequency();
-                    filterFreqValue.textContent = filterFreqSlider.value;
+                    renderEffectsChain();
 
                     // Visual feedback
                     const presets = audioEngine.getPresets();
@@ -229,6 +245,119 @@ function setupAudioModeListeners() {
         });
     }
 
+    // Frequency mapping strategy selector
+    const mappingStrategySelect = document.getElementById('mapping-strategy-select');
+    if (mappingStrategySelect) {
+        // Populate strategy options
+        const strategies = frequencyMapper.getStrategies();
+        Object.keys(strategies).forEach(key => {
+            const strategy = strategies[key];
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${strategy.name} - ${strategy.description}`;
+            mappingStrategySelect.appendChild(option);
+        });
+
+        mappingStrategySelect.value = frequencyMapper.getStrategy();
+
+        mappingStrategySelect.addEventListener('change', (e) => {
+            try {
+                handleMappingStrategyChange(e.target.value);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set mapping strategy');
+            }
+        });
+    }
+
+    // Spectral preprocessing controls
+    const preprocessor = frequencyMapper.getPreprocessor();
+    const baselineSelect = document.getElementById('baseline-select');
+    if (baselineSelect) {
+        // Populate baseline method options
+        const methods = preprocessor.getBaselineMethods();
+        Object.keys(methods).forEach(key => {
+            const method = methods[key];
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${method.name} - ${method.description}`;
+            baselineSelect.appendChild(option);
+        });
+
+        baselineSelect.value = preprocessor.getBaselineMethod();
+
+        baselineSelect.addEventListener('change', (e) => {
+            try {
+                preprocessor.setBaselineMethod(e.target.value);
+                handlePreprocessingChange();
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set baseline correction');
+            }
+        });
+    }
+
+    const normalizeToggle = document.getElementById('normalize-toggle');
+    if (normalizeToggle) {
+        normalizeToggle.checked = preprocessor.getVectorNormalization();
+
+        normalizeToggle.addEventListener('change', (e) => {
+            try {
+                preprocessor.setVectorNormalization(e.target.checked);
+                handleNormalizationChange();
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set vector normalization');
+            }
+        });
+    }
+
+    // Scale quantization selectors
+    const scaleSelect = document.getElementById('scale-select');
+    if (scaleSelect) {
+        // Populate scale options
+        const scales = scaleQuantizer.getScales();
+        Object.keys(scales).forEach(key => {
+            const scale = scales[key];
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${scale.name} - ${scale.description}`;
+            scaleSelect.appendChild(option);
+        });
+
+        scaleSelect.value = scaleQuantizer.getScale();
+
+        scaleSelect.addEventListener('change', (e) => {
+            try {
+                handleScaleChange(e.target.value);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set scale');
+            }
+        });
+    }
+
+    const scaleKeySelect = document.getElementById('scale-key-select');
+    if (scaleKeySelect) {
+        CONFIG.quantization.KEY_NAMES.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = name;
+            scaleKeySelect.appendChild(option);
+        });
+
+        scaleKeySelect.value = scaleQuantizer.getKey();
+
+        scaleKeySelect.addEventListener('change', (e) => {
+            try {
+                handleScaleKeyChange(parseInt(e.target.value, 10));
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set key');
+            }
+        });
+    }
+
+    const scalaImport = document.getElementById('scala-import');
+    if (scalaImport) {
+        scalaImport.addEventListener('change', handleScalaImport);
+    }
+
     // Playback mode selector
     const playbackModeSelect = document.getElementById('playback-mode-select');
     if (playbackModeSelect) {
@@ -255,6 +384,81 @@ function setupAudioModeListeners() {
         });
     }
 
+    // Scan mode sound source
+    const scanSourceSelect = document.getElementById('scan-source-select');
+    if (scanSourceSelect) {
+        const sources = audioEngine.getScanSources();
+        Object.keys(sources).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${sources[key].name} - ${sources[key].description}`;
+            scanSourceSelect.appendChild(option);
+        });
+        scanSourceSelect.value = audioEngine.getScanSource();
+
+        scanSourceSelect.addEventListener('change', (e) => {
+            try {
+                audioEngine.setScanSource(e.target.value);
+                Logger.log(`Scan source changed to: ${e.target.value}`);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set scan source');
+            }
+        });
+    }
+
+    // Stereo placement of peaks
+    const spatialModeSelect = document.getElementById('spatial-mode-select');
+    if (spatialModeSelect) {
+        const spatialModes = audioEngine.getSpatialModes();
+        Object.keys(spatialModes).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${spatialModes[key].name} - ${spatialModes[key].description}`;
+            spatialModeSelect.appendChild(option);
+        });
+        spatialModeSelect.value = audioEngine.getSpatialMode();
+
+        spatialModeSelect.addEventListener('change', (e) => {
+            try {
+                audioEngine.setSpatialMode(e.target.value);
+                Logger.log(`Spatial mode changed to: ${e.target.value}`);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set spatial mode');
+            }
+        });
+    }
+
+    // Random seed
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) {
+        seedInput.value = audioEngine.getSeed();
+
+        seedInput.addEventListener('change', (e) => {
+            try {
+                // An empty or partly typed field reads as '', which Number() would turn into seed 0
+                const text = e.target.value.trim();
+                if (!/^\d+$/.test(text)) {
+                    throw new Error('Invalid seed: must be an integer from 0 to 4294967295');
+                }
+                handleSeedChange(Number(text));
+            } catch (error) {
+                e.target.value = audioEngine.getSeed();
+                ErrorHandler.handle(error, 'Failed to set random seed');
+            }
+        });
+    }
+
+    const seedRandomize = document.getElementById('seed-randomize');
+    if (seedRandomize) {
+        seedRandomize.addEventListener('click', () => {
+            try {
+                handleSeedChange(AudioEngine.generateSeed());
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set random seed');
+            }
+        });
+    }
+
     // Loop toggle
     const loopToggle = document.getElementById('loop-toggle');
     if (loopToggle) {
@@ -270,6 +474,146 @@ function setupAudioModeListeners() {
             }
         });
     }
+
+    // Tempo sync
+    const tempoSyncToggle = document.getElementById('tempo-sync-toggle');
+    if (tempoSyncToggle) {
+        tempoSyncToggle.checked = audioEngine.getTempoSync();
+
+        tempoSyncToggle.addEventListener('change', (e) => {
+            try {
+                audioEngine.setTempoSync(e.target.checked);
+                updateMIDIArpeggioStep();
+                Logger.log(`Tempo sync: ${e.target.checked ? 'enabled' : 'disabled'}`);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set tempo sync');
+            }
+        });
+    }
+
+    const tempoSlider = document.getElementById('tempo-slider');
+    if (tempoSlider) {
+        tempoSlider.addEventListener('input', (e) => {
+            try {
+                handleTempoChange(parseInt(e.target.value));
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set tempo');
+            }
+        });
+    }
+
+    const subdivisionSelect = document.getElementById('subdivision-select');
+    if (subdivisionSelect) {
+        const subdivisions = audioEngine.getSubdivisions();
+        Object.keys(subdivisions).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = subdivisions[key].name;
+            subdivisionSelect.appendChild(option);
+        });
+        subdivisionSelect.value = audioEngine.getSubdivision();
+
+        subdivisionSelect.addEventListener('change', (e) => {
+            try {
+                audioEngine.setSubdivision(e.target.value);
+                updateMIDIArpeggioStep();
+                Logger.log(`Arpeggio step changed to: ${e.target.value}`);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set arpeggio step');
+            }
+        });
+    }
+}
+
+/**
+ * Setup effects chain editor listeners
+ */
+function setupEffectsChainListeners() {
+    const effectsChainList = document.getElementById('effects-chain-list');
+    if (!effectsChainList) return;
+
+    const chain = audioEngine.getEffectsChain();
+    const effectIdOf = (element) => Number(element.closest('[data-effect-id]').dataset.effectId);
+
+    // Add effect
+    const effectTypeSelect = document.getElementById('effect-type-select');
+    const effectAddButton = document.getElementById('effect-add');
+    if (effectTypeSelect && effectAddButton) {
+        const processors = chain.getProcessors();
+        Object.keys(processors).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${processors[key].name} - ${processors[key].description}`;
+            effectTypeSelect.appendChild(option);
+        });
+
+        effectAddButton.addEventListener('click', () => {
+            try {
+                chain.addEffect(effectTypeSelect.value);
+                renderEffectsChain();
+            } catch (error) {
+                ErrorHandler.handle(error, `Failed to add effect: ${error.message}`);
+            }
+        });
+    }
+
+    // Parameter sliders update the running effect without rebuilding the list
+    effectsChainList.addEventListener('input', (e) => {
+        const param = e.target.dataset.param;
+        if (!param) return;
+
+        try {
+            const id = effectIdOf(e.target);
+            chain.setEffectParams(id, { [param]: parseFloat(e.target.value) });
+
+            const effect = chain.getEffect(id);
+            const spec = chain.getProcessors()[effect.type].params[param];
+            const valueDisplay = e.target.parentElement.querySelector('.effect-value');
+            valueDisplay.textContent = formatEffectValue(effect.params[param], spec);
+
+            if (effect.type === 'reverb' || effect.type === 'filter') {
+                syncEffectSliders();
+            }
+        } catch (error) {
+            ErrorHandler.handle(error, 'Failed to set effect parameter');
+        }
+    });
+
+    // Bypass toggles
+    effectsChainList.addEventListener('change', (e) => {
+        if (e.target.dataset.action !== 'toggle') return;
+
+        try {
+            chain.setEffectEnabled(effectIdOf(e.target), e.target.checked);
+            renderEffectsChain();
+        } catch (error) {
+            ErrorHandler.handle(error, 'Failed to toggle effect');
+        }
+    });
+
+    // Reorder and remove
+    effectsChainList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        try {
+            const id = effectIdOf(button);
+            const index = chain.getEffects().findIndex(effect => effect.id === id);
+
+            if (button.dataset.action === 'up') {
+                chain.moveEffect(id, index - 1);
+            } else if (button.dataset.action === 'down') {
+                chain.moveEffect(id, index + 1);
+            } else if (button.dataset.action === 'remove') {
+                chain.removeEffect(id);
+            }
+            renderEffectsChain();
+        } catch (error) {
+            ErrorHandler.handle(error, 'Failed to edit effects chain');
+        }
+    });
+
+    renderEffectsChain();
 }
 
 /**
@@ -288,6 +632,12 @@ function setupImportExportListeners() {
         jcampImport.addEventListener('change', handleJCAMPImport);
     }
 
+    // Instrument and other registered formats
+    const spectrumImport = document.getElementById('spectrum-import');
+    if (spectrumImport) {
+        spectrumImport.addEventListener('change', handleSpectrumImport);
+    }
+
     // Download Template
     const downloadTemplate = document.getElementById('download-template');
     if (downloadTemplate) {
@@ -296,17 +646,24 @@ function setupImportExportListeners() {
         });
     }
 
-    // Export WAV
-    const exportWAV = document.getElementById('export-wav');
-    if (exportWAV) {
-        exportWAV.addEventListener('click', handleExportWAV);
+    // Export audio (WAV, FLAC, Ogg/Opus, MP3)
+    const exportAudio = document.getElementById('export-audio');
+    if (exportAudio) {
+        exportAudio.addEventListener('click', handleExportAudio);
     }
 
-    // Export MP3
-    const exportMP3 = document.getElementById('export-mp3');
-    if (exportMP3) {
-        exportMP3.addEventListener('click', handleExportMP3);
+    const audioExportFormat = document.getElementById('audio-export-format');
+    if (audioExportFormat) {
+        audioExportFormat.addEventListener('change', updateAudioExportOptions);
     }
+
+    // Export spectrum and peak table (JCAMP-DX, CSV, JSON)
+    ['export-jcamp', 'export-csv', 'export-json', 'export-peaks'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => handleSpectrumExport(button.dataset.format));
+        }
+    });
 }
 
 /**
@@ -315,7 +672,45 @@ function setupImportExportListeners() {
 function setupMIDIListeners() {
     const refreshMIDIButton = document.getElementById('refresh-midi-devices');
     if (refreshMIDIButton) {
-        refreshMIDIButton.addEventListener('click', refreshMIDIDevices);
+        refreshMIDIButton.addEventListener('click', () => {
+            refreshMIDIDevices();
+            refreshMIDIInputDevices();
+        });
+    }
+
+    const midiInputSelect = document.getElementById('midi-input-select');
+    if (midiInputSelect) {
+        midiInputSelect.addEventListener('change', (e) => {
+            if (midiInput) {
+                midiInput.selectInput(e.target.value);
+            }
+        });
+    }
+
+    // MIDI learn: Learn waits for the next CC, clear removes a mapping
+    const midiMappingsBody = document.getElementById('midi-cc-mappings');
+    if (midiMappingsBody) {
+        midiMappingsBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button || !midiInput) return;
+
+            try {
+                const target = button.closest('[data-target]').dataset.target;
+                if (button.dataset.action === 'learn') {
+                    if (midiInput.getLearnTarget() === target) {
+                        midiInput.cancelLearn();
+                    } else {
+                        midiInput.learn(target);
+                    }
+                } else if (button.dataset.action === 'clear') {
+                    midiInput.removeMapping(target);
+                    Settings.set('midiCCMappings', midiInput.getMappings());
+                }
+                renderMIDIMappings();
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to edit MIDI mapping');
+            }
+        });
     }
 
     const midiDeviceSelect = document.getElementById('midi-device-select');
@@ -357,16 +752,41 @@ function setupMIDIListeners() {
         });
     }
 
+    const midiPitchBendToggle = document.getElementById('midi-pitch-bend');
+    if (midiPitchBendToggle) {
+        midiPitchBendToggle.addEventListener('change', (e) => {
+            if (midiOutput) {
+                midiOutput.setPitchBend(e.target.checked);
+            }
+        });
+    }
+
     const exportMIDIButton = document.getElementById('export-midi-file');
     if (exportMIDIButton) {
         exportMIDIButton.addEventListener('click', handleExportMIDIFile);
     }
 
-    const midiTempoSlider = document.getElementById('midi-tempo');
-    const midiTempoValue = document.getElementById('midi-tempo-value');
-    if (midiTempoSlider) {
-        midiTempoSlider.addEventListener('input', (e) => {
-            midiTempoValue.textContent = e.target.value;
+    const midiClockModeSelect = document.getElementById('midi-clock-mode-select');
+    if (midiClockModeSelect && midiClock) {
+        const clockModes = midiClock.getModes();
+        Object.keys(clockModes).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${clockModes[key].name} - ${clockModes[key].description}`;
+            midiClockModeSelect.appendChild(option);
+        });
+        midiClockModeSelect.value = midiClock.getMode();
+
+        midiClockModeSelect.addEventListener('change', (e) => {
+            try {
+                midiClock.setMode(e.target.value);
+                if (e.target.value === 'master' && audioEngine.isPlaying) {
+                    midiClock.start();
+                }
+                Logger.log(`MIDI clock mode changed to: ${e.target.value}`);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set MIDI clock mode');
+            }
         });
     }
 }
@@ -459,6 +879,135 @@ function setupSidebarListeners() {
     });
 }
 
+/**
+ * Setup peak mixer table listeners
+ */
+function setupPeakMixerListeners() {
+    const peakMixerBody = document.getElementById('peak-mixer-body');
+    if (!peakMixerBody) return;
+
+    const mixer = audioEngine.getPeakMixer();
+    const wavenumberOf = (element) => Number(element.closest('[data-wavenumber]').dataset.wavenumber);
+
+    // Gain and detune sliders glide the sounding voices without rebuilding the table
+    peakMixerBody.addEventListener('input', (e) => {
+        const setting = e.target.dataset.setting;
+        if (setting !== 'gain' && setting !== 'detune') return;
+
+        try {
+            const value = parseFloat(e.target.value);
+            mixer.setChannel(wavenumberOf(e.target), { [setting]: value });
+            e.target.parentElement.querySelector('.mixer-value').textContent = formatPeakMixerValue(setting, value);
+        } catch (error) {
+            ErrorHandler.handle(error, 'Failed to set peak mixer');
+        }
+    });
+
+    // Mute, solo and waveform
+    peakMixerBody.addEventListener('change', (e) => {
+        const setting = e.target.dataset.setting;
+        if (setting !== 'mute' && setting !== 'solo' && setting !== 'waveform') return;
+
+        try {
+            const value = setting === 'waveform' ? e.target.value : e.target.checked;
+            mixer.setChannel(wavenumberOf(e.target), { [setting]: value });
+            if (setting !== 'waveform') {
+                // Solo changes which rows are audible
+                renderPeakMixer();
+            }
+        } catch (error) {
+            ErrorHandler.handle(error, 'Failed to set peak mixer');
+        }
+    });
+
+    const peakMixerReset = document.getElementById('peak-mixer-reset');
+    if (peakMixerReset) {
+        peakMixerReset.addEventListener('click', () => {
+            mixer.reset();
+            renderPeakMixer();
+        });
+    }
+}
+
+/**
+ * Setup spectrum instrument listeners (on-screen piano and options)
+ */
+function setupInstrumentListeners() {
+    const pianoKeyboard = document.getElementById('piano-keyboard');
+    if (!pianoKeyboard) return;
+
+    renderPianoKeyboard();
+
+    // Pointer events cover mouse and touch; a key held while the pointer
+    // slides off is released
+    const pressed = new Set();
+    const noteOf = (element) => {
+        const key = element.closest('[data-note]');
+        return key ? Number(key.dataset.note) : null;
+    };
+    const press = (e) => {
+        const note = noteOf(e.target);
+        if (note === null || pressed.has(note)) return;
+        e.preventDefault();
+        pressed.add(note);
+        handleNoteOn(note);
+    };
+    const release = (e) => {
+        const note = noteOf(e.target);
+        if (pressed.delete(note)) {
+            handleNoteOff(note);
+        }
+    };
+
+    pianoKeyboard.addEventListener('pointerdown', press);
+    pianoKeyboard.addEventListener('pointerup', release);
+    pianoKeyboard.addEventListener('pointerout', release);
+    pianoKeyboard.addEventListener('pointercancel', release);
+
+    // Keyboard access to the on-screen keys: Enter/Space press, release on keyup
+    pianoKeyboard.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.stopPropagation();
+        press(e);
+    });
+    pianoKeyboard.addEventListener('keyup', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            release(e);
+        }
+    });
+
+    const instrumentRootSelect = document.getElementById('instrument-root-select');
+    if (instrumentRootSelect) {
+        const roots = audioEngine.getInstrumentRoots();
+        Object.keys(roots).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = roots[key].name;
+            option.title = roots[key].description;
+            instrumentRootSelect.appendChild(option);
+        });
+        instrumentRootSelect.value = audioEngine.getInstrumentRoot();
+
+        instrumentRootSelect.addEventListener('change', (e) => {
+            try {
+                audioEngine.setInstrumentRoot(e.target.value);
+            } catch (error) {
+                ErrorHandler.handle(error, 'Failed to set instrument root');
+            }
+        });
+    }
+
+    const instrumentKeyboardToggle = document.getElementById('instrument-keyboard-toggle');
+    if (instrumentKeyboardToggle) {
+        instrumentKeyboardToggle.addEventListener('change', (e) => {
+            KeyboardShortcuts.setInstrumentEnabled(e.target.checked);
+            ScreenReader.announce(e.target.checked
+                ? 'Computer keyboard plays notes; letter shortcuts are off'
+                : 'Computer keyboard shortcuts restored');
+        });
+    }
+}
+
 /**
  * Main function to setup all event listeners
  * Replaces the monolithic setupEventListeners function
@@ -470,6 +1019,9 @@ function setupEventListeners() {
     setupSliderListeners();
     setupADSRListeners();
     setupAudioModeListeners();
+    setupEffectsChainListeners();
+    setupPeakMixerListeners();
+    setupInstrumentListeners();
     setupImportExportListeners();
     setupMIDIListeners();
     setupUIEnhancementListeners();
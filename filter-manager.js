@@ -13,7 +13,7 @@
  *
  * This module extracts filter-related functionality from app.js:
  * - Search filtering with debouncing
- * - Category filtering
+ * - Category filtering (including the user's saved spectra, 'my-spectra')
  * - Favorites filtering
  * - Filter status bar management
  * - Clear filter functionality
@@ -117,14 +117,28 @@ const FilterManager = (function() {
         // Clear existing options except the first one
         elements.substanceSelect.innerHTML = '<option value="">-- Select a Substance --</option>';
 
-        // Add filtered substances
+        // Add filtered substances, with the user's saved spectra in their own group
+        let userGroup = null;
         filteredData.forEach(item => {
             const option = document.createElement('option');
             option.value = item.id;
             option.textContent = item.name;
-            elements.substanceSelect.appendChild(option);
+
+            if (item.category === 'my-spectra') {
+                if (!userGroup) {
+                    userGroup = document.createElement('optgroup');
+                    userGroup.label = 'My Spectra';
+                }
+                userGroup.appendChild(option);
+            } else {
+                elements.substanceSelect.appendChild(option);
+            }
         });
 
+        if (userGroup) {
+            elements.substanceSelect.appendChild(userGroup);
+        }
+
         // Update results count
         if (elements.resultsCount) {
             elements.resultsCount.textContent = `${filteredData.length} substance${filteredData.length !== 1 ? 's' : ''}`;
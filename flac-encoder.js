@@ -0,0 +1,544 @@
+/**
+ * FLAC Encoder - Lossless FLAC encoding in plain JavaScript
+ *
+ * Purpose: Write integer PCM channels as a FLAC stream without any
+ * native codec or external library
+ *
+ * Dependencies: None
+ *
+ * Exports:
+ * - FLACEncoder class - Static encoding helpers
+ *
+ * Usage:
+ * ```javascript
+ * const channels = [leftInt32, rightInt32];
+ * const bytes = FLACEncoder.encode(channels, 44100, 16, [['TITLE', 'Caffeine']]);
+ * ```
+ *
+ * Each frame holds BLOCK_SIZE samples per channel. Every channel is coded
+ * with the cheapest of a constant, verbatim or fixed-predictor subframe
+ * (orders 0-4) with partitioned Rice residuals, and stereo frames pick the
+ * cheapest of independent, left/side, side/right and mid/side coding.
+ * STREAMINFO leaves the MD5 signature unset (all zeros), which decoders
+ * treat as "not computed".
+ */
+
+class FLACEncoder {
+    /**
+     * Encode integer PCM channels as a FLAC file
+     *
+     * @param {Array<Int32Array>} channels - One array of signed samples per channel (1-8 channels)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitsPerSample - Sample size: 16 or 24
+     * @param {Array<Array<string>>} [comments] - Vorbis comments as [field, value] pairs
+     * @returns {Uint8Array} FLAC file bytes
+     * @throws {Error} If the channels, sample rate or sample size are invalid
+     */
+    static encode(channels, sampleRate, bitsPerSample, comments = []) {
+        if (!Array.isArray(channels) || channels.length === 0 || channels.length > 8) {
+            throw new Error('Invalid channels: FLAC supports 1 to 8 channels');
+        }
+        if (!FLACEncoder.BITS_PER_SAMPLE.includes(bitsPerSample)) {
+            throw new Error(`Invalid sample size: FLAC export supports ${FLACEncoder.BITS_PER_SAMPLE.join(' or ')} bits`);
+        }
+        if (!Number.isInteger(sampleRate) || sampleRate <= 0 || sampleRate > 655350) {
+            throw new Error('Invalid sample rate: must be a positive integer up to 655350 Hz');
+        }
+
+        const totalSamples = channels[0].length;
+        const frames = [];
+        for (let start = 0, number = 0; start < totalSamples; start += FLACEncoder.BLOCK_SIZE, number++) {
+            const block = channels.map(channel => channel.subarray(start, start + FLACEncoder.BLOCK_SIZE));
+            frames.push(this.encodeFrame(block, number, sampleRate, bitsPerSample));
+        }
+
+        const frameSizes = frames.map(frame => frame.length);
+        const blockSize = Math.max(16, Math.min(FLACEncoder.BLOCK_SIZE, totalSamples));
+        const streamInfo = this.createStreamInfo({
+            blockSize,
+            minFrameSize: frames.length ? Math.min(...frameSizes) : 0,
+            maxFrameSize: frames.length ? Math.max(...frameSizes) : 0,
+            sampleRate,
+            channels: channels.length,
+            bitsPerSample,
+            totalSamples
+        });
+        const vorbisComment = this.createVorbisComment(FLACEncoder.VENDOR, comments);
+
+        const parts = [
+            new Uint8Array([0x66, 0x4C, 0x61, 0x43]), // "fLaC"
+            this.createMetadataHeader(0, streamInfo.length, false),
+            streamInfo,
+            this.createMetadataHeader(4, vorbisComment.length, true),
+            vorbisComment,
+            ...frames
+        ];
+
+        return FLACEncoder.concat(parts);
+    }
+
+    /**
+     * Write a metadata block header
+     * @param {number} type - Block type (0 STREAMINFO, 4 VORBIS_COMMENT)
+     * @param {number} length - Block length in bytes
+     * @param {boolean} isLast - Whether this is the last metadata block
+     * @returns {Uint8Array} 4-byte header
+     * @private
+     */
+    static createMetadataHeader(type, length, isLast) {
+        return new Uint8Array([(isLast ? 0x80 : 0) | type, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF]);
+    }
+
+    /**
+     * Write the STREAMINFO block
+     * @param {Object} info - {blockSize, minFrameSize, maxFrameSize, sampleRate, channels, bitsPerSample, totalSamples}
+     * @returns {Uint8Array} 34-byte block (MD5 signature unset)
+     * @private
+     */
+    static createStreamInfo(info) {
+        const writer = new FLACBitWriter();
+        writer.write(info.blockSize, 16);
+        writer.write(info.blockSize, 16);
+        writer.write(info.minFrameSize, 24);
+        writer.write(info.maxFrameSize, 24);
+        writer.write(info.sampleRate, 20);
+        writer.write(info.channels - 1, 3);
+        writer.write(info.bitsPerSample - 1, 5);
+        writer.write(Math.floor(info.totalSamples / 0x10000), 20);
+        writer.write(info.totalSamples % 0x10000, 16);
+        for (let i = 0; i < 4; i++) {
+            writer.write(0, 32);
+        }
+        return writer.getBytes();
+    }
+
+    /**
+     * Write a VORBIS_COMMENT block
+     *
+     * Field names may only hold printable ASCII other than '='; invalid
+     * characters are replaced with '_'. Values are UTF-8.
+     *
+     * @param {string} vendor - Vendor string
+     * @param {Array<Array<string>>} comments - [field, value] pairs
+     * @returns {Uint8Array} Block body (little-endian lengths)
+     */
+    static createVorbisComment(vendor, comments) {
+        const encoder = new TextEncoder();
+        const entries = comments.map(([field, value]) => encoder.encode(
+            `${String(field).toUpperCase().replace(/[^\x20-\x3C\x3E-\x7D]/g, '_')}=${value}`
+        ));
+        const vendorBytes = encoder.encode(vendor);
+        const length = 8 + vendorBytes.length + entries.reduce((sum, entry) => sum + 4 + entry.length, 0);
+        const bytes = new Uint8Array(length);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, vendorBytes.length, true);
+        bytes.set(vendorBytes, 4);
+        let offset = 4 + vendorBytes.length;
+        view.setUint32(offset, entries.length, true);
+        offset += 4;
+        for (const entry of entries) {
+            view.setUint32(offset, entry.length, true);
+            bytes.set(entry, offset + 4);
+            offset += 4 + entry.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode one frame
+     * @param {Array<Int32Array>} block - Samples of each channel for this frame
+     * @param {number} number - Frame number
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitsPerSample - Sample size in bits
+     * @returns {Uint8Array} Frame bytes including header and CRCs
+     * @private
+     */
+    static encodeFrame(block, number, sampleRate, bitsPerSample) {
+        const blockSize = block[0].length;
+        let assignment = block.length - 1;
+        let subframes = block.map(samples => this.planSubframe(samples, bitsPerSample));
+
+        if (block.length === 2) {
+            const [left, right] = block;
+            const mid = new Int32Array(blockSize);
+            const side = new Int32Array(blockSize);
+            for (let i = 0; i < blockSize; i++) {
+                mid[i] = (left[i] + right[i]) >> 1;
+                side[i] = left[i] - right[i];
+            }
+            const midPlan = this.planSubframe(mid, bitsPerSample);
+            const sidePlan = this.planSubframe(side, bitsPerSample + 1);
+            const options = [
+                { assignment: 1, subframes },
+                { assignment: 8, subframes: [subframes[0], sidePlan] },
+                { assignment: 9, subframes: [sidePlan, subframes[1]] },
+                { assignment: 10, subframes: [midPlan, sidePlan] }
+            ];
+            const cost = option => option.subframes[0].bits + option.subframes[1].bits;
+            const best = options.reduce((a, b) => (cost(b) < cost(a) ? b : a));
+            assignment = best.assignment;
+            subframes = best.subframes;
+        }
+
+        const writer = new FLACBitWriter();
+        writer.write(0x3FFE, 14); // Sync code
+        writer.write(0, 1);
+        writer.write(0, 1); // Fixed block size
+        writer.write(0b0111, 4); // Block size - 1 follows as 16 bits
+        writer.write(FLACEncoder.SAMPLE_RATE_CODES[sampleRate] || 0, 4);
+        writer.write(assignment, 4);
+        writer.write(FLACEncoder.SAMPLE_SIZE_CODES[bitsPerSample], 3);
+        writer.write(0, 1);
+        for (const byte of FLACEncoder.encodeFrameNumber(number)) {
+            writer.write(byte, 8);
+        }
+        writer.write(blockSize - 1, 16);
+        writer.write(FLACEncoder.crc8(writer.getBytes()), 8);
+
+        subframes.forEach(plan => this.writeSubframe(writer, plan));
+        writer.alignToByte();
+
+        const crc = FLACEncoder.crc16(writer.getBytes());
+        writer.write(crc, 16);
+        return writer.getBytes();
+    }
+
+    /**
+     * Choose the cheapest subframe type for one channel
+     * @param {Int32Array} samples - Channel samples
+     * @param {number} bitsPerSample - Sample size of this subframe (one more for side channels)
+     * @returns {Object} {type, bits, samples, bitsPerSample, order, residual, rice}
+     * @private
+     */
+    static planSubframe(samples, bitsPerSample) {
+        const header = 8;
+        if (samples.every(sample => sample === samples[0])) {
+            return { type: 'constant', bits: header + bitsPerSample, samples, bitsPerSample };
+        }
+
+        let best = { type: 'verbatim', bits: header + samples.length * bitsPerSample, samples, bitsPerSample };
+        const maxOrder = Math.min(4, samples.length - 1);
+        for (let order = 0; order <= maxOrder; order++) {
+            const residual = this.getFixedResidual(samples, order);
+            const rice = this.planRice(residual, order, samples.length);
+            const bits = header + order * bitsPerSample + rice.bits;
+            if (bits < best.bits) {
+                best = { type: 'fixed', bits, samples, bitsPerSample, order, residual, rice };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Compute the residual of a fixed polynomial predictor
+     * @param {Int32Array} samples - Channel samples
+     * @param {number} order - Predictor order (0-4)
+     * @returns {Int32Array} Residual for samples[order..]
+     * @private
+     */
+    static getFixedResidual(samples, order) {
+        const residual = new Int32Array(samples.length - order);
+        for (let i = order; i < samples.length; i++) {
+            const s = samples;
+            let prediction = 0;
+            if (order === 1) prediction = s[i - 1];
+            else if (order === 2) prediction = 2 * s[i - 1] - s[i - 2];
+            else if (order === 3) prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+            else if (order === 4) prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+            residual[i - order] = s[i] - prediction;
+        }
+        return residual;
+    }
+
+    /**
+     * Choose the partition order and Rice parameters for a residual
+     *
+     * Costs are estimated from the sum of the zigzag-folded residuals in each
+     * partition; the parameter near log2 of the mean is tried with its
+     * neighbours.
+     *
+     * @param {Int32Array} residual - Predictor residual
+     * @param {number} order - Predictor order
+     * @param {number} blockSize - Samples in the block
+     * @returns {Object} {bits, method, partitionOrder, parameters}
+     * @private
+     */
+    static planRice(residual, order, blockSize) {
+        const folded = new Float64Array(residual.length);
+        for (let i = 0; i < residual.length; i++) {
+            folded[i] = residual[i] >= 0 ? 2 * residual[i] : -2 * residual[i] - 1;
+        }
+
+        let best = null;
+        for (let partitionOrder = 0; partitionOrder <= FLACEncoder.MAX_PARTITION_ORDER; partitionOrder++) {
+            const partitions = 1 << partitionOrder;
+            if (blockSize % partitions !== 0 || (blockSize >> partitionOrder) <= order) {
+                break;
+            }
+
+            const parameters = [];
+            let bits = 6; // Coding method and partition order
+            let start = 0;
+            for (let p = 0; p < partitions; p++) {
+                const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+                let sum = 0;
+                for (let i = start; i < start + count; i++) {
+                    sum += folded[i];
+                }
+                start += count;
+
+                const estimate = sum > count ? Math.floor(Math.log2(sum / count)) : 0;
+                let partitionBest = null;
+                for (let k = Math.max(0, estimate - 1); k <= Math.min(FLACEncoder.MAX_RICE_PARAMETER, estimate + 1); k++) {
+                    const cost = count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+                    if (!partitionBest || cost < partitionBest.cost) {
+                        partitionBest = { k, cost };
+                    }
+                }
+                parameters.push(partitionBest.k);
+                bits += partitionBest.cost;
+            }
+
+            const method = parameters.some(k => k > 14) ? 1 : 0;
+            bits += partitions * (method === 1 ? 5 : 4);
+            if (!best || bits < best.bits) {
+                best = { bits, method, partitionOrder, parameters };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Write a planned subframe
+     * @param {FLACBitWriter} writer - Output
+     * @param {Object} plan - Result of planSubframe
+     * @private
+     */
+    static writeSubframe(writer, plan) {
+        const { samples, bitsPerSample } = plan;
+        writer.write(0, 1);
+
+        if (plan.type === 'constant') {
+            writer.write(0, 6);
+            writer.write(0, 1);
+            writer.writeSigned(samples[0], bitsPerSample);
+            return;
+        }
+
+        if (plan.type === 'verbatim') {
+            writer.write(1, 6);
+            writer.write(0, 1);
+            samples.forEach(sample => writer.writeSigned(sample, bitsPerSample));
+            return;
+        }
+
+        writer.write(0b001000 | plan.order, 6);
+        writer.write(0, 1);
+        for (let i = 0; i < plan.order; i++) {
+            writer.writeSigned(samples[i], bitsPerSample);
+        }
+
+        const { method, partitionOrder, parameters } = plan.rice;
+        const parameterBits = method === 1 ? 5 : 4;
+        writer.write(method, 2);
+        writer.write(partitionOrder, 4);
+        let start = 0;
+        parameters.forEach((k, p) => {
+            const count = (samples.length >> partitionOrder) - (p === 0 ? plan.order : 0);
+            writer.write(k, parameterBits);
+            for (let i = start; i < start + count; i++) {
+                const value = plan.residual[i];
+                const folded = value >= 0 ? 2 * value : -2 * value - 1;
+                writer.writeUnary(folded >>> k);
+                if (k > 0) {
+                    writer.write(folded & ((1 << k) - 1), k);
+                }
+            }
+            start += count;
+        });
+    }
+
+    /**
+     * Code a frame number in FLAC's extended UTF-8 form
+     * @param {number} number - Frame number (up to 31 bits)
+     * @returns {Array<number>} Bytes
+     * @private
+     */
+    static encodeFrameNumber(number) {
+        if (number < 0x80) {
+            return [number];
+        }
+        const bytes = [];
+        let value = number;
+        while (value >= (0x40 >> bytes.length)) {
+            bytes.unshift(0x80 | (value & 0x3F));
+            value = Math.floor(value / 64);
+        }
+        const prefix = (0xFF00 >> (bytes.length + 1)) & 0xFF;
+        return [prefix | value, ...bytes];
+    }
+
+    /**
+     * CRC-8 (polynomial x^8 + x^2 + x + 1, initial value 0) for frame headers
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} CRC
+     */
+    static crc8(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * CRC-16 (polynomial x^16 + x^15 + x^2 + 1, initial value 0) for whole frames
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} CRC
+     */
+    static crc16(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Array<Uint8Array>} parts - Byte arrays
+     * @returns {Uint8Array} Joined bytes
+     */
+    static concat(parts) {
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Most-significant-bit-first bit writer for FLAC frames
+ * @private
+ */
+class FLACBitWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.length = 0;
+        this.current = 0;
+        this.bitCount = 0;
+    }
+
+    /**
+     * Write an unsigned value
+     * @param {number} value - Value (below 2^bits)
+     * @param {number} bits - Number of bits (up to 32)
+     */
+    write(value, bits) {
+        for (let bit = bits - 1; bit >= 0; bit--) {
+            this.writeBit((value >>> bit) & 1);
+        }
+    }
+
+    /**
+     * Write a signed value in two's complement
+     * @param {number} value - Value
+     * @param {number} bits - Number of bits (up to 32)
+     */
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + Math.pow(2, bits) : value, bits);
+    }
+
+    /**
+     * Write a value in unary: that many 0 bits, then a 1 bit
+     * @param {number} value - Value
+     */
+    writeUnary(value) {
+        for (let i = 0; i < value; i++) {
+            this.writeBit(0);
+        }
+        this.writeBit(1);
+    }
+
+    /**
+     * Write one bit
+     * @param {number} bit - 0 or 1
+     */
+    writeBit(bit) {
+        this.current = (this.current << 1) | bit;
+        this.bitCount++;
+        if (this.bitCount === 8) {
+            if (this.length === this.bytes.length) {
+                const grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes);
+                this.bytes = grown;
+            }
+            this.bytes[this.length++] = this.current;
+            this.current = 0;
+            this.bitCount = 0;
+        }
+    }
+
+    /**
+     * Pad with 0 bits to the next byte boundary
+     */
+    alignToByte() {
+        while (this.bitCount !== 0) {
+            this.writeBit(0);
+        }
+    }
+
+    /**
+     * Get the complete bytes written so far
+     * @returns {Uint8Array} Bytes
+     */
+    getBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// Samples per channel in each frame
+FLACEncoder.BLOCK_SIZE = 4096;
+
+// Highest Rice partition order tried
+FLACEncoder.MAX_PARTITION_ORDER = 6;
+
+// Highest Rice parameter (5-bit parameters, escape code excluded)
+FLACEncoder.MAX_RICE_PARAMETER = 30;
+
+// Supported sample sizes in bits
+FLACEncoder.BITS_PER_SAMPLE = Object.freeze([16, 24]);
+
+// Vendor string in the VORBIS_COMMENT block
+FLACEncoder.VENDOR = 'Spectral Synthesizer FLAC encoder';
+
+// Frame header sample rate codes (others are read from STREAMINFO)
+FLACEncoder.SAMPLE_RATE_CODES = Object.freeze({
+    88200: 0b0001,
+    176400: 0b0010,
+    192000: 0b0011,
+    8000: 0b0100,
+    16000: 0b0101,
+    22050: 0b0110,
+    24000: 0b0111,
+    32000: 0b1000,
+    44100: 0b1001,
+    48000: 0b1010,
+    96000: 0b1011
+});
+
+// Frame header sample size codes
+FLACEncoder.SAMPLE_SIZE_CODES = Object.freeze({
+    16: 0b100,
+    24: 0b110
+});
@@ -5,6 +5,8 @@
  *
  * Dependencies:
  * - CONFIG (for frequency ranges and peak detection parameters)
+ * - SpectralPreprocessor (absorbance conversion and baseline correction)
+ * - PeakDetector (smoothing, prominence, width and shoulder detection)
  *
  * Exports:
  * - FrequencyMapper class - IR-to-audio mapping and peak detection
@@ -12,7 +14,8 @@
  * Core Concept:
  * FTIR spectra use wavenumbers (cm⁻¹, typically 400-4000) while audio uses
  * frequencies (Hz, typically 20-20,000). This class maps between these domains
- * using logarithmic scaling to preserve perceptual relationships.
+ * using a pluggable mapping strategy (logarithmic by default, which preserves
+ * perceptual relationships).
  *
  * Usage:
  * ```javascript
@@ -23,7 +26,7 @@
  *
  * // Extract peaks from spectrum
  * const peaks = mapper.extractPeaks(spectrum, 0.15, 20);
- * // Returns: [{wavenumber, absorbance, audioFreq}, ...]
+ * // Returns: [{wavenumber, absorbance, audioFreq, prominence, width, shoulder}, ...]
  *
  * // Get functional group info
  * const group = mapper.getFunctionalGroup(2950); // "C-H stretch"
@@ -31,17 +34,30 @@
  * // Get mapping summary
  * const info = mapper.getMappingInfo(peaks);
  * console.log(info);
+ *
+ * // Compare mapping strategies with custom ranges
+ * const melMapper = new FrequencyMapper({ strategy: 'mel', audioMin: 200, audioMax: 4000 });
+ * mapper.setStrategy('bark');
+ * mapper.setRanges({ irMin: 600, irMax: 3600 });
  * ```
  *
  * Mapping Details:
- * - Algorithm: Logarithmic scaling (preserves octave relationships)
- * - IR Range: 400-4000 cm⁻¹
- * - Audio Range: 20-8000 Hz (musical range)
- * - Higher IR wavenumber → Higher audio frequency
+ * - Strategies: linear, logarithmic (default), mel, bark, octave-folded
+ * - IR Range: 400-4000 cm⁻¹ (configurable per instance)
+ * - Audio Range: 100-8000 Hz (configurable per instance)
+ * - Higher IR wavenumber → Higher audio frequency (except octave-folded,
+ *   which wraps into a fixed octave window to keep harmonic ratios)
  *
  * Peak Detection:
- * - Finds local maxima in absorbance data
- * - Threshold-based filtering (default 0.15)
+ * - Runs the SpectralPreprocessor pipeline first (Beer–Lambert absorbance,
+ *   baseline correction, optional vector normalization, which peak
+ *   detection's scaling to the strongest band cancels)
+ * - PeakDetector smooths the absorbance (Savitzky–Golay) and keeps maxima
+ *   with enough prominence, at least MIN_SEPARATION cm⁻¹ apart, plus
+ *   second-derivative shoulders
+ * - Each peak carries its prominence and full width at half maximum
+ * - Intensities are relative to the strongest band (0-1), so the threshold
+ *   (default 0.15) does not depend on concentration or normalization
  * - Returns top N peaks sorted by intensity
  * - Includes functional group annotations
  *
@@ -54,7 +70,18 @@
  */
 
 class FrequencyMapper {
-    constructor() {
+    /**
+     * @param {Object} [options] - Per-instance overrides
+     * @param {string} [options.strategy] - Mapping strategy key (default from CONFIG)
+     * @param {number} [options.irMin] - Lower IR bound in cm⁻¹
+     * @param {number} [options.irMax] - Upper IR bound in cm⁻¹
+     * @param {number} [options.audioMin] - Lower audio bound in Hz
+     * @param {number} [options.audioMax] - Upper audio bound in Hz
+     * @param {SpectralPreprocessor} [options.preprocessor] - Preprocessing pipeline (default settings from CONFIG)
+     * @param {PeakDetector} [options.peakDetector] - Peak detector (default settings from CONFIG)
+     * @throws {Error} If the strategy or ranges are invalid
+     */
+    constructor(options = {}) {
         // Load configuration from global CONFIG object
         // FTIR typical range in wavenumbers (cm⁻¹)
         this.IR_MIN = CONFIG.frequency.IR_MIN;
@@ -64,16 +91,35 @@ class FrequencyMapper {
         this.AUDIO_MIN = CONFIG.frequency.AUDIO_MIN;
         this.AUDIO_MAX = CONFIG.frequency.AUDIO_MAX;
 
+        // Number of octaves used by the octave-folded strategy
+        this.FOLD_OCTAVES = CONFIG.frequency.FOLD_OCTAVES;
+
         // Peak detection parameters
         this.DEFAULT_THRESHOLD = CONFIG.peakDetection.DEFAULT_THRESHOLD;
         this.DEFAULT_MAX_PEAKS = CONFIG.peakDetection.DEFAULT_MAX_PEAKS;
+
+        // Active mapping strategy
+        this.strategy = CONFIG.frequency.DEFAULT_STRATEGY;
+
+        // Preprocessing pipeline run before peak detection
+        this.preprocessor = options.preprocessor || new SpectralPreprocessor();
+
+        // Smoothing, prominence, width and shoulder detection
+        this.peakDetector = options.peakDetector || new PeakDetector();
+
+        this.setRanges(options);
+        if (options.strategy !== undefined) {
+            this.setStrategy(options.strategy);
+        }
     }
 
     /**
-     * Map IR wavenumber to audio frequency using logarithmic scaling
+     * Map IR wavenumber to audio frequency using the active strategy
      *
-     * Uses logarithmic scaling to preserve perceptual relationships between
-     * frequencies. Higher IR wavenumbers map to higher audio frequencies.
+     * The wavenumber is clamped to the IR range and normalized to 0-1 before
+     * being handed to the strategy. With the default logarithmic strategy,
+     * higher IR wavenumbers map to higher audio frequencies with equal
+     * wavenumber steps producing equal musical intervals.
      *
      * @param {number} wavenumber - IR wavenumber in cm⁻¹
      * @returns {number} Audio frequency in Hz
@@ -90,59 +136,218 @@ class FrequencyMapper {
         // Normalize wavenumber to 0-1 range
         const normalized = (clampedWavenumber - this.IR_MIN) / (this.IR_MAX - this.IR_MIN);
 
-        // Apply logarithmic scaling for perceptual uniformity
-        const logMin = Math.log(this.AUDIO_MIN);
-        const logMax = Math.log(this.AUDIO_MAX);
+        const mapFn = FrequencyMapper.strategies[this.strategy];
+        return mapFn(normalized, clampedWavenumber, this);
+    }
+
+    /**
+     * Set the active mapping strategy
+     * @param {string} strategy - Strategy key (see getStrategies())
+     * @throws {Error} If the strategy is not registered
+     */
+    setStrategy(strategy) {
+        if (!Object.prototype.hasOwnProperty.call(FrequencyMapper.strategies, strategy)) {
+            throw new Error(`Invalid mapping strategy: ${strategy}`);
+        }
+        this.strategy = strategy;
+    }
+
+    /**
+     * Get the active mapping strategy
+     * @returns {string} Strategy key
+     */
+    getStrategy() {
+        return this.strategy;
+    }
+
+    /**
+     * Get available mapping strategies
+     * @returns {Object} Map of strategy key → {name, description}
+     */
+    getStrategies() {
+        const strategies = {};
+        Object.keys(FrequencyMapper.strategies).forEach(key => {
+            strategies[key] = CONFIG.mappingStrategies[key] || { name: key, description: 'Custom mapping' };
+        });
+        return strategies;
+    }
+
+    /**
+     * Override the IR and/or audio ranges for this instance
+     *
+     * Omitted bounds keep their current value.
+     *
+     * @param {Object} ranges - Range overrides
+     * @param {number} [ranges.irMin] - Lower IR bound in cm⁻¹
+     * @param {number} [ranges.irMax] - Upper IR bound in cm⁻¹
+     * @param {number} [ranges.audioMin] - Lower audio bound in Hz
+     * @param {number} [ranges.audioMax] - Upper audio bound in Hz
+     * @throws {Error} If a bound is not a positive number or min >= max
+     */
+    setRanges({ irMin = this.IR_MIN, irMax = this.IR_MAX, audioMin = this.AUDIO_MIN, audioMax = this.AUDIO_MAX } = {}) {
+        [irMin, irMax, audioMin, audioMax].forEach(value => {
+            if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+                throw new Error(`Invalid range bound: ${value}. Must be a positive number.`);
+            }
+        });
+        if (irMin >= irMax) {
+            throw new Error('Invalid IR range: minimum must be less than maximum');
+        }
+        if (audioMin >= audioMax) {
+            throw new Error('Invalid audio range: minimum must be less than maximum');
+        }
+
+        this.IR_MIN = irMin;
+        this.IR_MAX = irMax;
+        this.AUDIO_MIN = audioMin;
+        this.AUDIO_MAX = audioMax;
+    }
+
+    /**
+     * Get the current IR and audio ranges
+     * @returns {Object} {irMin, irMax, audioMin, audioMax}
+     */
+    getRanges() {
+        return {
+            irMin: this.IR_MIN,
+            irMax: this.IR_MAX,
+            audioMin: this.AUDIO_MIN,
+            audioMax: this.AUDIO_MAX
+        };
+    }
 
-        const audioFreq = Math.exp(logMin + normalized * (logMax - logMin));
+    /**
+     * Get the preprocessing pipeline used before peak detection
+     * @returns {SpectralPreprocessor} Preprocessor instance
+     */
+    getPreprocessor() {
+        return this.preprocessor;
+    }
 
-        return audioFreq;
+    /**
+     * Get the peak detector used by extractPeaks
+     * @returns {PeakDetector} Peak detector instance
+     */
+    getPeakDetector() {
+        return this.peakDetector;
+    }
+
+    /**
+     * Recompute audioFreq for existing peaks with the active strategy and ranges
+     *
+     * Lets peaks extracted before a strategy change sound with the current
+     * mapping.
+     *
+     * @param {Array} peaks - Array of peak objects with wavenumber
+     * @returns {Array} New array of peak objects with updated audioFreq
+     */
+    remapPeaks(peaks) {
+        return peaks.map(peak => ({
+            ...peak,
+            audioFreq: this.irToAudio(peak.wavenumber)
+        }));
+    }
+
+    /**
+     * Map peaks to the pitches they are played at
+     *
+     * The active strategy sets audioFreq, then an optional scale quantizer
+     * snaps it. AudioEngine and MIDIOutput both map through here, so audio
+     * and MIDI stay at the same pitches. Quantization may merge peaks that
+     * land on the same pitch, so the result can be shorter than the input.
+     *
+     * @param {Array} peaks - Array of peak objects with wavenumber
+     * @param {ScaleQuantizer|null} [scaleQuantizer=null] - Quantizer to apply after the strategy
+     * @returns {Array} New array of peak objects with updated audioFreq
+     */
+    mapPeaks(peaks, scaleQuantizer = null) {
+        const mapped = this.remapPeaks(peaks);
+        return scaleQuantizer ? scaleQuantizer.quantizePeaks(mapped) : mapped;
+    }
+
+    /**
+     * Convert Hz to mel (O'Shaughnessy formula)
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Mel value
+     */
+    static hzToMel(hz) {
+        return 2595 * Math.log10(1 + hz / 700);
+    }
+
+    /**
+     * Convert mel to Hz
+     * @param {number} mel - Mel value
+     * @returns {number} Frequency in Hz
+     */
+    static melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+
+    /**
+     * Convert Hz to Bark (Traunmüller approximation)
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Critical band rate in Bark
+     */
+    static hzToBark(hz) {
+        return (26.81 * hz) / (1960 + hz) - 0.53;
+    }
+
+    /**
+     * Convert Bark to Hz (inverse Traunmüller approximation)
+     * @param {number} bark - Critical band rate in Bark
+     * @returns {number} Frequency in Hz
+     */
+    static barkToHz(bark) {
+        return (1960 * (bark + 0.53)) / (26.28 - bark);
+    }
+
+    /**
+     * Register a custom mapping strategy
+     *
+     * @param {string} key - Strategy key
+     * @param {Function} mapFn - (normalized, wavenumber, mapper) => frequency in Hz
+     * @throws {Error} If key or mapFn are invalid
+     */
+    static registerStrategy(key, mapFn) {
+        if (typeof key !== 'string' || key.length === 0) {
+            throw new Error('Invalid strategy key: must be a non-empty string');
+        }
+        if (typeof mapFn !== 'function') {
+            throw new Error('Invalid strategy: must be a function');
+        }
+        FrequencyMapper.strategies[key] = mapFn;
     }
 
     /**
      * Extract peaks from FTIR spectrum for sonification
      *
-     * Identifies local maxima in the absorption spectrum that exceed the threshold.
+     * Preprocesses the spectrum (see SpectralPreprocessor), then finds bands with
+     * PeakDetector (smoothing, prominence, minimum separation, shoulders) that
+     * exceed the threshold. Intensities are scaled so the strongest band is 1.
      * Returns the most intense peaks up to maxPeaks limit.
      *
      * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
-     * @param {number} [threshold=0.15] - Minimum absorption intensity (0-1)
+     * @param {number} [threshold=0.15] - Minimum intensity relative to the strongest band (0-1)
      * @param {number} [maxPeaks=20] - Maximum number of peaks to extract
-     * @returns {Array} Array of {wavenumber, absorbance, audioFreq} objects sorted by intensity
+     * @returns {Array} Array of {wavenumber, absorbance, audioFreq, prominence, width, shoulder}
+     *   objects sorted by intensity (width is FWHM in cm⁻¹)
      * @throws {Error} If spectrum is invalid or empty
      */
     extractPeaks(spectrum, threshold = this.DEFAULT_THRESHOLD, maxPeaks = this.DEFAULT_MAX_PEAKS) {
         if (!Array.isArray(spectrum) || spectrum.length === 0) {
             throw new Error('Invalid spectrum: must be a non-empty array');
         }
-        // Convert transmittance to absorbance
-        // Absorbance = -log10(Transmittance/100)
-        // But for simplicity, we'll use: Absorbance = 1 - (Transmittance/100)
-        const absorbanceData = spectrum.map(point => ({
-            wavenumber: point.wavenumber,
-            absorbance: 1 - (point.transmittance / 100)
-        }));
 
-        // Find local maxima (peaks)
-        const peaks = [];
-        for (let i = 1; i < absorbanceData.length - 1; i++) {
-            const prev = absorbanceData[i - 1].absorbance;
-            const curr = absorbanceData[i].absorbance;
-            const next = absorbanceData[i + 1].absorbance;
-
-            // Check if current point is a local maximum
-            if (curr > prev && curr > next && curr > threshold) {
-                peaks.push({
-                    wavenumber: absorbanceData[i].wavenumber,
-                    absorbance: curr,
-                    audioFreq: this.irToAudio(absorbanceData[i].wavenumber)
-                });
-            }
-        }
+        // Beer–Lambert absorbance with baseline correction
+        const processed = this.preprocessor.process(spectrum);
 
-        // Sort peaks by absorbance (intensity) and take top N
-        peaks.sort((a, b) => b.absorbance - a.absorbance);
-        return peaks.slice(0, maxPeaks);
+        // Already sorted by intensity (strongest first); take top N
+        return this.peakDetector.detect(processed, threshold)
+            .slice(0, maxPeaks)
+            .map(peak => ({
+                ...peak,
+                audioFreq: this.irToAudio(peak.wavenumber)
+            }));
     }
 
     /**
@@ -165,11 +370,20 @@ class FrequencyMapper {
             info += `${idx + 1}. ${wavenumberStr} cm⁻¹ → ${audioFreqStr} Hz (intensity: ${intensityPercent}%)\n`;
         });
 
-        info += `\nMapping range: ${this.IR_MIN}-${this.IR_MAX} cm⁻¹ → ${this.AUDIO_MIN}-${this.AUDIO_MAX} Hz`;
+        info += `\nMapping range: ${this.IR_MIN}-${this.IR_MAX} cm⁻¹ → ${this.AUDIO_MIN}-${this.AUDIO_MAX} Hz (${this.getStrategyName()})`;
 
         return info;
     }
 
+    /**
+     * Get the display name of the active strategy
+     * @returns {string} Human-readable strategy name
+     */
+    getStrategyName() {
+        const info = this.getStrategies()[this.strategy];
+        return info ? info.name : this.strategy;
+    }
+
     /**
      * Get functional group annotation for a wavenumber
      * @param {number} wavenumber - IR wavenumber in cm⁻¹
@@ -189,3 +403,44 @@ class FrequencyMapper {
         return 'Fingerprint region';
     }
 }
+
+/**
+ * Mapping strategy registry
+ *
+ * Each strategy receives the normalized IR position (0-1), the clamped
+ * wavenumber and the mapper instance, and returns a frequency in Hz.
+ * Display names live in CONFIG.mappingStrategies.
+ */
+FrequencyMapper.strategies = {
+    'linear': (normalized, wavenumber, mapper) => {
+        return mapper.AUDIO_MIN + normalized * (mapper.AUDIO_MAX - mapper.AUDIO_MIN);
+    },
+
+    'logarithmic': (normalized, wavenumber, mapper) => {
+        const logMin = Math.log(mapper.AUDIO_MIN);
+        const logMax = Math.log(mapper.AUDIO_MAX);
+        return Math.exp(logMin + normalized * (logMax - logMin));
+    },
+
+    'mel': (normalized, wavenumber, mapper) => {
+        const melMin = FrequencyMapper.hzToMel(mapper.AUDIO_MIN);
+        const melMax = FrequencyMapper.hzToMel(mapper.AUDIO_MAX);
+        return FrequencyMapper.melToHz(melMin + normalized * (melMax - melMin));
+    },
+
+    'bark': (normalized, wavenumber, mapper) => {
+        const barkMin = FrequencyMapper.hzToBark(mapper.AUDIO_MIN);
+        const barkMax = FrequencyMapper.hzToBark(mapper.AUDIO_MAX);
+        return FrequencyMapper.barkToHz(barkMin + normalized * (barkMax - barkMin));
+    },
+
+    // Scale wavenumbers proportionally (IR_MIN → AUDIO_MIN) so overtones and
+    // combination bands keep their frequency ratios, then fold the result
+    // into a fixed window of octaves above AUDIO_MIN.
+    'octave-folded': (normalized, wavenumber, mapper) => {
+        const maxOctaves = Math.log2(mapper.AUDIO_MAX / mapper.AUDIO_MIN);
+        const windowOctaves = Math.min(mapper.FOLD_OCTAVES, maxOctaves);
+        const octaves = Math.log2(wavenumber / mapper.IR_MIN);
+        return mapper.AUDIO_MIN * Math.pow(2, octaves % windowOctaves);
+    },
+};
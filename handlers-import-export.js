@@ -5,7 +5,8 @@
  *
  * Dependencies:
  * - CSVImporter (for CSV parsing)
- * - JCAMPImporter (for JCAMP-DX parsing)
+ * - JCAMPImporter (for JCAMP-DX import, parsed by JCAMPParser)
+ * - SpectrumImporter (for format detection and instrument files)
  * - MP3Encoder (for MP3 encoding, optional)
  * - audioEngine (for audio generation)
  * - LoadingOverlay (for progress indication)
@@ -16,13 +17,18 @@
  * Exports:
  * - handleCSVImport(event, context) - Import FTIR data from CSV
  * - handleJCAMPImport(event, context) - Import FTIR data from JCAMP-DX
+ * - handleSpectrumImport(event, context) - Import FTIR data in any registered format
  * - handleWAVExport() - Export synthesized audio as WAV
  * - handleMP3Export() - Export synthesized audio as MP3 (requires lamejs)
  * - handleDownloadTemplate() - Download CSV template file
  *
+ * Selections of several files go to the batch importer (importSelectionAsBatch in app.js).
+ *
  * File Formats Supported:
  * - CSV: Two-column format (wavenumber, transmittance OR absorbance)
  * - JCAMP-DX: Standard spectroscopy format (.jdx, .dx, .jcamp)
+ * - Instrument files: Thermo SPA, Bruker OPUS, Galactic SPC, Perkin-Elmer SP
+ *   (detected by magic bytes, see SpectrumImporter)
  * - WAV: Uncompressed audio (works without dependencies)
  * - MP3: Compressed audio (requires lamejs library)
  *
@@ -37,6 +43,8 @@
  * @param {Object} context - Application context with libraryData, selectors, and handlers
  */
 async function handleCSVImport(e, context) {
+    if (importSelectionAsBatch(e)) return;
+
     const file = e.target.files[0];
     if (!file) return;
 
@@ -84,6 +92,8 @@ async function handleCSVImport(e, context) {
  * @param {Object} context - Application context
  */
 async function handleJCAMPImport(e, context) {
+    if (importSelectionAsBatch(e)) return;
+
     const file = e.target.files[0];
     if (!file) return;
 
@@ -119,6 +129,45 @@ async function handleJCAMPImport(e, context) {
     e.target.value = '';
 }
 
+/**
+ * Handle import of a file in any registered format
+ * @param {Event} e - File input change event
+ * @param {Object} context - Application context
+ */
+async function handleSpectrumImport(e, context) {
+    if (importSelectionAsBatch(e)) return;
+
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const { libraryData, substanceSelect, populateSubstanceSelector, handleSubstanceChange } = context;
+
+    try {
+        LoadingOverlay.show(`Importing ${file.name}...`);
+
+        const data = await SpectrumImporter.importFile(file);
+
+        // Add to library
+        libraryData.push(data);
+
+        // Repopulate selector
+        populateSubstanceSelector();
+
+        // Auto-select the imported substance
+        substanceSelect.value = libraryData.length - 1;
+        handleSubstanceChange();
+
+        LoadingOverlay.hide();
+        Toast.success(`Successfully imported: ${data.name} (${data.metadata.finalPoints} data points)`);
+    } catch (error) {
+        LoadingOverlay.hide();
+        ErrorHandler.handle(error, `Failed to import spectrum: ${error.message}`);
+    }
+
+    // Clear the file input so the same file can be imported again
+    e.target.value = '';
+}
+
 /**
  * Handle WAV export
  * @param {Object} context - Application context with currentPeaks, audioEngine, etc.
@@ -137,7 +137,7 @@ async function handleSendMIDI(context) {
  * @param {Object} context - Application context
  */
 async function handleExportMIDIFile(context) {
-    const { midiOutput, currentPeaks, substanceSelect } = context;
+    const { midiOutput, audioEngine, currentPeaks, substanceSelect } = context;
 
     if (!midiOutput) {
         Toast.warning('MIDI not available');
@@ -157,11 +157,10 @@ async function handleExportMIDIFile(context) {
         const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
         const filename = `${substanceName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.mid`;
 
-        // Get tempo from slider
-        const midiTempoSlider = document.getElementById('midi-tempo');
-        const tempo = midiTempoSlider ? parseInt(midiTempoSlider.value) : 120;
+        const tempo = audioEngine.getTempo();
 
-        await midiOutput.exportMIDIFile(currentPeaks, filename, tempo);
+        const notes = audioEngine.getNoteSchedule(currentPeaks);
+        await midiOutput.exportMIDIFile(notes, filename, { tempo });
 
         exportButton.disabled = false;
         exportButton.textContent = '📁 Export MIDI File';
@@ -8,6 +8,8 @@
  * - Retrieve cached categories for offline use
  * - Version management for cache invalidation
  * - Automatic cleanup of old data
+ * - "My Spectra": a personal library of user-imported spectra
+ * - Versioned schema with step-by-step migrations
  *
  * Usage:
  * ```javascript
@@ -20,9 +22,17 @@
  * // Retrieve category
  * const substances = await IndexedDBStorage.getCategory('opioids', '1.0.0');
  *
- * // Clear all data
+ * // Save an imported spectrum to My Spectra
+ * const saved = await IndexedDBStorage.saveUserSpectrum(substance);
+ * await IndexedDBStorage.renameUserSpectrum(saved.id, 'Sample 1');
+ *
+ * // Clear cached library data (My Spectra is kept)
  * await IndexedDBStorage.clear();
  * ```
+ *
+ * Schema versions:
+ * - 1: 'categories' and 'metadata' stores (library cache)
+ * - 2: 'userSpectra' store (My Spectra)
  */
 
 /* global indexedDB */
@@ -31,9 +41,16 @@ const IndexedDBStorage = (function() {
     'use strict';
 
     const DB_NAME = 'SpectralSynthLibrary';
-    const DB_VERSION = 1;
+    const DB_VERSION = 2;
     const STORE_NAME = 'categories';
     const INDEX_STORE_NAME = 'metadata';
+    const USER_STORE_NAME = 'userSpectra';
+
+    // Category assigned to every saved user spectrum
+    const USER_CATEGORY = 'my-spectra';
+
+    // Metadata fields that can be edited on a saved user spectrum
+    const USER_METADATA_FIELDS = ['name', 'formula', 'description', 'source'];
 
     let db = null;
 
@@ -42,6 +59,11 @@ const IndexedDBStorage = (function() {
      * @returns {Promise<IDBDatabase>}
      */
     async function init() {
+        // Reuse an open connection (LibraryLoader and the app both call init)
+        if (db) {
+            return db;
+        }
+
         return new Promise((resolve, reject) => {
             // Check if IndexedDB is supported
             if (!window.indexedDB) {
@@ -62,8 +84,24 @@ const IndexedDBStorage = (function() {
                 reject(error);
             };
 
+            // A tab running older code keeps its connection open and holds up the upgrade;
+            // carry on without IndexedDB rather than wait for that tab to close
+            request.onblocked = () => {
+                if (typeof Logger !== 'undefined') {
+                    Logger.warn('IndexedDB upgrade blocked by another open tab');
+                }
+                reject(new Error('IndexedDB upgrade blocked: close other tabs of this app and reload'));
+            };
+
             request.onsuccess = () => {
                 db = request.result;
+
+                // Let a newer version in another tab upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                };
+
                 if (typeof Logger !== 'undefined') {
                     Logger.log('✓ IndexedDB initialized');
                 }
@@ -72,21 +110,26 @@ const IndexedDBStorage = (function() {
 
             request.onupgradeneeded = (event) => {
                 const database = event.target.result;
+                const oldVersion = event.oldVersion;
 
-                // Create object store for categories
-                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                // Version 1: library category cache and index metadata
+                if (oldVersion < 1) {
                     const categoryStore = database.createObjectStore(STORE_NAME, { keyPath: 'name' });
                     categoryStore.createIndex('version', 'version', { unique: false });
                     categoryStore.createIndex('timestamp', 'timestamp', { unique: false });
-                }
 
-                // Create object store for metadata
-                if (!database.objectStoreNames.contains(INDEX_STORE_NAME)) {
                     database.createObjectStore(INDEX_STORE_NAME, { keyPath: 'key' });
                 }
 
+                // Version 2: user-imported spectra (My Spectra)
+                if (oldVersion < 2) {
+                    const userStore = database.createObjectStore(USER_STORE_NAME, { keyPath: 'id' });
+                    userStore.createIndex('name', 'name', { unique: false });
+                    userStore.createIndex('created', 'created', { unique: false });
+                }
+
                 if (typeof Logger !== 'undefined') {
-                    Logger.log('✓ IndexedDB schema created');
+                    Logger.log(`✓ IndexedDB schema migrated from version ${oldVersion} to ${DB_VERSION}`);
                 }
             };
         });
@@ -333,7 +376,170 @@ const IndexedDBStorage = (function() {
     }
 
     /**
-     * Clear all data from IndexedDB
+     * Save a spectrum to My Spectra
+     * Assigns an id and timestamps to new spectra; existing ids are overwritten.
+     * @param {Object} substance - Substance data ({name, formula, spectrum, ...})
+     * @returns {Promise<Object>} Saved record
+     */
+    async function saveUserSpectrum(substance) {
+        if (!db) {
+            throw new Error('IndexedDB not initialized. Call init() first.');
+        }
+
+        const now = Date.now();
+        const record = {
+            ...substance,
+            id: substance.id && String(substance.id).startsWith('user-') ? substance.id : createUserSpectrumId(),
+            category: USER_CATEGORY,
+            created: substance.created || now,
+            modified: now
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([USER_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(USER_STORE_NAME);
+            const request = store.put(record);
+
+            request.onsuccess = () => {
+                if (typeof Logger !== 'undefined') {
+                    Logger.log(`✓ Spectrum '${record.name}' saved to My Spectra`);
+                }
+                resolve(record);
+            };
+
+            request.onerror = () => {
+                if (typeof Logger !== 'undefined') {
+                    Logger.error(`Failed to save spectrum '${record.name}':`, request.error);
+                }
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get all spectra in My Spectra, oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async function getUserSpectra() {
+        if (!db) {
+            throw new Error('IndexedDB not initialized. Call init() first.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([USER_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(USER_STORE_NAME);
+            const request = store.index('created').getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Edit the metadata of a spectrum in My Spectra
+     * Only name, formula, description and source can be changed.
+     * @param {string} id - Spectrum id
+     * @param {Object} changes - Metadata fields to update
+     * @returns {Promise<Object>} Updated record
+     */
+    async function updateUserSpectrum(id, changes) {
+        if (!db) {
+            throw new Error('IndexedDB not initialized. Call init() first.');
+        }
+
+        if ('name' in changes && !String(changes.name).trim()) {
+            throw new Error('Invalid spectrum name: name cannot be empty');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([USER_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(USER_STORE_NAME);
+            const request = store.get(id);
+            let record = null;
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    transaction.abort();
+                    reject(new Error(`Spectrum '${id}' not found in My Spectra`));
+                    return;
+                }
+
+                record = { ...request.result, modified: Date.now() };
+                USER_METADATA_FIELDS.forEach(field => {
+                    if (field in changes) {
+                        record[field] = String(changes[field]).trim();
+                    }
+                });
+                store.put(record);
+            };
+
+            transaction.oncomplete = () => {
+                if (typeof Logger !== 'undefined') {
+                    Logger.log(`✓ Spectrum '${record.name}' updated in My Spectra`);
+                }
+                resolve(record);
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Rename a spectrum in My Spectra
+     * @param {string} id - Spectrum id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated record
+     */
+    async function renameUserSpectrum(id, name) {
+        return updateUserSpectrum(id, { name });
+    }
+
+    /**
+     * Delete a spectrum from My Spectra
+     * @param {string} id - Spectrum id
+     * @returns {Promise<void>}
+     */
+    async function deleteUserSpectrum(id) {
+        if (!db) {
+            throw new Error('IndexedDB not initialized. Call init() first.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([USER_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(USER_STORE_NAME);
+            const request = store.delete(id);
+
+            request.onsuccess = () => {
+                if (typeof Logger !== 'undefined') {
+                    Logger.log(`✓ Spectrum '${id}' deleted from My Spectra`);
+                }
+                resolve();
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Create a unique id for a user spectrum
+     * @returns {string}
+     */
+    function createUserSpectrumId() {
+        return `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Clear cached library data from IndexedDB
+     * My Spectra is user data and is not cleared.
      * @returns {Promise<void>}
      */
     async function clear() {
@@ -420,6 +626,11 @@ const IndexedDBStorage = (function() {
         hasCategory,
         getAllCategoryNames,
         deleteCategory,
+        saveUserSpectrum,
+        getUserSpectra,
+        updateUserSpectrum,
+        renameUserSpectrum,
+        deleteUserSpectrum,
         clear,
         getStorageInfo,
         isSupported
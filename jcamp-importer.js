@@ -2,15 +2,18 @@
  * JCAMP-DX Importer - Import FTIR data from JCAMP-DX files
  *
  * JCAMP-DX is the standard format for spectroscopy data exchange.
- * This module provides browser-based parsing of JCAMP-DX files.
+ * This module provides browser-based import of JCAMP-DX files; the format
+ * itself is read by JCAMPParser (shared with build-library.js).
  */
 
 class JCAMPImporter {
     /**
      * Parse JCAMP-DX file containing FTIR data
      *
-     * Supports JCAMP-DX format with XYDATA or XYPOINTS sections.
-     * Handles both transmittance and absorbance data.
+     * Supports JCAMP-DX 5.x XYDATA (any ASDF compression), XYPOINTS,
+     * PEAK TABLE and NTUPLES data, in single or compound (##BLOCKS) files.
+     * The infrared block is imported from compound files. Handles both
+     * transmittance and absorbance data, and wavelength X units.
      *
      * @param {File} file - JCAMP-DX file from input element
      * @returns {Promise<Object>} Parsed spectrum data with metadata
@@ -42,8 +45,10 @@ class JCAMPImporter {
         const text = await file.text();
 
         // Parse JCAMP-DX format
-        const metadata = this.parseMetadata(text);
-        const spectrum = this.parseSpectrum(text, metadata);
+        const blocks = JCAMPParser.parse(text);
+        const block = JCAMPParser.selectSpectrum(blocks);
+        const metadata = block ? block.labels : {};
+        const spectrum = block ? this.parseSpectrum(block) : [];
 
         if (spectrum.length === 0) {
             throw new Error('No valid spectral data found in JCAMP file');
@@ -74,10 +79,12 @@ class JCAMPImporter {
                     Math.max(...finalSpectrum.map(p => p.wavenumber))
                 ],
                 importDate: new Date().toISOString(),
-                jcampVersion: metadata.jcampDx || 'Unknown',
-                dataType: metadata.dataType || 'Unknown',
-                xUnits: metadata.xUnits || 'cm⁻¹',
-                yUnits: metadata.yUnits || 'Transmittance'
+                jcampVersion: metadata.jcampdx || 'Unknown',
+                dataType: metadata.datatype || 'Unknown',
+                xUnits: 'cm⁻¹',
+                yUnits: block.yUnits || 'Transmittance',
+                blocks: blocks.length,
+                peakTable: block.peaks.length
             }
         };
     }
@@ -115,96 +122,30 @@ class JCAMPImporter {
     }
 
     /**
-     * Parse spectrum data from JCAMP-DX file
+     * Convert a parsed JCAMP-DX block to spectrum points
      *
-     * @param {string} text - JCAMP file content
-     * @param {Object} metadata - Parsed metadata
+     * Uses the continuous spectrum, or the peak table when the block has
+     * only peaks.
+     *
+     * @param {Object} block - Block from JCAMPParser.parse()
      * @returns {Array} Array of {wavenumber, transmittance} objects
      * @private
      */
-    static parseSpectrum(text, metadata) {
-        const spectrum = [];
-        const lines = text.split('\n');
-
-        // Determine if data is in XYDATA or XYPOINTS format
-        let inDataSection = false;
-        let dataFormat = null;
-        let xFactor = 1;
-        let yFactor = 1;
-        // Extract factors and ranges (firstX, lastX, numPoints reserved for future validation)
-        if (metadata.xfactor) xFactor = parseFloat(metadata.xfactor);
-        if (metadata.yfactor) yFactor = parseFloat(metadata.yfactor);
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-
-            // Start of data section
-            if (line.includes('##XYDATA') || line.includes('##XYPOINTS')) {
-                inDataSection = true;
-                dataFormat = line.includes('##XYDATA') ? 'XYDATA' : 'XYPOINTS';
-                continue;
-            }
-
-            // End of data section
-            if (line.startsWith('##') && inDataSection) {
-                inDataSection = false;
-                continue;
-            }
-
-            if (!inDataSection || !line) continue;
-
-            // Parse data based on format
-            if (dataFormat === 'XYPOINTS') {
-                // Format: X, Y pairs on each line
-                const parts = line.split(/[,\s]+/).filter(p => p);
-                if (parts.length >= 2) {
-                    const wavenumber = parseFloat(parts[0]) * xFactor;
-                    const value = parseFloat(parts[1]) * yFactor;
-
-                    if (!isNaN(wavenumber) && !isNaN(value)) {
-                        spectrum.push({
-                            wavenumber,
-                            transmittance: this.valueToTransmittance(value, metadata)
-                        });
-                    }
-                }
-            } else if (dataFormat === 'XYDATA') {
-                // XYDATA can be compressed with difference encoding
-                // Format: X followed by Y values, or compressed notation
-                const parts = line.split(/\s+/).filter(p => p);
-
-                for (const part of parts) {
-                    // Check if it's an X value (contains decimal point or is first value)
-                    if (part.includes('.') || spectrum.length === 0) {
-                        const x = parseFloat(part);
-                        if (!isNaN(x)) {
-                            // This is an X value, next values will be Y until next X
-                            const xValue = x * xFactor;
-                            // Store for next Y values
-                            if (!this.currentX) this.currentX = xValue;
-                        }
-                    } else {
-                        // This is a Y value
-                        const y = parseFloat(part);
-                        if (!isNaN(y) && this.currentX !== undefined) {
-                            spectrum.push({
-                                wavenumber: this.currentX,
-                                transmittance: this.valueToTransmittance(y * yFactor, metadata)
-                            });
-                            // Increment X for next point if we have deltaX
-                            if (metadata.deltax) {
-                                this.currentX += parseFloat(metadata.deltax) * xFactor;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-
-        // Reset currentX for next parse
-        delete this.currentX;
-
-        return spectrum;
+    static parseSpectrum(block) {
+        const points = block.points.length > 0 ? block.points : block.peaks;
+        const units = { ...block.labels, yunits: block.yUnits };
+
+        // Transmittance is usually a fraction in JCAMP-DX files (as build-library.js assumes)
+        const isTransmittance = /TRANS/i.test(block.yUnits || '');
+        const maxY = points.reduce((max, point) => Math.max(max, point.y), -Infinity);
+        const scale = isTransmittance && maxY <= 1.5 ? 100 : 1;
+
+        return points
+            .map(({ x, y }) => ({
+                wavenumber: JCAMPParser.toWavenumber(x, block.xUnits),
+                transmittance: this.valueToTransmittance(y * scale, units)
+            }))
+            .filter(point => isFinite(point.wavenumber) && !isNaN(point.transmittance));
     }
 
     /**
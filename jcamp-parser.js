@@ -0,0 +1,467 @@
+/**
+ * JCAMP-DX Parser Module
+ *
+ * Purpose: Spec-compliant JCAMP-DX 5.x reader, shared by the browser importer
+ * (JCAMPImporter) and the library build script (build-library.js)
+ *
+ * Dependencies: none
+ *
+ * Exports:
+ * - JCAMPParser class - Block, label and data table parsing
+ *
+ * Supported:
+ * - Labels: case, spaces, dashes, slashes and underscores are ignored, so
+ *   "##DATA TYPE" and "##DATATYPE" are both labels.datatype; $$ comments are
+ *   removed
+ * - Compound files: each ##TITLE...##END block (including blocks nested in a
+ *   ##BLOCKS link block) is read separately
+ * - ##XYDATA=(X++(Y..Y)) in AFFN, PAC, SQZ, DIF and DUP (ASDF) forms
+ * - ##XYPOINTS and ##PEAK TABLE in (XY..XY) and (XYW..XYW) forms
+ * - ##NTUPLES with ##DATA TABLE pages (the first page is read)
+ *
+ * Checks (an Error is thrown when one fails):
+ * - DIF Y check values: a line after one ending in DIF form must start by
+ *   repeating the previous line's last ordinate
+ * - Line abscissas against ##FIRSTX and the X spacing
+ * - The number of points against ##NPOINTS
+ *
+ * Usage:
+ * ```javascript
+ * const blocks = JCAMPParser.parse(text);
+ * const block = JCAMPParser.selectSpectrum(blocks);
+ * // block.labels.title, block.xUnits, block.yUnits
+ * // block.points: [{x, y}, ...] with factors applied
+ * // block.peaks: [{x, y}, ...] from ##PEAK TABLE
+ * ```
+ *
+ * Node Usage:
+ * Exported via module.exports when loaded with require().
+ */
+
+/* global module */
+
+class JCAMPParser {
+    /**
+     * Parse every block of a JCAMP-DX file
+     *
+     * @param {string} text - File content
+     * @returns {Array<Object>} Blocks with data, in file order:
+     *     {labels, xUnits, yUnits, points, peaks, pages}
+     * @throws {Error} If a data table fails a check
+     */
+    static parse(text) {
+        const blocks = [];
+        const open = [];
+        let current = null;
+        let table = null;
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/\$\$.*$/, '').trim();
+            const match = line.match(/^##([^=]*)=(.*)$/);
+
+            if (!match) {
+                if (table && line) {
+                    table.lines.push({ text: line, number: index + 1 });
+                }
+                return;
+            }
+
+            const label = JCAMPParser.normalizeLabel(match[1]);
+            const value = match[2].trim();
+            table = null;
+
+            // A TITLE inside a block starts a nested block
+            if (label === 'title' && current) {
+                open.push(current);
+                current = null;
+            }
+            if (!current) {
+                current = { labels: {}, tables: [] };
+            }
+
+            if (label === 'end') {
+                blocks.push(current);
+                current = open.pop() || null;
+                return;
+            }
+
+            if (label === 'page') {
+                current.page = value;
+            }
+            if (JCAMPParser.DATA_LABELS.includes(label)) {
+                table = { label, variables: value, page: current.page, lines: [] };
+                current.tables.push(table);
+            }
+
+            // Keep the first value, so NTUPLES pages don't replace block labels
+            if (current.labels[label] === undefined) {
+                current.labels[label] = value;
+            }
+        });
+
+        // Blocks missing their ##END
+        if (current) {
+            blocks.push(current);
+        }
+        blocks.push(...open.reverse());
+
+        return blocks
+            .map(block => JCAMPParser.readBlock(block))
+            .filter(block => block.points.length > 0 || block.peaks.length > 0);
+    }
+
+    /**
+     * Choose the block to import from a compound file
+     *
+     * Prefers blocks with a continuous spectrum, and infrared ones among those.
+     *
+     * @param {Array<Object>} blocks - Blocks from parse()
+     * @returns {Object|null} Chosen block, or null if there are none
+     */
+    static selectSpectrum(blocks) {
+        const continuous = blocks.filter(block => block.points.length > 0);
+        const infrared = continuous.find(block => /INFRARED/i.test(block.labels.datatype || ''));
+        return infrared || continuous[0] || blocks[0] || null;
+    }
+
+    /**
+     * Convert an abscissa to wavenumbers (cm⁻¹)
+     *
+     * @param {number} value - X value
+     * @param {string} xUnits - JCAMP XUNITS (1/CM, MICROMETERS, NANOMETERS)
+     * @returns {number} Wavenumber
+     */
+    static toWavenumber(value, xUnits) {
+        const units = (xUnits || '').toUpperCase();
+        if (units.includes('MICROMETER')) {
+            return 1e4 / value;
+        }
+        if (units.includes('NANOMETER')) {
+            return 1e7 / value;
+        }
+        return value;
+    }
+
+    /**
+     * Decode the data tables of a parsed block
+     * @param {Object} block - {labels, tables}
+     * @returns {Object} Block with points and peaks
+     * @private
+     */
+    static readBlock(block) {
+        const { labels, tables } = block;
+        const result = {
+            labels,
+            xUnits: labels.xunits || '1/CM',
+            yUnits: labels.yunits || '',
+            points: [],
+            peaks: [],
+            pages: tables.filter(table => table.label === 'datatable').length
+        };
+
+        for (const table of tables) {
+            if (table.label === 'peaktable') {
+                if (result.peaks.length === 0) {
+                    result.peaks = this.decodePoints(table, this.getParameters(labels));
+                }
+                continue;
+            }
+            if (result.points.length > 0) {
+                continue;
+            }
+
+            let parameters = this.getParameters(labels);
+            if (table.label === 'datatable') {
+                parameters = this.getPageParameters(labels, table.variables);
+                result.xUnits = parameters.xUnits || result.xUnits;
+                result.yUnits = parameters.yUnits || result.yUnits;
+            }
+
+            result.points = table.variables.includes('++')
+                ? this.decodeXYData(table, parameters)
+                : this.decodePoints(table, parameters);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the data parameters of a block
+     * @param {Object} labels - Block labels
+     * @returns {Object} {xFactor, yFactor, firstX, lastX, nPoints, deltaX}
+     * @private
+     */
+    static getParameters(labels) {
+        const number = value => (value === undefined || value === '' ? undefined : parseFloat(value));
+        return {
+            xFactor: number(labels.xfactor) || 1,
+            yFactor: number(labels.yfactor) || 1,
+            firstX: number(labels.firstx),
+            lastX: number(labels.lastx),
+            nPoints: number(labels.npoints),
+            deltaX: number(labels.deltax)
+        };
+    }
+
+    /**
+     * Get the data parameters of an NTUPLES page from its variable columns
+     *
+     * ##SYMBOL, ##UNITS, ##FIRST, ##LAST, ##FACTOR and ##VAR_DIM list one
+     * comma-separated value per variable.
+     *
+     * @param {Object} labels - Block labels
+     * @param {string} variables - Data table form, e.g. "(X++(Y..Y)), XYDATA"
+     * @returns {Object} Parameters as from getParameters(), plus xUnits and yUnits
+     * @private
+     */
+    static getPageParameters(labels, variables) {
+        const column = label => (labels[label] || '').split(',').map(value => value.trim());
+        const symbols = column('symbol').map(symbol => symbol.toUpperCase());
+        const form = variables.match(/\(\s*(\w)\+\+\s*\(\s*(\w)\.\./) || variables.match(/\(\s*(\w)(\w)\w*\.\./);
+        const x = symbols.indexOf(form ? form[1].toUpperCase() : 'X');
+        const y = symbols.indexOf(form ? form[2].toUpperCase() : 'Y');
+        if (x === -1 || y === -1) {
+            throw new Error(`Invalid JCAMP-DX NTUPLES: no columns for ${variables}`);
+        }
+
+        const value = (label, i) => column(label)[i];
+        return {
+            ...this.getParameters({
+                xfactor: value('factor', x),
+                yfactor: value('factor', y),
+                firstx: value('first', x),
+                lastx: value('last', x),
+                npoints: value('vardim', y)
+            }),
+            xUnits: value('units', x),
+            yUnits: value('units', y)
+        };
+    }
+
+    /**
+     * Decode an (X++(Y..Y)) table in any ASDF form
+     *
+     * Each line is an abscissa followed by ordinates. Abscissas are computed
+     * from FIRSTX and the spacing ((LASTX - FIRSTX) / (NPOINTS - 1), DELTAX,
+     * or the line abscissas), and each line's abscissa is checked against them.
+     *
+     * @param {Object} table - {lines: [{text, number}]}
+     * @param {Object} parameters - From getParameters()
+     * @returns {Array<Object>} [{x, y}, ...]
+     * @throws {Error} If a check fails
+     * @private
+     */
+    static decodeXYData(table, parameters) {
+        const { xFactor, yFactor, firstX, lastX, nPoints } = parameters;
+        const ys = [];
+        const lines = [];
+        let checkNext = false;
+
+        for (const { text, number } of table.lines) {
+            const { values, endsWithDif } = this.decodeLine(text);
+            if (values.length === 0) {
+                continue;
+            }
+
+            const [x, ...lineYs] = values;
+            let index = ys.length;
+
+            if (checkNext && ys.length > 0 && lineYs.length > 0) {
+                const previous = ys[ys.length - 1];
+                if (Math.abs(lineYs[0] - previous) > 1e-9 * Math.max(1, Math.abs(previous))) {
+                    throw new Error(`Invalid JCAMP-DX data: Y check value failed on line ${number}`);
+                }
+                lineYs.shift();
+                index--;
+            }
+
+            lines.push({ x: x * xFactor, index, number });
+            ys.push(...lineYs);
+            checkNext = endsWithDif;
+        }
+
+        if (ys.length === 0) {
+            return [];
+        }
+        if (nPoints !== undefined && ys.length !== nPoints) {
+            throw new Error(`Invalid JCAMP-DX data: expected ${nPoints} points (NPOINTS), found ${ys.length}`);
+        }
+
+        const start = firstX !== undefined ? firstX : lines[0].x;
+        let step = parameters.deltaX;
+        if (firstX !== undefined && lastX !== undefined && ys.length > 1) {
+            step = (lastX - firstX) / (ys.length - 1);
+        } else if (step === undefined && lines.length > 1) {
+            step = (lines[1].x - lines[0].x) / (lines[1].index - lines[0].index);
+        }
+        if (step === undefined || !isFinite(step)) {
+            if (ys.length > 1) {
+                throw new Error('Invalid JCAMP-DX data: cannot determine the X spacing (FIRSTX, LASTX or DELTAX)');
+            }
+            step = 0;
+        }
+
+        // Line abscissas are usually rounded, so allow up to one point of error
+        const tolerance = Math.abs(step) + 1e-9 * Math.abs(start);
+        for (const line of lines) {
+            if (Math.abs(line.x - (start + line.index * step)) > tolerance) {
+                throw new Error(`Invalid JCAMP-DX data: X value on line ${line.number} does not match FIRSTX and the X spacing`);
+            }
+        }
+
+        return ys.map((y, i) => ({ x: start + i * step, y: y * yFactor }));
+    }
+
+    /**
+     * Decode an (XY..XY) or (XYW..XYW) table
+     *
+     * @param {Object} table - {variables, lines}
+     * @param {Object} parameters - From getParameters()
+     * @returns {Array<Object>} [{x, y}, ...]
+     * @throws {Error} If the number of points doesn't match NPOINTS
+     * @private
+     */
+    static decodePoints(table, parameters) {
+        const form = table.variables.match(/\(([A-Z]+)\.\./i);
+        const width = form ? form[1].length : 2;
+        const numbers = [];
+
+        for (const { text } of table.lines) {
+            const found = text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+            if (found) {
+                numbers.push(...found.map(Number));
+            }
+        }
+
+        const points = [];
+        for (let i = 0; i + 1 < numbers.length; i += width) {
+            points.push({ x: numbers[i] * parameters.xFactor, y: numbers[i + 1] * parameters.yFactor });
+        }
+
+        // NPOINTS describes the XYPOINTS table, not the peak table
+        if (table.label !== 'peaktable' && parameters.nPoints !== undefined && points.length > 0 &&
+            points.length !== parameters.nPoints) {
+            throw new Error(`Invalid JCAMP-DX data: expected ${parameters.nPoints} points (NPOINTS), found ${points.length}`);
+        }
+
+        return points;
+    }
+
+    /**
+     * Decode one ASDF line into its values
+     *
+     * DIF tokens add to the previous value, and DUP tokens repeat the
+     * previous token (a value, or a difference) count - 1 more times.
+     *
+     * @param {string} line - Data line
+     * @returns {Object} {values, endsWithDif}
+     * @private
+     */
+    static decodeLine(line) {
+        const values = [];
+        let previous = null;
+
+        for (const token of this.tokenize(line)) {
+            if (token.type === 'DUP') {
+                if (!previous) {
+                    throw new Error(`Invalid JCAMP-DX data: DUP with nothing to repeat in "${line}"`);
+                }
+                for (let i = 1; i < token.value; i++) {
+                    values.push(previous.type === 'DIF' ? values[values.length - 1] + previous.value : previous.value);
+                }
+            } else if (token.type === 'DIF') {
+                if (values.length === 0) {
+                    throw new Error(`Invalid JCAMP-DX data: DIF with no previous value in "${line}"`);
+                }
+                values.push(values[values.length - 1] + token.value);
+                previous = token;
+            } else {
+                values.push(token.value);
+                previous = token;
+            }
+        }
+
+        return { values, endsWithDif: previous !== null && previous.type === 'DIF' };
+    }
+
+    /**
+     * Split an ASDF line into AFFN, SQZ, DIF and DUP tokens
+     *
+     * @param {string} line - Data line
+     * @returns {Array<Object>} [{type, value}, ...]
+     * @private
+     */
+    static tokenize(line) {
+        const tokens = [];
+        let type = null;
+        let text = '';
+
+        const finish = () => {
+            if (type && text !== '' && text !== '+' && text !== '-') {
+                tokens.push({ type, value: Number(text) });
+            }
+            type = null;
+            text = '';
+        };
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            const digit = JCAMPParser.ASDF_DIGITS[char];
+
+            if ((char >= '0' && char <= '9') || char === '.') {
+                if (!type) {
+                    type = 'AFFN';
+                }
+                text += char;
+            } else if ((char === 'E' || char === 'e') && type === 'AFFN' && /^[-+]\d/.test(line.slice(i + 1))) {
+                // Exponent of an AFFN number; a bare E or e followed by a digit is SQZ +5 or -5
+                text += char + line[++i];
+            } else if (char === '+' || char === '-') {
+                finish();
+                type = 'AFFN';
+                text = char;
+            } else if (digit) {
+                finish();
+                type = digit.type;
+                text = `${digit.sign < 0 ? '-' : ''}${digit.digit}`;
+            } else {
+                // Space, comma and anything unknown separate values
+                finish();
+            }
+        }
+        finish();
+
+        return tokens;
+    }
+
+    /**
+     * Normalize a label name
+     * @param {string} name - Label name as written
+     * @returns {string} Lowercase letters and digits only
+     * @private
+     */
+    static normalizeLabel(name) {
+        return name.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+}
+
+// Labels whose value is followed by data lines
+JCAMPParser.DATA_LABELS = Object.freeze(['xydata', 'xypoints', 'peaktable', 'datatable']);
+
+// ASDF characters: SQZ @A-I (+) a-i (-), DIF %J-R (+) j-r (-), DUP S-Z s (1-9)
+JCAMPParser.ASDF_DIGITS = Object.freeze((() => {
+    const digits = { '@': { type: 'SQZ', sign: 1, digit: 0 }, '%': { type: 'DIF', sign: 1, digit: 0 } };
+    for (let i = 1; i <= 9; i++) {
+        digits['ABCDEFGHI'[i - 1]] = { type: 'SQZ', sign: 1, digit: i };
+        digits['abcdefghi'[i - 1]] = { type: 'SQZ', sign: -1, digit: i };
+        digits['JKLMNOPQR'[i - 1]] = { type: 'DIF', sign: 1, digit: i };
+        digits['jklmnopqr'[i - 1]] = { type: 'DIF', sign: -1, digit: i };
+        digits['STUVWXYZs'[i - 1]] = { type: 'DUP', sign: 1, digit: i };
+    }
+    return digits;
+})());
+
+// Allow reuse from Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JCAMPParser;
+}
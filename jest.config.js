@@ -9,6 +9,7 @@ module.exports = {
         '!build-library.js',
         '!build.js',
         '!service-worker.js',
+        '!batch-import-worker.js',
         '!sw-register.js'
     ],
     coverageDirectory: 'coverage',
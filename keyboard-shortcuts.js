@@ -6,6 +6,7 @@
  * Dependencies:
  * - ModalManager (for shortcuts overlay)
  * - AppState (for state access)
+ * - CONFIG (for the instrument base note and octave range)
  * - DOM elements (playButton, selectAllButton, etc.)
  *
  * Exports:
@@ -17,6 +18,8 @@
  * - Navigation shortcuts (arrow keys)
  * - Action shortcuts (space, a, c, etc.)
  * - Help overlay (? key)
+ * - Instrument mode: the QWERTY rows play notes like a piano
+ *   (A W S E D F T G Y H U J K O L P ;), Z / X shift the octave
  *
  * Usage:
  * ```javascript
@@ -27,9 +30,14 @@
  *     onSelectAll: () => handleSelectAll(),
  *     onClearSelection: () => handleClearSelection(),
  *     onNavigate: (direction) => navigateSubstance(direction),
- *     onClearFilters: () => clearFilters()
+ *     onClearFilters: () => clearFilters(),
+ *     onNoteOn: (note) => handleNoteOn(note),
+ *     onNoteOff: (note) => handleNoteOff(note)
  * });
  *
+ * // Play notes from the computer keyboard (letter shortcuts are off meanwhile)
+ * KeyboardShortcuts.setInstrumentEnabled(true);
+ *
  * // Enable/disable shortcuts
  * KeyboardShortcuts.enable();
  * KeyboardShortcuts.disable();
@@ -46,6 +54,13 @@ const KeyboardShortcuts = (function() {
     let isEnabled = false;
     let handlers = {};
     let boundKeyHandler = null;
+    let boundKeyUpHandler = null;
+    let boundBlurHandler = null;
+
+    // Instrument mode state: octave shift and the note each held key started
+    let instrumentEnabled = false;
+    let octaveShift = 0;
+    const heldNotes = new Map();
 
     // Shortcut definitions
     const SHORTCUTS = {
@@ -61,6 +76,15 @@ const KeyboardShortcuts = (function() {
     // Keys that should have default behavior prevented
     const PREVENT_DEFAULT_KEYS = [' ', 'ArrowUp', 'ArrowDown', 'Escape', 'a', 'c'];
 
+    // Instrument mode: semitones above the base note for each key (piano layout:
+    // home row white keys, row above black keys)
+    const INSTRUMENT_KEYS = {
+        'a': 0, 'w': 1, 's': 2, 'e': 3, 'd': 4, 'f': 5, 't': 6, 'g': 7,
+        'y': 8, 'h': 9, 'u': 10, 'j': 11, 'k': 12, 'o': 13, 'l': 14, 'p': 15, ';': 16
+    };
+    const OCTAVE_DOWN = 'z';
+    const OCTAVE_UP = 'x';
+
     /**
      * Check if element is an input field
      * @param {HTMLElement} element - Element to check
@@ -90,6 +114,11 @@ const KeyboardShortcuts = (function() {
             return;
         }
 
+        // Note keys take over the letter shortcuts in instrument mode
+        if (instrumentEnabled && handleInstrumentKeydown(e)) {
+            return;
+        }
+
         // Prevent default for shortcuts we handle
         if (PREVENT_DEFAULT_KEYS.includes(e.key)) {
             e.preventDefault();
@@ -129,6 +158,77 @@ const KeyboardShortcuts = (function() {
         }
     }
 
+    /**
+     * Handle a key press in instrument mode
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True if the key was a note or octave key
+     * @private
+     */
+    function handleInstrumentKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+            return false;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === OCTAVE_DOWN || key === OCTAVE_UP) {
+            e.preventDefault();
+            const max = CONFIG.instrument.MAX_OCTAVE_SHIFT;
+            octaveShift = Math.max(-max, Math.min(max, octaveShift + (key === OCTAVE_UP ? 1 : -1)));
+            return true;
+        }
+
+        if (!(key in INSTRUMENT_KEYS)) {
+            return false;
+        }
+
+        e.preventDefault();
+        // Auto-repeat and keys already sounding do not retrigger
+        if (e.repeat || heldNotes.has(key)) {
+            return true;
+        }
+
+        const note = CONFIG.instrument.KEYBOARD_BASE_NOTE + octaveShift * 12 + INSTRUMENT_KEYS[key];
+        heldNotes.set(key, note);
+        if (handlers.onNoteOn) {
+            handlers.onNoteOn(note);
+        }
+        return true;
+    }
+
+    /**
+     * Handle key release (ends instrument notes)
+     * @param {KeyboardEvent} e - Keyboard event
+     * @private
+     */
+    function handleKeyup(e) {
+        const key = e.key.toLowerCase();
+        const note = heldNotes.get(key);
+        if (note === undefined) {
+            return;
+        }
+
+        heldNotes.delete(key);
+        if (handlers.onNoteOff) {
+            handlers.onNoteOff(note);
+        }
+    }
+
+    /**
+     * Release every note held from the keyboard
+     *
+     * Keyup never arrives for keys held while the window loses focus.
+     *
+     * @private
+     */
+    function releaseHeldNotes() {
+        heldNotes.forEach(note => {
+            if (handlers.onNoteOff) {
+                handlers.onNoteOff(note);
+            }
+        });
+        heldNotes.clear();
+    }
+
     /**
      * Handle play/stop shortcut
      * @private
@@ -211,6 +311,8 @@ const KeyboardShortcuts = (function() {
          * @param {Function} [config.onClearSelection] - Clear selection handler
          * @param {Function} [config.onNavigate] - Navigate handler (receives direction: -1 or 1)
          * @param {Function} [config.onClearFilters] - Clear filters handler
+         * @param {Function} [config.onNoteOn] - Instrument note start handler (receives a MIDI note number)
+         * @param {Function} [config.onNoteOff] - Instrument note end handler (receives a MIDI note number)
          */
         init(config = {}) {
             handlers = {
@@ -219,11 +321,15 @@ const KeyboardShortcuts = (function() {
                 onSelectAll: config.onSelectAll || null,
                 onClearSelection: config.onClearSelection || null,
                 onNavigate: config.onNavigate || null,
-                onClearFilters: config.onClearFilters || null
+                onClearFilters: config.onClearFilters || null,
+                onNoteOn: config.onNoteOn || null,
+                onNoteOff: config.onNoteOff || null
             };
 
-            // Create bound handler for cleanup
+            // Create bound handlers for cleanup
             boundKeyHandler = handleKeydown.bind(this);
+            boundKeyUpHandler = handleKeyup.bind(this);
+            boundBlurHandler = releaseHeldNotes.bind(this);
 
             // Auto-enable
             this.enable();
@@ -236,6 +342,8 @@ const KeyboardShortcuts = (function() {
             if (isEnabled) return;
 
             document.addEventListener('keydown', boundKeyHandler);
+            document.addEventListener('keyup', boundKeyUpHandler);
+            window.addEventListener('blur', boundBlurHandler);
             isEnabled = true;
         },
 
@@ -245,7 +353,10 @@ const KeyboardShortcuts = (function() {
         disable() {
             if (!isEnabled) return;
 
+            releaseHeldNotes();
             document.removeEventListener('keydown', boundKeyHandler);
+            document.removeEventListener('keyup', boundKeyUpHandler);
+            window.removeEventListener('blur', boundBlurHandler);
             isEnabled = false;
         },
 
@@ -257,6 +368,37 @@ const KeyboardShortcuts = (function() {
             return isEnabled;
         },
 
+        /**
+         * Turn instrument mode on or off
+         *
+         * While on, the note keys play notes instead of their shortcuts
+         * (Space, arrows, Esc and ? still work).
+         *
+         * @param {boolean} enabled - True to play notes from the keyboard
+         */
+        setInstrumentEnabled(enabled) {
+            instrumentEnabled = Boolean(enabled);
+            if (!instrumentEnabled) {
+                releaseHeldNotes();
+            }
+        },
+
+        /**
+         * Check if instrument mode is on
+         * @returns {boolean}
+         */
+        isInstrumentEnabled() {
+            return instrumentEnabled;
+        },
+
+        /**
+         * Get the octave shift of the note keys
+         * @returns {number} Octaves above (positive) or below KEYBOARD_BASE_NOTE
+         */
+        getOctaveShift() {
+            return octaveShift;
+        },
+
         /**
          * Show keyboard shortcuts help overlay
          */
@@ -287,6 +429,8 @@ const KeyboardShortcuts = (function() {
                 'A': 'Select all peaks',
                 'C': 'Clear selection',
                 'Esc': 'Clear filters',
+                'A–;': 'Play notes (instrument mode)',
+                'Z / X': 'Octave down / up (instrument mode)',
                 '?': 'Show this help'
             };
         },
@@ -298,6 +442,10 @@ const KeyboardShortcuts = (function() {
             this.disable();
             handlers = {};
             boundKeyHandler = null;
+            boundKeyUpHandler = null;
+            boundBlurHandler = null;
+            instrumentEnabled = false;
+            octaveShift = 0;
         }
     };
 })();
@@ -23,7 +23,7 @@
  * ```
  */
 
-/* global IndexedDBStorage */
+/* global IndexedDBStorage, SpectralPreprocessor */
 
 const LibraryLoader = (function() {
     'use strict';
@@ -111,6 +111,15 @@ const LibraryLoader = (function() {
         }
     }
 
+    /**
+     * Convert library entries from older builds to the current spectrum format
+     * @param {Array} substances - Entries as stored in a library file or the cache
+     * @returns {Array} Entries in SpectralPreprocessor.LIBRARY_FORMAT_VERSION
+     */
+    function upgradeEntries(substances) {
+        return substances.map(substance => SpectralPreprocessor.upgradeLibraryEntry(substance));
+    }
+
     /**
      * Load a specific category
      * @param {string} categoryName - Name of the category to load
@@ -136,11 +145,12 @@ const LibraryLoader = (function() {
             try {
                 const cachedSubstances = await IndexedDBStorage.getCategory(categoryName, libraryIndex.version);
                 if (cachedSubstances) {
-                    loadedCategories[categoryName] = cachedSubstances;
+                    const substances = upgradeEntries(cachedSubstances);
+                    loadedCategories[categoryName] = substances;
                     if (typeof Logger !== 'undefined') {
-                        Logger.log(`✓ Loaded ${cachedSubstances.length} substances from IndexedDB (offline cache)`);
+                        Logger.log(`✓ Loaded ${substances.length} substances from IndexedDB (offline cache)`);
                     }
-                    return cachedSubstances;
+                    return substances;
                 }
             } catch (error) {
                 // IndexedDB failed, continue to network fetch
@@ -162,7 +172,7 @@ const LibraryLoader = (function() {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const substances = await response.json();
+            const substances = upgradeEntries(await response.json());
 
             // Cache the loaded category in memory
             loadedCategories[categoryName] = substances;
@@ -214,7 +224,7 @@ const LibraryLoader = (function() {
                     throw new Error(`HTTP error! status: ${response.status}`);
                 }
 
-                const library = await response.json();
+                const library = upgradeEntries(await response.json());
 
                 if (typeof Logger !== 'undefined') {
                     Logger.log(`✓ Loaded ${library.length} spectra from monolithic library`);
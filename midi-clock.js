@@ -0,0 +1,244 @@
+/**
+ * MIDI Clock - Tempo and transport sync with DAWs and drum machines
+ *
+ * Three modes (CONFIG.clockModes):
+ * - 'internal': no clock messages are sent or followed
+ * - 'master': while running (start() to stop()), sends Timing Clock at
+ *   CONFIG.tempo.PPQN pulses per quarter note at the tempo, plus Start and
+ *   Stop, through a MIDIOutput. Pulses are handed to the output with Web
+ *   MIDI timestamps a little ahead of time (CONFIG.tempo.LOOKAHEAD), so timer
+ *   jitter doesn't move them
+ * - 'follow': measures the tempo of incoming Timing Clock over the last
+ *   beat and reports it, with the transport messages, through callbacks
+ *
+ * Incoming messages are passed in with handleMessage() (see MIDIInput.onClock).
+ *
+ * Callbacks (follow mode):
+ * - onTempoChange(bpm) - once per beat, when the measured tempo changes
+ * - onStart(), onContinue(), onStop() - transport messages
+ */
+
+class MIDIClock {
+    constructor() {
+        this.mode = CONFIG.tempo.DEFAULT_CLOCK_MODE;
+        this.bpm = CONFIG.tempo.DEFAULT_BPM;
+
+        // Master: output the clock is sent through, and the scheduler state
+        this.midiOutput = null;
+        this.running = false;
+        this.intervalId = null;
+        this.nextPulseTime = 0;
+
+        // Follow: timestamps of the last beat of incoming pulses
+        this.pulseTimes = [];
+        this.pulseCount = 0;
+
+        // Follow callbacks (see module header)
+        this.onTempoChange = null;
+        this.onStart = null;
+        this.onContinue = null;
+        this.onStop = null;
+    }
+
+    /**
+     * Set the clock mode
+     *
+     * Stops a running master clock.
+     *
+     * @param {string} mode - Mode key from CONFIG.clockModes
+     * @throws {Error} If mode is invalid
+     */
+    setMode(mode) {
+        if (!CONFIG.clockModes[mode]) {
+            throw new Error(`Invalid clock mode: ${mode}`);
+        }
+
+        this.stop();
+        this.mode = mode;
+        this.pulseTimes = [];
+        this.pulseCount = 0;
+    }
+
+    /**
+     * Get the clock mode
+     * @returns {string} Mode key
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Get available clock modes
+     * @returns {Object} Clock modes object from CONFIG
+     */
+    getModes() {
+        return CONFIG.clockModes;
+    }
+
+    /**
+     * Set the MIDI output a master clock is sent through
+     * @param {MIDIOutput|null} midiOutput - Output instance
+     */
+    setMIDIOutput(midiOutput) {
+        this.midiOutput = midiOutput;
+    }
+
+    /**
+     * Set the master clock tempo
+     *
+     * Applies from the next pulse.
+     *
+     * @param {number} bpm - Beats per minute, CONFIG.tempo.MIN_BPM to MAX_BPM
+     * @throws {Error} If bpm is out of range
+     */
+    setTempo(bpm) {
+        const { MIN_BPM, MAX_BPM } = CONFIG.tempo;
+        if (typeof bpm !== 'number' || isNaN(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+            throw new Error(`Invalid tempo: must be between ${MIN_BPM} and ${MAX_BPM} BPM`);
+        }
+        this.bpm = bpm;
+    }
+
+    /**
+     * Get the tempo (set, or measured when following)
+     * @returns {number} Beats per minute
+     */
+    getTempo() {
+        return this.bpm;
+    }
+
+    /**
+     * Start sending the clock (master mode)
+     *
+     * Sends Start, then pulses until stop(). Does nothing in other modes or
+     * without a selected output.
+     *
+     * @returns {boolean} True if the clock started
+     */
+    start() {
+        if (this.mode !== 'master' || this.running || !this.midiOutput || !this.midiOutput.hasSelectedDevice()) {
+            return false;
+        }
+
+        const now = window.performance.now();
+        this.midiOutput.sendRealtime(0xFA, now);
+        this.nextPulseTime = now;
+        this.running = true;
+
+        this.schedulePulses();
+        this.intervalId = setInterval(() => this.schedulePulses(), CONFIG.tempo.SCHEDULER_INTERVAL);
+        return true;
+    }
+
+    /**
+     * Stop sending the clock and send Stop (master mode)
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.running = false;
+        this.midiOutput.sendRealtime(0xFC);
+    }
+
+    /**
+     * Check if the master clock is running
+     * @returns {boolean} True while pulses are being sent
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Send every pulse due before the lookahead window ends
+     * @private
+     */
+    schedulePulses() {
+        const until = window.performance.now() + CONFIG.tempo.LOOKAHEAD * 1000;
+
+        while (this.nextPulseTime < until) {
+            this.midiOutput.sendRealtime(0xF8, this.nextPulseTime);
+            this.nextPulseTime += 60000 / (this.bpm * CONFIG.tempo.PPQN);
+        }
+    }
+
+    /**
+     * Handle an incoming clock or transport message (follow mode)
+     *
+     * @param {number} status - Status byte (0xF8 Timing Clock, 0xFA Start, 0xFB Continue, 0xFC Stop)
+     * @param {number} timestamp - Receive time in milliseconds
+     */
+    handleMessage(status, timestamp) {
+        if (this.mode !== 'follow') {
+            return;
+        }
+
+        switch (status) {
+            case 0xF8:
+                this.handlePulse(timestamp);
+                break;
+            case 0xFA:
+                this.pulseTimes = [];
+                this.pulseCount = 0;
+                this.emit('onStart');
+                break;
+            case 0xFB:
+                this.emit('onContinue');
+                break;
+            case 0xFC:
+                this.emit('onStop');
+                break;
+        }
+    }
+
+    /**
+     * Measure the tempo from a Timing Clock pulse
+     *
+     * Averages the pulse interval over the last beat and reports the tempo
+     * once per beat, when it has moved by at least 0.5 BPM (clock jitter
+     * would otherwise report a new tempo every beat).
+     *
+     * @param {number} timestamp - Receive time in milliseconds
+     * @private
+     */
+    handlePulse(timestamp) {
+        const ppqn = CONFIG.tempo.PPQN;
+
+        this.pulseTimes.push(timestamp);
+        if (this.pulseTimes.length > ppqn + 1) {
+            this.pulseTimes.shift();
+        }
+        this.pulseCount++;
+
+        if (this.pulseCount % ppqn !== 0 || this.pulseTimes.length <= ppqn) {
+            return;
+        }
+
+        const beat = this.pulseTimes[ppqn] - this.pulseTimes[0];
+        if (beat <= 0) {
+            return;
+        }
+
+        const { MIN_BPM, MAX_BPM } = CONFIG.tempo;
+        const bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(600000 / beat) / 10));
+        if (Math.abs(bpm - this.bpm) >= 0.5) {
+            this.bpm = bpm;
+            this.emit('onTempoChange', bpm);
+        }
+    }
+
+    /**
+     * Call a callback if it is set
+     * @param {string} name - Callback property name
+     * @param {...*} args - Callback arguments
+     * @private
+     */
+    emit(name, ...args) {
+        if (typeof this[name] === 'function') {
+            this[name](...args);
+        }
+    }
+}
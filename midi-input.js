@@ -0,0 +1,315 @@
+/**
+ * MIDI Input - Play spectra from a MIDI controller
+ *
+ * Uses the Web MIDI API to receive messages from hardware and software
+ * MIDI devices and turns them into callbacks:
+ * - Note on/off -> onNoteOn(note, velocity) / onNoteOff(note), velocity 0-1
+ * - Control change -> onControlChange(target, value) for CCs mapped to a
+ *   target in CONFIG.midiInput.TARGETS (value 0-1); mappings are made with
+ *   learn() ("MIDI learn") or setMapping()
+ * - Program change -> onProgramChange(program)
+ * - All Notes Off / All Sound Off -> onAllNotesOff()
+ * - Timing Clock, Start, Continue, Stop -> onClock(status, timestamp), for
+ *   MIDIClock to follow
+ *
+ * Messages on every channel are accepted (omni mode).
+ */
+
+class MIDIInput {
+    constructor() {
+        this.midiAccess = null;
+        this.selectedInput = null;
+        this.midiSupported = false;
+
+        // Control change number -> target key, and the target waiting for a CC
+        this.ccMappings = new Map();
+        this.learnTarget = null;
+
+        // Message callbacks (see module header)
+        this.onNoteOn = null;
+        this.onNoteOff = null;
+        this.onControlChange = null;
+        this.onProgramChange = null;
+        this.onAllNotesOff = null;
+
+        // Called with (target, cc) when MIDI learn maps a control
+        this.onLearn = null;
+
+        // Called with (status, timestamp in ms) for clock and transport messages
+        this.onClock = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Initialize MIDI access
+     *
+     * Requests MIDI access from the browser and detects available input devices.
+     *
+     * @returns {Promise<boolean>} True if MIDI is supported and initialized
+     * @throws {Error} If MIDI access is denied or not supported
+     */
+    async init() {
+        if (!navigator.requestMIDIAccess) {
+            this.midiSupported = false;
+            throw new Error('Web MIDI API not supported in this browser');
+        }
+
+        try {
+            this.midiAccess = await navigator.requestMIDIAccess();
+            this.midiSupported = true;
+            Logger.log('✓ MIDI input access granted');
+            return true;
+        } catch (error) {
+            this.midiSupported = false;
+            throw new Error(`Failed to access MIDI devices: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get list of available MIDI input devices
+     *
+     * @returns {Array} Array of MIDI input devices
+     */
+    getInputDevices() {
+        if (!this.midiAccess) {
+            return [];
+        }
+
+        const inputs = [];
+        for (const input of this.midiAccess.inputs.values()) {
+            inputs.push({
+                id: input.id,
+                name: input.name || 'Unknown Device',
+                manufacturer: input.manufacturer || 'Unknown',
+                state: input.state,
+                connection: input.connection
+            });
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Select the MIDI input device to listen to
+     *
+     * Stops listening to the previous device. An empty ID only deselects.
+     *
+     * @param {string} deviceId - ID of the MIDI input device
+     * @returns {boolean} True if a device was selected
+     */
+    selectInput(deviceId) {
+        if (this.selectedInput) {
+            this.selectedInput.onmidimessage = null;
+            this.selectedInput = null;
+        }
+
+        if (!this.midiAccess || !deviceId) {
+            return false;
+        }
+
+        const input = this.midiAccess.inputs.get(deviceId);
+        if (input) {
+            input.onmidimessage = this.handleMessage;
+            this.selectedInput = input;
+            Logger.log(`Selected MIDI input: ${input.name}`);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if MIDI is supported
+     * @returns {boolean} True if MIDI is supported
+     */
+    isSupported() {
+        return this.midiSupported;
+    }
+
+    /**
+     * Check if an input device is selected
+     * @returns {boolean} True if listening to a device
+     */
+    hasSelectedDevice() {
+        return this.selectedInput !== null;
+    }
+
+    /**
+     * Get the controls CCs can be mapped to
+     * @returns {Object} Targets from CONFIG.midiInput.TARGETS
+     */
+    getTargets() {
+        return CONFIG.midiInput.TARGETS;
+    }
+
+    /**
+     * Map the next control change received to a target (MIDI learn)
+     * @param {string} target - Key from CONFIG.midiInput.TARGETS
+     * @throws {Error} If target is not a known target
+     */
+    learn(target) {
+        MIDIInput.validateTarget(target);
+        this.learnTarget = target;
+    }
+
+    /**
+     * Stop waiting for a control change to learn
+     */
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    /**
+     * Get the target waiting for a control change
+     * @returns {string|null} Target key, or null when not learning
+     */
+    getLearnTarget() {
+        return this.learnTarget;
+    }
+
+    /**
+     * Map a control change number to a target
+     *
+     * Each target has at most one CC, and each CC controls one target, so
+     * previous mappings of either are replaced.
+     *
+     * @param {number} cc - Control change number (0 to CONFIG.midiInput.MAX_CC)
+     * @param {string} target - Key from CONFIG.midiInput.TARGETS
+     * @throws {Error} If cc or target is invalid
+     */
+    setMapping(cc, target) {
+        const maxCC = CONFIG.midiInput.MAX_CC;
+        if (!Number.isInteger(cc) || cc < 0 || cc > maxCC) {
+            throw new Error(`Invalid control change: must be an integer from 0 to ${maxCC}`);
+        }
+        MIDIInput.validateTarget(target);
+
+        this.removeMapping(target);
+        this.ccMappings.set(cc, target);
+    }
+
+    /**
+     * Remove a target's CC mapping
+     * @param {string} target - Target key
+     */
+    removeMapping(target) {
+        for (const [cc, mapped] of this.ccMappings) {
+            if (mapped === target) {
+                this.ccMappings.delete(cc);
+            }
+        }
+    }
+
+    /**
+     * Get the CC mapped to each target
+     * @returns {Object} {target: cc} for mapped targets
+     */
+    getMappings() {
+        const mappings = {};
+        this.ccMappings.forEach((target, cc) => {
+            mappings[target] = cc;
+        });
+        return mappings;
+    }
+
+    /**
+     * Replace every mapping (e.g. from saved settings)
+     * @param {Object} mappings - {target: cc}, as from getMappings()
+     * @throws {Error} If a mapping is invalid (nothing is changed)
+     */
+    setMappings(mappings) {
+        const previous = new Map(this.ccMappings);
+        this.ccMappings.clear();
+
+        try {
+            Object.keys(mappings).forEach(target => this.setMapping(mappings[target], target));
+        } catch (error) {
+            this.ccMappings = previous;
+            throw error;
+        }
+    }
+
+    /**
+     * Handle an incoming MIDI message
+     * @param {MIDIMessageEvent} event - Message event with data [status, data1, data2]
+     * @private
+     */
+    handleMessage(event) {
+        const [status, data1, data2] = event.data;
+        const type = status & 0xF0;
+
+        if (MIDIInput.CLOCK_MESSAGES.includes(status)) {
+            this.emit('onClock', status, event.timeStamp);
+            return;
+        }
+
+        if (type === 0x90 && data2 > 0) {
+            this.emit('onNoteOn', data1, data2 / 127);
+        } else if (type === 0x80 || type === 0x90) {
+            // Note on with velocity 0 is a note off
+            this.emit('onNoteOff', data1);
+        } else if (type === 0xB0) {
+            this.handleControlChange(data1, data2);
+        } else if (type === 0xC0) {
+            this.emit('onProgramChange', data1);
+        }
+    }
+
+    /**
+     * Handle a control change message
+     * @param {number} cc - Control change number
+     * @param {number} value - Value (0-127)
+     * @private
+     */
+    handleControlChange(cc, value) {
+        // Channel mode messages: All Sound Off (120) and All Notes Off (123)
+        if (cc === 120 || cc === 123) {
+            this.emit('onAllNotesOff');
+            return;
+        }
+        if (cc > CONFIG.midiInput.MAX_CC) {
+            return;
+        }
+
+        if (this.learnTarget) {
+            const target = this.learnTarget;
+            this.learnTarget = null;
+            this.setMapping(cc, target);
+            this.emit('onLearn', target, cc);
+            return;
+        }
+
+        const target = this.ccMappings.get(cc);
+        if (target) {
+            this.emit('onControlChange', target, value / 127);
+        }
+    }
+
+    /**
+     * Call a callback if it is set
+     * @param {string} name - Callback property name
+     * @param {...*} args - Callback arguments
+     * @private
+     */
+    emit(name, ...args) {
+        if (typeof this[name] === 'function') {
+            this[name](...args);
+        }
+    }
+
+    /**
+     * Validate a CC target
+     * @param {string} target - Target key
+     * @throws {Error} If target is not in CONFIG.midiInput.TARGETS
+     * @private
+     */
+    static validateTarget(target) {
+        if (!CONFIG.midiInput.TARGETS[target]) {
+            throw new Error(`Invalid MIDI control target: ${target}`);
+        }
+    }
+}
+
+// System real-time messages passed to onClock: Timing Clock, Start, Continue, Stop
+MIDIInput.CLOCK_MESSAGES = Object.freeze([0xF8, 0xFA, 0xFB, 0xFC]);
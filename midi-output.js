@@ -2,7 +2,13 @@
  * MIDI Output - Send spectral peaks as MIDI notes to external synthesizers
  *
  * Uses the Web MIDI API to communicate with hardware and software MIDI devices.
- * Maps audio frequencies from spectral peaks to MIDI note numbers.
+ * Maps audio frequencies from spectral peaks to MIDI note numbers, and writes
+ * the audio engine's note schedule as a Standard MIDI File (format 1).
+ *
+ * Notes are rounded to the nearest semitone unless pitch bend is enabled
+ * (setPitchBend()): each note then gets its own channel, bent to the exact
+ * frequency. Live output uses an MPE lower zone (channel 1 is the master
+ * channel, notes play on channels 2-16).
  */
 
 class MIDIOutput {
@@ -15,6 +21,66 @@ class MIDIOutput {
         this.velocity = 80; // 0-127
         this.noteDuration = 500; // milliseconds
         this.channel = 0; // MIDI channel 1 (0-indexed)
+
+        // Optional FrequencyMapper used to re-map peaks with the active strategy
+        this.frequencyMapper = null;
+
+        // Optional ScaleQuantizer used to snap notes to a musical scale
+        this.scaleQuantizer = null;
+
+        // Optional PeakMixer whose mute, solo, gain and detune apply to notes
+        this.peakMixer = null;
+
+        // Per-note pitch bend (MPE), and the output its zone was configured on
+        this.pitchBend = false;
+        this.mpeOutput = null;
+
+        // Arpeggio step in milliseconds when synced to a tempo (null: spread over the note duration)
+        this.arpeggioStep = null;
+    }
+
+    /**
+     * Set the frequency mapper whose active strategy determines note pitches
+     * @param {FrequencyMapper|null} frequencyMapper - Mapper instance, or null to use peaks as-is
+     */
+    setFrequencyMapper(frequencyMapper) {
+        this.frequencyMapper = frequencyMapper;
+    }
+
+    /**
+     * Set the scale quantizer applied after frequency mapping
+     * @param {ScaleQuantizer|null} scaleQuantizer - Quantizer instance, or null to disable
+     */
+    setScaleQuantizer(scaleQuantizer) {
+        this.scaleQuantizer = scaleQuantizer;
+    }
+
+    /**
+     * Set the peak mixer applied after mapping and quantization
+     * @param {PeakMixer|null} peakMixer - Mixer instance, or null to send every peak unchanged
+     */
+    setPeakMixer(peakMixer) {
+        this.peakMixer = peakMixer;
+    }
+
+    /**
+     * Re-map peak frequencies through the attached frequency mapper and scale quantizer
+     *
+     * Uses FrequencyMapper.mapPeaks, like the audio engine, so the result
+     * can be shorter than the input. The peak mixer then drops muted peaks,
+     * scales velocity by gain and shifts pitch by detune, like the audio
+     * engine does.
+     *
+     * @param {Array} peaks - Array of peak objects
+     * @returns {Array} Peaks with audioFreq from the active strategy and scale (unchanged if no mapper is set)
+     * @private
+     */
+    mapPeaks(peaks) {
+        let mapped = this.frequencyMapper ? this.frequencyMapper.mapPeaks(peaks, this.scaleQuantizer) : peaks;
+        if (this.peakMixer) {
+            mapped = this.peakMixer.applyToPeaks(mapped);
+        }
+        return mapped;
     }
 
     /**
@@ -80,6 +146,7 @@ class MIDIOutput {
         const output = this.midiAccess.outputs.get(deviceId);
         if (output) {
             this.selectedOutput = output;
+            this.mpeOutput = null;
             Logger.log(`Selected MIDI output: ${output.name}`);
             return true;
         }
@@ -96,7 +163,7 @@ class MIDIOutput {
      * @param {number} frequency - Frequency in Hz
      * @returns {number} MIDI note number (0-127), clamped to valid range
      */
-    frequencyToMIDINote(frequency) {
+    static frequencyToMIDINote(frequency) {
         // Formula: MIDI note = 69 + 12 * log2(frequency / 440)
         const noteNumber = 69 + 12 * Math.log2(frequency / 440);
 
@@ -107,26 +174,44 @@ class MIDIOutput {
     /**
      * Send a single MIDI note
      *
+     * The note on and off are handed to the output with Web MIDI timestamps,
+     * so the browser sends them on time without timers.
+     *
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} duration - Note duration in milliseconds
+     * @param {number} [channel=this.channel] - MIDI channel (0-15)
+     * @param {number|null} [bend=null] - Pitch bend (0-16383) to send before the note, or null for none
+     * @param {number} [time=window.performance.now()] - Note on time (window.performance.now() clock, ms)
      * @private
      */
-    sendNote(note, velocity, duration) {
+    sendNote(note, velocity, duration, channel = this.channel, bend = null, time = window.performance.now()) {
         if (!this.selectedOutput) {
             throw new Error('No MIDI output device selected');
         }
 
+        if (bend !== null) {
+            this.selectedOutput.send([0xE0 + channel, bend & 0x7F, bend >> 7], time);
+        }
+
         // Note on message: [0x90 + channel, note, velocity]
-        const noteOnMessage = [0x90 + this.channel, note, velocity];
-        this.selectedOutput.send(noteOnMessage);
+        const noteOnMessage = [0x90 + channel, note, velocity];
+        this.selectedOutput.send(noteOnMessage, time);
 
-        // Schedule note off after duration
-        setTimeout(() => {
-            // Note off message: [0x80 + channel, note, 0]
-            const noteOffMessage = [0x80 + this.channel, note, 0];
-            this.selectedOutput.send(noteOffMessage);
-        }, duration);
+        // Note off message after duration: [0x80 + channel, note, 0]
+        const noteOffMessage = [0x80 + channel, note, 0];
+        this.selectedOutput.send(noteOffMessage, time + duration);
+    }
+
+    /**
+     * Send a single-byte system real-time message (clock and transport)
+     * @param {number} status - Status byte (e.g. 0xF8 Timing Clock, 0xFA Start, 0xFC Stop)
+     * @param {number} [time=window.performance.now()] - Send time (window.performance.now() clock, ms)
+     */
+    sendRealtime(status, time = window.performance.now()) {
+        if (this.selectedOutput) {
+            this.selectedOutput.send([status], time);
+        }
     }
 
     /**
@@ -134,6 +219,10 @@ class MIDIOutput {
      *
      * Converts spectral peaks to MIDI notes and sends them to the selected output device.
      * Can be sent as a chord (all at once) or as an arpeggio (sequentially).
+     * With pitch bend enabled, notes play on MPE member channels at their
+     * exact frequencies. With an arpeggio step set (setArpeggioStep()),
+     * arpeggio notes fall on the steps instead of spreading over the note
+     * duration.
      *
      * @param {Array} peaks - Array of peak objects with audioFreq and absorbance
      * @param {string} mode - 'chord' or 'arpeggio'
@@ -149,35 +238,68 @@ class MIDIOutput {
             throw new Error('Invalid peaks: must be a non-empty array');
         }
 
-        if (mode === 'chord') {
-            // Send all notes simultaneously
-            peaks.forEach(peak => {
-                const note = this.frequencyToMIDINote(peak.audioFreq);
-                // Scale velocity based on peak intensity
-                const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * peak.absorbance)));
-                this.sendNote(note, velocity, this.noteDuration);
-            });
+        if (mode !== 'chord' && mode !== 'arpeggio') {
+            throw new Error(`Invalid mode: ${mode}. Must be 'chord' or 'arpeggio'.`);
+        }
 
-            Logger.log(`Sent ${peaks.length} MIDI notes as chord`);
-        } else if (mode === 'arpeggio') {
-            // Send notes sequentially
-            const noteDelay = this.noteDuration / peaks.length;
+        peaks = this.mapPeaks(peaks);
 
-            for (let i = 0; i < peaks.length; i++) {
-                const peak = peaks[i];
-                const note = this.frequencyToMIDINote(peak.audioFreq);
-                const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * peak.absorbance)));
+        // Chords send every note at once; arpeggios step through them
+        const synced = mode === 'arpeggio' && this.arpeggioStep !== null;
+        const noteDelay = mode === 'arpeggio' ? (this.arpeggioStep || this.noteDuration / peaks.length) : 0;
+        const noteDuration = synced ? this.arpeggioStep * CONFIG.tempo.GATE : this.noteDuration;
+        const notes = peaks.map((peak, i) => ({ peak, start: i * noteDelay, duration: noteDuration }));
+        const now = window.performance.now();
 
-                // Schedule note with delay
-                setTimeout(() => {
-                    this.sendNote(note, velocity, this.noteDuration);
-                }, i * noteDelay);
-            }
+        let channelOf = null;
+        if (this.pitchBend) {
+            this.configureMPE();
+            channelOf = this.allocateChannels(notes, MIDIOutput.MPE_MEMBER_CHANNELS);
+        }
 
-            Logger.log(`Sent ${peaks.length} MIDI notes as arpeggio`);
-        } else {
-            throw new Error(`Invalid mode: ${mode}. Must be 'chord' or 'arpeggio'.`);
+        notes.forEach(note => {
+            const { key, bend } = this.frequencyToPitch(note.peak.audioFreq);
+            // Scale velocity based on peak intensity
+            const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * note.peak.absorbance)));
+            const channel = channelOf ? channelOf.get(note) : this.channel;
+
+            this.sendNote(key, velocity, note.duration, channel, channelOf ? bend : null, now + note.start);
+        });
+
+        Logger.log(`Sent ${peaks.length} MIDI notes as ${mode}`);
+    }
+
+    /**
+     * Send an MPE Configuration Message for a lower zone on the selected output
+     *
+     * Channel 1 becomes the master channel and channels 2-16 member channels,
+     * each with the pitch bend range in CONFIG.midiExport.PITCH_BEND_RANGE.
+     * Sent once per output.
+     *
+     * @private
+     */
+    configureMPE() {
+        if (this.mpeOutput === this.selectedOutput) {
+            return;
         }
+
+        const members = MIDIOutput.MPE_MEMBER_CHANNELS;
+        this.sendRPN(0, 6, members.length);
+        members.forEach(channel => this.sendRPN(channel, 0, CONFIG.midiExport.PITCH_BEND_RANGE));
+        this.mpeOutput = this.selectedOutput;
+    }
+
+    /**
+     * Send a Registered Parameter Number value, then deselect the parameter
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} parameter - RPN (0 = pitch bend range, 6 = MPE configuration)
+     * @param {number} value - Data entry value (0-127)
+     * @private
+     */
+    sendRPN(channel, parameter, value) {
+        const status = 0xB0 + channel;
+        [[101, 0], [100, parameter], [6, value], [38, 0], [101, 127], [100, 127]]
+            .forEach(([cc, data]) => this.selectedOutput.send([status, cc, data]));
     }
 
     /**
@@ -200,6 +322,11 @@ class MIDIOutput {
         const allNotesOffMessage = [0xB0 + this.channel, 123, 0];
         this.selectedOutput.send(allNotesOffMessage);
 
+        // MPE notes play on the member channels
+        if (this.mpeOutput === this.selectedOutput) {
+            MIDIOutput.MPE_MEMBER_CHANNELS.forEach(channel => this.selectedOutput.send([0xB0 + channel, 123, 0]));
+        }
+
         Logger.log('All notes off sent');
     }
 
@@ -221,6 +348,41 @@ class MIDIOutput {
         this.noteDuration = Math.max(100, Math.min(10000, duration));
     }
 
+    /**
+     * Enable per-note pitch bend for exact (microtonal) pitches
+     *
+     * Applies to sendPeaks() (as MPE) and to exported files. Turning it off
+     * removes the MPE zone from the output it was set up on.
+     *
+     * @param {boolean} enabled - True to bend notes to their exact frequencies
+     */
+    setPitchBend(enabled) {
+        this.pitchBend = Boolean(enabled);
+
+        if (!this.pitchBend && this.mpeOutput) {
+            if (this.mpeOutput === this.selectedOutput) {
+                this.sendRPN(0, 6, 0);
+            }
+            this.mpeOutput = null;
+        }
+    }
+
+    /**
+     * Check if notes are bent to their exact frequencies
+     * @returns {boolean} True if pitch bend is enabled
+     */
+    isPitchBendEnabled() {
+        return this.pitchBend;
+    }
+
+    /**
+     * Set the arpeggio step for tempo-synced arpeggios
+     * @param {number|null} step - Step length in milliseconds, or null to spread notes over the note duration
+     */
+    setArpeggioStep(step) {
+        this.arpeggioStep = step === null ? null : Math.max(1, step);
+    }
+
     /**
      * Set MIDI channel
      *
@@ -249,54 +411,30 @@ class MIDIOutput {
     }
 
     /**
-     * Export spectrum peaks as Standard MIDI File (.mid)
+     * Export a note schedule as a Standard MIDI File (.mid)
      *
-     * Creates a downloadable MIDI file with peaks encoded as notes.
-     * Supports different playback modes (chord, sequential, arpeggio).
+     * The schedule comes from AudioEngine.getNoteSchedule(), so the file has
+     * the same notes, order and timing as the current playback mode. Muted
+     * (or not soloed) peaks are left out and the peak mixer's gain and detune
+     * apply. See buildMIDIFile() for the file layout and options.
      *
-     * @param {Array} peaks - Array of peak objects with audioFreq and absorbance
-     * @param {string} mode - Playback mode: 'chord', 'sequential', 'arpeggio-up', 'arpeggio-down', 'arpeggio-updown', 'random'
-     * @param {number} tempo - Tempo in BPM (default: 120)
-     * @param {string} filename - Output filename (default: 'spectrum.mid')
-     * @throws {Error} If peaks are invalid or mode is unsupported
+     * @param {Array} notes - [{peak, start, duration}] with times in seconds
+     * @param {string} [filename='spectrum.mid'] - Output filename
+     * @param {Object} [options] - Options for buildMIDIFile()
+     * @throws {Error} If notes are invalid or every peak is muted
      */
-    exportMIDIFile(peaks, mode = 'sequential', tempo = 120, filename = 'spectrum.mid') {
-        if (!Array.isArray(peaks) || peaks.length === 0) {
-            throw new Error('Invalid peaks: must be a non-empty array');
+    exportMIDIFile(notes, filename = 'spectrum.mid', options = {}) {
+        if (!Array.isArray(notes) || notes.length === 0) {
+            throw new Error('Invalid notes: must be a non-empty array');
         }
 
-        // Sort/arrange peaks based on mode
-        let orderedPeaks = [...peaks];
-
-        switch (mode) {
-            case 'chord':
-                // All notes play simultaneously - no reordering needed
-                break;
-            case 'arpeggio-up':
-                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                break;
-            case 'arpeggio-down':
-                orderedPeaks.sort((a, b) => b.audioFreq - a.audioFreq);
-                break;
-            case 'arpeggio-updown':
-                orderedPeaks.sort((a, b) => a.audioFreq - b.audioFreq);
-                orderedPeaks = [...orderedPeaks, ...orderedPeaks.slice(0, -1).reverse()];
-                break;
-            case 'sequential':
-                orderedPeaks.sort((a, b) => b.absorbance - a.absorbance);
-                break;
-            case 'random':
-                for (let i = orderedPeaks.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [orderedPeaks[i], orderedPeaks[j]] = [orderedPeaks[j], orderedPeaks[i]];
-                }
-                break;
-            default:
-                throw new Error(`Unsupported mode: ${mode}`);
+        const mixed = this.mixNotes(notes);
+        if (mixed.length === 0) {
+            throw new Error('No audible peaks: every peak is muted');
         }
 
         // Build MIDI file
-        const midiData = this.buildMIDIFile(orderedPeaks, mode, tempo);
+        const midiData = this.buildMIDIFile(mixed, options);
 
         // Create blob and download
         const blob = new Blob([midiData], { type: 'audio/midi' });
@@ -307,75 +445,214 @@ class MIDIOutput {
         a.click();
         URL.revokeObjectURL(url);
 
-        Logger.log(`Exported MIDI file: ${filename} (${orderedPeaks.length} notes, mode: ${mode})`);
+        Logger.log(`Exported MIDI file: ${filename} (${mixed.length} notes)`);
+    }
+
+    /**
+     * Apply the peak mixer to a note schedule
+     * @param {Array} notes - [{peak, start, duration}]
+     * @returns {Array} Audible notes with mixed peaks
+     * @private
+     */
+    mixNotes(notes) {
+        if (!this.peakMixer) {
+            return notes;
+        }
+        return notes.flatMap(note => this.peakMixer.applyToPeaks([note.peak]).map(peak => ({ ...note, peak })));
     }
 
     /**
      * Build Standard MIDI File binary data
      *
-     * Creates a Type 0 MIDI file with a single track containing the notes.
+     * Writes a format-1 file: a conductor track with the tempo, then one
+     * track of notes, or one per functional group with trackPerGroup. Tracks
+     * use their own channels (skipping the General MIDI drum channel).
      *
-     * @param {Array} peaks - Ordered array of peak objects
-     * @param {string} mode - Playback mode
-     * @param {number} tempo - Tempo in BPM
+     * With pitchBend, each note is given a free channel and preceded by a
+     * pitch bend to its exact frequency, so microtonal pitches survive
+     * (channels set their bend range to CONFIG.midiExport.PITCH_BEND_RANGE).
+     * With automation, every channel starts with the sound controller CCs
+     * for the ADSR times, sustain level and filter cutoff
+     * (CONFIG.midiExport.CC).
+     *
+     * @param {Array} notes - [{peak, start, duration}] with times in seconds
+     * @param {Object} [options]
+     * @param {number} [options.tempo=120] - Tempo in BPM
+     * @param {boolean} [options.trackPerGroup=false] - One track per functional group
+     * @param {boolean} [options.pitchBend] - Bend each note to its exact frequency (default: setPitchBend())
+     * @param {Object|null} [options.automation=null] - {attack, decay, sustain, release, filterFrequency} to send as CCs
      * @returns {Uint8Array} MIDI file binary data
      * @private
      */
-    buildMIDIFile(peaks, mode, tempo) {
-        const ticksPerBeat = 480; // Standard MIDI resolution
-        const microsecondsPerBeat = Math.round(60000000 / tempo);
-
-        // Calculate note timing
-        const noteDurationTicks = Math.round((this.noteDuration / 1000) * (ticksPerBeat * tempo / 60));
-        const noteSpacingTicks = mode === 'chord' ? 0 : Math.round(noteDurationTicks * 0.8);
+    buildMIDIFile(notes, options = {}) {
+        const { tempo = 120, trackPerGroup = false, pitchBend = this.pitchBend, automation = null } = options;
+        const ticksPerBeat = CONFIG.midiExport.TICKS_PER_BEAT;
+        const ticksPerSecond = ticksPerBeat * tempo / 60;
+        const toTicks = seconds => Math.round(seconds * ticksPerSecond);
+
+        // Group notes into tracks
+        const tracks = new Map();
+        notes.forEach(note => {
+            const name = trackPerGroup ? this.getTrackName(note.peak) : 'Spectrum';
+            if (!tracks.has(name)) {
+                tracks.set(name, []);
+            }
+            tracks.get(name).push(note);
+        });
+
+        const channels = Array.from({ length: 16 }, (_, i) => i).filter(ch => ch !== CONFIG.midiExport.DRUM_CHANNEL);
+        const channelOf = pitchBend
+            ? this.allocateChannels(notes, channels)
+            : new Map(Array.from(tracks.values()).flatMap((trackNotes, i) =>
+                trackNotes.map(note => [note, channels[i % channels.length]])));
+
+        const chunks = [this.createMIDITrack([
+            ...this.createTextEvent(0x03, 'Spectral Synth'),
+            ...this.createTempoEvent(0, Math.round(60000000 / tempo)),
+            ...this.createMetaEvent(0, 0x2F, [])
+        ])];
+
+        tracks.forEach((trackNotes, name) => {
+            // Events at absolute ticks; at equal ticks setup comes first, then
+            // note offs, then bends and note ons
+            const events = [];
+            const used = new Set(trackNotes.map(note => channelOf.get(note)));
+            used.forEach(channel => {
+                this.createChannelSetup(channel, pitchBend, automation)
+                    .forEach(data => events.push({ tick: 0, order: 0, data }));
+            });
 
-        // Build track events
-        const events = [];
+            trackNotes.forEach(note => {
+                const channel = channelOf.get(note);
+                const { key, bend } = this.frequencyToPitch(note.peak.audioFreq);
+                const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * note.peak.absorbance)));
+                const on = toTicks(note.start);
+                const off = Math.max(on + 1, toTicks(note.start + note.duration));
 
-        // Set tempo meta event
-        events.push(...this.createTempoEvent(0, microsecondsPerBeat));
+                if (pitchBend) {
+                    events.push({ tick: on, order: 2, data: [0xE0 + channel, bend & 0x7F, bend >> 7] });
+                }
+                events.push({ tick: on, order: 3, data: [0x90 + channel, key, velocity] });
+                events.push({ tick: off, order: 1, data: [0x80 + channel, key, 0] });
+            });
 
-        if (mode === 'chord') {
-            // All notes start at the same time
-            peaks.forEach((peak) => {
-                const note = this.frequencyToMIDINote(peak.audioFreq);
-                const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * peak.absorbance)));
+            events.sort((a, b) => a.tick - b.tick || a.order - b.order);
 
-                // Note on at time 0
-                events.push(...this.createNoteEvent(0, 0x90, note, velocity));
-                // Note off after duration
-                events.push(...this.createNoteEvent(noteDurationTicks, 0x80, note, 0));
-            });
-        } else {
-            // Sequential notes
-            peaks.forEach((peak, idx) => {
-                const note = this.frequencyToMIDINote(peak.audioFreq);
-                const velocity = Math.max(1, Math.min(127, Math.round(this.velocity * peak.absorbance)));
-
-                // Note on (first note starts immediately, others have spacing)
-                const deltaTimeOn = idx === 0 ? 0 : noteSpacingTicks;
-                events.push(...this.createNoteEvent(deltaTimeOn, 0x90, note, velocity));
-
-                // Note off
-                events.push(...this.createNoteEvent(noteDurationTicks, 0x80, note, 0));
+            const bytes = this.createTextEvent(0x03, name);
+            let lastTick = 0;
+            events.forEach(({ tick, data }) => {
+                bytes.push(...this.encodeVariableLength(tick - lastTick), ...data);
+                lastTick = tick;
             });
-        }
-
-        // End of track
-        events.push(...this.createMetaEvent(0, 0x2F, []));
+            bytes.push(...this.createMetaEvent(0, 0x2F, []));
 
-        // Build MIDI file structure
-        const header = this.createMIDIHeader(0, 1, ticksPerBeat);
-        const track = this.createMIDITrack(events);
+            chunks.push(this.createMIDITrack(bytes));
+        });
 
-        // Combine header and track
-        const midiFile = new Uint8Array(header.length + track.length);
+        // Combine header and tracks
+        const header = this.createMIDIHeader(1, chunks.length, ticksPerBeat);
+        const midiFile = new Uint8Array(header.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
         midiFile.set(header, 0);
-        midiFile.set(track, header.length);
+        let offset = header.length;
+        chunks.forEach(chunk => {
+            midiFile.set(chunk, offset);
+            offset += chunk.length;
+        });
 
         return midiFile;
     }
 
+    /**
+     * Get the track a note belongs to with one track per functional group
+     * @param {Object} peak - Peak with wavenumber
+     * @returns {string} Functional group name ('Spectrum' without a frequency mapper)
+     * @private
+     */
+    getTrackName(peak) {
+        return this.frequencyMapper ? this.frequencyMapper.getFunctionalGroup(peak.wavenumber) : 'Spectrum';
+    }
+
+    /**
+     * Give every note a channel not sounding another note (for per-note pitch bend)
+     *
+     * Uses the channel free for longest; if all are busy, the one whose note
+     * ends first (its bend then also moves that note).
+     *
+     * @param {Array} notes - [{start, duration}] sorted by start
+     * @param {Array<number>} channels - Channels to use
+     * @returns {Map} Note -> channel
+     * @private
+     */
+    allocateChannels(notes, channels) {
+        const freeAt = new Map(channels.map(channel => [channel, -Infinity]));
+        const channelOf = new Map();
+
+        [...notes].sort((a, b) => a.start - b.start).forEach(note => {
+            const free = channels.filter(channel => freeAt.get(channel) <= note.start);
+            const pool = free.length > 0 ? free : channels;
+            const channel = pool.reduce((best, ch) => (freeAt.get(ch) < freeAt.get(best) ? ch : best));
+
+            freeAt.set(channel, note.start + note.duration);
+            channelOf.set(note, channel);
+        });
+
+        return channelOf;
+    }
+
+    /**
+     * Create the events that start a channel: pitch bend range and sound controllers
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {boolean} pitchBend - Set the pitch bend range (RPN 0)
+     * @param {Object|null} automation - {attack, decay, sustain, release, filterFrequency}, or null
+     * @returns {Array<Array<number>>} Event data (without delta times)
+     * @private
+     */
+    createChannelSetup(channel, pitchBend, automation) {
+        const status = 0xB0 + channel;
+        const events = [];
+
+        if (pitchBend) {
+            events.push(
+                [status, 101, 0], [status, 100, 0],
+                [status, 6, CONFIG.midiExport.PITCH_BEND_RANGE], [status, 38, 0],
+                [status, 101, 127], [status, 100, 127]
+            );
+        }
+
+        if (automation) {
+            const { adsr } = CONFIG;
+            const { frequency } = CONFIG.effects.filter.params;
+            const scale = (value, min, max) => Math.max(0, Math.min(127, Math.round((value - min) / (max - min) * 127)));
+            const cc = CONFIG.midiExport.CC;
+
+            events.push(
+                [status, cc.ATTACK, scale(automation.attack, adsr.MIN_ATTACK, adsr.MAX_ATTACK)],
+                [status, cc.DECAY, scale(automation.decay, adsr.MIN_DECAY, adsr.MAX_DECAY)],
+                [status, cc.SUSTAIN, scale(automation.sustain, adsr.MIN_SUSTAIN, adsr.MAX_SUSTAIN)],
+                [status, cc.RELEASE, scale(automation.release, adsr.MIN_RELEASE, adsr.MAX_RELEASE)],
+                // Cutoff on a log scale, like pitch
+                [status, cc.CUTOFF, scale(Math.log(automation.filterFrequency), Math.log(frequency.min), Math.log(frequency.max))]
+            );
+        }
+
+        return events;
+    }
+
+    /**
+     * Split a frequency into the nearest MIDI note and the pitch bend to reach it exactly
+     *
+     * @param {number} frequency - Frequency in Hz
+     * @returns {Object} {key (0-127), bend (0-16383, 8192 = none)}
+     * @private
+     */
+    frequencyToPitch(frequency) {
+        const key = MIDIOutput.frequencyToMIDINote(frequency);
+        const semitones = 69 + 12 * Math.log2(frequency / 440) - key;
+        const range = CONFIG.midiExport.PITCH_BEND_RANGE;
+        const bend = Math.max(0, Math.min(16383, Math.round(8192 + semitones / range * 8192)));
+        return { key, bend };
+    }
+
     /**
      * Create MIDI file header chunk
      *
@@ -445,21 +722,6 @@ class MIDIOutput {
         return track;
     }
 
-    /**
-     * Create a MIDI note event (note on or note off)
-     *
-     * @param {number} deltaTime - Ticks since last event
-     * @param {number} status - Status byte (0x90 for note on, 0x80 for note off)
-     * @param {number} note - MIDI note number (0-127)
-     * @param {number} velocity - Note velocity (0-127)
-     * @returns {Array} Event bytes
-     * @private
-     */
-    createNoteEvent(deltaTime, status, note, velocity) {
-        const deltaTimeBytes = this.encodeVariableLength(deltaTime);
-        return [...deltaTimeBytes, status + this.channel, note, velocity];
-    }
-
     /**
      * Create a tempo meta event
      *
@@ -496,6 +758,20 @@ class MIDIOutput {
         return [...deltaTimeBytes, 0xFF, type, ...lengthBytes, ...data];
     }
 
+    /**
+     * Create a text meta event (track name, marker...) at delta time 0
+     *
+     * @param {number} type - Meta event type
+     * @param {string} text - Text, written as UTF-8
+     * @returns {Array} Event bytes
+     * @private
+     */
+    createTextEvent(type, text) {
+        const bytes = encodeURIComponent(text).match(/%[0-9A-F]{2}|./gi)
+            .map(c => (c.length === 3 ? parseInt(c.slice(1), 16) : c.charCodeAt(0)));
+        return this.createMetaEvent(0, type, bytes);
+    }
+
     /**
      * Encode a number as MIDI variable-length quantity
      *
@@ -527,3 +803,6 @@ class MIDIOutput {
         return bytes;
     }
 }
+
+// MPE lower zone member channels (channel 1, index 0, is the master channel)
+MIDIOutput.MPE_MEMBER_CHANNELS = Object.freeze(Array.from({ length: 15 }, (_, i) => i + 1));
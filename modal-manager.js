@@ -362,6 +362,18 @@ const ModalManager = (function() {
                 }
             });
 
+            // My Spectra Modal
+            this.register('my-spectra', {
+                modalId: 'my-spectra-modal',
+                triggerId: 'my-spectra-menu-btn',
+                closeIds: ['my-spectra-close', 'my-spectra-ok'],
+                onOpen: () => {
+                    if (typeof updateMySpectraList === 'function') {
+                        updateMySpectraList();
+                    }
+                }
+            });
+
             // Onboarding Modal
             this.register('onboarding', {
                 modalId: 'onboarding-modal',
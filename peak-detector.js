@@ -0,0 +1,467 @@
+/**
+ * Peak Detector Module
+ *
+ * Purpose: Finds absorption bands in preprocessed spectra
+ *
+ * Dependencies:
+ * - CONFIG (for peak detection defaults)
+ *
+ * Exports:
+ * - PeakDetector class - Smoothing, prominence, width and shoulder detection
+ *
+ * Algorithm:
+ * 1. Savitzky–Golay smoothing suppresses point-to-point noise while keeping
+ *    band heights and positions
+ * 2. Local maxima of the smoothed absorbance are candidate peaks
+ * 3. Topographic prominence (height above the higher of the two surrounding
+ *    minima) rejects noise ripples riding on larger bands
+ * 4. Full width at half maximum is measured at half the prominence
+ * 5. Shoulders (bands merged into the flank of a larger one) are found as
+ *    minima of the Savitzky–Golay second derivative with no prominent maximum
+ *    of their own
+ * 6. Peaks closer than the minimum separation keep only the strongest
+ *
+ * Usage:
+ * ```javascript
+ * const detector = new PeakDetector({ minSeparation: 15, detectShoulders: false });
+ * const peaks = detector.detect(processedSpectrum, 0.15);
+ * // Returns: [{wavenumber, absorbance, prominence, width, shoulder}, ...]
+ * ```
+ *
+ * Units:
+ * - absorbance and prominence are relative to the strongest smoothed band (0-1)
+ * - width is the full width at half maximum in cm⁻¹
+ * - Shoulders have no topographic prominence (0); their width is estimated
+ *   from the distance between the inflection points, assuming a Gaussian band
+ * - Shoulder detection needs smoothing enabled with a polynomial order ≥ 2
+ */
+
+class PeakDetector {
+    /**
+     * @param {Object} [options] - Detection settings (defaults from CONFIG.peakDetection)
+     * @param {number} [options.smoothingWindow] - Savitzky–Golay window in points (odd, 1 disables)
+     * @param {number} [options.smoothingOrder] - Savitzky–Golay polynomial order
+     * @param {number} [options.minProminence] - Minimum relative prominence (0-1)
+     * @param {number} [options.minSeparation] - Minimum peak distance in cm⁻¹
+     * @param {boolean} [options.detectShoulders] - Report second-derivative shoulders
+     * @throws {Error} If options are invalid
+     */
+    constructor(options = {}) {
+        this.smoothingWindow = CONFIG.peakDetection.SMOOTHING_WINDOW;
+        this.smoothingOrder = CONFIG.peakDetection.SMOOTHING_ORDER;
+        this.minProminence = CONFIG.peakDetection.MIN_PROMINENCE;
+        this.minSeparation = CONFIG.peakDetection.MIN_SEPARATION;
+        this.detectShoulders = CONFIG.peakDetection.DETECT_SHOULDERS;
+        this.SHOULDER_MIN_CURVATURE = CONFIG.peakDetection.SHOULDER_MIN_CURVATURE;
+
+        this.setOptions(options);
+    }
+
+    /**
+     * Update detection settings
+     * @param {Object} options - Any of the constructor options
+     * @throws {Error} If a value is invalid (no settings are changed in that case)
+     */
+    setOptions(options = {}) {
+        const next = { ...this.getOptions(), ...options };
+
+        if (!Number.isInteger(next.smoothingWindow) || next.smoothingWindow < 1 || next.smoothingWindow % 2 === 0) {
+            throw new Error('Invalid smoothing window: must be a positive odd integer');
+        }
+        if (!Number.isInteger(next.smoothingOrder) || next.smoothingOrder < 0) {
+            throw new Error('Invalid smoothing order: must be a non-negative integer');
+        }
+        if (next.smoothingWindow > 1 && next.smoothingOrder >= next.smoothingWindow) {
+            throw new Error('Invalid smoothing order: must be less than the window size');
+        }
+        if (typeof next.minProminence !== 'number' || isNaN(next.minProminence) || next.minProminence < 0) {
+            throw new Error('Invalid minimum prominence: must be a non-negative number');
+        }
+        if (typeof next.minSeparation !== 'number' || isNaN(next.minSeparation) || next.minSeparation < 0) {
+            throw new Error('Invalid minimum separation: must be a non-negative number');
+        }
+        if (typeof next.detectShoulders !== 'boolean') {
+            throw new Error('Invalid shoulder setting: must be a boolean');
+        }
+
+        this.smoothingWindow = next.smoothingWindow;
+        this.smoothingOrder = next.smoothingOrder;
+        this.minProminence = next.minProminence;
+        this.minSeparation = next.minSeparation;
+        this.detectShoulders = next.detectShoulders;
+    }
+
+    /**
+     * Get detection settings
+     * @returns {Object} {smoothingWindow, smoothingOrder, minProminence, minSeparation, detectShoulders}
+     */
+    getOptions() {
+        return {
+            smoothingWindow: this.smoothingWindow,
+            smoothingOrder: this.smoothingOrder,
+            minProminence: this.minProminence,
+            minSeparation: this.minSeparation,
+            detectShoulders: this.detectShoulders
+        };
+    }
+
+    /**
+     * Detect peaks in a preprocessed spectrum
+     *
+     * @param {Array} spectrum - Array of {wavenumber, absorbance} sorted by ascending wavenumber
+     * @param {number} threshold - Minimum relative intensity (0-1)
+     * @returns {Array} Peaks {wavenumber, absorbance, prominence, width, shoulder}
+     *   sorted by absorbance (strongest first); empty if the spectrum has no bands
+     */
+    detect(spectrum, threshold) {
+        const wavenumbers = spectrum.map(point => point.wavenumber);
+        const raw = spectrum.map(point => point.absorbance);
+        const smoothed = this.smooth(raw);
+
+        // Scale to the strongest band so intensities are 0-1
+        const maxAbsorbance = Math.max(...smoothed);
+        if (!(maxAbsorbance > 0)) {
+            return [];
+        }
+        const values = smoothed.map(value => value / maxAbsorbance);
+
+        const peaks = [];
+        const peakIndices = [];
+        PeakDetector.findLocalMaxima(values).forEach(index => {
+            if (values[index] <= threshold) {
+                return;
+            }
+
+            const { prominence, leftBase, rightBase } = PeakDetector.peakProminence(values, index);
+            if (prominence < this.minProminence) {
+                return;
+            }
+
+            peakIndices.push(index);
+            peaks.push({
+                wavenumber: wavenumbers[index],
+                absorbance: values[index],
+                prominence,
+                width: PeakDetector.peakWidth(wavenumbers, values, index, prominence, leftBase, rightBase),
+                shoulder: false
+            });
+        });
+
+        if (this.detectShoulders) {
+            const scaled = raw.map(value => value / maxAbsorbance);
+            peaks.push(...this.findShoulders(wavenumbers, scaled, values, peakIndices, threshold));
+        }
+
+        peaks.sort((a, b) => b.absorbance - a.absorbance);
+        return PeakDetector.enforceSeparation(peaks, this.minSeparation);
+    }
+
+    /**
+     * Apply Savitzky–Golay smoothing with the configured window and order
+     * @param {Array<number>} values - Evenly spaced samples
+     * @returns {Array<number>} Smoothed samples
+     */
+    smooth(values) {
+        const window = this.effectiveWindow(values.length);
+        if (window <= 1) {
+            return values.slice();
+        }
+        const coefficients = PeakDetector.savitzkyGolayCoefficients(window, this.smoothingOrder, 0);
+        return PeakDetector.convolve(values, coefficients);
+    }
+
+    /**
+     * Largest usable odd window for a spectrum of the given length
+     * @param {number} length - Number of samples
+     * @returns {number} Window size (1 when smoothing is not possible)
+     * @private
+     */
+    effectiveWindow(length) {
+        let window = Math.min(this.smoothingWindow, length % 2 === 0 ? length - 1 : length);
+        if (window <= this.smoothingOrder) {
+            window = 1;
+        }
+        return window;
+    }
+
+    /**
+     * Find shoulders: second-derivative minima whose concave region contains no detected peak
+     *
+     * Maxima too weak to pass the prominence test still count as shoulders
+     * when their curvature stands out.
+     *
+     * @param {Array<number>} wavenumbers - Ascending wavenumbers
+     * @param {Array<number>} scaled - Unsmoothed absorbance, relative to the strongest band
+     * @param {Array<number>} values - Smoothed absorbance, relative to the strongest band
+     * @param {Array<number>} peakIndices - Indices of peaks that passed the prominence test
+     * @param {number} threshold - Minimum relative intensity (0-1)
+     * @returns {Array} Shoulder peaks
+     * @private
+     */
+    findShoulders(wavenumbers, scaled, values, peakIndices, threshold) {
+        // The second derivative needs at least a quadratic fit
+        const window = this.effectiveWindow(scaled.length);
+        if (window < 3 || this.smoothingOrder < 2) {
+            return [];
+        }
+
+        const n = scaled.length;
+        const spacing = (wavenumbers[n - 1] - wavenumbers[0]) / (n - 1);
+        const coefficients = PeakDetector.savitzkyGolayCoefficients(window, this.smoothingOrder, 2);
+        const curvature = PeakDetector.convolve(scaled, coefficients).map(value => -value / (spacing * spacing));
+
+        // Edge values are distorted by padding
+        const half = (window - 1) / 2;
+        const interior = curvature.slice(half, n - half);
+        const maxCurvature = Math.max(...interior);
+        if (!(maxCurvature > 0)) {
+            return [];
+        }
+
+        const isPeak = new Set(peakIndices);
+        const shoulders = [];
+        PeakDetector.findLocalMaxima(curvature).forEach(index => {
+            if (index < half || index >= n - half || values[index] <= threshold) {
+                return;
+            }
+            if (curvature[index] < this.SHOULDER_MIN_CURVATURE * maxCurvature) {
+                return;
+            }
+
+            // Concave region bounded by the inflection points
+            let left = index;
+            while (left > 0 && curvature[left - 1] > 0) left--;
+            let right = index;
+            while (right < n - 1 && curvature[right + 1] > 0) right++;
+
+            for (let i = left; i <= right; i++) {
+                if (isPeak.has(i)) {
+                    return;
+                }
+            }
+
+            // Gaussian: FWHM = 2.3548σ, inflection points are 2σ apart
+            const inflectionSpan = wavenumbers[right] - wavenumbers[left] + spacing;
+            shoulders.push({
+                wavenumber: wavenumbers[index],
+                absorbance: values[index],
+                prominence: 0,
+                width: inflectionSpan * 1.1774,
+                shoulder: true
+            });
+        });
+
+        return shoulders;
+    }
+
+    /**
+     * Compute Savitzky–Golay convolution coefficients
+     *
+     * Least-squares fit of a polynomial over the window, evaluated (or
+     * differentiated) at the centre point. Derivatives are per sample; divide
+     * by spacing^derivative for physical units.
+     *
+     * @param {number} window - Odd window size
+     * @param {number} order - Polynomial order (< window)
+     * @param {number} [derivative=0] - Derivative order (≤ order)
+     * @returns {Array<number>} Coefficients of length window
+     */
+    static savitzkyGolayCoefficients(window, order, derivative = 0) {
+        const half = (window - 1) / 2;
+        const size = order + 1;
+
+        // Normal matrix (JᵀJ)[a][b] = Σ t^(a+b)
+        const normal = [];
+        for (let a = 0; a < size; a++) {
+            normal.push([]);
+            for (let b = 0; b < size; b++) {
+                let sum = 0;
+                for (let t = -half; t <= half; t++) {
+                    sum += Math.pow(t, a + b);
+                }
+                normal[a].push(sum);
+            }
+        }
+
+        // Row `derivative` of (JᵀJ)⁻¹, solved as (JᵀJ) x = e_derivative (symmetric)
+        const unit = new Array(size).fill(0);
+        unit[derivative] = 1;
+        const row = PeakDetector.solveLinearSystem(normal, unit);
+
+        let factorial = 1;
+        for (let k = 2; k <= derivative; k++) factorial *= k;
+
+        const coefficients = [];
+        for (let t = -half; t <= half; t++) {
+            let sum = 0;
+            for (let j = 0; j < size; j++) {
+                sum += row[j] * Math.pow(t, j);
+            }
+            coefficients.push(sum * factorial);
+        }
+        return coefficients;
+    }
+
+    /**
+     * Solve a small dense linear system with Gaussian elimination
+     * @param {Array<Array<number>>} matrix - Square matrix (not modified)
+     * @param {Array<number>} rhs - Right-hand side (not modified)
+     * @returns {Array<number>} Solution vector
+     * @private
+     */
+    static solveLinearSystem(matrix, rhs) {
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let col = 0; col < n; col++) {
+            // Partial pivoting
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= a[row][k] * x[k];
+            }
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+
+    /**
+     * Convolve samples with a centred kernel, repeating edge samples
+     * @param {Array<number>} values - Samples
+     * @param {Array<number>} kernel - Odd-length kernel
+     * @returns {Array<number>} Filtered samples
+     * @private
+     */
+    static convolve(values, kernel) {
+        const half = (kernel.length - 1) / 2;
+        const last = values.length - 1;
+
+        return values.map((_, i) => {
+            let sum = 0;
+            for (let k = 0; k < kernel.length; k++) {
+                const index = Math.min(last, Math.max(0, i + k - half));
+                sum += kernel[k] * values[index];
+            }
+            return sum;
+        });
+    }
+
+    /**
+     * Find interior local maxima; flat tops report their middle sample
+     * @param {Array<number>} values - Samples
+     * @returns {Array<number>} Indices of maxima
+     */
+    static findLocalMaxima(values) {
+        const maxima = [];
+        const n = values.length;
+        let i = 1;
+
+        while (i < n - 1) {
+            if (values[i] > values[i - 1]) {
+                let end = i;
+                while (end < n - 1 && values[end + 1] === values[i]) end++;
+
+                if (end < n - 1 && values[end + 1] < values[i]) {
+                    maxima.push(Math.floor((i + end) / 2));
+                }
+                i = end;
+            }
+            i++;
+        }
+        return maxima;
+    }
+
+    /**
+     * Topographic prominence of a peak
+     *
+     * Walks outward until a higher sample (or the spectrum edge) and takes
+     * the lowest point on each side; the higher of the two is the key col.
+     *
+     * @param {Array<number>} values - Samples
+     * @param {number} index - Peak index
+     * @returns {Object} {prominence, leftBase, rightBase} (bases are sample indices)
+     */
+    static peakProminence(values, index) {
+        const height = values[index];
+
+        let leftBase = index;
+        for (let i = index - 1; i >= 0 && values[i] <= height; i--) {
+            if (values[i] < values[leftBase]) leftBase = i;
+        }
+
+        let rightBase = index;
+        for (let i = index + 1; i < values.length && values[i] <= height; i++) {
+            if (values[i] < values[rightBase]) rightBase = i;
+        }
+
+        return {
+            prominence: height - Math.max(values[leftBase], values[rightBase]),
+            leftBase,
+            rightBase
+        };
+    }
+
+    /**
+     * Full width at half prominence, interpolated between samples
+     * @param {Array<number>} wavenumbers - Ascending wavenumbers
+     * @param {Array<number>} values - Samples
+     * @param {number} index - Peak index
+     * @param {number} prominence - Peak prominence
+     * @param {number} leftBase - Left base index
+     * @param {number} rightBase - Right base index
+     * @returns {number} Width in cm⁻¹
+     */
+    static peakWidth(wavenumbers, values, index, prominence, leftBase, rightBase) {
+        const reference = values[index] - prominence / 2;
+
+        let left = index;
+        while (left > leftBase && values[left] > reference) left--;
+        let leftPosition = wavenumbers[left];
+        if (values[left] < reference) {
+            leftPosition += (reference - values[left]) * (wavenumbers[left + 1] - wavenumbers[left]) /
+                (values[left + 1] - values[left]);
+        }
+
+        let right = index;
+        while (right < rightBase && values[right] > reference) right++;
+        let rightPosition = wavenumbers[right];
+        if (values[right] < reference) {
+            rightPosition -= (reference - values[right]) * (wavenumbers[right] - wavenumbers[right - 1]) /
+                (values[right - 1] - values[right]);
+        }
+
+        return rightPosition - leftPosition;
+    }
+
+    /**
+     * Drop peaks closer than the minimum separation to a stronger peak
+     * @param {Array} peaks - Peaks sorted by absorbance (strongest first)
+     * @param {number} minSeparation - Minimum distance in cm⁻¹
+     * @returns {Array} Kept peaks, in the same order
+     */
+    static enforceSeparation(peaks, minSeparation) {
+        const kept = [];
+        peaks.forEach(peak => {
+            const tooClose = kept.some(other => Math.abs(other.wavenumber - peak.wavenumber) < minSeparation);
+            if (!tooClose) {
+                kept.push(peak);
+            }
+        });
+        return kept;
+    }
+}
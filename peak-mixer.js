@@ -0,0 +1,251 @@
+/**
+ * Peak Mixer Module
+ *
+ * Purpose: Per-peak mixer settings (mute, solo, gain trim, detune, waveform)
+ *
+ * Dependencies:
+ * - CONFIG (for gain and detune ranges and the waveform list)
+ *
+ * Exports:
+ * - PeakMixer class - Mixer model shared by audio playback, audio export and MIDI
+ *
+ * Usage:
+ * ```javascript
+ * const mixer = new PeakMixer();
+ * mixer.setChannel(1715, { solo: true });
+ * mixer.setChannel(2950, { gain: 0.5, detune: -20, waveform: 'triangle' });
+ *
+ * mixer.getLevel(2950);            // 0 - another peak is soloed
+ * mixer.applyToPeaks(peaks);       // audible peaks with gain and detune applied
+ * ```
+ *
+ * Model:
+ * - Channels are keyed by peak wavenumber (cm⁻¹), which survives re-mapping
+ *   and quantization; peaks without settings use the defaults
+ * - A muted peak is silent; while any peak is soloed, only soloed peaks sound
+ * - gain is a level multiplier (1 = unchanged), detune is in cents and adds
+ *   to the engine-wide detune, waveform 'auto' keeps the band-shape timbre
+ * - retain() clears peaks that no longer exist, such as peaks merged into a
+ *   stronger one by quantization
+ * - onChange is called after every edit with {wavenumber, settings}, where
+ *   settings lists the changed keys (wavenumber is null after reset() and retain())
+ */
+
+class PeakMixer {
+    constructor() {
+        this.channels = new Map();
+
+        // Change callback, see module header
+        this.onChange = null;
+    }
+
+    /**
+     * Get the settings of a peak with no mixer entry
+     * @returns {Object} {mute, solo, gain, detune, waveform}
+     */
+    static defaults() {
+        return { mute: false, solo: false, gain: 1, detune: 0, waveform: 'auto' };
+    }
+
+    /**
+     * Get the available waveform overrides
+     * @returns {Object} Waveforms from CONFIG.peakMixer.WAVEFORMS
+     */
+    getWaveforms() {
+        return CONFIG.peakMixer.WAVEFORMS;
+    }
+
+    /**
+     * Get one peak's settings
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @returns {Object} Copy of {mute, solo, gain, detune, waveform}
+     */
+    getChannel(wavenumber) {
+        return { ...PeakMixer.defaults(), ...this.channels.get(wavenumber) };
+    }
+
+    /**
+     * Get every peak that has non-default settings
+     * @returns {Array} [{wavenumber, mute, solo, gain, detune, waveform}]
+     */
+    getChannels() {
+        return Array.from(this.channels.keys()).map(wavenumber => ({ wavenumber, ...this.getChannel(wavenumber) }));
+    }
+
+    /**
+     * Change some of a peak's settings
+     *
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @param {Object} settings - Values to change: mute, solo, gain, detune, waveform
+     * @throws {Error} If the wavenumber or a setting is invalid (nothing is changed)
+     */
+    setChannel(wavenumber, settings) {
+        if (typeof wavenumber !== 'number' || !isFinite(wavenumber)) {
+            throw new Error('Invalid wavenumber: must be a finite number');
+        }
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Invalid mixer settings: must be an object');
+        }
+
+        const channel = { ...this.getChannel(wavenumber), ...PeakMixer.validate(settings) };
+        const defaults = PeakMixer.defaults();
+        if (Object.keys(defaults).every(key => channel[key] === defaults[key])) {
+            this.channels.delete(wavenumber);
+        } else {
+            this.channels.set(wavenumber, channel);
+        }
+        this.notify({ wavenumber, settings: Object.keys(settings) });
+    }
+
+    /**
+     * Clear every peak's settings
+     */
+    reset() {
+        this.channels.clear();
+        this.notify({ wavenumber: null, settings: Object.keys(PeakMixer.defaults()) });
+    }
+
+    /**
+     * Clear the settings of every peak not in a list
+     *
+     * Used when the peaks change, so settings of peaks that are gone (such as
+     * a solo) cannot keep silencing the peaks that remain.
+     *
+     * @param {Array<number>} wavenumbers - Wavenumbers of the peaks to keep
+     * @returns {number} Number of peaks whose settings were cleared
+     */
+    retain(wavenumbers) {
+        const keep = new Set(wavenumbers);
+        const removed = Array.from(this.channels.keys()).filter(wavenumber => !keep.has(wavenumber));
+
+        if (removed.length > 0) {
+            removed.forEach(wavenumber => this.channels.delete(wavenumber));
+            this.notify({ wavenumber: null, settings: Object.keys(PeakMixer.defaults()) });
+        }
+        return removed.length;
+    }
+
+    /**
+     * Check whether any peak is soloed
+     * @returns {boolean} True if at least one peak is soloed
+     */
+    hasSolo() {
+        return Array.from(this.channels.values()).some(channel => channel.solo);
+    }
+
+    /**
+     * Check whether a peak sounds, given mute and solo
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @returns {boolean} True if the peak is audible
+     */
+    isAudible(wavenumber) {
+        const channel = this.getChannel(wavenumber);
+        if (channel.mute) {
+            return false;
+        }
+        return !this.hasSolo() || channel.solo;
+    }
+
+    /**
+     * Get the level multiplier a peak plays at
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @returns {number} Gain trim, or 0 if muted or not soloed
+     */
+    getLevel(wavenumber) {
+        return this.isAudible(wavenumber) ? this.getChannel(wavenumber).gain : 0;
+    }
+
+    /**
+     * Get a peak's detune
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @returns {number} Detune in cents
+     */
+    getDetune(wavenumber) {
+        return this.getChannel(wavenumber).detune;
+    }
+
+    /**
+     * Get a peak's waveform override
+     * @param {number} wavenumber - Peak wavenumber in cm⁻¹
+     * @returns {string} Key of CONFIG.peakMixer.WAVEFORMS ('auto' for the band-shape timbre)
+     */
+    getWaveform(wavenumber) {
+        return this.getChannel(wavenumber).waveform;
+    }
+
+    /**
+     * Apply the mixer to a peak list (for note-based outputs such as MIDI)
+     *
+     * Inaudible peaks are dropped, absorbance is scaled by the gain trim
+     * (so note velocity follows it) and audioFreq is shifted by the detune.
+     * Waveform overrides have no equivalent here.
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @returns {Array} New peak objects
+     */
+    applyToPeaks(peaks) {
+        return peaks
+            .filter(peak => this.isAudible(peak.wavenumber))
+            .map(peak => {
+                const { gain, detune } = this.getChannel(peak.wavenumber);
+                return {
+                    ...peak,
+                    absorbance: peak.absorbance * gain,
+                    audioFreq: peak.audioFreq * Math.pow(2, detune / 1200)
+                };
+            });
+    }
+
+    /**
+     * Report a change to onChange
+     * @param {Object} change - {wavenumber, settings}
+     * @private
+     */
+    notify(change) {
+        if (typeof this.onChange === 'function') {
+            this.onChange(change);
+        }
+    }
+
+    /**
+     * Validate mixer settings
+     *
+     * @param {Object} settings - Values to check
+     * @returns {Object} The same values
+     * @throws {Error} If a setting is unknown or out of range
+     */
+    static validate(settings) {
+        const maxGain = CONFIG.peakMixer.MAX_GAIN;
+        const maxDetune = CONFIG.audio.MAX_DETUNE;
+
+        Object.keys(settings).forEach(key => {
+            const value = settings[key];
+            switch (key) {
+                case 'mute':
+                case 'solo':
+                    if (typeof value !== 'boolean') {
+                        throw new Error(`Invalid peak ${key}: must be a boolean`);
+                    }
+                    break;
+                case 'gain':
+                    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > maxGain) {
+                        throw new Error(`Invalid peak gain: must be between 0 and ${maxGain}`);
+                    }
+                    break;
+                case 'detune':
+                    if (typeof value !== 'number' || isNaN(value) || value < -maxDetune || value > maxDetune) {
+                        throw new Error(`Invalid peak detune: must be between -${maxDetune} and ${maxDetune} cents`);
+                    }
+                    break;
+                case 'waveform':
+                    if (!CONFIG.peakMixer.WAVEFORMS[value]) {
+                        throw new Error(`Invalid peak waveform: ${value}`);
+                    }
+                    break;
+                default:
+                    throw new Error(`Invalid mixer setting: ${key}`);
+            }
+        });
+        return settings;
+    }
+}
@@ -11,7 +11,7 @@
 
 /* global audioEngine, visualizer, currentPeaks, playButton, durationSlider, substanceSelect,
           selectionCount, clearSelectionButton, Logger, Toast, ScreenReader, ErrorHandler,
-          MicroInteractions, iOSAudioHelper, CONSTANTS */
+          MicroInteractions, iOSAudioHelper, CONSTANTS, midiClock */
 
 /**
  * Handle play button click
@@ -21,6 +21,9 @@ async function handlePlay() {
     // If currently playing, stop instead
     if (audioEngine.isPlaying) {
         audioEngine.stop();
+        if (midiClock) {
+            midiClock.stop();
+        }
         visualizer.stopAudioAnimation();
         playButton.textContent = '▶ Play Sound';
         playButton.disabled = false;
@@ -50,12 +53,17 @@ async function handlePlay() {
         return;
     }
 
+    // Drone mode holds the sound until Stop is pressed
+    const held = audioEngine.getPlaybackMode() === 'drone';
+
     try {
         // Update button to show stop
         playButton.textContent = '■ Stop';
 
         // Add pulse effect to play button
-        MicroInteractions.pulse(playButton, duration * 1000);
+        if (!held) {
+            MicroInteractions.pulse(playButton, duration * 1000);
+        }
 
         // Ensure audio context is active (especially for iOS)
         await iOSAudioHelper.ensureAudioContext(audioEngine);
@@ -63,6 +71,11 @@ async function handlePlay() {
         // Start audio with selected or all peaks
         await audioEngine.play(peaksToPlay, duration);
 
+        // Lead external gear when sending MIDI clock
+        if (midiClock) {
+            midiClock.start();
+        }
+
         // Start visualization animation
         visualizer.startAudioAnimation();
 
@@ -70,11 +83,16 @@ async function handlePlay() {
         const substanceName = substanceSelect.options[substanceSelect.selectedIndex].text;
         const peakCountMsg = (selectedPeaks && selectedPeaks.length > 0) ?
             `${selectedPeaks.length} selected peaks` : `${currentPeaks.length} peaks`;
-        ScreenReader.announce(
-            `Playing ${substanceName}, ${peakCountMsg}, duration ${duration} seconds`
+        ScreenReader.announce(held
+            ? `Playing ${substanceName}, ${peakCountMsg}, held until stopped`
+            : `Playing ${substanceName}, ${peakCountMsg}, duration ${duration} seconds`
         );
 
-        Logger.log(`Playing ${peaksToPlay.length} frequencies${(selectedPeaks && selectedPeaks.length > 0) ? ' (selected)' : ''} for ${duration}s`);
+        Logger.log(`Playing ${peaksToPlay.length} frequencies${(selectedPeaks && selectedPeaks.length > 0) ? ' (selected)' : ''} ${held ? 'until stopped' : `for ${duration}s`}`);
+
+        if (held) {
+            return;
+        }
 
         // Reset button after duration (with buffer for audio to fully stop)
         const playbackBuffer = typeof CONSTANTS !== 'undefined'
@@ -84,6 +102,9 @@ async function handlePlay() {
             playButton.textContent = '▶ Play Sound';
             visualizer.stopAudioAnimation();
             ScreenReader.announce('Playback finished');
+            if (midiClock && !audioEngine.isPlaying) {
+                midiClock.stop();
+            }
         }, duration * 1000 + playbackBuffer);
 
     } catch (error) {
@@ -101,6 +122,9 @@ async function handlePlay() {
  * Handle stop button click
  */
 function handleStop() {
+    if (midiClock) {
+        midiClock.stop();
+    }
     if (audioEngine.isPlaying) {
         audioEngine.stop();
         visualizer.stopAudioAnimation();
@@ -151,3 +175,64 @@ function handleSelectAll() {
     visualizer.selectAllPeaks();
     Logger.log(`Selected all ${currentPeaks.length} peaks`);
 }
+
+// Notes whose key is down; a release during noteOn's first await ends the note once it starts
+const pressedNotes = new Set();
+
+/**
+ * Handle an instrument key press (on-screen piano, computer keyboard or MIDI controller)
+ * Plays the selected peaks (or all peaks) transposed to the note.
+ * @param {number} note - MIDI note number
+ * @param {number} [velocity=1] - Note level from 0 to 1
+ */
+async function handleNoteOn(note, velocity = 1) {
+    if (!currentPeaks || currentPeaks.length === 0) {
+        return;
+    }
+
+    const selectedPeaks = visualizer.getSelectedPeaks();
+    const peaks = (selectedPeaks && selectedPeaks.length > 0) ? selectedPeaks : currentPeaks;
+    pressedNotes.add(note);
+
+    try {
+        await iOSAudioHelper.ensureAudioContext(audioEngine);
+        await audioEngine.noteOn(note, peaks, velocity);
+
+        if (!pressedNotes.has(note)) {
+            audioEngine.noteOff(note);
+            return;
+        }
+        setPianoKeyActive(note, true);
+        visualizer.startAudioAnimation();
+    } catch (error) {
+        pressedNotes.delete(note);
+        ErrorHandler.handle(error, `Failed to play note: ${error.message}`);
+    }
+}
+
+/**
+ * Handle an instrument key release
+ * @param {number} note - MIDI note number
+ */
+function handleNoteOff(note) {
+    pressedNotes.delete(note);
+    audioEngine.noteOff(note);
+    setPianoKeyActive(note, false);
+
+    if (audioEngine.getActiveNotes().length === 0 && !audioEngine.isPlaying) {
+        visualizer.stopAudioAnimation();
+    }
+}
+
+/**
+ * Show a piano key as pressed or released
+ * @param {number} note - MIDI note number
+ * @param {boolean} active - True while the note sounds
+ */
+function setPianoKeyActive(note, active) {
+    const key = document.querySelector(`#piano-keyboard [data-note="${note}"]`);
+    if (key) {
+        key.classList.toggle('active', active);
+        key.setAttribute('aria-pressed', String(active));
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * Scale Quantizer Module
+ *
+ * Purpose: Snaps mapped peak frequencies to the pitches of a musical scale
+ *
+ * Dependencies:
+ * - CONFIG (for scale definitions and quantization defaults)
+ *
+ * Exports:
+ * - ScaleQuantizer class - Scale/key selection, Scala (.scl) loading, quantization
+ *
+ * Core Concept:
+ * FrequencyMapper produces arbitrary frequencies, so peaks played together
+ * rarely form consonant intervals. The quantizer moves each frequency to the
+ * nearest degree of the selected scale (relative to the chosen key), in any
+ * octave. Peaks that land on the same pitch are merged, summing their
+ * intensities, so the result never contains duplicate notes.
+ *
+ * Usage:
+ * ```javascript
+ * const quantizer = new ScaleQuantizer();
+ * quantizer.setScale('pentatonic');
+ * quantizer.setKey(2); // D
+ *
+ * const quantized = quantizer.quantizePeaks(peaks);
+ * // Returns: [{wavenumber, absorbance, audioFreq}, ...] on scale pitches
+ *
+ * // Custom tunings from Scala files
+ * quantizer.loadScala(sclFileText);
+ * ```
+ *
+ * Scales:
+ * - Built-in scales are defined in CONFIG.scales as semitone intervals
+ * - 'off' disables quantization (peaks pass through unchanged)
+ * - 'scala' is available once a .scl file has been loaded; its last pitch
+ *   is the repeat interval (usually 2/1)
+ */
+
+class ScaleQuantizer {
+    constructor() {
+        this.scale = CONFIG.quantization.DEFAULT_SCALE;
+        this.key = CONFIG.quantization.DEFAULT_KEY;  // Pitch class (0 = C ... 11 = B)
+        this.referenceFrequency = CONFIG.quantization.REFERENCE_FREQUENCY;  // A4 in Hz
+
+        // Parsed Scala tuning: {name, degrees (cents), period (cents)}
+        this.customScale = null;
+    }
+
+    /**
+     * Check whether quantization is active
+     * @returns {boolean} True if a scale other than 'off' is selected
+     */
+    isEnabled() {
+        return this.scale !== 'off';
+    }
+
+    /**
+     * Set the active scale
+     * @param {string} scale - Scale key from CONFIG.scales, or 'scala' after loadScala()
+     * @throws {Error} If the scale is unknown or no Scala file has been loaded
+     */
+    setScale(scale) {
+        if (scale === 'scala') {
+            if (!this.customScale) {
+                throw new Error('Invalid scale: no Scala tuning loaded');
+            }
+        } else if (!CONFIG.scales[scale]) {
+            throw new Error(`Invalid scale: ${scale}`);
+        }
+        this.scale = scale;
+    }
+
+    /**
+     * Get the active scale
+     * @returns {string} Scale key
+     */
+    getScale() {
+        return this.scale;
+    }
+
+    /**
+     * Get available scales, including a loaded Scala tuning
+     * @returns {Object} Map of scale key → {name, description}
+     */
+    getScales() {
+        const scales = { ...CONFIG.scales };
+        if (this.customScale) {
+            scales.scala = {
+                name: 'Scala',
+                description: this.customScale.name || 'Custom tuning',
+            };
+        }
+        return scales;
+    }
+
+    /**
+     * Set the key (root pitch class)
+     * @param {number} key - Pitch class 0-11 (0 = C)
+     * @throws {Error} If key is not an integer 0-11
+     */
+    setKey(key) {
+        if (!Number.isInteger(key) || key < 0 || key > 11) {
+            throw new Error('Invalid key: must be an integer between 0 (C) and 11 (B)');
+        }
+        this.key = key;
+    }
+
+    /**
+     * Get the key (root pitch class)
+     * @returns {number} Pitch class 0-11
+     */
+    getKey() {
+        return this.key;
+    }
+
+    /**
+     * Get the display name for the current key and scale
+     * @returns {string} e.g. "D Pentatonic"
+     */
+    getDescription() {
+        const scaleInfo = this.getScales()[this.scale];
+        const scaleName = scaleInfo ? scaleInfo.name : this.scale;
+        return `${CONFIG.quantization.KEY_NAMES[this.key]} ${scaleName}`;
+    }
+
+    /**
+     * Load a Scala (.scl) tuning and make it the active scale
+     * @param {string} text - Contents of a .scl file
+     * @returns {Object} Parsed tuning {name, degrees, period}
+     * @throws {Error} If the file is not valid Scala
+     */
+    loadScala(text) {
+        this.customScale = ScaleQuantizer.parseScala(text);
+        this.scale = 'scala';
+        return this.customScale;
+    }
+
+    /**
+     * Parse Scala (.scl) file contents
+     *
+     * Format: '!' comment lines, a description line, the number of pitches,
+     * then one pitch per line as cents (contains '.') or a ratio ('3/2', '2').
+     * The implicit 1/1 is not listed; the last pitch is the repeat interval.
+     *
+     * @param {string} text - Contents of a .scl file
+     * @returns {Object} {name, degrees: number[] (cents, starting at 0), period: number (cents)}
+     * @throws {Error} If the file is malformed
+     */
+    static parseScala(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid Scala file: must be text');
+        }
+
+        const lines = text.split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+        if (lines.length < 2) {
+            throw new Error('Invalid Scala file: missing description or note count');
+        }
+
+        const name = lines[0].trim();
+        const count = parseInt(lines[1].trim(), 10);
+        if (isNaN(count) || count < 1) {
+            throw new Error('Invalid Scala file: note count must be a positive integer');
+        }
+
+        const pitchLines = lines.slice(2).map(line => line.trim()).filter(line => line.length > 0);
+        if (pitchLines.length < count) {
+            throw new Error(`Invalid Scala file: expected ${count} pitches, found ${pitchLines.length}`);
+        }
+
+        const pitches = pitchLines.slice(0, count).map(line => ScaleQuantizer.parseScalaPitch(line));
+        const period = pitches[pitches.length - 1];
+        if (period <= 0) {
+            throw new Error('Invalid Scala file: repeat interval must be above 1/1');
+        }
+
+        const degrees = [0, ...pitches.slice(0, -1)]
+            .filter(cents => cents >= 0 && cents < period)
+            .sort((a, b) => a - b);
+
+        return { name, degrees, period };
+    }
+
+    /**
+     * Parse a single Scala pitch value to cents
+     * @param {string} line - Pitch line (text after the value is ignored)
+     * @returns {number} Pitch in cents
+     * @throws {Error} If the value is not valid cents or a positive ratio
+     * @private
+     */
+    static parseScalaPitch(line) {
+        const token = line.split(/\s+/)[0];
+
+        if (token.includes('.')) {
+            const cents = parseFloat(token);
+            if (isNaN(cents)) {
+                throw new Error(`Invalid Scala pitch: ${token}`);
+            }
+            return cents;
+        }
+
+        const [numerator, denominator = '1'] = token.split('/');
+        const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+        if (!isFinite(ratio) || ratio <= 0) {
+            throw new Error(`Invalid Scala pitch: ${token}`);
+        }
+        return 1200 * Math.log2(ratio);
+    }
+
+    /**
+     * Get scale degrees for the active scale
+     * @returns {Object|null} {degrees (cents), period (cents)} or null when disabled
+     * @private
+     */
+    getScaleDegrees() {
+        if (this.scale === 'scala') {
+            return this.customScale;
+        }
+
+        const scale = CONFIG.scales[this.scale];
+        if (!scale || !scale.intervals) {
+            return null;
+        }
+
+        return {
+            degrees: scale.intervals.map(semitones => semitones * 100),
+            period: 1200
+        };
+    }
+
+    /**
+     * Get the frequency of the key's root pitch (octave 4, equal temperament)
+     * @returns {number} Root frequency in Hz
+     * @private
+     */
+    getRootFrequency() {
+        // A4 is pitch class 9
+        return this.referenceFrequency * Math.pow(2, (this.key - 9) / 12);
+    }
+
+    /**
+     * Snap a frequency to the nearest pitch of the active scale
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Quantized frequency in Hz (unchanged if quantization is off)
+     * @throws {Error} If frequency is not a positive number
+     */
+    quantizeFrequency(frequency) {
+        if (typeof frequency !== 'number' || isNaN(frequency) || frequency <= 0) {
+            throw new Error(`Invalid frequency: ${frequency}. Must be a positive number.`);
+        }
+
+        const scale = this.getScaleDegrees();
+        if (!scale) {
+            return frequency;
+        }
+
+        const rootFrequency = this.getRootFrequency();
+        const cents = 1200 * Math.log2(frequency / rootFrequency);
+        const octave = Math.floor(cents / scale.period);
+        const withinOctave = cents - octave * scale.period;
+
+        // Include the next octave's root so values just below it snap upwards
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        [...scale.degrees, scale.period].forEach(degree => {
+            const distance = Math.abs(withinOctave - degree);
+            if (distance < nearestDistance) {
+                nearest = degree;
+                nearestDistance = distance;
+            }
+        });
+
+        return rootFrequency * Math.pow(2, (octave * scale.period + nearest) / 1200);
+    }
+
+    /**
+     * Quantize peak frequencies, merging peaks that land on the same pitch
+     *
+     * Merged peaks keep the fields of their strongest member and the summed
+     * absorbance of all members, capped at 1 so gain stays in the range the
+     * rest of the pipeline expects. Input order is preserved (by first
+     * occurrence).
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance, audioFreq} objects
+     * @returns {Array} New array of quantized peaks (input returned as-is when disabled)
+     */
+    quantizePeaks(peaks) {
+        if (!this.isEnabled() || !Array.isArray(peaks)) {
+            return peaks;
+        }
+
+        const groups = new Map();
+        peaks.forEach(peak => {
+            const audioFreq = this.quantizeFrequency(peak.audioFreq);
+            const key = audioFreq.toFixed(2);
+            const group = groups.get(key);
+
+            if (!group) {
+                groups.set(key, { strongest: peak, absorbance: peak.absorbance, audioFreq });
+            } else {
+                group.absorbance += peak.absorbance;
+                if (peak.absorbance > group.strongest.absorbance) {
+                    group.strongest = peak;
+                }
+            }
+        });
+
+        return Array.from(groups.values()).map(group => ({
+            ...group.strongest,
+            audioFreq: group.audioFreq,
+            absorbance: Math.min(1, group.absorbance)
+        }));
+    }
+}
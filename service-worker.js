@@ -30,13 +30,29 @@ const STATIC_ASSETS = [
     '/substance-utilities.js',
     '/performance-utilities.js',
     // Core modules
+    '/spectral-preprocessor.js',
+    '/peak-detector.js',
     '/frequency-mapper.js',
+    '/scale-quantizer.js',
+    '/effects-chain.js',
+    '/peak-mixer.js',
     '/audio-engine.js',
     '/visualizer.js',
     '/csv-importer.js',
+    '/jcamp-parser.js',
     '/jcamp-importer.js',
+    '/spectrum-importer.js',
+    '/spectrum-exporter.js',
     '/mp3-encoder.js',
+    '/flac-encoder.js',
+    '/audio-file-encoder.js',
+    '/zip-writer.js',
+    '/batch-renderer.js',
+    '/batch-importer.js',
+    '/batch-import-worker.js',
     '/midi-output.js',
+    '/midi-input.js',
+    '/midi-clock.js',
     // DOM and event handling
     '/dom-elements.js',
     '/event-handlers.js',
@@ -0,0 +1,378 @@
+/**
+ * Spectral Preprocessor Module
+ *
+ * Purpose: Unified preprocessing pipeline applied to every spectrum before peak detection
+ *
+ * Dependencies:
+ * - CONFIG (for preprocessing defaults)
+ *
+ * Exports:
+ * - SpectralPreprocessor class - Absorbance conversion, baseline correction, normalization
+ *
+ * Pipeline:
+ * 1. Transmittance → absorbance using Beer–Lambert: A = -log10(T/100)
+ * 2. Baseline correction: rubber-band (lower convex hull) or asymmetric
+ *    least squares (ALS, Eilers & Boelens 2005), or none
+ * 3. Optional vector (L2) normalization
+ *
+ * Peak detection and the spectrum and scan voices scale each spectrum to
+ * its strongest band, so normalization leaves peaks and sound unchanged.
+ * It applies where absolute absorbance counts: the preprocessed spectrum
+ * export and spectrum comparisons (calculateSpectralSimilarity), where it
+ * compares band patterns regardless of concentration or path length.
+ *
+ * Library spectra, CSV imports and JCAMP-DX imports all store percent
+ * transmittance, so running them through the same pipeline means peaks are
+ * detected on identical terms regardless of where a spectrum came from.
+ *
+ * Library Format Versions:
+ * build-library.js stamps each entry with formatVersion (LIBRARY_FORMAT_VERSION).
+ * Entries without one come from older builds, which stored the linear
+ * T% = 100 * (1 - A/Amax). LibraryLoader passes every library entry through
+ * upgradeLibraryEntry() when it loads, so process() only sees Beer–Lambert data.
+ *
+ * Usage:
+ * ```javascript
+ * const preprocessor = new SpectralPreprocessor({ baseline: 'als', normalize: true });
+ * const processed = preprocessor.process(spectrum);
+ * // Returns: [{wavenumber, absorbance}, ...] sorted by ascending wavenumber
+ *
+ * // Conversions
+ * SpectralPreprocessor.transmittanceToAbsorbance(10); // 1
+ * SpectralPreprocessor.absorbanceToTransmittance(2);  // 1 (%)
+ * ```
+ *
+ * Node Usage:
+ * Exported via module.exports when loaded with require(), so build scripts
+ * (build-library.js) share the same conversions.
+ */
+
+/* global module */
+
+class SpectralPreprocessor {
+    /**
+     * @param {Object} [options] - Pipeline settings
+     * @param {string} [options.baseline] - 'none', 'rubberband' or 'als'
+     * @param {boolean} [options.normalize] - Apply vector normalization
+     * @throws {Error} If options are invalid
+     */
+    constructor(options = {}) {
+        this.baselineMethod = CONFIG.preprocessing.DEFAULT_BASELINE;
+        this.vectorNormalize = CONFIG.preprocessing.VECTOR_NORMALIZE;
+
+        // ALS parameters
+        this.ALS_LAMBDA = CONFIG.preprocessing.ALS_LAMBDA;
+        this.ALS_P = CONFIG.preprocessing.ALS_P;
+        this.ALS_ITERATIONS = CONFIG.preprocessing.ALS_ITERATIONS;
+
+        if (options.baseline !== undefined) {
+            this.setBaselineMethod(options.baseline);
+        }
+        if (options.normalize !== undefined) {
+            this.setVectorNormalization(options.normalize);
+        }
+    }
+
+    /**
+     * Set the baseline correction method
+     * @param {string} method - 'none', 'rubberband' or 'als'
+     * @throws {Error} If the method is unknown
+     */
+    setBaselineMethod(method) {
+        if (!CONFIG.baselineMethods[method]) {
+            throw new Error(`Invalid baseline method: ${method}`);
+        }
+        this.baselineMethod = method;
+    }
+
+    /**
+     * Get the baseline correction method
+     * @returns {string} Baseline method key
+     */
+    getBaselineMethod() {
+        return this.baselineMethod;
+    }
+
+    /**
+     * Get available baseline methods
+     * @returns {Object} Baseline methods object from CONFIG
+     */
+    getBaselineMethods() {
+        return CONFIG.baselineMethods;
+    }
+
+    /**
+     * Enable or disable vector normalization
+     * @param {boolean} enabled - True to normalize to unit L2 norm
+     * @throws {Error} If enabled is not a boolean
+     */
+    setVectorNormalization(enabled) {
+        if (typeof enabled !== 'boolean') {
+            throw new Error('Invalid normalization setting: must be a boolean');
+        }
+        this.vectorNormalize = enabled;
+    }
+
+    /**
+     * Check whether vector normalization is enabled
+     * @returns {boolean} True if enabled
+     */
+    getVectorNormalization() {
+        return this.vectorNormalize;
+    }
+
+    /**
+     * Run the full preprocessing pipeline
+     *
+     * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
+     * @returns {Array} Array of {wavenumber, absorbance} sorted by ascending wavenumber
+     * @throws {Error} If spectrum is invalid or empty
+     */
+    process(spectrum) {
+        if (!Array.isArray(spectrum) || spectrum.length === 0) {
+            throw new Error('Invalid spectrum: must be a non-empty array');
+        }
+
+        const sorted = [...spectrum].sort((a, b) => a.wavenumber - b.wavenumber);
+        const wavenumbers = sorted.map(point => point.wavenumber);
+        let absorbance = SpectralPreprocessor.toAbsorbance(sorted);
+
+        if (this.baselineMethod !== 'none') {
+            const baseline = this.baselineMethod === 'als'
+                ? SpectralPreprocessor.alsBaseline(absorbance, this.ALS_LAMBDA, this.ALS_P, this.ALS_ITERATIONS)
+                : SpectralPreprocessor.rubberBandBaseline(wavenumbers, absorbance);
+            absorbance = absorbance.map((value, i) => Math.max(0, value - baseline[i]));
+        }
+
+        if (this.vectorNormalize) {
+            absorbance = SpectralPreprocessor.vectorNormalize(absorbance);
+        }
+
+        return sorted.map((point, i) => ({
+            wavenumber: point.wavenumber,
+            absorbance: absorbance[i]
+        }));
+    }
+
+    /**
+     * Convert percent transmittance to absorbance (Beer–Lambert)
+     *
+     * Transmittance is clamped to CONFIG.preprocessing.MIN_TRANSMITTANCE so
+     * fully absorbing points give a finite absorbance.
+     *
+     * @param {number} transmittance - Transmittance in percent (0-100)
+     * @returns {number} Absorbance (A = -log10(T/100))
+     */
+    static transmittanceToAbsorbance(transmittance) {
+        const clamped = Math.max(CONFIG.preprocessing.MIN_TRANSMITTANCE, transmittance);
+        return -Math.log10(clamped / 100);
+    }
+
+    /**
+     * Convert absorbance to percent transmittance (Beer–Lambert)
+     * @param {number} absorbance - Absorbance units
+     * @returns {number} Transmittance in percent (T = 10^-A × 100)
+     */
+    static absorbanceToTransmittance(absorbance) {
+        return Math.pow(10, -absorbance) * 100;
+    }
+
+    /**
+     * Bring a library entry up to the current spectrum format
+     *
+     * Entries without a formatVersion (version 1) store T% = 100 * (1 - A/Amax).
+     * Their relative absorbance 1 - T/100 is rewritten as Beer–Lambert
+     * transmittance, so it comes back unchanged from process().
+     *
+     * @param {Object} substance - Library entry with a spectrum of {wavenumber, transmittance}
+     * @returns {Object} The entry itself if current, otherwise an upgraded copy
+     */
+    static upgradeLibraryEntry(substance) {
+        if (substance.formatVersion === SpectralPreprocessor.LIBRARY_FORMAT_VERSION) {
+            return substance;
+        }
+        if (substance.formatVersion !== undefined) {
+            throw new Error(`Invalid library format version: ${substance.formatVersion}`);
+        }
+
+        return {
+            ...substance,
+            formatVersion: SpectralPreprocessor.LIBRARY_FORMAT_VERSION,
+            spectrum: substance.spectrum.map(point => ({
+                wavenumber: point.wavenumber,
+                transmittance: SpectralPreprocessor.absorbanceToTransmittance(1 - point.transmittance / 100)
+            }))
+        };
+    }
+
+    /**
+     * Convert a transmittance spectrum to absorbance values
+     * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
+     * @returns {Array<number>} Absorbance values in the same order
+     * @private
+     */
+    static toAbsorbance(spectrum) {
+        return spectrum.map(point => SpectralPreprocessor.transmittanceToAbsorbance(point.transmittance));
+    }
+
+    /**
+     * Rubber-band baseline: lower convex hull of the spectrum
+     *
+     * @param {Array<number>} x - Ascending x values (wavenumbers)
+     * @param {Array<number>} y - Absorbance values
+     * @returns {Array<number>} Baseline value at each x
+     */
+    static rubberBandBaseline(x, y) {
+        const n = y.length;
+        if (n < 3) {
+            return y.slice();
+        }
+
+        // Andrew's monotone chain, lower hull only
+        const hull = [];
+        for (let i = 0; i < n; i++) {
+            while (hull.length >= 2) {
+                const a = hull[hull.length - 2];
+                const b = hull[hull.length - 1];
+                const cross = (x[b] - x[a]) * (y[i] - y[a]) - (y[b] - y[a]) * (x[i] - x[a]);
+                if (cross > 0) break;
+                hull.pop();
+            }
+            hull.push(i);
+        }
+
+        // Linearly interpolate between hull vertices
+        const baseline = new Array(n);
+        for (let h = 0; h < hull.length - 1; h++) {
+            const start = hull[h];
+            const end = hull[h + 1];
+            const span = x[end] - x[start];
+            for (let i = start; i <= end; i++) {
+                const t = span === 0 ? 0 : (x[i] - x[start]) / span;
+                baseline[i] = y[start] + t * (y[end] - y[start]);
+            }
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Asymmetric least squares baseline (Eilers & Boelens, 2005)
+     *
+     * Fits a smooth curve z minimizing Σ wᵢ(yᵢ - zᵢ)² + λ Σ (Δ²zᵢ)², where
+     * points above the curve (peaks) get weight p and points below get 1 - p.
+     *
+     * @param {Array<number>} y - Absorbance values
+     * @param {number} lambda - Smoothness (larger = stiffer baseline)
+     * @param {number} p - Asymmetry (0 < p < 1, typically 0.001-0.05)
+     * @param {number} iterations - Number of reweighting iterations
+     * @returns {Array<number>} Baseline values
+     */
+    static alsBaseline(y, lambda, p, iterations) {
+        const n = y.length;
+        if (n < 3) {
+            return y.slice();
+        }
+
+        // Bands of λ·DᵀD for the second-difference matrix D
+        const diag = new Float64Array(n);
+        const off1 = new Float64Array(n - 1);
+        const off2 = new Float64Array(n - 2);
+        for (let i = 0; i < n - 2; i++) {
+            diag[i] += lambda;
+            diag[i + 1] += 4 * lambda;
+            diag[i + 2] += lambda;
+            off1[i] -= 2 * lambda;
+            off1[i + 1] -= 2 * lambda;
+            off2[i] += lambda;
+        }
+
+        const weights = new Float64Array(n).fill(1);
+        let baseline = y.slice();
+
+        for (let iter = 0; iter < iterations; iter++) {
+            const a = diag.map((value, i) => value + weights[i]);
+            const rhs = y.map((value, i) => weights[i] * value);
+            baseline = SpectralPreprocessor.solvePentadiagonal(a, off1, off2, rhs);
+
+            for (let i = 0; i < n; i++) {
+                weights[i] = y[i] > baseline[i] ? p : 1 - p;
+            }
+        }
+
+        return baseline;
+    }
+
+    /**
+     * Solve a symmetric positive-definite pentadiagonal system by banded Cholesky
+     *
+     * @param {ArrayLike<number>} diag - Main diagonal (length n)
+     * @param {ArrayLike<number>} off1 - First super/sub-diagonal (length n-1)
+     * @param {ArrayLike<number>} off2 - Second super/sub-diagonal (length n-2)
+     * @param {ArrayLike<number>} rhs - Right-hand side (length n)
+     * @returns {Array<number>} Solution vector
+     * @private
+     */
+    static solvePentadiagonal(diag, off1, off2, rhs) {
+        const n = diag.length;
+        const l0 = new Float64Array(n);      // L[i][i]
+        const l1 = new Float64Array(n);      // L[i+1][i]
+        const l2 = new Float64Array(n);      // L[i+2][i]
+
+        for (let i = 0; i < n; i++) {
+            const prev1 = i >= 1 ? l1[i - 1] : 0;
+            const prev2 = i >= 2 ? l2[i - 2] : 0;
+            l0[i] = Math.sqrt(diag[i] - prev1 * prev1 - prev2 * prev2);
+
+            if (i < n - 1) {
+                const cross = i >= 1 ? l2[i - 1] * l1[i - 1] : 0;
+                l1[i] = (off1[i] - cross) / l0[i];
+            }
+            if (i < n - 2) {
+                l2[i] = off2[i] / l0[i];
+            }
+        }
+
+        // Forward substitution: L u = rhs
+        const u = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const prev1 = i >= 1 ? l1[i - 1] * u[i - 1] : 0;
+            const prev2 = i >= 2 ? l2[i - 2] * u[i - 2] : 0;
+            u[i] = (rhs[i] - prev1 - prev2) / l0[i];
+        }
+
+        // Back substitution: Lᵀ z = u
+        const z = new Array(n);
+        for (let i = n - 1; i >= 0; i--) {
+            const next1 = i < n - 1 ? l1[i] * z[i + 1] : 0;
+            const next2 = i < n - 2 ? l2[i] * z[i + 2] : 0;
+            z[i] = (u[i] - next1 - next2) / l0[i];
+        }
+
+        return z;
+    }
+
+    /**
+     * Scale values to unit Euclidean (L2) norm
+     * @param {Array<number>} values - Input values
+     * @returns {Array<number>} Normalized values (unchanged if the norm is zero)
+     */
+    static vectorNormalize(values) {
+        const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) {
+            return values.slice();
+        }
+        return values.map(value => value / norm);
+    }
+}
+
+/**
+ * Spectrum format of library entries written by build-library.js
+ * (2: Beer–Lambert transmittance; entries without a version are the linear format 1)
+ */
+SpectralPreprocessor.LIBRARY_FORMAT_VERSION = 2;
+
+// Allow reuse from Node build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralPreprocessor;
+}
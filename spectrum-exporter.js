@@ -0,0 +1,271 @@
+/**
+ * Spectrum Exporter - Export spectra and peak tables as JCAMP-DX, CSV and JSON
+ *
+ * Purpose: Write the current spectrum (raw transmittance, or the preprocessed
+ * absorbance used for peak detection) and its sonified peak table to files
+ *
+ * Dependencies:
+ * - CONFIG (for baseline method names)
+ * - MIDIOutput (for the MIDI notes in peak tables)
+ *
+ * Exports:
+ * - SpectrumExporter class - Static export helpers
+ *
+ * Usage:
+ * ```javascript
+ * const data = SpectrumExporter.getSpectrumData(substance.spectrum, frequencyMapper.getPreprocessor());
+ * const jdx = SpectrumExporter.toJCAMP(substance, data);
+ *
+ * const peaks = SpectrumExporter.getPeakTable(currentPeaks, frequencyMapper, scaleQuantizer, audioEngine.getPeakMixer());
+ * SpectrumExporter.download(SpectrumExporter.peakTableToCSV(peaks), 'peaks.csv', 'text/csv');
+ * ```
+ *
+ * Files written here import again with JCAMPImporter and CSVImporter.
+ */
+
+class SpectrumExporter {
+    /**
+     * Get the spectrum to export, sorted by ascending wavenumber
+     *
+     * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
+     * @param {SpectralPreprocessor|null} [preprocessor] - Pipeline for preprocessed
+     *   absorbance, or null for the raw transmittance
+     * @returns {Object} {yUnits: 'transmittance'|'absorbance', preprocessing, points: [{x, y}]}
+     *   with transmittance in percent
+     * @throws {Error} If the spectrum is empty
+     */
+    static getSpectrumData(spectrum, preprocessor = null) {
+        if (!Array.isArray(spectrum) || spectrum.length === 0) {
+            throw new Error('Invalid spectrum: must be a non-empty array');
+        }
+
+        if (preprocessor) {
+            return {
+                yUnits: 'absorbance',
+                preprocessing: this.describePreprocessing(preprocessor),
+                points: preprocessor.process(spectrum).map(point => ({ x: point.wavenumber, y: point.absorbance }))
+            };
+        }
+
+        return {
+            yUnits: 'transmittance',
+            preprocessing: null,
+            points: [...spectrum]
+                .sort((a, b) => a.wavenumber - b.wavenumber)
+                .map(point => ({ x: point.wavenumber, y: point.transmittance }))
+        };
+    }
+
+    /**
+     * Describe the preprocessing pipeline for file headers
+     * @param {SpectralPreprocessor} preprocessor - Pipeline settings
+     * @returns {string} Description such as "Absorbance (-log10 T), Rubber Band baseline"
+     * @private
+     */
+    static describePreprocessing(preprocessor) {
+        const steps = ['Absorbance (-log10 T)'];
+        const baseline = preprocessor.getBaselineMethod();
+        if (baseline !== 'none') {
+            steps.push(`${CONFIG.baselineMethods[baseline].name} baseline`);
+        }
+        if (preprocessor.getVectorNormalization()) {
+            steps.push('vector normalized');
+        }
+        return steps.join(', ');
+    }
+
+    /**
+     * Write a spectrum as JCAMP-DX 5.01
+     *
+     * Points are written as (XY..XY) pairs, which do not need equal spacing.
+     * Transmittance is written as a fraction (0-1), as the standard expects.
+     *
+     * @param {Object} substance - Substance data ({name, formula, source})
+     * @param {Object} data - Result of getSpectrumData
+     * @param {Date} [date] - Export date
+     * @returns {string} JCAMP-DX text
+     */
+    static toJCAMP(substance, data, date = new Date()) {
+        const isTransmittance = data.yUnits === 'transmittance';
+        const points = data.points.map(point => ({ x: point.x, y: isTransmittance ? point.y / 100 : point.y }));
+        const ys = points.map(point => point.y);
+        const pad = value => String(value).padStart(2, '0');
+        const longDate = `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+        const lines = [
+            `##TITLE=${this.toLabelValue(substance.name)}`,
+            '##JCAMP-DX=5.01',
+            '##DATA TYPE=INFRARED SPECTRUM',
+            '##DATA CLASS=XYPOINTS',
+            `##ORIGIN=${this.toLabelValue(substance.source || 'Spectral Synthesizer')}`,
+            '##OWNER=',
+            `##LONG DATE=${longDate}`
+        ];
+
+        if (substance.formula) {
+            lines.push(`##MOLFORM=${this.toLabelValue(substance.formula)}`);
+        }
+        if (data.preprocessing) {
+            lines.push(`##$PREPROCESSING=${data.preprocessing}`);
+        }
+
+        lines.push(
+            '##$SOFTWARE=Spectral Synthesizer',
+            '##XUNITS=1/CM',
+            `##YUNITS=${isTransmittance ? 'TRANSMITTANCE' : 'ABSORBANCE'}`,
+            '##XFACTOR=1',
+            '##YFACTOR=1',
+            `##FIRSTX=${this.formatNumber(points[0].x)}`,
+            `##LASTX=${this.formatNumber(points[points.length - 1].x)}`,
+            `##FIRSTY=${this.formatNumber(points[0].y)}`,
+            `##MINY=${this.formatNumber(ys.reduce((min, y) => Math.min(min, y), Infinity))}`,
+            `##MAXY=${this.formatNumber(ys.reduce((max, y) => Math.max(max, y), -Infinity))}`,
+            `##NPOINTS=${points.length}`,
+            '##XYPOINTS=(XY..XY)',
+            ...points.map(point => `${this.formatNumber(point.x)}, ${this.formatNumber(point.y)}`),
+            '##END='
+        );
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write a spectrum as two-column CSV
+     * @param {Object} data - Result of getSpectrumData
+     * @returns {string} CSV text with a "wavenumber,<y units>" header
+     */
+    static toCSV(data) {
+        const rows = data.points.map(point => `${this.formatNumber(point.x)},${this.formatNumber(point.y)}`);
+        return [`wavenumber,${data.yUnits}`, ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Write a spectrum and its peak table as JSON
+     *
+     * @param {Object} substance - Substance data ({name, formula, source})
+     * @param {Object} data - Result of getSpectrumData
+     * @param {Array} [peakTable] - Result of getPeakTable
+     * @param {Object} [mapping] - Description of the sonification (strategy, ranges, scale)
+     * @param {Date} [date] - Export date
+     * @returns {string} JSON text
+     */
+    static toJSON(substance, data, peakTable = [], mapping = null, date = new Date()) {
+        return JSON.stringify({
+            name: substance.name,
+            formula: substance.formula || null,
+            source: substance.source || null,
+            exported: date.toISOString(),
+            software: 'Spectral Synthesizer',
+            xUnits: 'cm-1',
+            yUnits: data.yUnits === 'transmittance' ? '%T' : 'absorbance',
+            preprocessing: data.preprocessing,
+            spectrum: data.points.map(point => ({ wavenumber: point.x, [data.yUnits]: point.y })),
+            mapping,
+            peaks: peakTable
+        }, null, 2);
+    }
+
+    /**
+     * Build the peak table for the sonified peaks
+     *
+     * Lists the peaks as they are played and sent over MIDI: mapped with
+     * FrequencyMapper.mapPeaks (so peaks merged by the scale quantizer are
+     * one row), then through the peak mixer, which drops muted peaks, scales
+     * absorbance by gain and shifts the frequency by detune. MIDI notes come
+     * from MIDIOutput.frequencyToMIDINote.
+     *
+     * @param {Array} peaks - Array of {wavenumber, absorbance} peak objects
+     * @param {FrequencyMapper} frequencyMapper - Mapper for audio frequencies and functional groups
+     * @param {ScaleQuantizer|null} [scaleQuantizer] - Quantizer applied after mapping
+     * @param {PeakMixer|null} [peakMixer] - Mixer applied after quantization
+     * @returns {Array<Object>} Rows of {wavenumber, absorbance, audioFrequency, midiNote, functionalGroup}
+     *   sorted by ascending wavenumber
+     */
+    static getPeakTable(peaks, frequencyMapper, scaleQuantizer = null, peakMixer = null) {
+        let played = frequencyMapper.mapPeaks(peaks, scaleQuantizer);
+        if (peakMixer) {
+            played = peakMixer.applyToPeaks(played);
+        }
+
+        return played
+            .sort((a, b) => a.wavenumber - b.wavenumber)
+            .map(peak => ({
+                wavenumber: peak.wavenumber,
+                absorbance: peak.absorbance,
+                audioFrequency: peak.audioFreq,
+                midiNote: MIDIOutput.frequencyToMIDINote(peak.audioFreq),
+                functionalGroup: frequencyMapper.getFunctionalGroup(peak.wavenumber)
+            }));
+    }
+
+    /**
+     * Write a peak table as CSV
+     *
+     * Absorbance is relative to the strongest band (0-1) times the peak's gain
+     * trim, as used for playback.
+     *
+     * @param {Array<Object>} peakTable - Result of getPeakTable
+     * @returns {string} CSV text
+     */
+    static peakTableToCSV(peakTable) {
+        const rows = peakTable.map(row => [
+            this.formatNumber(row.wavenumber, 2),
+            this.formatNumber(row.absorbance, 4),
+            this.formatNumber(row.audioFrequency, 2),
+            row.midiNote,
+            `"${row.functionalGroup.replace(/"/g, '""')}"`
+        ].join(','));
+
+        return ['wavenumber_cm-1,relative_absorbance,audio_frequency_hz,midi_note,functional_group', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Create a file name from a substance name
+     * @param {string} name - Substance name
+     * @param {string} suffix - Suffix such as 'spectrum' or 'peaks'
+     * @param {string} extension - Extension without the dot
+     * @returns {string} File name such as "caffeine_peaks.csv"
+     */
+    static createFilename(name, suffix, extension) {
+        const base = (name || 'spectrum').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'spectrum';
+        return `${base}_${suffix}.${extension}`;
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} content - File contents
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    static download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Format a number for text files without exponents or trailing zeros
+     * @param {number} value - Number
+     * @param {number} [decimals=6] - Maximum decimal places
+     * @returns {string} Formatted number
+     * @private
+     */
+    static formatNumber(value, decimals = 6) {
+        return String(parseFloat(value.toFixed(decimals)));
+    }
+
+    /**
+     * Make text safe for a single-line JCAMP-DX label value
+     * @param {string} text - Text
+     * @returns {string} Text on one line without label markers
+     * @private
+     */
+    static toLabelValue(text) {
+        return String(text).replace(/[\r\n]+/g, ' ').replace(/##/g, '#').replace(/\$\$/g, '$').trim();
+    }
+}
@@ -0,0 +1,662 @@
+/**
+ * Spectrum Importer - Import spectra from instrument and exchange files
+ *
+ * A registry of import formats. Each format is
+ * {id, name, extensions, sniff(bytes), parse(file, bytes)}:
+ * - sniff(bytes) (optional) checks the start of the file for the format's
+ *   magic bytes
+ * - parse(file, bytes) returns (or resolves to) the same
+ *   {name, spectrum, metadata} object CSVImporter and JCAMPImporter produce
+ *
+ * importFile() uses the first format whose magic bytes match, then falls back
+ * to the file extension, so instrument files are recognised however they are
+ * named (Bruker OPUS files are numbered .0, .1, ...).
+ *
+ * Built-in formats:
+ * - CSV and JCAMP-DX (by extension, through CSVImporter and JCAMPImporter)
+ * - Thermo Nicolet/OMNIC SPA
+ * - Bruker OPUS (the AB result spectrum)
+ * - Galactic/Thermo SPC (new little-endian format, first subfile)
+ * - Perkin-Elmer SP
+ *
+ * Binary spectra are converted to the library's wavenumber/transmittance
+ * points: wavelength axes are converted to cm⁻¹ and absorbance to %T.
+ */
+
+class SpectrumImporter {
+    /**
+     * Add an import format, replacing any format with the same id
+     *
+     * @param {Object} format - {id, name, extensions, sniff, parse} (see module header)
+     * @throws {Error} If the format is incomplete
+     */
+    static register(format) {
+        if (!format || typeof format.id !== 'string' || typeof format.name !== 'string' ||
+            !Array.isArray(format.extensions) || typeof format.parse !== 'function' ||
+            (format.sniff !== undefined && typeof format.sniff !== 'function')) {
+            throw new Error('Invalid import format: needs id, name, extensions and parse()');
+        }
+
+        SpectrumImporter.formats = SpectrumImporter.formats.filter(existing => existing.id !== format.id);
+        SpectrumImporter.formats.push(format);
+    }
+
+    /**
+     * Get the registered formats
+     * @returns {Array} {id, name, extensions} for each format, in detection order
+     */
+    static getFormats() {
+        return SpectrumImporter.formats.map(({ id, name, extensions }) => ({ id, name, extensions }));
+    }
+
+    /**
+     * Find the format of a file
+     *
+     * @param {File} file - File being imported
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object|null} Registered format, or null if none matches
+     */
+    static detect(file, bytes) {
+        const byMagic = SpectrumImporter.formats.find(format => format.sniff && format.sniff(bytes));
+        if (byMagic) {
+            return byMagic;
+        }
+
+        const fileName = file.name.toLowerCase();
+        return SpectrumImporter.formats.find(format =>
+            format.extensions.some(ext => fileName.endsWith(ext))
+        ) || null;
+    }
+
+    /**
+     * Import a spectrum from a file in any registered format
+     *
+     * @param {File} file - File from input element
+     * @returns {Promise<Object>} Parsed spectrum data with metadata (metadata.format is the format id)
+     * @throws {Error} If the format is not recognised or parsing fails
+     */
+    static async importFile(file) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        // Validate file size (50MB max, as for JCAMP files)
+        const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error(`File too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Maximum size: 50MB`);
+        }
+
+        if (file.size === 0) {
+            throw new Error('File is empty');
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const format = this.detect(file, bytes);
+        if (!format) {
+            const names = SpectrumImporter.formats.map(f => f.name).join(', ');
+            throw new Error(`Unrecognized file format: ${file.name}. Supported formats: ${names}`);
+        }
+
+        let data;
+        try {
+            data = await format.parse(file, bytes);
+        } catch (error) {
+            // DataView reads past the end of a truncated file
+            if (error instanceof RangeError) {
+                throw new Error(`Invalid ${format.name} file: unexpected end of data`);
+            }
+            throw error;
+        }
+
+        CSVImporter.validate(data);
+        data.metadata = { ...data.metadata, format: format.id };
+        return data;
+    }
+
+    /**
+     * Parse a Thermo Nicolet/OMNIC SPA file
+     *
+     * The title is at byte 30. A directory of 16-byte entries from byte 304
+     * points to the spectrum header (key 2) and the float32 intensities (key 3).
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Raw spectrum for createResult()
+     * @throws {Error} If the header or data is missing
+     */
+    static parseSPA(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let header = null;
+        let data = null;
+
+        for (let pos = 304; pos + 10 <= bytes.length; pos += 16) {
+            const key = bytes[pos];
+            if (key === 0 || key === 1) {
+                break;
+            }
+            if (key === 2) {
+                header = view.getUint32(pos + 2, true);
+            } else if (key === 3) {
+                data = { offset: view.getUint32(pos + 2, true), size: view.getUint32(pos + 6, true) };
+            }
+        }
+
+        if (header === null || !data) {
+            throw new Error('Invalid SPA file: no spectrum found');
+        }
+
+        const points = Math.min(view.getUint32(header + 4, true), Math.floor(data.size / 4));
+
+        return {
+            title: this.readString(bytes, 30, 256),
+            firstX: view.getFloat32(header + 16, true),
+            lastX: view.getFloat32(header + 20, true),
+            y: this.readNumbers(view, data.offset, points, 'Float32'),
+            xUnits: SpectrumImporter.SPA_X_UNITS[bytes[header + 8]],
+            yUnits: SpectrumImporter.SPA_Y_UNITS[bytes[header + 12]] || null,
+            metadata: { scans: view.getUint32(header + 36, true) }
+        };
+    }
+
+    /**
+     * Parse a Bruker OPUS file
+     *
+     * A directory of 12-byte block entries (type, channel, text type, size in
+     * 4-byte words, offset) follows the header. The AB spectrum block holds
+     * float32 values, described by the AB data parameter block (NPT points,
+     * FXV to LXV, CSF scaling, DXU X units). The sample name (SNM) comes from
+     * the sample parameter block.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Raw spectrum for createResult()
+     * @throws {Error} If there is no AB spectrum
+     */
+    static parseOPUS(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const { AB, AB_PARAMETERS, SAMPLE_PARAMETERS } = SpectrumImporter.OPUS_BLOCKS;
+        const blocks = [];
+
+        const directory = view.getInt32(12, true);
+        const count = view.getInt32(20, true);
+        for (let i = 0; i < count; i++) {
+            const pos = directory + i * 12;
+            blocks.push({
+                type: bytes[pos],
+                size: view.getInt32(pos + 4, true) * 4,
+                offset: view.getInt32(pos + 8, true)
+            });
+        }
+
+        const spectrum = blocks.find(block => block.type === AB);
+        const parameterBlock = blocks.find(block => block.type === AB_PARAMETERS);
+        if (!spectrum || !parameterBlock) {
+            throw new Error('Invalid OPUS file: no AB spectrum found');
+        }
+
+        const parameters = this.parseOPUSParameters(bytes, view, parameterBlock.offset);
+        const sampleBlock = blocks.find(block => block.type === SAMPLE_PARAMETERS);
+        const sample = sampleBlock ? this.parseOPUSParameters(bytes, view, sampleBlock.offset) : {};
+
+        const points = Math.min(parameters.NPT || 0, Math.floor(spectrum.size / 4));
+        const scale = parameters.CSF || 1;
+
+        return {
+            title: sample.SNM || '',
+            firstX: parameters.FXV,
+            lastX: parameters.LXV,
+            y: this.readNumbers(view, spectrum.offset, points, 'Float32').map(value => value * scale),
+            xUnits: SpectrumImporter.OPUS_X_UNITS[parameters.DXU || 'WN'],
+            yUnits: null,
+            metadata: {}
+        };
+    }
+
+    /**
+     * Parse an OPUS parameter block
+     *
+     * Parameters are a 3-letter name (NUL-padded to 4 bytes), a uint16 type
+     * (0 int32, 1 float64, otherwise text), a uint16 size in 2-byte words and
+     * the value, up to an END parameter.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {DataView} view - View of the file contents
+     * @param {number} offset - Block offset
+     * @returns {Object} {name: value}
+     * @private
+     */
+    static parseOPUSParameters(bytes, view, offset) {
+        const parameters = {};
+        let pos = offset;
+
+        while (pos + 8 <= bytes.length) {
+            const name = this.readString(bytes, pos, 3);
+            if (name === 'END') {
+                break;
+            }
+
+            const type = view.getUint16(pos + 4, true);
+            const size = view.getUint16(pos + 6, true) * 2;
+            const value = pos + 8;
+
+            if (type === 0) {
+                parameters[name] = view.getInt32(value, true);
+            } else if (type === 1) {
+                parameters[name] = view.getFloat64(value, true);
+            } else {
+                parameters[name] = this.readString(bytes, value, size);
+            }
+            pos = value + size;
+        }
+
+        return parameters;
+    }
+
+    /**
+     * Parse a Galactic/Thermo SPC file
+     *
+     * Reads the 512-byte header, the shared X values when the file has them
+     * (TXVALS), and the first subfile: a 32-byte subheader, its own X values
+     * for XYXY files, then Y values as float32 (exponent 0x80) or as
+     * fixed-point int32/int16 scaled by 2^exponent.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Raw spectrum for createResult()
+     * @throws {Error} If the file is not a new-format little-endian SPC file
+     */
+    static parseSPC(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const { TSPREC, TMULTI, TXYXYS, TXVALS } = SpectrumImporter.SPC_FLAGS;
+        const flags = bytes[0];
+
+        if (bytes[1] !== 0x4B) {
+            throw new Error('Unsupported SPC file: only new-format little-endian SPC files can be read');
+        }
+
+        let points = view.getInt32(4, true);
+        let x = null;
+        let pos = 512;
+
+        if (flags & TXVALS) {
+            x = this.readNumbers(view, pos, points, 'Float32');
+            pos += points * 4;
+        }
+
+        // First subfile: multifile subfiles have their own exponent
+        const exponent = (flags & TMULTI) ? view.getInt8(pos + 1) : view.getInt8(3);
+        const subfilePoints = view.getInt32(pos + 16, true);
+        pos += 32;
+
+        if (flags & TXYXYS) {
+            points = subfilePoints;
+            x = this.readNumbers(view, pos, points, 'Float32');
+            pos += points * 4;
+        }
+
+        let y;
+        if (exponent === -128) {
+            y = this.readNumbers(view, pos, points, 'Float32');
+        } else if (flags & TSPREC) {
+            y = this.readNumbers(view, pos, points, 'Int16').map(value => value * Math.pow(2, exponent - 16));
+        } else {
+            y = this.readNumbers(view, pos, points, 'Int32').map(value => value * Math.pow(2, exponent - 32));
+        }
+
+        return {
+            title: this.readString(bytes, 88, 130),
+            x,
+            firstX: view.getFloat64(8, true),
+            lastX: view.getFloat64(16, true),
+            y,
+            xUnits: SpectrumImporter.SPC_X_UNITS[bytes[28]],
+            yUnits: SpectrumImporter.SPC_Y_UNITS[bytes[29]] || null,
+            metadata: { subfiles: (flags & TMULTI) ? view.getInt32(24, true) : 1 }
+        };
+    }
+
+    /**
+     * Parse a Perkin-Elmer SP file
+     *
+     * After the "PEPE" signature and a 40-byte description come blocks of an
+     * int16 id and int32 size. The 2D data block (120) nests the data set
+     * members: abscissa range, number of points, axis labels, name and the
+     * float64 values.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Raw spectrum for createResult()
+     * @throws {Error} If there is no data member
+     */
+    static parseSP(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const members = SpectrumImporter.SP_MEMBERS;
+        const raw = { title: '', x: null, y: null, xUnits: 'wavenumber', yUnits: null, metadata: {} };
+        let points = Infinity;
+        let pos = 44;
+
+        while (pos + 6 <= bytes.length) {
+            const id = view.getInt16(pos, true);
+            const size = view.getInt32(pos + 2, true);
+            if (size < 0) {
+                break;
+            }
+            pos += 6;
+
+            // The data set block contains the members, so read into it
+            if (id === members.DATA_SET) {
+                continue;
+            }
+
+            // Members start with a 2-byte type code
+            switch (id) {
+                case members.ABSCISSA_RANGE:
+                    raw.firstX = view.getFloat64(pos + 2, true);
+                    raw.lastX = view.getFloat64(pos + 10, true);
+                    break;
+                case members.NUM_POINTS:
+                    points = view.getInt32(pos + 2, true);
+                    break;
+                case members.X_LABEL:
+                    raw.xUnits = this.unitsFromLabel(this.readString(bytes, pos + 4, view.getInt16(pos + 2, true)));
+                    break;
+                case members.Y_LABEL:
+                    raw.yUnits = this.yUnitsFromLabel(this.readString(bytes, pos + 4, view.getInt16(pos + 2, true)));
+                    break;
+                case members.NAME:
+                    raw.title = this.readString(bytes, pos + 4, view.getInt16(pos + 2, true));
+                    break;
+                case members.DATA:
+                    raw.y = this.readNumbers(view, pos + 6, view.getInt32(pos + 2, true) / 8, 'Float64');
+                    break;
+            }
+            pos += size;
+        }
+
+        if (!raw.y) {
+            throw new Error('Invalid SP file: no spectrum found');
+        }
+
+        raw.y = raw.y.slice(0, points);
+        return raw;
+    }
+
+    /**
+     * Build the imported spectrum from a binary format's raw spectrum
+     *
+     * @param {File} file - Imported file (its name is used when there is no title)
+     * @param {string} formatName - Format name for the source and description
+     * @param {Object} raw - {title, x, firstX, lastX, y, xUnits, yUnits, metadata};
+     *     without x, points are evenly spaced from firstX to lastX
+     * @returns {Object} Parsed spectrum data with metadata
+     * @throws {Error} If the X axis units are unsupported or there is no valid data
+     */
+    static createResult(file, formatName, raw) {
+        const toWavenumber = SpectrumImporter.WAVENUMBER_CONVERSIONS[raw.xUnits];
+        if (!toWavenumber) {
+            throw new Error(`Unsupported ${formatName} X axis: expected wavenumbers or wavelengths`);
+        }
+
+        const count = raw.y.length;
+        const step = count > 1 ? (raw.lastX - raw.firstX) / (count - 1) : 0;
+        const transmittance = this.toTransmittance(raw.y, raw.yUnits);
+
+        const spectrum = [];
+        for (let i = 0; i < count; i++) {
+            const wavenumber = toWavenumber(raw.x ? raw.x[i] : raw.firstX + i * step);
+            if (isFinite(wavenumber) && wavenumber > 0 && isFinite(transmittance[i])) {
+                spectrum.push({ wavenumber, transmittance: transmittance[i] });
+            }
+        }
+
+        if (spectrum.length === 0) {
+            throw new Error(`No valid spectral data found in ${formatName} file`);
+        }
+
+        // Sort by wavenumber
+        spectrum.sort((a, b) => a.wavenumber - b.wavenumber);
+
+        // Downsample if too many points (for performance)
+        const MAX_POINTS = 1000;
+        const finalSpectrum = CSVImporter.downsample(spectrum, MAX_POINTS);
+
+        return {
+            name: CSVImporter.sanitizeName(raw.title || file.name.replace(/\.[^.]*$/, '')),
+            source: `${formatName} Import`,
+            category: 'custom',
+            description: `Imported from ${formatName} file`,
+            spectrum: finalSpectrum,
+            metadata: {
+                originalPoints: spectrum.length,
+                finalPoints: finalSpectrum.length,
+                wavenumberRange: [
+                    finalSpectrum[0].wavenumber,
+                    finalSpectrum[finalSpectrum.length - 1].wavenumber
+                ],
+                importDate: new Date().toISOString(),
+                xUnits: 'cm⁻¹',
+                yUnits: raw.yUnits === 'absorbance' ? 'Absorbance' : 'Transmittance',
+                ...raw.metadata
+            }
+        };
+    }
+
+    /**
+     * Convert Y values to transmittance percentages
+     *
+     * Fractional transmittance (all values up to 1.5) is scaled to percent.
+     * Without units, values above 5 are taken as %T and others as absorbance.
+     *
+     * @param {Array<number>} values - Y values
+     * @param {string|null} units - 'absorbance', 'transmittance' or null if unknown
+     * @returns {Array<number>} Transmittance (0-100)
+     * @private
+     */
+    static toTransmittance(values, units) {
+        const max = values.reduce((result, value) => (value > result ? value : result), -Infinity);
+        const kind = units || (max > 5 ? 'transmittance' : 'absorbance');
+        const transmittanceScale = max <= 1.5 ? 100 : 1;
+
+        return values.map(value => {
+            const transmittance = kind === 'absorbance'
+                ? Math.pow(10, -value) * 100
+                : value * transmittanceScale;
+            return Math.max(0, Math.min(100, transmittance));
+        });
+    }
+
+    /**
+     * Get X axis units from an axis label such as "cm-1" or "nm"
+     * @param {string} label - Axis label
+     * @returns {string} Units key for WAVENUMBER_CONVERSIONS
+     * @private
+     */
+    static unitsFromLabel(label) {
+        const lower = label.toLowerCase();
+        if (lower.includes('nm')) {
+            return 'nanometers';
+        }
+        if (lower.includes('µm') || lower.includes('um') || lower.includes('micron')) {
+            return 'micrometers';
+        }
+        return 'wavenumber';
+    }
+
+    /**
+     * Get Y units from an axis label such as "%T" or "A"
+     * @param {string} label - Axis label
+     * @returns {string|null} 'absorbance', 'transmittance' or null if unknown
+     * @private
+     */
+    static yUnitsFromLabel(label) {
+        const upper = label.trim().toUpperCase();
+        if (upper.startsWith('%T') || upper.startsWith('T')) {
+            return 'transmittance';
+        }
+        if (upper.startsWith('A')) {
+            return 'absorbance';
+        }
+        return null;
+    }
+
+    /**
+     * Check whether bytes start with an ASCII signature
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} signature - Expected characters
+     * @returns {boolean} True if the bytes match
+     */
+    static startsWith(bytes, signature) {
+        if (bytes.length < signature.length) {
+            return false;
+        }
+        for (let i = 0; i < signature.length; i++) {
+            if (bytes[i] !== signature.charCodeAt(i)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check whether bytes look like a new-format little-endian SPC file
+     *
+     * The version byte is SPC's only magic and matches any text whose second
+     * character is "K", so the header must also be consistent: XYXY data only
+     * in multifiles, a known experiment type and axis units, and a first
+     * subfile whose point count fits in the file.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True if the header is plausible
+     */
+    static isSPC(bytes) {
+        const { TSPREC, TMULTI, TXYXYS, TXVALS } = SpectrumImporter.SPC_FLAGS;
+        if (bytes.length < 544 || bytes[1] !== 0x4B) {
+            return false;
+        }
+
+        const flags = bytes[0];
+        const yType = bytes[29];
+        if (((flags & TXYXYS) && !(flags & TMULTI)) || bytes[2] > 13 || bytes[28] > 13 ||
+            (yType > 26 && (yType < 128 || yType > 131))) {
+            return false;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (flags & TXYXYS) {
+            const points = view.getInt32(528, true);
+            return points > 0 && 544 + points * 8 <= bytes.length;
+        }
+
+        const points = view.getInt32(4, true);
+        const xBytes = (flags & TXVALS) ? points * 4 : 0;
+        return points > 0 && 544 + xBytes + points * ((flags & TSPREC) ? 2 : 4) <= bytes.length;
+    }
+
+    /**
+     * Read a NUL-terminated single-byte string
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Start of the string
+     * @param {number} length - Maximum length
+     * @returns {string} Trimmed string
+     * @private
+     */
+    static readString(bytes, offset, length) {
+        let text = '';
+        for (let i = offset; i < Math.min(offset + length, bytes.length) && bytes[i] !== 0; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text.trim();
+    }
+
+    /**
+     * Read little-endian numbers
+     * @param {DataView} view - View of the file contents
+     * @param {number} offset - Offset of the first number
+     * @param {number} count - Number of values
+     * @param {string} type - DataView type name ('Float32', 'Float64', 'Int32', 'Int16')
+     * @returns {Array<number>} Values
+     * @throws {RangeError} If the values run past the end of the file
+     * @private
+     */
+    static readNumbers(view, offset, count, type) {
+        const size = { Float32: 4, Float64: 8, Int32: 4, Int16: 2 }[type];
+        const values = new Array(Math.max(0, count));
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view[`get${type}`](offset + i * size, true);
+        }
+        return values;
+    }
+}
+
+// X axis unit keys -> conversion of a value to cm⁻¹
+SpectrumImporter.WAVENUMBER_CONVERSIONS = Object.freeze({
+    wavenumber: value => value,
+    micrometers: value => 1e4 / value,
+    nanometers: value => 1e7 / value
+});
+
+// SPA header unit codes
+SpectrumImporter.SPA_X_UNITS = Object.freeze({ 1: 'wavenumber', 3: 'nanometers', 4: 'micrometers' });
+SpectrumImporter.SPA_Y_UNITS = Object.freeze({ 16: 'transmittance', 17: 'absorbance' });
+
+// OPUS directory block types and DXU (X units) values
+SpectrumImporter.OPUS_BLOCKS = Object.freeze({ AB: 15, AB_PARAMETERS: 31, SAMPLE_PARAMETERS: 160 });
+SpectrumImporter.OPUS_X_UNITS = Object.freeze({ WN: 'wavenumber', MI: 'micrometers' });
+
+// SPC header flags (ftflgs) and fxtype/fytype unit codes
+SpectrumImporter.SPC_FLAGS = Object.freeze({ TSPREC: 0x01, TMULTI: 0x04, TXYXYS: 0x40, TXVALS: 0x80 });
+SpectrumImporter.SPC_X_UNITS = Object.freeze({ 1: 'wavenumber', 2: 'micrometers', 3: 'nanometers' });
+SpectrumImporter.SPC_Y_UNITS = Object.freeze({ 2: 'absorbance', 128: 'transmittance' });
+
+// Perkin-Elmer SP block and data set member ids
+SpectrumImporter.SP_MEMBERS = Object.freeze({
+    DATA_SET: 120,
+    ABSCISSA_RANGE: -29838,
+    NUM_POINTS: -29835,
+    X_LABEL: -29833,
+    Y_LABEL: -29832,
+    DATA: -29828,
+    NAME: -29827
+});
+
+// Registered formats, in detection order
+SpectrumImporter.formats = [];
+
+[
+    {
+        id: 'spa',
+        name: 'Thermo SPA',
+        extensions: ['.spa'],
+        sniff: bytes => SpectrumImporter.startsWith(bytes, 'Spectral Data File'),
+        parse: (file, bytes) => SpectrumImporter.createResult(file, 'Thermo SPA', SpectrumImporter.parseSPA(bytes))
+    },
+    {
+        id: 'opus',
+        name: 'Bruker OPUS',
+        extensions: ['.0', '.1', '.2', '.3', '.4', '.5', '.6', '.7', '.8', '.9'],
+        sniff: bytes => bytes.length >= 24 && bytes[0] === 0x0A && bytes[1] === 0x0A && bytes[2] === 0xFE && bytes[3] === 0xFE,
+        parse: (file, bytes) => SpectrumImporter.createResult(file, 'Bruker OPUS', SpectrumImporter.parseOPUS(bytes))
+    },
+    {
+        id: 'spc',
+        name: 'Galactic SPC',
+        extensions: ['.spc'],
+        sniff: bytes => SpectrumImporter.isSPC(bytes),
+        parse: (file, bytes) => SpectrumImporter.createResult(file, 'Galactic SPC', SpectrumImporter.parseSPC(bytes))
+    },
+    {
+        id: 'sp',
+        name: 'Perkin-Elmer SP',
+        extensions: ['.sp'],
+        sniff: bytes => SpectrumImporter.startsWith(bytes, 'PEPE'),
+        parse: (file, bytes) => SpectrumImporter.createResult(file, 'Perkin-Elmer SP', SpectrumImporter.parseSP(bytes))
+    },
+    {
+        id: 'jcamp',
+        name: 'JCAMP-DX',
+        extensions: ['.jdx', '.dx', '.jcamp'],
+        parse: file => JCAMPImporter.parseJCAMP(file)
+    },
+    {
+        id: 'csv',
+        name: 'CSV',
+        extensions: CSVImporter.EXTENSIONS,
+        parse: file => CSVImporter.parseCSV(file)
+    }
+].forEach(format => SpectrumImporter.register(format));
@@ -144,7 +144,7 @@ function splitLibrary() {
     // Create index file with metadata
     console.log('\nCreating index file...');
     const index = {
-        version: '1.0.0',
+        version: '2.0.0', // Bump when the entry format changes, so cached categories refresh
         totalSubstances: library.length,
         categories: Object.entries(categoryStats).map(([name, stats]) => ({
             name: name,
@@ -9,6 +9,7 @@
  *
  * Exports:
  * - Favorites object with methods for managing favorite substances
+ * - Settings object for user settings kept between sessions
  *
  * Usage:
  * ```javascript
@@ -20,11 +21,16 @@
  *
  * // Get all favorites
  * const all = Favorites.getAll(); // Returns array of strings
+ *
+ * // Remember a setting
+ * Settings.set('seed', 1234);
+ * const seed = Settings.get('seed', 1);
  * ```
  *
  * Storage:
- * - Uses localStorage with key 'spectral-synth-favorites'
- * - Data is JSON-serialized array of substance names
+ * - Uses localStorage with keys 'spectral-synth-favorites' and 'spectral-synth-settings'
+ * - Favorites are a JSON-serialized array of substance names
+ * - Settings are a JSON-serialized object of setting values
  * - Handles storage errors gracefully
  */
 
@@ -86,3 +92,38 @@ const Favorites = {
         return this.load();
     }
 };
+
+// Utility: Settings manager using localStorage
+const Settings = {
+    STORAGE_KEY: 'spectral-synth-settings',
+
+    load() {
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            Logger.error('Failed to load settings:', error);
+            return {};
+        }
+    },
+
+    save(settings) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            Logger.error('Failed to save settings:', error);
+            Toast.error('Failed to save settings');
+        }
+    },
+
+    get(key, defaultValue) {
+        const settings = this.load();
+        return key in settings ? settings[key] : defaultValue;
+    },
+
+    set(key, value) {
+        const settings = this.load();
+        settings[key] = value;
+        this.save(settings);
+    }
+};
@@ -26,6 +26,7 @@
  * - steroids: Testosterone and derivatives
  * - precursors: BMK, PMK, glycidates, benzaldehydes, etc.
  * - other: Everything else
+ * - my-spectra: The user's saved spectra (see IndexedDBStorage), by their category field
  *
  * Categorization Method:
  * Uses keyword matching on substance name and chemical formula.
@@ -38,6 +39,11 @@
  * @returns {string} Category name
  */
 function categorizeSubstance(item) {
+    // Saved user spectra keep their own category whatever their name
+    if (item.category === 'my-spectra') {
+        return 'my-spectra';
+    }
+
     const name = item.name.toLowerCase();
     // Formula reserved for future enhanced categorization
     const _formula = (item.formula || '').toLowerCase();
@@ -1,11 +1,13 @@
 /**
  * Unit Tests for Analysis Utilities Module
  *
- * Tests spectral similarity calculations using cosine similarity.
+ * Tests spectral similarity calculations using cosine similarity, and on
+ * preprocessed spectra with and without vector normalization.
  */
 
 const { loadBrowserModule } = require('./test-helpers');
-const { calculateSpectralSimilarity } = loadBrowserModule('analysis-utilities.js');
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+const { calculateSpectralSimilarity } = loadBrowserModule('analysis-utilities.js', { SpectralPreprocessor });
 
 describe('Analysis Utilities', () => {
     // Helper to generate test spectrum
@@ -299,4 +301,43 @@ describe('Analysis Utilities', () => {
             expect(similarity).toBeLessThan(0.5);
         });
     });
+
+    describe('calculateSpectralSimilarity with a preprocessor', () => {
+        // Twice the concentration doubles absorbance: T' = 100 (T/100)^2
+        const concentrate = spectrum => spectrum.map(point => ({ ...point, transmittance: 100 * Math.pow(point.transmittance / 100, 2) }));
+
+        it('should return 1.0 for identical spectra', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none' });
+            const spectrum = generateSpectrum('complex');
+
+            expect(calculateSpectralSimilarity(spectrum, spectrum, preprocessor)).toBeCloseTo(1.0, 10);
+        });
+
+        it('should tell concentrations apart without vector normalization', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none' });
+            const spectrum = generateSpectrum('complex');
+
+            // 2·2 / (1 + 4)
+            expect(calculateSpectralSimilarity(spectrum, concentrate(spectrum), preprocessor)).toBeCloseTo(0.8, 10);
+        });
+
+        it('should compare band patterns only with vector normalization', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'rubberband', normalize: true });
+            const spectrum = generateSpectrum('complex');
+
+            expect(calculateSpectralSimilarity(spectrum, concentrate(spectrum), preprocessor)).toBeCloseTo(1.0, 10);
+            expect(calculateSpectralSimilarity(generateSpectrum('carbonyl'), generateSpectrum('o-h'), preprocessor)).toBeLessThan(0.1);
+        });
+
+        it('should follow a change of settings after comparing', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none' });
+            const spectrum = generateSpectrum('complex');
+            const concentrated = concentrate(spectrum);
+
+            calculateSpectralSimilarity(spectrum, concentrated, preprocessor);
+            preprocessor.setVectorNormalization(true);
+
+            expect(calculateSpectralSimilarity(spectrum, concentrated, preprocessor)).toBeCloseTo(1.0, 10);
+        });
+    });
 });
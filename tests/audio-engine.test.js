@@ -6,7 +6,14 @@
  */
 
 const { loadBrowserModule } = require('./test-helpers');
+const { EffectsChain } = loadBrowserModule('effects-chain.js');
+const { PeakMixer } = loadBrowserModule('peak-mixer.js');
+const { FLACEncoder } = loadBrowserModule('flac-encoder.js');
+const { AudioFileEncoder } = loadBrowserModule('audio-file-encoder.js', { FLACEncoder });
 const { AudioEngine } = loadBrowserModule('audio-engine.js', {
+    EffectsChain,
+    PeakMixer,
+    AudioFileEncoder,
     window: {
         AudioContext: global.AudioContext,
         webkitAudioContext: global.webkitAudioContext,
@@ -14,6 +21,9 @@ const { AudioEngine } = loadBrowserModule('audio-engine.js', {
     AudioContext: global.AudioContext,
     webkitAudioContext: global.webkitAudioContext,
     OfflineAudioContext: global.OfflineAudioContext,
+    // Looked up on each call so jest.useFakeTimers() applies
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: (...args) => clearTimeout(...args),
     URL: global.URL,
     document: {
         createElement: (tag) => ({
@@ -140,6 +150,19 @@ describe('AudioEngine', () => {
             await engine.play(samplePeaks, 1);
             expect(arpeggioSpy).toHaveBeenCalled();
         });
+
+        it('should re-map peaks through the frequency mapper when set', async () => {
+            const remapped = samplePeaks.map(peak => ({ ...peak, audioFreq: 440 }));
+            const mapper = { mapPeaks: jest.fn(() => remapped) };
+            engine.setFrequencyMapper(mapper);
+            engine.playbackMode = 'chord';
+            const chordSpy = jest.spyOn(engine, 'playChord');
+
+            await engine.play(samplePeaks, 1);
+
+            expect(mapper.mapPeaks).toHaveBeenCalledWith(samplePeaks, null);
+            expect(chordSpy).toHaveBeenCalledWith(remapped, 1);
+        });
     });
 
     describe('stop', () => {
@@ -160,6 +183,57 @@ describe('AudioEngine', () => {
         it('should be safe to call when not playing', () => {
             expect(() => engine.stop()).not.toThrow();
         });
+
+        it('should not let a stopped chord end the next playback', async () => {
+            engine.setPlaybackMode('chord');
+            jest.useFakeTimers();
+
+            await engine.play(samplePeaks, 2);
+            jest.advanceTimersByTime(1000);
+            engine.stop();
+            await engine.play(samplePeaks, 2);
+            jest.advanceTimersByTime(1500);
+            const stillPlaying = engine.getIsPlaying();
+            jest.advanceTimersByTime(1000);
+            jest.useRealTimers();
+
+            expect(stillPlaying).toBe(true);
+            expect(engine.getIsPlaying()).toBe(false);
+            expect(engine.endTimeoutId).toBeNull();
+        });
+
+        it('should not let a stopped scan clear the next scan', async () => {
+            engine.setFrequencyMapper({
+                irToAudio: wn => wn / 2,
+                getRanges: () => ({ irMin: 400, irMax: 4000, audioMin: 200, audioMax: 2000 }),
+                getPreprocessor: () => ({
+                    process: spectrum => spectrum.map(p => ({ wavenumber: p.wavenumber, absorbance: 1 - p.transmittance / 100 }))
+                }),
+                mapPeaks: peaks => peaks,
+            });
+            engine.setSpectrum([400, 2200, 4000].map(wavenumber => ({ wavenumber, transmittance: 50 })));
+            engine.setPlaybackMode('scan');
+            jest.useFakeTimers();
+
+            await engine.play(samplePeaks, 2);
+            jest.advanceTimersByTime(1000);
+            engine.stop();
+            await engine.play(samplePeaks, 2);
+            jest.advanceTimersByTime(1500);
+            jest.useRealTimers();
+
+            expect(engine.getIsPlaying()).toBe(true);
+            expect(engine.scanState).not.toBeNull();
+        });
+
+        it('should clear the end-of-playback timeout', async () => {
+            engine.setPlaybackMode('chord');
+            await engine.play(samplePeaks, 1);
+            expect(engine.endTimeoutId).not.toBeNull();
+
+            engine.stop();
+            expect(engine.endTimeoutId).toBeNull();
+        });
     });
 
     describe('setVolume', () => {
@@ -359,6 +433,485 @@ describe('AudioEngine', () => {
         });
     });
 
+    describe('effects chain', () => {
+        it('should apply presets that describe a chain', () => {
+            engine.applyPreset('space-echo');
+
+            expect(engine.getEffectsChain().getEffects().map(e => e.type)).toEqual(['filter', 'delay', 'reverb']);
+            expect(engine.getReverb()).toBe(0.4);
+            expect(engine.getFilterFrequency()).toBe(5000);
+        });
+
+        it('should add a reverb when the chain has none', () => {
+            const chain = engine.getEffectsChain();
+            chain.removeEffect(chain.findEffect('reverb').id);
+
+            engine.setReverb(0.3);
+
+            expect(chain.getEffects().map(e => e.type)).toEqual(['filter', 'reverb']);
+            expect(engine.getReverb()).toBe(0.3);
+        });
+
+        it('should update live nodes without rebuilding on parameter edits', async () => {
+            await engine.init();
+            const graph = engine.effectsGraph;
+            const chain = engine.getEffectsChain();
+
+            chain.setEffectParams(chain.findEffect('filter').id, { frequency: 1200 });
+
+            expect(engine.effectsGraph).toBe(graph);
+            expect(engine.filter.frequency.value).toBe(1200);
+        });
+
+        it('should rebuild the live chain on structural edits', async () => {
+            await engine.init();
+            const graph = engine.effectsGraph;
+            const disconnect = jest.spyOn(graph, 'disconnect');
+
+            engine.getEffectsChain().addEffect('delay');
+
+            expect(disconnect).toHaveBeenCalled();
+            expect(engine.effectsGraph).not.toBe(graph);
+            expect(engine.masterGain.connect).toHaveBeenLastCalledWith(engine.effectsGraph.input);
+        });
+
+        it('should clear node references for bypassed effects', async () => {
+            await engine.init();
+            const chain = engine.getEffectsChain();
+
+            chain.setEffectEnabled(chain.findEffect('reverb').id, false);
+
+            expect(engine.convolver).toBeNull();
+            expect(engine.filter).not.toBeNull();
+        });
+
+        it('should rebuild the same chain for export', async () => {
+            engine.applyPreset('space-echo');
+            await engine.init();
+            const buildSpy = jest.spyOn(engine.getEffectsChain(), 'build');
+
+            await engine.exportWAV(samplePeaks, 1, 'chain.wav');
+
+            expect(buildSpy).toHaveBeenCalledWith(expect.any(OfflineAudioContext), expect.anything(), expect.any(Object));
+            const graph = buildSpy.mock.results[0].value;
+            expect(graph.instances.size).toBe(3);
+        });
+    });
+
+    describe('drone mode and live parameters', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 2000, absorbance: 0.5, audioFreq: 600 },
+        ];
+
+        beforeEach(() => {
+            engine.setPlaybackMode('drone');
+        });
+
+        it('should hold every peak until stopped', async () => {
+            await engine.init();
+            const oscSpy = jest.spyOn(engine.audioContext, 'createOscillator');
+            jest.useFakeTimers();
+            await engine.play(peaks, 1);
+            jest.advanceTimersByTime(5000);
+            jest.useRealTimers();
+
+            expect(engine.oscillators).toHaveLength(peaks.length);
+            expect(engine.getIsPlaying()).toBe(true);
+            oscSpy.mock.results.forEach(result => expect(result.value.stop).not.toHaveBeenCalled());
+        });
+
+        it('should not schedule a release for held voices', async () => {
+            engine.setADSRCurve('linear');
+            await engine.play(peaks, 1);
+            const { gain } = engine.oscillators[0];
+
+            // Attack and decay only
+            expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledTimes(2);
+        });
+
+        it('should release over the release time when stopped', async () => {
+            engine.setReleaseTime(0.5);
+            await engine.play(peaks, 1);
+            const { gain } = engine.oscillators[0];
+
+            engine.stop();
+
+            expect(gain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 0.5);
+            expect(engine.getIsPlaying()).toBe(false);
+        });
+
+        it('should glide detune on sounding voices', async () => {
+            await engine.play(peaks, 1);
+
+            engine.setDetune(-50);
+
+            engine.oscillators.forEach(({ detune }) => detune.forEach(param => {
+                expect(param.setTargetAtTime).toHaveBeenCalledWith(-50, 0, CONFIG.audio.PARAM_RAMP_TIME);
+            }));
+            expect(engine.getDetune()).toBe(-50);
+        });
+
+        it('should start new voices at the current detune', async () => {
+            engine.setDetune(25);
+            await engine.play(peaks, 1);
+
+            engine.oscillators.forEach(({ detune }) => detune.forEach(param => expect(param.value).toBe(25)));
+        });
+
+        it('should reject detune out of range', () => {
+            expect(() => engine.setDetune(CONFIG.audio.MAX_DETUNE + 1)).toThrow('Invalid detune');
+            expect(() => engine.setDetune('sharp')).toThrow('Invalid detune');
+        });
+
+        it('should glide the level of one peak', async () => {
+            await engine.play(peaks, 1);
+            const [first, second] = engine.oscillators;
+
+            engine.setPeakLevel(peaks[0].wavenumber, 1.5);
+
+            expect(first.level.gain.setTargetAtTime).toHaveBeenCalledWith(1.5, 0, CONFIG.audio.PARAM_RAMP_TIME);
+            expect(second.level.gain.value).toBe(1);
+            expect(engine.getPeakLevel(peaks[0].wavenumber)).toBe(1.5);
+            expect(engine.getPeakLevel(peaks[1].wavenumber)).toBe(1);
+        });
+
+        it('should reject peak gains out of range', () => {
+            expect(() => engine.setPeakLevel(1000, -0.1)).toThrow('Invalid peak gain');
+            expect(() => engine.setPeakLevel(1000, CONFIG.peakMixer.MAX_GAIN + 1)).toThrow('Invalid peak gain');
+        });
+
+        it('should apply peak levels and detune to exports', async () => {
+            engine.setPeakLevel(peaks[1].wavenumber, 0.5);
+            engine.setDetune(-10);
+            const scheduleSpy = jest.spyOn(engine, 'scheduleVoice');
+
+            await engine.exportWAV(peaks, 1, 'drone.wav');
+
+            const voices = scheduleSpy.mock.results.map(result => result.value);
+            expect(voices.map(voice => voice.level.gain.value)).toEqual([1, 0.5]);
+            expect(voices[0].detune[0].value).toBe(-10);
+            expect(scheduleSpy.mock.calls[0][4]).toBe(1);
+        });
+
+        it('should glide held voices to a new sustain level', async () => {
+            await engine.play(peaks, 1);
+            const { gain, peakGain } = engine.oscillators[0];
+
+            engine.setSustainLevel(0.2);
+
+            expect(gain.gain.setTargetAtTime).toHaveBeenCalledWith(peakGain * 0.2, 0, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+
+        it('should glide the master volume', async () => {
+            await engine.init();
+
+            engine.setVolume(0.8);
+
+            expect(engine.masterGain.gain.setTargetAtTime).toHaveBeenCalledWith(0.8, 0, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+
+        it('should glide live filter changes', async () => {
+            await engine.init();
+
+            engine.setFilterFrequency(1500);
+
+            expect(engine.filter.frequency.setTargetAtTime).toHaveBeenCalledWith(1500, 0, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+    });
+
+    describe('peak mixer', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 2000, absorbance: 0.5, audioFreq: 600 },
+        ];
+
+        it('should add peak detune to the engine detune', async () => {
+            engine.setPlaybackMode('chord');
+            engine.setDetune(10);
+            engine.getPeakMixer().setChannel(peaks[0].wavenumber, { detune: -30 });
+
+            await engine.play(peaks, 1);
+
+            expect(engine.oscillators[0].detune[0].value).toBe(-20);
+            expect(engine.oscillators[1].detune[0].value).toBe(10);
+        });
+
+        it('should play a waveform override as a plain oscillator', async () => {
+            await engine.init();
+            engine.setPlaybackMode('chord');
+            engine.getPeakMixer().setChannel(peaks[0].wavenumber, { waveform: 'square' });
+            const oscSpy = jest.spyOn(engine.audioContext, 'createOscillator');
+
+            await engine.play(peaks.slice(0, 1), 1);
+
+            expect(oscSpy).toHaveBeenCalledTimes(1);
+            expect(oscSpy.mock.results[0].value.type).toBe('square');
+        });
+
+        it('should apply mute and solo to exports', async () => {
+            engine.setPlaybackMode('chord');
+            engine.getPeakMixer().setChannel(peaks[0].wavenumber, { mute: true });
+            const scheduleSpy = jest.spyOn(engine, 'scheduleVoice');
+
+            await engine.exportWAV(peaks, 1, 'mixed.wav');
+            engine.getPeakMixer().setChannel(peaks[0].wavenumber, { mute: false, solo: true });
+            await engine.exportWAV(peaks, 1, 'solo.wav');
+
+            const levels = scheduleSpy.mock.results.map(result => result.value.level.gain.value);
+            expect(levels).toEqual([0, 1, 1, 0]);
+        });
+
+        it('should glide every voice when a peak is soloed', async () => {
+            engine.setPlaybackMode('drone');
+            await engine.play(peaks, 1);
+            const [first, second] = engine.oscillators;
+
+            engine.getPeakMixer().setChannel(peaks[1].wavenumber, { solo: true });
+
+            expect(first.level.gain.setTargetAtTime).toHaveBeenCalledWith(0, 0, CONFIG.audio.PARAM_RAMP_TIME);
+            expect(second.level.gain.setTargetAtTime).toHaveBeenCalledWith(1, 0, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+
+        it('should re-voice a held peak when its waveform changes', async () => {
+            engine.setPlaybackMode('drone');
+            await engine.play(peaks, 1);
+            const [first, second] = engine.oscillators;
+
+            engine.getPeakMixer().setChannel(peaks[0].wavenumber, { waveform: 'triangle' });
+
+            expect(first.gain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 0.05);
+            expect(engine.oscillators).toHaveLength(2);
+            expect(engine.oscillators[0]).not.toBe(first);
+            expect(engine.oscillators[0].peakGain).toBe(first.peakGain);
+            expect(engine.oscillators[1]).toBe(second);
+        });
+    });
+
+    describe('instrument', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.5, audioFreq: 200 },
+            { wavenumber: 2000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 3000, absorbance: 0.3, audioFreq: 600 },
+        ];
+        const frequencies = (voices) => voices.map(({ peak }) => peak.audioFreq);
+
+        it('should convert MIDI notes to frequencies', () => {
+            expect(AudioEngine.noteToFrequency(69)).toBe(440);
+            expect(AudioEngine.noteToFrequency(57)).toBeCloseTo(220);
+        });
+
+        it('should put the strongest peak on the played note', async () => {
+            await engine.noteOn(69, peaks);
+
+            const voices = engine.notes.get(69);
+            expect(frequencies(voices)[1]).toBeCloseTo(440);
+            expect(frequencies(voices)[0]).toBeCloseTo(440 * 200 / 300);
+            expect(frequencies(voices)[2]).toBeCloseTo(880);
+        });
+
+        it('should put the lowest peak on the played note', async () => {
+            engine.setInstrumentRoot('fundamental');
+            await engine.noteOn(69, peaks);
+
+            expect(frequencies(engine.notes.get(69))).toEqual([440, 660, 1320].map(f => expect.closeTo(f)));
+        });
+
+        it('should hold notes polyphonically until released', async () => {
+            await engine.noteOn(60, peaks);
+            await engine.noteOn(64, peaks);
+
+            expect(engine.getActiveNotes()).toEqual([60, 64]);
+            expect(engine.getIsPlaying()).toBe(false);
+
+            const { gain } = engine.notes.get(60)[0];
+            engine.setReleaseTime(0.5);
+            engine.noteOff(60);
+
+            expect(gain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 0.5);
+            expect(engine.getActiveNotes()).toEqual([64]);
+        });
+
+        it('should shape notes with the current envelope', async () => {
+            engine.setADSRCurve('linear');
+            engine.setAttackTime(0.2);
+            await engine.noteOn(60, peaks);
+
+            const { gain, peakGain } = engine.notes.get(60)[0];
+            expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(peakGain, 0.2);
+            expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledTimes(2);
+        });
+
+        it('should restart a note that is already held', async () => {
+            await engine.noteOn(60, peaks);
+            const first = engine.notes.get(60);
+            await engine.noteOn(60, peaks);
+
+            expect(engine.notes.get(60)).not.toBe(first);
+            expect(engine.getActiveNotes()).toEqual([60]);
+        });
+
+        it('should release the oldest note past the polyphony limit', async () => {
+            const max = CONFIG.instrument.MAX_POLYPHONY;
+            for (let note = 0; note <= max; note++) {
+                await engine.noteOn(40 + note, peaks);
+            }
+
+            expect(engine.getActiveNotes()).toHaveLength(max);
+            expect(engine.getActiveNotes()[0]).toBe(41);
+        });
+
+        it('should release every note', async () => {
+            await engine.noteOn(60, peaks);
+            await engine.noteOn(67, peaks);
+
+            engine.allNotesOff();
+
+            expect(engine.getActiveNotes()).toEqual([]);
+        });
+
+        it('should keep notes sounding through play and stop', async () => {
+            await engine.noteOn(60, peaks);
+            engine.setPlaybackMode('chord');
+            await engine.play(peaks, 1);
+            engine.stop();
+
+            expect(engine.getActiveNotes()).toEqual([60]);
+        });
+
+        it('should glide held notes with live parameters', async () => {
+            await engine.noteOn(60, peaks);
+            const [voice] = engine.notes.get(60);
+
+            engine.setDetune(30);
+            engine.setSustainLevel(0.4);
+
+            expect(voice.detune[0].setTargetAtTime).toHaveBeenCalledWith(30, 0, CONFIG.audio.PARAM_RAMP_TIME);
+            expect(voice.gain.gain.setTargetAtTime).toHaveBeenCalledWith(voice.peakGain * 0.4, 0, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+
+        it('should drop peaks transposed above the Nyquist frequency', async () => {
+            await engine.noteOn(127, peaks);
+
+            expect(frequencies(engine.notes.get(127)).every(f => f < engine.getSampleRate() / 2)).toBe(true);
+            expect(engine.notes.get(127).length).toBeLessThan(peaks.length);
+        });
+
+        it('should reject invalid notes, peaks and velocities', async () => {
+            await expect(engine.noteOn(128, peaks)).rejects.toThrow('Invalid note');
+            await expect(engine.noteOn(60.5, peaks)).rejects.toThrow('Invalid note');
+            await expect(engine.noteOn(60, [])).rejects.toThrow('Invalid peaks');
+            await expect(engine.noteOn(60, peaks, 2)).rejects.toThrow('Invalid velocity');
+            expect(() => engine.setInstrumentRoot('loudest')).toThrow('Invalid instrument root');
+        });
+    });
+
+    describe('spatialization', () => {
+        const peaks = [
+            { wavenumber: 400, absorbance: 0.9, audioFreq: 200 },
+            { wavenumber: 1700, absorbance: 0.5, audioFreq: 500 },
+            { wavenumber: 3000, absorbance: 0.3, audioFreq: 900 },
+        ];
+
+        beforeEach(() => {
+            engine.setFrequencyMapper({
+                irToAudio: wn => wn / 2,
+                getRanges: () => ({ irMin: 400, irMax: 4000, audioMin: 200, audioMax: 2000 }),
+                getPreprocessor: () => ({
+                    process: spectrum => spectrum.map(p => ({ wavenumber: p.wavenumber, absorbance: 1 - p.transmittance / 100 }))
+                }),
+                mapPeaks: peaks => peaks,
+            });
+        });
+
+        const scheduledPanners = async (fn) => {
+            const scheduleSpy = jest.spyOn(engine, 'scheduleVoice');
+            await fn();
+            const panners = scheduleSpy.mock.results.map(result => result.value.panner);
+            scheduleSpy.mockRestore();
+            return panners;
+        };
+
+        it('should default to centred voices', async () => {
+            engine.setPlaybackMode('chord');
+
+            const panners = await scheduledPanners(() => engine.play(peaks, 1));
+
+            expect(engine.getSpatialMode()).toBe('off');
+            expect(panners).toEqual([null, null, null]);
+        });
+
+        it('should reject unknown modes', () => {
+            expect(() => engine.setSpatialMode('surround')).toThrow('Invalid spatial mode');
+            expect(engine.getSpatialModes()).toBe(CONFIG.spatialModes);
+        });
+
+        it('should pan from low wavenumbers on the left to high on the right', () => {
+            engine.setSpatialMode('wavenumber');
+            const { irMin, irMax } = engine.frequencyMapper.getRanges();
+
+            expect(engine.getSpatialPosition(irMin)).toBeCloseTo(-CONFIG.spatialization.WIDTH, 10);
+            expect(engine.getSpatialPosition((irMin + irMax) / 2)).toBeCloseTo(0, 10);
+            expect(engine.getSpatialPosition(irMax + 500)).toBeCloseTo(CONFIG.spatialization.WIDTH, 10);
+        });
+
+        it('should pan by functional-group region', () => {
+            engine.setSpatialMode('region');
+
+            expect(peaks.map(peak => engine.getSpatialPosition(peak.wavenumber))).toEqual([-0.75, -0.25, 0.75]);
+        });
+
+        it('should give each chord voice its own stereo panner', async () => {
+            engine.setPlaybackMode('chord');
+            engine.setSpatialMode('region');
+
+            const panners = await scheduledPanners(() => engine.play(peaks, 1));
+
+            expect(panners.map(panner => panner.pan.value)).toEqual([-0.75, -0.25, 0.75]);
+            panners.forEach(panner => expect(panner.connect).toHaveBeenCalledWith(engine.masterGain));
+        });
+
+        it('should place voices around the head in HRTF mode', async () => {
+            engine.setPlaybackMode('chord');
+            engine.setSpatialMode('hrtf');
+            const { irMin } = engine.frequencyMapper.getRanges();
+
+            const [panner] = await scheduledPanners(() => engine.play([{ ...peaks[0], wavenumber: irMin }], 1));
+            const azimuth = -CONFIG.spatialization.WIDTH * CONFIG.spatialization.HRTF_MAX_AZIMUTH * Math.PI / 180;
+
+            expect(panner.panningModel).toBe('HRTF');
+            expect(panner.positionX.value).toBeCloseTo(Math.sin(azimuth), 10);
+            expect(panner.positionZ.value).toBeCloseTo(-Math.cos(azimuth), 10);
+        });
+
+        it('should move the scan voice with the cursor', async () => {
+            engine.setPlaybackMode('scan');
+            engine.setSpatialMode('wavenumber');
+            engine.setSpectrum([400, 2200, 4000].map(wavenumber => ({ wavenumber, transmittance: 50 })));
+
+            const [panner] = await scheduledPanners(() => engine.play(samplePeaks, 2));
+            const [curve, start, duration] = panner.pan.setValueCurveAtTime.mock.calls[0];
+
+            expect(curve).toHaveLength(CONFIG.scanSynthesis.CURVE_POINTS);
+            expect(curve[0]).toBeLessThan(curve[curve.length - 1]);
+            expect(duration).toBe(2);
+            expect(start).toBe(engine.audioContext.currentTime);
+        });
+
+        it('should keep the stereo image in exports', async () => {
+            engine.setPlaybackMode('chord');
+            engine.setSpatialMode('wavenumber');
+            await engine.init();
+
+            const panners = await scheduledPanners(() => engine.exportWAV(peaks, 1, 'spatial.wav'));
+
+            expect(panners.map(panner => panner.pan.value)).toEqual(
+                peaks.map(peak => engine.getSpatialPosition(peak.wavenumber)));
+            expect(panners[0].pan.value).toBeLessThan(0);
+            expect(panners[2].pan.value).toBeGreaterThan(0);
+        });
+    });
+
     describe('playback modes', () => {
         describe('setPlaybackMode', () => {
             it('should set playback mode', () => {
@@ -389,6 +942,79 @@ describe('AudioEngine', () => {
         });
     });
 
+    describe('getNoteSchedule', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.5, audioFreq: 200 },
+            { wavenumber: 2000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 3000, absorbance: 0.3, audioFreq: 600 },
+        ];
+        const frequencies = (notes) => notes.map(({ peak }) => peak.audioFreq);
+
+        it('should play chords and spectra as one chord', () => {
+            ['chord', 'spectrum'].forEach(mode => {
+                engine.setPlaybackMode(mode);
+                const notes = engine.getNoteSchedule(peaks, 3);
+
+                expect(notes.map(({ start, duration }) => [start, duration])).toEqual([[0, 3], [0, 3], [0, 3]]);
+            });
+        });
+
+        it('should order and space arpeggio notes like playback', () => {
+            engine.setPlaybackMode('arpeggio-up');
+            const notes = engine.getNoteSchedule([...peaks].reverse(), 3);
+
+            expect(frequencies(notes)).toEqual([200, 300, 600]);
+            expect(notes.map(n => n.start)).toEqual([0, 1, 2]);
+            expect(notes.every(n => n.duration === 0.5)).toBe(true);
+        });
+
+        it('should repeat the seeded random order', () => {
+            engine.setPlaybackMode('random');
+            engine.setSeed(42);
+
+            expect(frequencies(engine.getNoteSchedule(peaks))).toEqual(frequencies(engine.getNoteSchedule(peaks)));
+        });
+
+        it('should hold a drone for the given duration', () => {
+            engine.setPlaybackMode('drone');
+
+            expect(engine.getNoteSchedule(peaks, 5).every(n => n.start === 0 && n.duration === 5)).toBe(true);
+        });
+
+        it('should play scan notes as the cursor crosses each peak', () => {
+            engine.setPlaybackMode('scan');
+            engine.setSpectrum([0, 4000].map(wavenumber => ({ wavenumber, transmittance: 50 })));
+            const notes = engine.getNoteSchedule([
+                { wavenumber: 3000, absorbance: 0.3, audioFreq: 600, width: 400 },
+                { wavenumber: 1000, absorbance: 0.5, audioFreq: 200, width: 400 },
+            ], 4);
+
+            expect(frequencies(notes)).toEqual([200, 600]);
+            expect(notes[0].start).toBeCloseTo(0.8);
+            expect(notes[0].duration).toBeCloseTo(0.4);
+            expect(notes[1].start).toBeCloseTo(2.8);
+        });
+
+        it('should require a spectrum in scan mode', () => {
+            engine.setPlaybackMode('scan');
+
+            expect(() => engine.getNoteSchedule(peaks)).toThrow('Scan mode requires a spectrum');
+        });
+
+        it('should fold the engine detune into note frequencies', () => {
+            engine.setPlaybackMode('chord');
+            engine.setDetune(1200);
+
+            expect(frequencies(engine.getNoteSchedule(peaks))).toEqual([400, 600, 1200].map(f => expect.closeTo(f)));
+            expect(peaks[0].audioFreq).toBe(200);
+        });
+
+        it('should validate peaks and duration', () => {
+            expect(() => engine.getNoteSchedule([])).toThrow('Invalid peaks');
+            expect(() => engine.getNoteSchedule(peaks, 0)).toThrow('Invalid duration');
+        });
+    });
+
     describe('blendPeaks', () => {
         const peaksA = [
             { wavenumber: 1000, absorbance: 0.8, audioFreq: 1000 },
@@ -534,6 +1160,31 @@ describe('AudioEngine', () => {
         });
     });
 
+    describe('renderToFile', () => {
+        it('should render at the requested sample rate', async () => {
+            const renderSpy = jest.spyOn(engine, 'renderOffline');
+
+            const blob = await engine.renderToFile(samplePeaks, 1, { format: 'flac', bitDepth: 24, sampleRate: 96000 });
+
+            expect(renderSpy).toHaveBeenCalledWith(samplePeaks, 1, 96000);
+            expect(blob.type).toBe('audio/flac');
+        });
+
+        it('should add the seed and playback mode to the metadata', async () => {
+            const encodeSpy = jest.spyOn(AudioFileEncoder, 'encode');
+            engine.setSeed(1234);
+
+            await engine.renderToFile(samplePeaks, 1, { format: 'wav', metadata: { title: 'Test' } });
+
+            expect(encodeSpy.mock.calls[0][1].metadata).toEqual({ seed: 1234, playbackMode: engine.getPlaybackMode(), title: 'Test' });
+            encodeSpy.mockRestore();
+        });
+
+        it('should reject sample rates out of range', async () => {
+            await expect(engine.renderToFile(samplePeaks, 1, { sampleRate: 4000 })).rejects.toThrow('Invalid sample rate');
+        });
+    });
+
     describe('bufferToWave', () => {
         it('should create valid WAV blob', async () => {
             await engine.init();
@@ -633,6 +1284,507 @@ describe('AudioEngine', () => {
         });
     });
 
+    describe('timbre', () => {
+        const peakWithWidth = (width) => ({ wavenumber: 2000, absorbance: 0.8, audioFreq: 1000, width });
+
+        it('should choose the voice type from band width', () => {
+            expect(engine.getVoiceType(peakWithWidth(5))).toBe('tone');
+            expect(engine.getVoiceType(peakWithWidth(20))).toBe('fm');
+            expect(engine.getVoiceType(peakWithWidth(45))).toBe('am');
+            expect(engine.getVoiceType(peakWithWidth(300))).toBe('noise');
+        });
+
+        it('should play peaks without a width as pure tones', () => {
+            expect(engine.getVoiceType(samplePeaks[0])).toBe('tone');
+        });
+
+        it('should build band-limited noise for broad bands', async () => {
+            await engine.init();
+            const bufferSpy = jest.spyOn(engine.audioContext, 'createBufferSource');
+            const filterSpy = jest.spyOn(engine.audioContext, 'createBiquadFilter');
+
+            const voice = engine.createVoice(engine.audioContext, peakWithWidth(300));
+            const noise = bufferSpy.mock.results[0].value;
+            const bandpass = filterSpy.mock.results[0].value;
+
+            expect(voice.type).toBe('noise');
+            expect(noise.loop).toBe(true);
+            expect(noise.buffer).not.toBeNull();
+            expect(bandpass.type).toBe('bandpass');
+            expect(bandpass.frequency.value).toBe(1000);
+            expect(bandpass.Q.value).toBeCloseTo(2000 / 300, 10);
+        });
+
+        it('should reuse the noise buffer within a context', async () => {
+            await engine.init();
+            expect(engine.getNoiseBuffer(engine.audioContext)).toBe(engine.getNoiseBuffer(engine.audioContext));
+        });
+
+        it('should frequency-modulate medium bands', async () => {
+            await engine.init();
+            const oscSpy = jest.spyOn(engine.audioContext, 'createOscillator');
+
+            const voice = engine.createVoice(engine.audioContext, peakWithWidth(CONFIG.timbre.FM_MAX_WIDTH));
+            const [carrier, modulator] = oscSpy.mock.results.map(result => result.value);
+
+            expect(voice.type).toBe('fm');
+            expect(carrier.frequency.value).toBe(1000);
+            expect(modulator.frequency.value).toBe(1000 * CONFIG.timbre.FM_RATIO);
+
+            voice.start(0);
+            voice.stop(1);
+            expect(carrier.start).toHaveBeenCalledWith(0);
+            expect(modulator.stop).toHaveBeenCalledWith(1);
+        });
+
+        it('should forward onended to the primary source', async () => {
+            await engine.init();
+            const oscSpy = jest.spyOn(engine.audioContext, 'createOscillator');
+            const handler = jest.fn();
+
+            const voice = engine.createVoice(engine.audioContext, peakWithWidth(45));
+            voice.onended = handler;
+
+            expect(oscSpy.mock.results[0].value.onended).toBe(handler);
+        });
+
+        it('should use the same voices for offline export', async () => {
+            await engine.init();
+            const voiceSpy = jest.spyOn(engine, 'createVoice');
+            const offline = new OfflineAudioContext(2, 44100, 44100);
+
+            engine.scheduleVoices(offline, 'chord', [peakWithWidth(300)], offline.createGain(), 0, 1);
+
+            expect(voiceSpy).toHaveBeenCalledWith(offline, expect.objectContaining({ width: 300 }));
+            expect(voiceSpy.mock.results[0].value.type).toBe('noise');
+        });
+    });
+
+    describe('full-spectrum mode', () => {
+        // Identity mapping (cm⁻¹ → Hz) and linear absorbance keep expected harmonics easy to read
+        const createMapper = (irToAudio = wn => wn) => ({
+            irToAudio,
+            getRanges: () => ({ irMin: 400, irMax: 4000, audioMin: 400, audioMax: 4000 }),
+            getPreprocessor: () => ({
+                process: spectrum => spectrum.map(p => ({ wavenumber: p.wavenumber, absorbance: 1 - p.transmittance / 100 }))
+            }),
+            mapPeaks: peaks => peaks,
+        });
+
+        const createSpectrum = (bands) => {
+            const spectrum = [];
+            for (let wn = 400; wn <= 4000; wn += 10) {
+                spectrum.push({ wavenumber: wn, transmittance: bands[wn] !== undefined ? bands[wn] : 100 });
+            }
+            return spectrum;
+        };
+
+        beforeEach(() => {
+            engine.setFrequencyMapper(createMapper());
+            engine.setSpectrum(createSpectrum({ 1000: 0, 1500: 50 }));
+        });
+
+        it('should be a selectable playback mode', () => {
+            engine.setPlaybackMode('spectrum');
+            expect(engine.getPlaybackMode()).toBe('spectrum');
+        });
+
+        it('should validate the spectrum', () => {
+            expect(() => engine.setSpectrum([])).toThrow('Invalid spectrum');
+            expect(() => engine.setSpectrum('spectrum')).toThrow('Invalid spectrum');
+            expect(() => engine.setSpectrum(null)).not.toThrow();
+        });
+
+        it('should resample absorbance onto the harmonic series', () => {
+            const harmonics = engine.buildSpectrumHarmonics(engine.spectrum);
+            const fundamental = CONFIG.spectrumSynthesis.FUNDAMENTAL;
+
+            expect(harmonics).toHaveLength(Math.floor(4000 / fundamental) + 1);
+            expect(harmonics[0]).toBe(0);
+            expect(harmonics[1000 / fundamental]).toBeCloseTo(1, 6);
+            expect(harmonics[1500 / fundamental]).toBeCloseTo(0.5, 6);
+            expect(harmonics[1200 / fundamental]).toBe(0);
+        });
+
+        it('should interpolate between spectrum points', () => {
+            engine.setSpectrum(createSpectrum({ 1000: 0 }));
+            engine.SPECTRUM_FUNDAMENTAL = 5;
+            const harmonics = engine.buildSpectrumHarmonics(engine.spectrum);
+
+            // 995 Hz lies halfway between 990 cm⁻¹ (A = 0) and 1000 cm⁻¹ (A = 1)
+            expect(harmonics[199]).toBeCloseTo(0.5, 6);
+            expect(harmonics[200]).toBeCloseTo(1, 6);
+        });
+
+        it('should add up wavenumbers folded onto the same frequency', () => {
+            // 2000 cm⁻¹ and above fold back by 1000 Hz
+            engine.setFrequencyMapper(createMapper(wn => (wn < 2000 ? wn : wn - 1000)));
+            engine.setSpectrum(createSpectrum({ 1000: 0, 2000: 0, 1500: 50 }));
+            const harmonics = engine.buildSpectrumHarmonics(engine.spectrum);
+            const fundamental = CONFIG.spectrumSynthesis.FUNDAMENTAL;
+
+            expect(harmonics[1000 / fundamental]).toBeCloseTo(1, 6);
+            expect(harmonics[1500 / fundamental]).toBeCloseTo(0.25, 6);
+        });
+
+        it('should require a frequency mapper and a spectrum', async () => {
+            await engine.init();
+            engine.setFrequencyMapper(null);
+            expect(() => engine.createSpectrumVoice(engine.audioContext)).toThrow('requires a frequency mapper');
+
+            engine.setFrequencyMapper(createMapper());
+            engine.setSpectrum(null);
+            expect(() => engine.createSpectrumVoice(engine.audioContext)).toThrow('requires a spectrum');
+        });
+
+        it('should play a single periodic waveform', async () => {
+            engine.setPlaybackMode('spectrum');
+            await engine.play(samplePeaks, 1);
+
+            expect(engine.oscillators).toHaveLength(1);
+            const { osc } = engine.oscillators[0];
+            expect(osc.frequency.value).toBe(CONFIG.spectrumSynthesis.FUNDAMENTAL);
+            expect(osc.setPeriodicWave).toHaveBeenCalledTimes(1);
+            expect(engine.isPlaying).toBe(true);
+        });
+
+        it('should render the same waveform offline', async () => {
+            engine.setPlaybackMode('spectrum');
+            await engine.init();
+            const voiceSpy = jest.spyOn(engine, 'createSpectrumVoice');
+
+            await engine.exportWAV(samplePeaks, 1, 'spectrum.wav');
+
+            expect(voiceSpy).toHaveBeenCalledWith(expect.any(OfflineAudioContext));
+        });
+    });
+
+    describe('scan mode', () => {
+        const mapper = {
+            irToAudio: wn => wn / 2,
+            getRanges: () => ({ irMin: 400, irMax: 4000, audioMin: 200, audioMax: 2000 }),
+            getPreprocessor: () => ({
+                process: spectrum => spectrum.map(p => ({ wavenumber: p.wavenumber, absorbance: 1 - p.transmittance / 100 }))
+            }),
+            mapPeaks: peaks => peaks,
+        };
+
+        // Absorbance rises linearly from 0 at 400 cm⁻¹ to 1 at 4000 cm⁻¹
+        const rampSpectrum = [400, 2200, 4000].map(wn => ({
+            wavenumber: wn,
+            transmittance: 100 * (1 - (wn - 400) / 3600)
+        }));
+
+        beforeEach(() => {
+            engine.setFrequencyMapper(mapper);
+            engine.setSpectrum(rampSpectrum);
+            engine.setPlaybackMode('scan');
+        });
+
+        it('should default the scan source from CONFIG', () => {
+            expect(new AudioEngine().getScanSource()).toBe(CONFIG.scanSynthesis.DEFAULT_SOURCE);
+        });
+
+        it('should validate the scan source', () => {
+            engine.setScanSource('noise');
+            expect(engine.getScanSource()).toBe('noise');
+            expect(() => engine.setScanSource('laser')).toThrow('Invalid scan source');
+        });
+
+        it('should sample frequency and absorbance along the cursor path', () => {
+            const curves = engine.buildScanCurves(rampSpectrum);
+            const last = CONFIG.scanSynthesis.CURVE_POINTS - 1;
+
+            expect(curves.startWavenumber).toBe(400);
+            expect(curves.endWavenumber).toBe(4000);
+            expect(curves.frequencies[0]).toBeCloseTo(200, 3);
+            expect(curves.frequencies[last]).toBeCloseTo(2000, 3);
+            expect(curves.levels[0]).toBeCloseTo(0, 6);
+            expect(curves.levels[Math.round(last / 2)]).toBeCloseTo(0.5, 2);
+            expect(curves.levels[last]).toBeCloseTo(1, 6);
+        });
+
+        it('should sweep a tracking oscillator over the duration', async () => {
+            await engine.init();
+            const oscSpy = jest.spyOn(engine.audioContext, 'createOscillator');
+
+            await engine.play(samplePeaks, 2);
+
+            const osc = oscSpy.mock.results[0].value;
+            expect(osc.frequency.setValueCurveAtTime).toHaveBeenCalledWith(expect.any(Float32Array), 0, 2);
+            expect(engine.oscillators).toHaveLength(1);
+        });
+
+        it('should sweep a band-pass over noise', async () => {
+            engine.setScanSource('noise');
+            await engine.init();
+            const filterSpy = jest.spyOn(engine.audioContext, 'createBiquadFilter');
+
+            await engine.play(samplePeaks, 2);
+
+            const bandpass = filterSpy.mock.results[0].value;
+            expect(bandpass.type).toBe('bandpass');
+            expect(bandpass.frequency.setValueCurveAtTime).toHaveBeenCalledWith(expect.any(Float32Array), 0, 2);
+        });
+
+        it('should report the cursor position from the audio clock', async () => {
+            await engine.play(samplePeaks, 2);
+
+            engine.audioContext.currentTime = 1;
+            expect(engine.getScanPosition()).toBeCloseTo(2200, 6);
+
+            engine.audioContext.currentTime = 3;
+            expect(engine.getScanPosition()).toBeNull();
+        });
+
+        it('should clear the cursor when stopped', async () => {
+            await engine.play(samplePeaks, 2);
+            engine.stop();
+
+            expect(engine.getScanPosition()).toBeNull();
+        });
+
+        it('should render the sweep offline', async () => {
+            await engine.init();
+            const voiceSpy = jest.spyOn(engine, 'createScanVoice');
+
+            await engine.exportWAV(samplePeaks, 1, 'scan.wav');
+
+            expect(voiceSpy).toHaveBeenCalledWith(expect.any(OfflineAudioContext), 0, 1);
+        });
+    });
+
+    describe('voice-graph builder', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 1500, absorbance: 0.7, audioFreq: 450 },
+            { wavenumber: 2000, absorbance: 0.5, audioFreq: 600 },
+            { wavenumber: 2500, absorbance: 0.3, audioFreq: 750 },
+            { wavenumber: 3000, absorbance: 0.2, audioFreq: 900 },
+        ];
+
+        // Context whose buffers keep their data, so impulses can be compared
+        const createRecordingContext = () => ({
+            sampleRate: 1000,
+            createBuffer: (channels, length) => {
+                const data = Array.from({ length: channels }, () => new Float32Array(length));
+                return { getChannelData: channel => data[channel] };
+            },
+        });
+
+        // Frequency, start time and level of every voice scheduled while fn runs
+        const recordSchedule = async (fn) => {
+            const voiceSpy = jest.spyOn(engine, 'createVoice');
+            const scheduleSpy = jest.spyOn(engine, 'scheduleVoice');
+            await fn();
+            const schedule = scheduleSpy.mock.calls.map((args, i) => ({
+                freq: voiceSpy.mock.calls[i][1].audioFreq,
+                start: args[3],
+                level: args[5],
+            }));
+            voiceSpy.mockRestore();
+            scheduleSpy.mockRestore();
+            return schedule;
+        };
+
+        it('should produce a repeatable sequence for a seed', () => {
+            const a = AudioEngine.createRandom(42);
+            const b = AudioEngine.createRandom(42);
+            const values = Array.from({ length: 5 }, () => a());
+
+            expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+            values.forEach(v => {
+                expect(v).toBeGreaterThanOrEqual(0);
+                expect(v).toBeLessThan(1);
+            });
+            expect(AudioEngine.createRandom(42, 1)()).not.toBe(values[0]);
+        });
+
+        it('should build the same reverb impulse in every context', () => {
+            const first = engine.createReverbImpulse(createRecordingContext());
+            const second = engine.createReverbImpulse(createRecordingContext());
+
+            expect(Array.from(first.getChannelData(1))).toEqual(Array.from(second.getChannelData(1)));
+            expect(first.getChannelData(0).some(v => v !== 0)).toBe(true);
+        });
+
+        it('should export the same random order that was played', async () => {
+            engine.setPlaybackMode('random');
+
+            const live = await recordSchedule(() => engine.play(peaks, 1));
+            const exported = await recordSchedule(() => engine.exportWAV(peaks, 1, 'random.wav'));
+
+            expect(live).toHaveLength(peaks.length);
+            expect(exported).toEqual(live);
+        });
+
+        it('should match live chord levels offline', async () => {
+            engine.setPlaybackMode('chord');
+
+            const live = await recordSchedule(() => engine.play(peaks, 1));
+            const offline = new OfflineAudioContext(2, 44100, 44100);
+            const exported = await recordSchedule(() =>
+                engine.scheduleVoices(offline, 'chord', peaks, offline.createGain(), 0, 1));
+
+            expect(exported).toEqual(live);
+            expect(new Set(live.map(voice => voice.start)).size).toBe(1);
+        });
+
+        it('should wire exports through the same effects chain settings', async () => {
+            await engine.init();
+            engine.setReverb(0.4);
+            engine.setFilterFrequency(3000);
+
+            const offline = new OfflineAudioContext(2, 44100, 44100);
+            const effects = engine.buildEffectsChain(offline, offline.destination);
+            const [filter, reverb] = engine.getEffectsChain().getEffects().map(e => effects.graph.instances.get(e.id));
+
+            expect(filter.filter.frequency.value).toBe(3000);
+            expect(reverb.wetGain.gain.value).toBeCloseTo(0.4, 10);
+            expect(reverb.dryGain.gain.value).toBeCloseTo(0.6, 10);
+            expect(effects.input.gain.value).toBe(engine.masterGain.gain.value);
+        });
+    });
+
+    describe('seed', () => {
+        const peaks = Array.from({ length: 8 }, (_, i) => ({
+            wavenumber: 1000 + i * 250, absorbance: 0.9 - i * 0.1, audioFreq: 200 + i * 100,
+        }));
+
+        const playedOrder = async () => {
+            const voiceSpy = jest.spyOn(engine, 'createVoice');
+            await engine.play(peaks, 1);
+            const order = voiceSpy.mock.calls.map(args => args[1].audioFreq);
+            voiceSpy.mockRestore();
+            return order;
+        };
+
+        beforeEach(() => {
+            engine.setPlaybackMode('random');
+        });
+
+        it('should default to the CONFIG seed', () => {
+            expect(engine.getSeed()).toBe(CONFIG.audio.DEFAULT_SEED);
+        });
+
+        it('should throw for invalid seeds', () => {
+            expect(() => engine.setSeed(-1)).toThrow('Invalid seed');
+            expect(() => engine.setSeed(1.5)).toThrow('Invalid seed');
+            expect(() => engine.setSeed(2 ** 32)).toThrow('Invalid seed');
+            expect(() => engine.setSeed('7')).toThrow('Invalid seed');
+        });
+
+        it('should replay the same random order for the same seed', async () => {
+            engine.setSeed(1234);
+            const first = await playedOrder();
+            engine.stop();
+            const second = await playedOrder();
+
+            expect(second).toEqual(first);
+        });
+
+        it('should change the random order with the seed', async () => {
+            const orders = new Set();
+            for (const seed of [1, 2, 3, 4]) {
+                engine.setSeed(seed);
+                orders.add((await playedOrder()).join());
+                engine.stop();
+            }
+
+            expect(orders.size).toBeGreaterThan(1);
+        });
+
+        it('should rebuild the live reverb impulse', async () => {
+            await engine.init();
+            const impulse = engine.convolver.buffer;
+
+            engine.setSeed(99);
+
+            expect(engine.convolver.buffer).not.toBe(impulse);
+        });
+
+        it('should rebuild cached noise for a new seed', async () => {
+            await engine.init();
+            const noise = engine.getNoiseBuffer(engine.audioContext);
+
+            expect(engine.getNoiseBuffer(engine.audioContext)).toBe(noise);
+            engine.setSeed(99);
+            expect(engine.getNoiseBuffer(engine.audioContext)).not.toBe(noise);
+        });
+
+        it('should generate seeds in range', () => {
+            const seed = AudioEngine.generateSeed();
+
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(() => engine.setSeed(seed)).not.toThrow();
+        });
+    });
+
+    describe('tempo sync', () => {
+        const peaks = [
+            { wavenumber: 1000, absorbance: 0.5, audioFreq: 200 },
+            { wavenumber: 2000, absorbance: 0.9, audioFreq: 300 },
+            { wavenumber: 3000, absorbance: 0.3, audioFreq: 600 },
+        ];
+
+        beforeEach(() => {
+            engine.setPlaybackMode('arpeggio-up');
+            engine.setTempo(120);
+            engine.setSubdivision('1/8');
+            engine.setTempoSync(true);
+        });
+
+        it('should derive step and bar lengths from the tempo', () => {
+            expect(engine.getStepDuration()).toBeCloseTo(0.25);
+            expect(engine.getBarDuration()).toBeCloseTo(2);
+
+            engine.setSubdivision('1/8T');
+            expect(engine.getStepDuration()).toBeCloseTo(1 / 6);
+        });
+
+        it('should place one note per step', () => {
+            const notes = engine.getNoteSchedule(peaks, 10);
+
+            expect(notes.map(n => n.start)).toEqual([0, 0.25, 0.5].map(t => expect.closeTo(t)));
+            expect(notes[0].duration).toBeCloseTo(0.25 * CONFIG.tempo.GATE);
+        });
+
+        it('should not time notes by the duration when synced', () => {
+            expect(engine.getNoteSchedule(peaks, 1)).toEqual(engine.getNoteSchedule(peaks, 30));
+        });
+
+        it('should round loop passes up to whole bars', () => {
+            expect(engine.getPassDuration('arpeggio-up', peaks, 10)).toBeCloseTo(2);
+
+            engine.setSubdivision('1/4');
+            engine.setTempo(60);
+            expect(engine.getPassDuration('arpeggio-updown', peaks, 10)).toBeCloseTo(8);
+
+            engine.setTempoSync(false);
+            expect(engine.getPassDuration('arpeggio-up', peaks, 10)).toBe(10);
+        });
+
+        it('should start each loop pass where the previous one ends', async () => {
+            await engine.init();
+            // Wake for the next pass straight away (the mock audio clock stands still)
+            engine.TEMPO = { ...CONFIG.tempo, LOOKAHEAD: engine.getBarDuration() };
+            const startVoices = jest.spyOn(engine, 'startVoices');
+
+            await engine.play(peaks, 5);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            engine.stop();
+
+            expect(startVoices.mock.calls.slice(0, 2).map(call => call[3])).toEqual([0, 2]);
+        });
+
+        it('should validate tempo, subdivision and sync', () => {
+            expect(() => engine.setTempo(CONFIG.tempo.MIN_BPM - 1)).toThrow('Invalid tempo');
+            expect(() => engine.setTempo(NaN)).toThrow('Invalid tempo');
+            expect(() => engine.setSubdivision('1/5')).toThrow('Invalid subdivision');
+            expect(() => engine.setTempoSync('yes')).toThrow('Tempo sync must be a boolean');
+        });
+    });
+
     describe('looping', () => {
         describe('setLoopEnabled', () => {
             it('should set loop enabled state', () => {
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for AudioFileEncoder Module
+ *
+ * Tests WAV output at each bit depth, LIST/INFO and Vorbis comment
+ * metadata, the Ogg/Opus container and format validation.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { FLACEncoder } = loadBrowserModule('flac-encoder.js');
+const { AudioFileEncoder } = loadBrowserModule('audio-file-encoder.js', { FLACEncoder });
+
+describe('AudioFileEncoder', () => {
+    const channels = [Float32Array.from([0, 0.5, -1]), Float32Array.from([1, -0.5, 0.25])];
+    const metadata = {
+        title: 'Caffeine',
+        seed: 42,
+        playbackMode: 'chord',
+        mapping: { strategy: 'Linear', ranges: { irMin: 400, irMax: 4000, audioMin: 100, audioMax: 8000 }, scale: 'C Major' },
+        date: new Date(Date.UTC(2026, 0, 2))
+    };
+    const text = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+    /**
+     * List the chunks of a RIFF file as {id, offset, size}
+     */
+    function readChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        const chunks = [];
+        for (let offset = 12; offset < bytes.length; ) {
+            const size = view.getUint32(offset + 4, true);
+            chunks.push({ id: text(bytes, offset, 4), offset: offset + 8, size });
+            offset += 8 + size + (size % 2);
+        }
+        return chunks;
+    }
+
+    describe('encodeWAV', () => {
+        it('should write 16-bit PCM', () => {
+            const bytes = AudioFileEncoder.encodeWAV(channels, 44100, 16);
+            const view = new DataView(bytes.buffer);
+            const chunks = readChunks(bytes);
+
+            expect(text(bytes, 0, 4)).toBe('RIFF');
+            expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+            expect(chunks.map(chunk => chunk.id)).toEqual(['fmt ', 'LIST', 'data']);
+            expect(view.getUint16(20, true)).toBe(1);
+            expect(view.getUint16(34, true)).toBe(16);
+
+            const data = chunks[2];
+            expect(data.size).toBe(12);
+            expect([0, 1, 2, 3, 4, 5].map(i => view.getInt16(data.offset + i * 2, true)))
+                .toEqual([0, 32767, 16384, -16384, -32768, 8192]);
+        });
+
+        it('should write 24-bit PCM little-endian', () => {
+            const bytes = AudioFileEncoder.encodeWAV([Float32Array.from([1, -1, 0.5])], 48000, 24);
+            const view = new DataView(bytes.buffer);
+            const data = readChunks(bytes).find(chunk => chunk.id === 'data');
+            const sample = i => {
+                const value = bytes[data.offset + i * 3] | (bytes[data.offset + i * 3 + 1] << 8) | (bytes[data.offset + i * 3 + 2] << 16);
+                return value >= 0x800000 ? value - 0x1000000 : value;
+            };
+
+            expect(view.getUint16(32, true)).toBe(3);
+            expect(view.getUint32(28, true)).toBe(48000 * 3);
+            expect(data.size).toBe(9);
+            expect(bytes.length % 2).toBe(0);
+            expect([0, 1, 2].map(sample)).toEqual([8388607, -8388608, 4194304]);
+        });
+
+        it('should write 32-bit float with a fact chunk', () => {
+            const bytes = AudioFileEncoder.encodeWAV(channels, 96000, 32);
+            const view = new DataView(bytes.buffer);
+            const chunks = readChunks(bytes);
+            const fact = chunks.find(chunk => chunk.id === 'fact');
+            const data = chunks.find(chunk => chunk.id === 'data');
+
+            expect(view.getUint16(20, true)).toBe(3);
+            expect(chunks[0].size).toBe(18);
+            expect(view.getUint32(fact.offset, true)).toBe(3);
+            expect(view.getFloat32(data.offset + 12, true)).toBe(-0.5);
+        });
+
+        it('should embed metadata in a LIST/INFO chunk', () => {
+            const bytes = AudioFileEncoder.encodeWAV(channels, 44100, 16, metadata);
+            const list = readChunks(bytes).find(chunk => chunk.id === 'LIST');
+            const info = text(bytes, list.offset, list.size);
+
+            expect(info.startsWith('INFO')).toBe(true);
+            expect(info).toContain('INAM');
+            expect(info).toContain('Caffeine\0');
+            expect(info).toContain('ICRD');
+            expect(info).toContain('2026-01-02');
+            expect(info).toContain('Mapping: Linear, 400-4000 cm-1 to 100-8000 Hz, C Major; Playback: chord; Seed: 42');
+        });
+    });
+
+    describe('getTags', () => {
+        it('should list Vorbis fields with their INFO ids', () => {
+            const tags = AudioFileEncoder.getTags(metadata);
+
+            expect(tags.find(tag => tag.field === 'TITLE')).toEqual({ field: 'TITLE', info: 'INAM', value: 'Caffeine' });
+            expect(tags.find(tag => tag.field === 'SEED')).toEqual({ field: 'SEED', info: null, value: '42' });
+            expect(tags.find(tag => tag.field === 'MAPPING').value).toBe('Linear, 400-4000 cm-1 to 100-8000 Hz, C Major');
+        });
+
+        it('should skip missing values', () => {
+            const fields = AudioFileEncoder.getTags({}).map(tag => tag.field);
+
+            expect(fields).toEqual(['DATE', 'ENCODER']);
+        });
+    });
+
+    describe('Ogg/Opus container', () => {
+        it('should compute the Ogg CRC', () => {
+            const check = Uint8Array.from('123456789', char => char.charCodeAt(0));
+            expect(AudioFileEncoder.oggCRC(check)).toBe(0x89A1897F);
+        });
+
+        it('should write OpusHead, OpusTags and audio pages', () => {
+            const packets = [
+                { data: new Uint8Array(100).fill(1), samples: 960 },
+                { data: new Uint8Array(510).fill(2), samples: 960 }
+            ];
+            const bytes = AudioFileEncoder.createOggOpus(packets, 2, 44100, 1000, 312, metadata);
+            const pages = [];
+            for (let offset = 0; offset < bytes.length; ) {
+                const segments = bytes[offset + 26];
+                const lacing = Array.from(bytes.subarray(offset + 27, offset + 27 + segments));
+                const length = 27 + segments + lacing.reduce((sum, size) => sum + size, 0);
+                const page = bytes.slice(offset, offset + length);
+                const view = new DataView(page.buffer);
+                const crc = view.getUint32(22, true);
+                view.setUint32(22, 0, true);
+                pages.push({ page, lacing, flags: page[5], granule: view.getUint32(6, true), sequence: view.getUint32(18, true), crc, body: page.subarray(27 + segments) });
+                offset += length;
+            }
+
+            expect(pages.map(page => text(page.page, 0, 4))).toEqual(['OggS', 'OggS', 'OggS']);
+            expect(pages.map(page => page.sequence)).toEqual([0, 1, 2]);
+            expect(pages.map(page => page.flags)).toEqual([0x02, 0x00, 0x04]);
+            pages.forEach(page => expect(AudioFileEncoder.oggCRC(page.page)).toBe(page.crc));
+
+            const head = pages[0].body;
+            expect(text(head, 0, 8)).toBe('OpusHead');
+            expect(head[9]).toBe(2);
+            expect(head[10] | (head[11] << 8)).toBe(312);
+            expect(new DataView(head.buffer, head.byteOffset).getUint32(12, true)).toBe(44100);
+
+            expect(text(pages[1].body, 0, 8)).toBe('OpusTags');
+            expect(Buffer.from(pages[1].body).toString()).toContain('TITLE=Caffeine');
+
+            // A 510-byte packet is laced as 255, 255, 0; the end is trimmed to the input length
+            expect(pages[2].lacing).toEqual([100, 255, 255, 0]);
+            expect(pages[2].granule).toBe(312 + Math.round(1000 * 48000 / 44100));
+        });
+
+        it('should continue long packets on the next page', () => {
+            const pages = AudioFileEncoder.createOggPages([{ data: new Uint8Array(255 * 300), granule: 960 }], 1, 2);
+
+            expect(pages).toHaveLength(2);
+            expect(pages[0][5]).toBe(0x00);
+            expect(new DataView(pages[0].buffer).getInt32(6, true)).toBe(-1);
+            expect(pages[1][5]).toBe(0x01);
+            expect(pages[1][26]).toBe(46);
+        });
+    });
+
+    describe('encode', () => {
+        const buffer = { numberOfChannels: 2, length: 3, sampleRate: 44100, getChannelData: i => channels[i] };
+
+        it('should encode WAV and FLAC blobs', async () => {
+            const wav = await AudioFileEncoder.encode(buffer, { format: 'wav', bitDepth: 24, metadata });
+            const flac = await AudioFileEncoder.encode(buffer, { format: 'flac', bitDepth: 16, metadata });
+
+            expect(wav.type).toBe('audio/wav');
+            expect(flac.type).toBe('audio/flac');
+            expect(flac.size).toBeGreaterThan(42);
+        });
+
+        it('should reject unknown formats and unsupported settings', async () => {
+            await expect(AudioFileEncoder.encode(buffer, { format: 'aiff' })).rejects.toThrow('Invalid format');
+            await expect(AudioFileEncoder.encode(buffer, { format: 'flac', bitDepth: 32 })).rejects.toThrow('Invalid bit depth');
+            await expect(AudioFileEncoder.encode(buffer, { format: 'opus' })).rejects.toThrow('requires 48000 Hz');
+        });
+
+        it('should report Opus as unavailable without WebCodecs', async () => {
+            await expect(AudioFileEncoder.isSupported('wav')).resolves.toBe(true);
+            await expect(AudioFileEncoder.isSupported('flac')).resolves.toBe(true);
+            await expect(AudioFileEncoder.isSupported('opus')).resolves.toBe(false);
+        });
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit Tests for BatchImporter Module
+ *
+ * Tests the import queue, per-format validation, duplicate checks, the
+ * worker round trip and fallback, and collecting dropped folders.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { CSVImporter } = loadBrowserModule('csv-importer.js');
+const { JCAMPParser } = loadBrowserModule('jcamp-parser.js');
+const { JCAMPImporter } = loadBrowserModule('jcamp-importer.js', { JCAMPParser });
+const { SpectrumImporter } = loadBrowserModule('spectrum-importer.js', { CSVImporter, JCAMPImporter });
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+const { calculateSpectralSimilarity } = loadBrowserModule('analysis-utilities.js', { SpectralPreprocessor });
+
+const loadBatchImporter = (Worker = undefined) => loadBrowserModule('batch-importer.js', {
+    CSVImporter, JCAMPImporter, SpectrumImporter, calculateSpectralSimilarity, Worker
+}).BatchImporter;
+const BatchImporter = loadBatchImporter();
+
+describe('BatchImporter', () => {
+    const csv = (rows, header = 'wavenumber,transmittance') =>
+        [header, ...rows.map(row => row.join(','))].join('\n');
+    const jcamp = (title, points) => [
+        `##TITLE=${title}`,
+        '##JCAMP-DX=5.01',
+        '##DATA TYPE=INFRARED SPECTRUM',
+        '##XUNITS=1/CM',
+        '##YUNITS=TRANSMITTANCE',
+        '##XYPOINTS=(XY..XY)',
+        ...points.map(point => point.join(', ')),
+        '##END='
+    ].join('\n');
+
+    const carbonyl = [[1000, 95], [1700, 20], [2900, 90], [3400, 60]];
+    const aliphatic = [[1000, 40], [1700, 95], [2900, 10], [3400, 95]];
+
+    const names = rows => rows.map(row => [row.file, row.status]);
+
+    describe('import', () => {
+        it('should import CSV, JCAMP-DX and report failed files', async () => {
+            const importer = new BatchImporter();
+            const progress = [];
+            const files = [
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File([jcamp('Hexane', aliphatic)], 'hexane.jdx'),
+                new File(['not a spectrum'], 'notes.xyz'),
+                new File([''], 'empty.csv')
+            ];
+
+            const result = await importer.import(files, [], update => progress.push(update));
+
+            expect(result.spectra.map(data => data.name)).toEqual(['ketone', 'Hexane']);
+            expect(names(result.rows)).toEqual([
+                ['ketone.csv', 'imported'],
+                ['hexane.jdx', 'imported'],
+                ['notes.xyz', 'failed'],
+                ['empty.csv', 'failed']
+            ]);
+            expect(result.rows[2].detail).toMatch('Unrecognized file format: notes.xyz');
+            expect(result.rows[3].detail).toBe('File is empty');
+            expect(result).toMatchObject({ imported: 2, duplicates: 0, failed: 2, cancelled: false });
+            expect(progress.map(update => update.completed)).toEqual([0, 1, 2, 3, 4]);
+            expect(progress[4]).toEqual({ completed: 4, total: 4, name: null });
+            expect(importer.isRunning()).toBe(false);
+        });
+
+        it('should import every spectrum column of a CSV file', async () => {
+            const file = new File([csv(
+                carbonyl.map(([x, y], i) => [x, y, aliphatic[i][1]]),
+                'wavenumber,Sample A,Sample B'
+            )], 'run.csv');
+
+            const result = await new BatchImporter().import([file], []);
+
+            expect(result.spectra.map(data => data.name)).toEqual(['run - Sample A', 'run - Sample B']);
+        });
+
+        it('should detect the units of each CSV column', async () => {
+            const file = new File([csv(
+                [[1000, 50, 1], [1700, 10, 2], [2900, 100, 0]],
+                'wavenumber,%T,absorbance'
+            )], 'mixed.csv');
+
+            const result = await new BatchImporter().import([file], []);
+
+            expect(result.spectra.map(data => data.metadata.yUnits)).toEqual(['%T', 'A']);
+            expect(result.spectra[0].spectrum.map(point => point.transmittance)).toEqual([50, 10, 100]);
+            expect(result.spectra[1].spectrum.map(point => point.transmittance)).toEqual([10, 1, 100]);
+        });
+
+        it('should check each format with its validator', async () => {
+            const csvValidate = jest.spyOn(CSVImporter, 'validate');
+            const jcampValidate = jest.spyOn(JCAMPImporter, 'validate');
+
+            await new BatchImporter().import([
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File([jcamp('Hexane', aliphatic)], 'hexane.jdx')
+            ], []);
+
+            expect(csvValidate).toHaveBeenCalledTimes(1);
+            expect(jcampValidate).toHaveBeenCalledTimes(1);
+            csvValidate.mockRestore();
+            jcampValidate.mockRestore();
+        });
+
+        it('should skip duplicates by name and by spectrum', async () => {
+            const library = [{ name: 'KETONE', spectrum: [] }];
+            const files = [
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File([jcamp('Hexane', aliphatic)], 'hexane.jdx'),
+                new File([jcamp('Hexane repeat', aliphatic)], 'hexane-2.jdx')
+            ];
+
+            const result = await new BatchImporter().import(files, library);
+
+            expect(result.spectra.map(data => data.name)).toEqual(['Hexane']);
+            expect(result.rows.map(row => row.detail)).toEqual([
+                'same name as "KETONE"',
+                '',
+                'same spectrum as "Hexane" (100.0% similar)'
+            ]);
+            expect(result.duplicates).toBe(2);
+            expect(library).toHaveLength(1);
+        });
+
+        it('should return the files parsed before a cancel', async () => {
+            const importer = new BatchImporter();
+            const files = [
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File([jcamp('Hexane', aliphatic)], 'hexane.jdx')
+            ];
+
+            const result = await importer.import(files, [], update => {
+                if (update.completed === 1) {
+                    importer.cancel();
+                }
+            });
+
+            expect(result.cancelled).toBe(true);
+            expect(result.spectra.map(data => data.name)).toEqual(['ketone']);
+            expect(result.rows).toHaveLength(1);
+        });
+
+        it('should reject empty and concurrent batches', async () => {
+            const importer = new BatchImporter();
+            const files = [new File([csv(carbonyl)], 'ketone.csv')];
+
+            await expect(importer.import([], [])).rejects.toThrow('Invalid files');
+
+            const first = importer.import(files, []);
+            await expect(importer.import(files, [])).rejects.toThrow('already running');
+            await first;
+        });
+    });
+
+    describe('worker', () => {
+        // Runs the worker script's message handler in-process
+        class FakeWorker {
+            constructor(url) {
+                this.url = url;
+                this.terminated = false;
+                FakeWorker.instances.push(this);
+            }
+
+            postMessage({ id, file }) {
+                BatchImporter.parseFile(file).then(
+                    spectra => this.onmessage({ data: { id, spectra } }),
+                    error => this.onmessage({ data: { id, error: error.message } })
+                );
+            }
+
+            terminate() {
+                this.terminated = true;
+            }
+        }
+
+        beforeEach(() => {
+            FakeWorker.instances = [];
+        });
+
+        it('should parse files in the worker and stop it afterwards', async () => {
+            const WorkerImporter = loadBatchImporter(FakeWorker);
+
+            const result = await new WorkerImporter().import([
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File(['x'], 'notes.xyz')
+            ], []);
+
+            expect(FakeWorker.instances).toHaveLength(1);
+            expect(FakeWorker.instances[0].url).toBe('batch-import-worker.js');
+            expect(FakeWorker.instances[0].terminated).toBe(true);
+            expect(names(result.rows)).toEqual([['ketone.csv', 'imported'], ['notes.xyz', 'failed']]);
+        });
+
+        it('should parse on the main thread when the worker fails', async () => {
+            class BrokenWorker extends FakeWorker {
+                postMessage() {
+                    this.onerror({ message: 'Failed to load script', preventDefault: jest.fn() });
+                }
+            }
+            const WorkerImporter = loadBatchImporter(BrokenWorker);
+            const importer = new WorkerImporter();
+
+            const result = await importer.import([
+                new File([csv(carbonyl)], 'ketone.csv'),
+                new File([jcamp('Hexane', aliphatic)], 'hexane.jdx')
+            ], []);
+
+            expect(result.imported).toBe(2);
+            expect(FakeWorker.instances).toHaveLength(1);
+            expect(importer.workerUrl).toBeNull();
+        });
+
+        it('should parse on the main thread when workers are blocked', async () => {
+            const WorkerImporter = loadBatchImporter(function() {
+                throw new Error('SecurityError');
+            });
+
+            const result = await new WorkerImporter().import([new File([csv(carbonyl)], 'ketone.csv')], []);
+
+            expect(result.imported).toBe(1);
+        });
+    });
+
+    describe('collectFiles', () => {
+        const fileEntry = file => ({ isFile: true, file: resolve => resolve(file) });
+        const folderEntry = pieces => ({
+            isFile: false,
+            createReader: () => {
+                const remaining = [...pieces, []];
+                return { readEntries: resolve => resolve(remaining.shift()) };
+            }
+        });
+        const item = entry => ({ kind: 'file', webkitGetAsEntry: () => entry });
+
+        it('should read dropped folders recursively, in pieces', async () => {
+            const files = ['10.0', '2.0', '.DS_Store', 'a.jdx', 'b.spa'].map(name => new File(['x'], name));
+            const dataTransfer = {
+                items: [
+                    item(folderEntry([
+                        [fileEntry(files[0]), fileEntry(files[1])],
+                        [fileEntry(files[2]), folderEntry([[fileEntry(files[3])]])]
+                    ])),
+                    item(fileEntry(files[4])),
+                    { kind: 'string' }
+                ],
+                files: []
+            };
+
+            const collected = await BatchImporter.collectFiles(dataTransfer);
+
+            expect(collected.map(file => file.name)).toEqual(['2.0', '10.0', 'a.jdx', 'b.spa']);
+        });
+
+        it('should use the file list without entry support', async () => {
+            const files = [new File(['x'], 'b.csv'), new File(['x'], 'a.csv')];
+
+            const collected = await BatchImporter.collectFiles({ items: [{ kind: 'file' }], files });
+
+            expect(collected.map(file => file.name)).toEqual(['a.csv', 'b.csv']);
+        });
+    });
+
+    describe('findDuplicate', () => {
+        it('should prefer a name match and ignore entries without spectra', () => {
+            const data = { name: ' Hexane ', spectrum: aliphatic.map(([wavenumber, transmittance]) => ({ wavenumber, transmittance })) };
+            const entries = [
+                { name: 'Other', spectrum: data.spectrum },
+                { name: 'hexane' },
+                { name: 'Empty', spectrum: [] }
+            ];
+
+            expect(BatchImporter.findDuplicate(data, entries, 0.995)).toEqual({ entry: entries[1], by: 'name', similarity: null });
+            expect(BatchImporter.findDuplicate({ ...data, name: 'New' }, entries, 0.995))
+                .toMatchObject({ entry: entries[0], by: 'spectrum' });
+            expect(BatchImporter.findDuplicate({ ...data, name: 'New' }, entries.slice(1), 0.995)).toBeNull();
+        });
+
+        it('should match other concentrations only with vector normalization', () => {
+            const spectrum = aliphatic.map(([wavenumber, transmittance]) => ({ wavenumber, transmittance }));
+            const concentrated = spectrum.map(point => ({ ...point, transmittance: 100 * Math.pow(point.transmittance / 100, 2) }));
+            const entries = [{ name: 'Hexane', spectrum }];
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none' });
+
+            expect(BatchImporter.findDuplicate({ name: 'New', spectrum: concentrated }, entries, 0.995, preprocessor)).toBeNull();
+
+            preprocessor.setVectorNormalization(true);
+            expect(BatchImporter.findDuplicate({ name: 'New', spectrum: concentrated }, entries, 0.995, preprocessor))
+                .toMatchObject({ entry: entries[0], by: 'spectrum' });
+        });
+    });
+});
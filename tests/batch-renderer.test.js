@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for BatchRenderer Module
+ *
+ * Tests the render queue, failures, cancellation, engine state restore
+ * and the manifest.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { ZipWriter } = loadBrowserModule('zip-writer.js', { Uint32Array });
+const { FLACEncoder } = loadBrowserModule('flac-encoder.js');
+const { AudioFileEncoder } = loadBrowserModule('audio-file-encoder.js', { FLACEncoder });
+const { BatchRenderer } = loadBrowserModule('batch-renderer.js', { ZipWriter, AudioFileEncoder, Set, Promise, setTimeout });
+
+describe('BatchRenderer', () => {
+    const substances = [
+        { id: 1, name: 'Caffeine', formula: 'C8H10N4O2', spectrum: { wavenumbers: [1700], transmittance: [0.2] } },
+        { id: 2, name: 'Empty', formula: '', spectrum: { wavenumbers: [], transmittance: [] } },
+        { id: 3, name: 'Caffeine', formula: 'C8H10N4O2', spectrum: { wavenumbers: [1650], transmittance: [0.4] } }
+    ];
+    let engine;
+    let mapper;
+    let mixerChannels;
+
+    beforeEach(() => {
+        mixerChannels = [{ wavenumber: 1700, gain: 0.5, muted: true, solo: false }];
+        const peakMixer = {
+            getChannels: jest.fn(() => mixerChannels.map(channel => ({ ...channel }))),
+            reset: jest.fn(() => { mixerChannels = []; }),
+            setChannel: jest.fn((wavenumber, settings) => mixerChannels.push({ wavenumber, ...settings }))
+        };
+        engine = {
+            spectrum: 'original',
+            getPeakMixer: () => peakMixer,
+            getSpectrum: jest.fn(function() { return this.spectrum; }),
+            setSpectrum: jest.fn(function(spectrum) { this.spectrum = spectrum; }),
+            renderToFile: jest.fn(async peaks => new Blob([new Uint8Array(peaks.length + 1)])),
+            getSampleRate: () => 44100,
+            getSeed: () => 42,
+            getPlaybackMode: () => 'chord'
+        };
+        mapper = {
+            extractPeaks: jest.fn(spectrum => {
+                if (spectrum.wavenumbers.length === 0) {
+                    throw new Error('No peaks detected');
+                }
+                return spectrum.wavenumbers.map(wavenumber => ({ wavenumber, audioFreq: 440, intensity: 1 }));
+            })
+        };
+    });
+
+    /**
+     * List the file names in a ZIP blob through its central directory
+     */
+    async function listZip(blob) {
+        const bytes = await BatchRenderer.readBlob(blob);
+        const view = new DataView(bytes.buffer);
+        const end = bytes.length - 22;
+        const names = [];
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+            const nameLength = view.getUint16(offset + 28, true);
+            names.push(Buffer.from(bytes.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8'));
+            offset += 46 + nameLength;
+        }
+        return names;
+    }
+
+    describe('render', () => {
+        it('should render each substance and add a manifest', async () => {
+            const renderer = new BatchRenderer(engine, mapper);
+            const progress = [];
+
+            const result = await renderer.render(substances, { duration: 2, format: 'wav', bitDepth: 24 },
+                update => progress.push(update));
+
+            expect(result.cancelled).toBe(false);
+            expect(result.rendered).toBe(2);
+            expect(result.failed).toBe(1);
+            expect(await listZip(result.zip)).toEqual(['caffeine.wav', 'caffeine_2.wav', 'manifest.csv']);
+            expect(result.rows[1]).toMatchObject({ file: '', name: 'Empty', status: 'failed', error: 'No peaks detected' });
+            expect(engine.renderToFile).toHaveBeenCalledWith(expect.any(Array), 2, expect.objectContaining({
+                format: 'wav',
+                bitDepth: 24,
+                metadata: { title: 'Caffeine', mapping: null }
+            }));
+            expect(progress.map(update => update.completed)).toEqual([0, 1, 2, 3]);
+            expect(progress[3]).toEqual({ completed: 3, total: 3, name: null });
+            expect(renderer.isRunning()).toBe(false);
+        });
+
+        it('should restore the spectrum and peak mixer', async () => {
+            const renderer = new BatchRenderer(engine, mapper);
+
+            await renderer.render(substances, { duration: 1 });
+
+            expect(engine.spectrum).toBe('original');
+            expect(mixerChannels).toEqual([{ wavenumber: 1700, gain: 0.5, muted: true, solo: false }]);
+            expect(engine.getPeakMixer().setChannel).toHaveBeenCalledWith(1700, { gain: 0.5, muted: true, solo: false });
+        });
+
+        it('should render with a neutral mixer', async () => {
+            const renderer = new BatchRenderer(engine, mapper);
+            engine.renderToFile.mockImplementation(async () => {
+                expect(mixerChannels).toEqual([]);
+                return new Blob(['x']);
+            });
+
+            await renderer.render(substances.slice(0, 1), { duration: 1 });
+
+            expect(engine.renderToFile).toHaveBeenCalledTimes(1);
+        });
+
+        it('should stop without an archive when cancelled', async () => {
+            const renderer = new BatchRenderer(engine, mapper);
+
+            const result = await renderer.render(substances, { duration: 1 }, update => {
+                if (update.completed === 1) {
+                    renderer.cancel();
+                }
+            });
+
+            expect(result.cancelled).toBe(true);
+            expect(result.zip).toBeNull();
+            expect(result.rows).toHaveLength(1);
+            expect(engine.renderToFile).toHaveBeenCalledTimes(1);
+            expect(engine.spectrum).toBe('original');
+        });
+
+        it('should reject invalid input and concurrent batches', async () => {
+            const renderer = new BatchRenderer(engine, mapper);
+
+            await expect(renderer.render([], { duration: 1 })).rejects.toThrow('Invalid substances');
+            await expect(renderer.render(substances, { duration: 0 })).rejects.toThrow('Invalid duration');
+            await expect(renderer.render(substances, { duration: 1, format: 'aiff' })).rejects.toThrow('Invalid format: aiff');
+
+            const first = renderer.render(substances, { duration: 1 });
+            await expect(renderer.render(substances, { duration: 1 })).rejects.toThrow('already running');
+            await first;
+        });
+    });
+
+    describe('createManifest', () => {
+        it('should write one quoted row per substance with the batch settings', () => {
+            const csv = BatchRenderer.createManifest([
+                { file: 'a.flac', name: 'Acid, acetic', formula: 'C2H4O2', peaks: 5, status: 'rendered', error: '' },
+                { file: '', name: 'Say "hi"', formula: '', peaks: 0, status: 'failed', error: 'No peaks' }
+            ], {
+                duration: 3, format: 'FLAC', bitDepth: 24, sampleRate: 48000,
+                seed: 7, playbackMode: 'arpeggio', mapping: 'linear'
+            });
+
+            expect(csv.split('\n')).toEqual([
+                'file,name,formula,peaks,status,error,duration_s,format,bit_depth,sample_rate_hz,seed,playback_mode,mapping',
+                'a.flac,"Acid, acetic",C2H4O2,5,rendered,,3,FLAC,24,48000,7,arpeggio,linear',
+                ',"Say ""hi""",,0,failed,No peaks,3,FLAC,24,48000,7,arpeggio,linear',
+                ''
+            ]);
+        });
+    });
+
+    describe('createFilename', () => {
+        it('should make safe, unique names', () => {
+            const used = new Set();
+
+            expect(BatchRenderer.createFilename('Caffeine', 'flac', used)).toBe('caffeine.flac');
+            expect(BatchRenderer.createFilename('caffeine', 'flac', used)).toBe('caffeine_2.flac');
+            expect(BatchRenderer.createFilename('α-Pinene (+)', 'wav', used)).toBe('pinene.wav');
+            expect(BatchRenderer.createFilename('', 'wav', used)).toBe('substance.wav');
+        });
+    });
+});
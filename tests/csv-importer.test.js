@@ -113,9 +113,17 @@ describe('CSVImporter', () => {
             expect(result.metadata.importDate).toBeDefined();
         });
 
-        it('should throw error for non-CSV file', async () => {
-            const file = createMockFile('some data', 'test.txt');
-            await expect(CSVImporter.parseCSV(file)).rejects.toThrow('must be a CSV file');
+        it('should throw error for non-text file', async () => {
+            const file = createMockFile('some data', 'test.png');
+            await expect(CSVImporter.parseCSV(file)).rejects.toThrow('must be a CSV or text file');
+        });
+
+        it('should accept text and TSV files', async () => {
+            const file = createMockFile('400\t95.0\n800\t90.0', 'spectrum.txt');
+            const result = await CSVImporter.parseCSV(file);
+
+            expect(result.name).toBe('spectrum');
+            expect(result.spectrum).toHaveLength(2);
         });
 
         it('should throw error for null file', async () => {
@@ -176,6 +184,107 @@ also,invalid`;
         });
     });
 
+    describe('analyze', () => {
+        it('should detect decimal commas with semicolon delimiters', () => {
+            const analysis = CSVImporter.analyze('wavenumber;absorbance\n400,5;0,25\n800;1,5');
+
+            expect(analysis.delimiter).toBe(';');
+            expect(analysis.decimalSeparator).toBe(',');
+            expect(analysis.rows.map(row => row.values)).toEqual([[400.5, 0.25], [800, 1.5]]);
+        });
+
+        it('should detect whitespace delimiters and skip preamble and comments', () => {
+            const analysis = CSVImporter.analyze(`Instrument export
+# comment
+cm-1   A
+400    0.1
+800    0.2`);
+
+            expect(analysis.delimiter).toBe(' ');
+            expect(analysis.header).toEqual(['cm-1', 'A']);
+            expect(analysis.rows).toHaveLength(2);
+        });
+
+        it('should use delimiter and decimal overrides', () => {
+            const analysis = CSVImporter.analyze('1,5;2,5\n3,5;4,5', { delimiter: ',', decimalSeparator: '.' });
+
+            expect(analysis.delimiter).toBe(',');
+            expect(analysis.rows.map(row => row.values)).toEqual([[1, NaN, 5], [3, NaN, 5]]);
+        });
+
+        it('should name columns from the header', () => {
+            const analysis = CSVImporter.analyze('"x","Sample A","Sample B"\n400,90,80\n800,85,');
+
+            expect(analysis.columns.map(column => column.label)).toEqual(['x', 'Sample A', 'Sample B']);
+            expect(analysis.rows[1].values[2]).toBeNaN();
+        });
+    });
+
+    describe('unit detection', () => {
+        it('should detect X units from labels and values', () => {
+            expect(CSVImporter.detectXUnits('Wavenumber (cm-1)', [4000])).toBe('cm⁻¹');
+            expect(CSVImporter.detectXUnits('Wavelength (nm)', [2500])).toBe('nm');
+            expect(CSVImporter.detectXUnits('lambda/µm', [2.5])).toBe('µm');
+            expect(CSVImporter.detectXUnits('', [2.5, 25])).toBe('µm');
+            expect(CSVImporter.detectXUnits('', [400, 4000])).toBe('cm⁻¹');
+        });
+
+        it('should detect Y units from labels and values', () => {
+            expect(CSVImporter.detectYUnits('%T', [50])).toBe('%T');
+            expect(CSVImporter.detectYUnits('Transmittance', [0.5, 0.9])).toBe('T');
+            expect(CSVImporter.detectYUnits('Absorbance', [0.5])).toBe('A');
+            expect(CSVImporter.detectYUnits('log(1/R)', [0.5])).toBe('log(1/R)');
+            expect(CSVImporter.detectYUnits('Kubelka-Munk', [0.5])).toBe('KM');
+            expect(CSVImporter.detectYUnits('', [95])).toBe('%T');
+            expect(CSVImporter.detectYUnits('', [0.2])).toBe('A');
+        });
+    });
+
+    describe('createSpectra', () => {
+        const multi = CSVImporter.analyze(`wavelength (um),Sample A,Sample B
+2.5,0.9,0.1
+5,0.5,0.2
+10,0.4,`);
+
+        it('should create one spectrum per Y column with the default mapping', () => {
+            const mapping = CSVImporter.getDefaultMapping(multi);
+            const spectra = CSVImporter.createSpectra(multi, mapping, 'samples.csv');
+
+            expect(mapping).toEqual({ xColumn: 0, yColumns: [1, 2], xUnits: 'µm', yUnits: 'A' });
+            expect(spectra.map(spectrum => spectrum.name)).toEqual(['samples - Sample A', 'samples - Sample B']);
+            expect(spectra[0].spectrum.map(point => point.wavenumber)).toEqual([1000, 2000, 4000]);
+            expect(spectra[1].spectrum).toHaveLength(2);
+        });
+
+        it('should convert nanometres and Y units to transmittance', () => {
+            const analysis = CSVImporter.analyze('5000,0.5\n10000,0');
+
+            const fraction = CSVImporter.createSpectra(analysis, { xColumn: 0, yColumns: [1], xUnits: 'nm', yUnits: 'T' }, 'a.csv');
+            expect(fraction[0].spectrum).toEqual([
+                { wavenumber: 1000, transmittance: 0 },
+                { wavenumber: 2000, transmittance: 50 }
+            ]);
+
+            const km = CSVImporter.createSpectra(analysis, { xColumn: 0, yColumns: [1], xUnits: 'nm', yUnits: 'KM' }, 'a.csv');
+            // f(R) = (1 - R)^2 / 2R = 0.5 at R = 0.382
+            expect(km[0].spectrum[1].transmittance).toBeCloseTo(38.2, 1);
+            expect(km[0].spectrum[0].transmittance).toBe(100);
+
+            const reflectance = CSVImporter.createSpectra(analysis, { xColumn: 0, yColumns: [1], xUnits: 'nm', yUnits: 'log(1/R)' }, 'a.csv');
+            expect(reflectance[0].spectrum[1].transmittance).toBeCloseTo(31.62, 1);
+        });
+
+        it('should reject invalid mappings', () => {
+            const mapping = { xColumn: 0, yColumns: [1], xUnits: 'µm', yUnits: 'A' };
+
+            expect(() => CSVImporter.createSpectra(multi, { ...mapping, xColumn: 3 }, 'a.csv')).toThrow('X column does not exist');
+            expect(() => CSVImporter.createSpectra(multi, { ...mapping, yColumns: [] }, 'a.csv')).toThrow('select at least one Y column');
+            expect(() => CSVImporter.createSpectra(multi, { ...mapping, yColumns: [0] }, 'a.csv')).toThrow('differ from the X column');
+            expect(() => CSVImporter.createSpectra(multi, { ...mapping, xUnits: 'Hz' }, 'a.csv')).toThrow("unknown X units 'Hz'");
+            expect(() => CSVImporter.createSpectra(multi, { ...mapping, yUnits: 'R' }, 'a.csv')).toThrow("unknown Y units 'R'");
+        });
+    });
+
     describe('sanitizeName', () => {
         it('should remove XSS-prone characters', () => {
             expect(CSVImporter.sanitizeName('test<script>')).toBe('testscript');
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for EffectsChain Module
+ *
+ * Tests the chain model (validation, ordering, bypass) and the node builder.
+ * Uses mocked Web Audio API from setup.js.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { EffectsChain } = loadBrowserModule('effects-chain.js');
+
+describe('EffectsChain', () => {
+    let chain;
+    let context;
+
+    beforeEach(() => {
+        chain = new EffectsChain();
+        context = new AudioContext();
+    });
+
+    const types = () => chain.getEffects().map(effect => effect.type);
+
+    describe('constructor', () => {
+        it('should start with the CONFIG default chain', () => {
+            expect(types()).toEqual(CONFIG.effectsChain.DEFAULT.map(effect => effect.type));
+        });
+
+        it('should fill in default parameters', () => {
+            expect(chain.findEffect('reverb').params).toEqual({
+                mix: CONFIG.effects.reverb.params.mix.default,
+                duration: CONFIG.effects.reverb.params.duration.default,
+            });
+        });
+
+        it('should list every registered processor', () => {
+            expect(Object.keys(chain.getProcessors())).toEqual(Object.keys(EffectsChain.processors));
+        });
+    });
+
+    describe('setChain', () => {
+        it('should replace the chain from a description', () => {
+            chain.setChain([{ type: 'delay', params: { time: 0.5 } }, { type: 'eq', enabled: false }]);
+
+            expect(chain.getChain()).toEqual([
+                { type: 'delay', enabled: true, params: { time: 0.5, feedback: 0.35, mix: 0.3 } },
+                { type: 'eq', enabled: false, params: { low: 0, mid: 0, high: 0 } },
+            ]);
+        });
+
+        it('should leave the chain unchanged when an entry is invalid', () => {
+            expect(() => chain.setChain([{ type: 'delay' }, { type: 'flanger' }])).toThrow('Invalid effect type: flanger');
+            expect(types()).toEqual(['filter', 'reverb']);
+        });
+
+        it('should reject unknown parameters and non-numbers', () => {
+            expect(() => chain.setChain([{ type: 'delay', params: { speed: 1 } }])).toThrow('Invalid effect parameter: delay.speed');
+            expect(() => chain.setChain([{ type: 'delay', params: { time: 'long' } }])).toThrow('Invalid delay.time');
+            expect(() => chain.setChain('filter')).toThrow('Invalid effects chain');
+        });
+
+        it('should enforce the maximum length', () => {
+            const tooLong = Array.from({ length: CONFIG.effectsChain.MAX_EFFECTS + 1 }, () => ({ type: 'eq' }));
+            expect(() => chain.setChain(tooLong)).toThrow('at most');
+        });
+    });
+
+    describe('editing', () => {
+        it('should add effects at a position', () => {
+            chain.addEffect('delay');
+            chain.addEffect('eq', {}, 0);
+
+            expect(types()).toEqual(['eq', 'filter', 'reverb', 'delay']);
+        });
+
+        it('should move and remove effects by id', () => {
+            const delayId = chain.addEffect('delay');
+            chain.moveEffect(delayId, 0);
+            expect(types()).toEqual(['delay', 'filter', 'reverb']);
+
+            chain.removeEffect(delayId);
+            expect(types()).toEqual(['filter', 'reverb']);
+            expect(() => chain.removeEffect(delayId)).toThrow('Invalid effect id');
+        });
+
+        it('should clamp parameters to their ranges', () => {
+            const id = chain.findEffect('filter').id;
+            chain.setEffectParams(id, { frequency: 50000 });
+
+            expect(chain.getEffect(id).params.frequency).toBe(CONFIG.effects.filter.params.frequency.max);
+        });
+
+        it('should report parameter and structure changes', () => {
+            const changes = [];
+            chain.onChange = change => changes.push(change);
+            const id = chain.findEffect('reverb').id;
+
+            chain.setEffectParams(id, { mix: 0.2 });
+            chain.setEffectEnabled(id, false);
+
+            expect(changes).toEqual([{ kind: 'params', id }, { kind: 'structure' }]);
+        });
+
+        it('should not expose internal state', () => {
+            chain.getEffects()[0].params.frequency = 1;
+            expect(chain.findEffect('filter').params.frequency).toBe(CONFIG.effects.filter.params.frequency.default);
+        });
+    });
+
+    describe('build', () => {
+        it('should connect enabled effects in order', () => {
+            chain.setChain([{ type: 'filter' }, { type: 'eq', enabled: false }, { type: 'compressor' }]);
+            const destination = context.createGain();
+
+            const graph = chain.build(context, destination);
+            const [filter, , compressor] = chain.getEffects().map(effect => graph.instances.get(effect.id));
+
+            expect(graph.instances.size).toBe(2);
+            expect(graph.input.connect).toHaveBeenCalledWith(filter.input);
+            expect(filter.output.connect).toHaveBeenCalledWith(compressor.input);
+            expect(compressor.output.connect).toHaveBeenCalledWith(destination);
+        });
+
+        it('should connect input straight to the destination when empty', () => {
+            chain.setChain([]);
+            const destination = context.createGain();
+
+            const graph = chain.build(context, destination);
+
+            expect(graph.input.connect).toHaveBeenCalledWith(destination);
+        });
+
+        it('should build every processor with its parameters', () => {
+            chain.setChain(Object.keys(EffectsChain.processors).map(type => ({ type })));
+
+            const graph = chain.build(context, context.createGain());
+
+            expect(graph.instances.size).toBe(Object.keys(EffectsChain.processors).length);
+            graph.instances.forEach(instance => {
+                expect(instance.input).toBeDefined();
+                expect(instance.output).toBeDefined();
+            });
+        });
+
+        it('should use the impulse factory for reverbs', () => {
+            const impulse = { length: 1 };
+            const createImpulse = jest.fn(() => impulse);
+
+            const graph = chain.build(context, context.createGain(), { createImpulse });
+            const reverb = graph.instances.get(chain.findEffect('reverb').id);
+
+            expect(createImpulse).toHaveBeenCalledWith(context, CONFIG.effects.reverb.params.duration.default);
+            expect(reverb.convolver.buffer).toBe(impulse);
+        });
+
+        it('should update built nodes in place', () => {
+            const graph = chain.build(context, context.createGain());
+            const id = chain.findEffect('reverb').id;
+
+            chain.setEffectParams(id, { mix: 0.25 });
+
+            expect(chain.updateGraph(graph, id)).toBe(true);
+            expect(graph.instances.get(id).wetGain.gain.value).toBe(0.25);
+            expect(graph.instances.get(id).dryGain.gain.value).toBe(0.75);
+        });
+
+        it('should set parameters directly when building and glide on updates', () => {
+            chain.setChain([{ type: 'filter', params: { frequency: 2000 } }]);
+            const graph = chain.build(context, context.createGain());
+            const { filter } = graph.instances.values().next().value;
+
+            expect(filter.frequency.value).toBe(2000);
+            expect(filter.frequency.setTargetAtTime).not.toHaveBeenCalled();
+
+            chain.setEffectParams(chain.findEffect('filter').id, { frequency: 500 });
+            chain.updateGraph(graph, chain.findEffect('filter').id);
+
+            expect(filter.frequency.cancelScheduledValues).toHaveBeenCalledWith(context.currentTime);
+            expect(filter.frequency.setTargetAtTime).toHaveBeenCalledWith(500, context.currentTime, CONFIG.audio.PARAM_RAMP_TIME);
+        });
+
+        it('should stop the chorus LFO on disconnect', () => {
+            chain.setChain([{ type: 'chorus' }]);
+            const oscSpy = jest.spyOn(context, 'createOscillator');
+
+            const graph = chain.build(context, context.createGain());
+            const lfo = oscSpy.mock.results[0].value;
+            graph.disconnect();
+
+            expect(lfo.start).toHaveBeenCalled();
+            expect(lfo.stop).toHaveBeenCalled();
+        });
+    });
+
+    describe('processors', () => {
+        it('should widen with mid/side gains', () => {
+            chain.setChain([{ type: 'widener', params: { width: 2 } }]);
+            const gainSpy = jest.spyOn(context, 'createGain');
+
+            const destination = context.createGain();
+            chain.build(context, destination);
+            // [destination, chain input, widener input, direct L, direct R, cross L, cross R]
+            const gains = gainSpy.mock.results.slice(3, 7).map(result => result.value.gain.value);
+
+            expect(gains).toEqual([1.5, 1.5, -0.5, -0.5]);
+        });
+
+        it('should apply compressor makeup gain in dB', () => {
+            chain.setChain([{ type: 'compressor', params: { makeup: 20 } }]);
+
+            const graph = chain.build(context, context.createGain());
+            const compressor = graph.instances.values().next().value;
+
+            expect(compressor.output.gain.value).toBeCloseTo(10, 10);
+        });
+
+        it('should leave the signal unchanged at zero drive', () => {
+            const curve = EffectsChain.distortionCurve(0, 5);
+            [-1, -0.5, 0, 0.5, 1].forEach((x, i) => expect(curve[i]).toBeCloseTo(x, 6));
+        });
+
+        it('should soft-clip with drive', () => {
+            const curve = EffectsChain.distortionCurve(1, 5);
+
+            expect(curve[3]).toBeGreaterThan(0.9);
+            expect(curve[4]).toBeCloseTo(1, 6);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for FLACEncoder Module
+ *
+ * Tests the CRCs, metadata blocks and lossless round trips through a small
+ * reference decoder for the subframe types the encoder writes.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { FLACEncoder } = loadBrowserModule('flac-encoder.js');
+
+/**
+ * Decode the FLAC subset written by FLACEncoder (fixed predictors, Rice
+ * residuals, stereo decorrelation), checking both frame CRCs
+ */
+function decodeFLAC(bytes) {
+    let pos = 0;
+    let bit = 0;
+    const read = (bits) => {
+        let value = 0;
+        for (let i = 0; i < bits; i++) {
+            value = value * 2 + ((bytes[pos] >> (7 - bit)) & 1);
+            if (++bit === 8) {
+                bit = 0;
+                pos++;
+            }
+        }
+        return value;
+    };
+    const readSigned = (bits) => {
+        const value = read(bits);
+        return value >= Math.pow(2, bits - 1) ? value - Math.pow(2, bits) : value;
+    };
+
+    expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe('fLaC');
+    pos = 4;
+    const blocks = {};
+    let last = false;
+    while (!last) {
+        last = read(1) === 1;
+        const type = read(7);
+        const length = read(24);
+        blocks[type] = bytes.subarray(pos, pos + length);
+        pos += length;
+    }
+
+    const info = blocks[0];
+    const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+    const channelCount = ((info[12] >> 1) & 0x07) + 1;
+    const bitsPerSample = (((info[12] & 1) << 4) | (info[13] >> 4)) + 1;
+    const totalSamples = (info[13] & 0x0F) * Math.pow(2, 32) + (((info[14] << 24) | (info[15] << 16) | (info[16] << 8) | info[17]) >>> 0);
+    const channels = Array.from({ length: channelCount }, () => []);
+
+    while (pos < bytes.length) {
+        const frameStart = pos;
+        expect(read(14)).toBe(0x3FFE);
+        read(2);
+        expect(read(4)).toBe(0b0111);
+        read(4);
+        const assignment = read(4);
+        read(4);
+        let first = read(8);
+        while (first & 0x80 && first & 0x40) {
+            read(8);
+            first = (first << 1) & 0xFF;
+        }
+        const blockSize = read(16) + 1;
+        expect(FLACEncoder.crc8(bytes.subarray(frameStart, pos))).toBe(read(8));
+
+        const subframeCount = assignment < 8 ? assignment + 1 : 2;
+        const decoded = [];
+        for (let ch = 0; ch < subframeCount; ch++) {
+            const isSide = (assignment === 8 && ch === 1) || (assignment === 9 && ch === 0) || (assignment === 10 && ch === 1);
+            const bps = bitsPerSample + (isSide ? 1 : 0);
+            read(1);
+            const type = read(6);
+            read(1);
+            const samples = [];
+            if (type === 0) {
+                const value = readSigned(bps);
+                for (let i = 0; i < blockSize; i++) samples.push(value);
+            } else if (type === 1) {
+                for (let i = 0; i < blockSize; i++) samples.push(readSigned(bps));
+            } else {
+                const order = type & 0x07;
+                for (let i = 0; i < order; i++) samples.push(readSigned(bps));
+                const method = read(2);
+                const partitionOrder = read(4);
+                for (let p = 0; p < (1 << partitionOrder); p++) {
+                    const k = read(method === 1 ? 5 : 4);
+                    const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+                    for (let i = 0; i < count; i++) {
+                        let q = 0;
+                        while (read(1) === 0) q++;
+                        const folded = q * Math.pow(2, k) + read(k);
+                        const residual = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+                        const s = samples;
+                        const n = s.length;
+                        const prediction = [0, s[n - 1], 2 * s[n - 1] - s[n - 2],
+                            3 * s[n - 1] - 3 * s[n - 2] + s[n - 3],
+                            4 * s[n - 1] - 6 * s[n - 2] + 4 * s[n - 3] - s[n - 4]][order];
+                        samples.push(prediction + residual);
+                    }
+                }
+            }
+            decoded.push(samples);
+        }
+        if (bit !== 0) {
+            bit = 0;
+            pos++;
+        }
+        const crc = FLACEncoder.crc16(bytes.subarray(frameStart, pos));
+        expect(read(16)).toBe(crc);
+
+        for (let i = 0; i < blockSize; i++) {
+            let samples = decoded.map(channel => channel[i]);
+            if (assignment === 8) samples = [samples[0], samples[0] - samples[1]];
+            if (assignment === 9) samples = [samples[0] + samples[1], samples[1]];
+            if (assignment === 10) {
+                const mid = samples[0] * 2 + (samples[1] & 1);
+                samples = [(mid + samples[1]) / 2, (mid - samples[1]) / 2];
+            }
+            samples.forEach((sample, ch) => channels[ch].push(sample));
+        }
+    }
+
+    return { sampleRate, channelCount, bitsPerSample, totalSamples, channels, blocks };
+}
+
+describe('FLACEncoder', () => {
+    const sine = (length, amplitude, frequency, phase = 0) => Int32Array.from(
+        { length },
+        (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / 44100 + phase))
+    );
+
+    describe('CRCs', () => {
+        it('should match the standard check values', () => {
+            const check = Uint8Array.from('123456789', char => char.charCodeAt(0));
+            expect(FLACEncoder.crc8(check)).toBe(0xF4);
+            expect(FLACEncoder.crc16(check)).toBe(0xFEE8);
+        });
+    });
+
+    describe('encodeFrameNumber', () => {
+        it('should use the extended UTF-8 coding', () => {
+            expect(FLACEncoder.encodeFrameNumber(0x7F)).toEqual([0x7F]);
+            expect(FLACEncoder.encodeFrameNumber(0x80)).toEqual([0xC2, 0x80]);
+            expect(FLACEncoder.encodeFrameNumber(0x800)).toEqual([0xE0, 0xA0, 0x80]);
+        });
+    });
+
+    describe('encode', () => {
+        it('should round trip 16-bit stereo losslessly', () => {
+            const left = sine(10000, 20000, 440);
+            const right = sine(10000, 12000, 660, 1);
+            const decoded = decodeFLAC(FLACEncoder.encode([left, right], 44100, 16));
+
+            expect(decoded.sampleRate).toBe(44100);
+            expect(decoded.channelCount).toBe(2);
+            expect(decoded.bitsPerSample).toBe(16);
+            expect(decoded.totalSamples).toBe(10000);
+            expect(decoded.channels[0]).toEqual(Array.from(left));
+            expect(decoded.channels[1]).toEqual(Array.from(right));
+        });
+
+        it('should round trip 24-bit noise, silence and full-scale samples', () => {
+            let state = 1;
+            const noise = Int32Array.from({ length: 5000 }, () => {
+                state = (state * 1103515245 + 12345) % 2147483648;
+                return Math.floor(state / 128) - 8388608;
+            });
+            const edges = new Int32Array(5000);
+            edges.fill(8388607, 0, 2500);
+            edges.fill(-8388608, 2500);
+            const decoded = decodeFLAC(FLACEncoder.encode([noise, edges], 96000, 24));
+
+            expect(decoded.sampleRate).toBe(96000);
+            expect(decoded.bitsPerSample).toBe(24);
+            expect(decoded.channels[0]).toEqual(Array.from(noise));
+            expect(decoded.channels[1]).toEqual(Array.from(edges));
+        });
+
+        it('should round trip loud 24-bit tones that need 5-bit Rice parameters', () => {
+            const tone = sine(8192, 8000000, 5000);
+            const decoded = decodeFLAC(FLACEncoder.encode([tone], 44100, 24));
+
+            expect(decoded.channels[0]).toEqual(Array.from(tone));
+        });
+
+        it('should compress tones well below the raw PCM size', () => {
+            const tone = sine(44100, 16000, 220);
+            const bytes = FLACEncoder.encode([tone, tone], 44100, 16);
+
+            expect(bytes.length).toBeLessThan(44100 * 4 / 2);
+        });
+
+        it('should round trip mono with a short final block', () => {
+            const mono = sine(4097, 1000, 1000);
+            const decoded = decodeFLAC(FLACEncoder.encode([mono], 48000, 16));
+
+            expect(decoded.channelCount).toBe(1);
+            expect(decoded.channels[0]).toEqual(Array.from(mono));
+        });
+
+        it('should reject unsupported sample sizes', () => {
+            expect(() => FLACEncoder.encode([new Int32Array(16)], 44100, 32)).toThrow('Invalid sample size');
+            expect(() => FLACEncoder.encode([], 44100, 16)).toThrow('Invalid channels');
+        });
+    });
+
+    describe('createVorbisComment', () => {
+        it('should write the vendor string and UTF-8 fields', () => {
+            const decoded = decodeFLAC(FLACEncoder.encode([new Int32Array(16)], 44100, 16, [['Title', 'Café'], ['seed', '42']]));
+            const block = decoded.blocks[4];
+            const view = new DataView(block.buffer, block.byteOffset);
+            const vendorLength = view.getUint32(0, true);
+            const text = Buffer.from(block).toString('utf8');
+
+            expect(Buffer.from(block.subarray(4, 4 + vendorLength)).toString()).toBe(FLACEncoder.VENDOR);
+            expect(view.getUint32(4 + vendorLength, true)).toBe(2);
+            expect(text).toContain('TITLE=Café');
+            expect(text).toContain('SEED=42');
+        });
+    });
+});
@@ -5,7 +5,9 @@
  */
 
 const { loadBrowserModule } = require('./test-helpers');
-const { FrequencyMapper } = loadBrowserModule('frequency-mapper.js');
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+const { PeakDetector } = loadBrowserModule('peak-detector.js');
+const { FrequencyMapper } = loadBrowserModule('frequency-mapper.js', { SpectralPreprocessor, PeakDetector });
 
 describe('FrequencyMapper', () => {
     let mapper;
@@ -88,6 +90,155 @@ describe('FrequencyMapper', () => {
         });
     });
 
+    describe('mapping strategies', () => {
+        const strategyKeys = ['linear', 'logarithmic', 'mel', 'bark', 'octave-folded'];
+
+        it('should default to the logarithmic strategy', () => {
+            expect(mapper.getStrategy()).toBe(CONFIG.frequency.DEFAULT_STRATEGY);
+        });
+
+        it('should expose all built-in strategies with display names', () => {
+            const strategies = mapper.getStrategies();
+            strategyKeys.forEach(key => {
+                expect(strategies[key]).toBeDefined();
+                expect(strategies[key].name).toBe(CONFIG.mappingStrategies[key].name);
+            });
+        });
+
+        it('should throw for unknown strategies', () => {
+            expect(() => mapper.setStrategy('cubic')).toThrow('Invalid mapping strategy');
+            expect(() => new FrequencyMapper({ strategy: 'cubic' })).toThrow('Invalid mapping strategy');
+        });
+
+        it('should map range endpoints to audio endpoints for monotonic strategies', () => {
+            ['linear', 'logarithmic', 'mel', 'bark'].forEach(key => {
+                mapper.setStrategy(key);
+                expect(mapper.irToAudio(CONFIG.frequency.IR_MIN)).toBeCloseTo(CONFIG.frequency.AUDIO_MIN, 5);
+                expect(mapper.irToAudio(CONFIG.frequency.IR_MAX)).toBeCloseTo(CONFIG.frequency.AUDIO_MAX, 5);
+            });
+        });
+
+        it('should use linear spacing for the linear strategy', () => {
+            mapper.setStrategy('linear');
+            const mid = (CONFIG.frequency.IR_MIN + CONFIG.frequency.IR_MAX) / 2;
+            const expected = (CONFIG.frequency.AUDIO_MIN + CONFIG.frequency.AUDIO_MAX) / 2;
+            expect(mapper.irToAudio(mid)).toBeCloseTo(expected, 5);
+        });
+
+        it('should place mel and bark midpoints between logarithmic and linear', () => {
+            const mid = (CONFIG.frequency.IR_MIN + CONFIG.frequency.IR_MAX) / 2;
+            const results = {};
+            ['linear', 'logarithmic', 'mel', 'bark'].forEach(key => {
+                mapper.setStrategy(key);
+                results[key] = mapper.irToAudio(mid);
+            });
+
+            expect(results.mel).toBeGreaterThan(results.logarithmic);
+            expect(results.mel).toBeLessThan(results.linear);
+            expect(results.bark).toBeGreaterThan(results.logarithmic);
+            expect(results.bark).toBeLessThan(results.linear);
+        });
+
+        it('should round-trip mel and bark conversions', () => {
+            expect(FrequencyMapper.melToHz(FrequencyMapper.hzToMel(1000))).toBeCloseTo(1000, 6);
+            expect(FrequencyMapper.barkToHz(FrequencyMapper.hzToBark(1000))).toBeCloseTo(1000, 6);
+        });
+
+        it('should fold octave-related wavenumbers onto the same pitch', () => {
+            mapper.setStrategy('octave-folded');
+            const low = mapper.irToAudio(500);
+            const high = mapper.irToAudio(500 * Math.pow(2, CONFIG.frequency.FOLD_OCTAVES));
+
+            expect(high).toBeCloseTo(low, 5);
+        });
+
+        it('should keep octave-folded output inside the fold window', () => {
+            mapper.setStrategy('octave-folded');
+            const windowMax = CONFIG.frequency.AUDIO_MIN * Math.pow(2, CONFIG.frequency.FOLD_OCTAVES);
+
+            for (let wn = 400; wn <= 4000; wn += 150) {
+                const freq = mapper.irToAudio(wn);
+                expect(freq).toBeGreaterThanOrEqual(CONFIG.frequency.AUDIO_MIN);
+                expect(freq).toBeLessThan(windowMax);
+            }
+        });
+
+        it('should register custom strategies', () => {
+            FrequencyMapper.registerStrategy('constant', () => 440);
+            try {
+                mapper.setStrategy('constant');
+                expect(mapper.irToAudio(1700)).toBe(440);
+                expect(mapper.getStrategies().constant).toBeDefined();
+            } finally {
+                delete FrequencyMapper.strategies.constant;
+            }
+        });
+
+        it('should reject invalid custom strategies', () => {
+            expect(() => FrequencyMapper.registerStrategy('', () => 1)).toThrow('Invalid strategy key');
+            expect(() => FrequencyMapper.registerStrategy('bad', 42)).toThrow('Invalid strategy');
+        });
+    });
+
+    describe('custom ranges', () => {
+        it('should accept ranges in the constructor', () => {
+            const custom = new FrequencyMapper({ irMin: 600, irMax: 3600, audioMin: 200, audioMax: 4000 });
+
+            expect(custom.getRanges()).toEqual({ irMin: 600, irMax: 3600, audioMin: 200, audioMax: 4000 });
+            expect(custom.irToAudio(600)).toBeCloseTo(200, 5);
+            expect(custom.irToAudio(3600)).toBeCloseTo(4000, 5);
+        });
+
+        it('should keep omitted bounds when updating ranges', () => {
+            mapper.setRanges({ audioMax: 2000 });
+
+            expect(mapper.IR_MIN).toBe(CONFIG.frequency.IR_MIN);
+            expect(mapper.AUDIO_MIN).toBe(CONFIG.frequency.AUDIO_MIN);
+            expect(mapper.AUDIO_MAX).toBe(2000);
+        });
+
+        it('should not affect other instances', () => {
+            mapper.setRanges({ audioMin: 300 });
+            expect(new FrequencyMapper().AUDIO_MIN).toBe(CONFIG.frequency.AUDIO_MIN);
+        });
+
+        it('should throw for invalid ranges', () => {
+            expect(() => mapper.setRanges({ irMin: -1 })).toThrow('Invalid range bound');
+            expect(() => mapper.setRanges({ audioMax: NaN })).toThrow('Invalid range bound');
+            expect(() => mapper.setRanges({ irMin: 4000, irMax: 400 })).toThrow('Invalid IR range');
+            expect(() => mapper.setRanges({ audioMin: 8000, audioMax: 100 })).toThrow('Invalid audio range');
+        });
+    });
+
+    describe('remapPeaks', () => {
+        it('should recompute audioFreq with the active strategy', () => {
+            const peaks = [{ wavenumber: 1700, absorbance: 0.8, audioFreq: 1 }];
+            mapper.setStrategy('linear');
+
+            const remapped = mapper.remapPeaks(peaks);
+
+            expect(remapped[0].audioFreq).toBeCloseTo(mapper.irToAudio(1700), 5);
+            expect(remapped[0].absorbance).toBe(0.8);
+            expect(peaks[0].audioFreq).toBe(1);
+        });
+    });
+
+    describe('mapPeaks', () => {
+        const peaks = [{ wavenumber: 1700, absorbance: 0.8, audioFreq: 1 }];
+
+        it('should remap with the active strategy when no quantizer is given', () => {
+            expect(mapper.mapPeaks(peaks)).toEqual(mapper.remapPeaks(peaks));
+        });
+
+        it('should quantize the remapped peaks', () => {
+            const quantized = [{ wavenumber: 1700, absorbance: 0.8, audioFreq: 440 }];
+            const quantizer = { quantizePeaks: jest.fn(() => quantized) };
+
+            expect(mapper.mapPeaks(peaks, quantizer)).toBe(quantized);
+            expect(quantizer.quantizePeaks).toHaveBeenCalledWith(mapper.remapPeaks(peaks));
+        });
+    });
+
     describe('extractPeaks', () => {
         const generateTestSpectrum = () => {
             const spectrum = [];
@@ -180,6 +331,47 @@ describe('FrequencyMapper', () => {
             });
         });
 
+        it('should use Beer–Lambert absorbance relative to the strongest band', () => {
+            const noBaseline = new FrequencyMapper({ preprocessor: new SpectralPreprocessor({ baseline: 'none' }) });
+            const spectrum = [];
+            for (let wn = 1000; wn <= 2000; wn += 10) {
+                let transmittance = 100;
+                if (wn === 1200) transmittance = 10;  // A = 1
+                if (wn === 1800) transmittance = 1;   // A = 2
+                spectrum.push({ wavenumber: wn, transmittance });
+            }
+
+            const peaks = noBaseline.extractPeaks(spectrum, 0.1);
+
+            expect(peaks).toHaveLength(2);
+            expect(peaks[0].wavenumber).toBe(1800);
+            expect(peaks[0].absorbance).toBeCloseTo(1, 10);
+            expect(peaks[1].absorbance).toBeCloseTo(0.5, 10);
+        });
+
+        it('should give the same peaks whatever the absorbance scale', () => {
+            const spectrum = generateTestSpectrum();
+            // Twice the concentration doubles absorbance: T' = 100 (T/100)^2
+            const concentrated = spectrum.map(p => ({ ...p, transmittance: 100 * Math.pow(p.transmittance / 100, 2) }));
+
+            const plain = mapper.extractPeaks(spectrum);
+            const scaled = mapper.extractPeaks(concentrated);
+
+            expect(scaled.map(p => p.wavenumber)).toEqual(plain.map(p => p.wavenumber));
+            scaled.forEach((peak, i) => expect(peak.absorbance).toBeCloseTo(plain[i].absorbance, 10));
+        });
+
+        it('should give the same peaks with or without vector normalization', () => {
+            const spectrum = generateTestSpectrum();
+            const normalized = new FrequencyMapper({ preprocessor: new SpectralPreprocessor({ normalize: true }) });
+
+            const plain = mapper.extractPeaks(spectrum);
+            const scaled = normalized.extractPeaks(spectrum);
+
+            expect(scaled.map(p => p.wavenumber)).toEqual(plain.map(p => p.wavenumber));
+            scaled.forEach((peak, i) => expect(peak.absorbance).toBeCloseTo(plain[i].absorbance, 10));
+        });
+
         it('should throw error for empty spectrum', () => {
             expect(() => mapper.extractPeaks([])).toThrow('Invalid spectrum');
         });
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for IndexedDBStorage Module
+ *
+ * Tests the My Spectra store and the schema migration from version 1,
+ * against fake-indexeddb (which needs Node's structuredClone).
+ *
+ * @jest-environment node
+ */
+
+const { IDBFactory } = require('fake-indexeddb');
+const { loadBrowserModule } = require('./test-helpers');
+
+describe('IndexedDBStorage', () => {
+    const spectrum = [{ wavenumber: 1000, transmittance: 90 }, { wavenumber: 2000, transmittance: 40 }];
+    let indexedDB;
+    let storage;
+
+    // A fresh module per test, since it keeps its open connection
+    const loadStorage = () => loadBrowserModule('indexeddb-storage.js', {
+        indexedDB,
+        window: { indexedDB },
+        navigator: {}
+    }).IndexedDBStorage;
+
+    const request = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    beforeEach(() => {
+        indexedDB = new IDBFactory();
+        storage = loadStorage();
+    });
+
+    describe('My Spectra', () => {
+        beforeEach(async () => {
+            await storage.init();
+        });
+
+        it('should save, list, update and delete user spectra', async () => {
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', formula: 'C2H6O', spectrum });
+            const second = await storage.saveUserSpectrum({ name: 'Sample B', spectrum, created: saved.created + 1 });
+
+            expect(saved.id).toMatch(/^user-/);
+            expect(saved.category).toBe('my-spectra');
+            expect(await storage.getUserSpectra()).toEqual([saved, second]);
+
+            const updated = await storage.updateUserSpectrum(saved.id, { name: '  Sample 1 ', formula: 'C2H5OH', spectrum: [] });
+            expect(updated.name).toBe('Sample 1');
+            expect(updated.formula).toBe('C2H5OH');
+            expect(updated.spectrum).toEqual(spectrum);
+
+            await storage.deleteUserSpectrum(second.id);
+            expect(await storage.getUserSpectra()).toEqual([updated]);
+        });
+
+        it('should keep the id of a spectrum saved again', async () => {
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', spectrum });
+            await storage.saveUserSpectrum({ ...saved, name: 'Sample A2' });
+
+            const spectra = await storage.getUserSpectra();
+            expect(spectra).toHaveLength(1);
+            expect(spectra[0]).toMatchObject({ id: saved.id, name: 'Sample A2', created: saved.created });
+        });
+
+        it('should not take library ids for saved spectra', async () => {
+            const saved = await storage.saveUserSpectrum({ id: '3', name: 'Sample A', spectrum });
+
+            expect(saved.id).not.toBe('3');
+            expect(saved.id).toMatch(/^user-/);
+        });
+
+        it('should reject empty names and unknown ids', async () => {
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', spectrum });
+
+            await expect(storage.updateUserSpectrum(saved.id, { name: ' ' })).rejects.toThrow('Invalid spectrum name');
+            await expect(storage.renameUserSpectrum('user-missing', 'B')).rejects.toThrow("Spectrum 'user-missing' not found");
+        });
+
+        it('should keep user spectra when the library cache is cleared', async () => {
+            await storage.storeCategory('opioids', [{ name: 'Morphine' }], '1.0.0');
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', spectrum });
+
+            await storage.clear();
+
+            expect(await storage.getCategory('opioids')).toBeNull();
+            expect(await storage.getUserSpectra()).toEqual([saved]);
+        });
+    });
+
+    describe('schema migration', () => {
+        it('should add My Spectra to a version 1 database and keep its cache', async () => {
+            const open = indexedDB.open('SpectralSynthLibrary', 1);
+            open.onupgradeneeded = () => {
+                const categoryStore = open.result.createObjectStore('categories', { keyPath: 'name' });
+                categoryStore.createIndex('version', 'version', { unique: false });
+                categoryStore.createIndex('timestamp', 'timestamp', { unique: false });
+                open.result.createObjectStore('metadata', { keyPath: 'key' });
+            };
+            const v1 = await request(open);
+            const transaction = v1.transaction(['categories'], 'readwrite');
+            await request(transaction.objectStore('categories').put({
+                name: 'opioids', substances: [{ name: 'Morphine' }], version: '1.0.0', timestamp: 1
+            }));
+            v1.close();
+
+            const db = await storage.init();
+
+            expect(db.version).toBe(2);
+            expect(Array.from(db.objectStoreNames).sort()).toEqual(['categories', 'metadata', 'userSpectra']);
+            expect(Array.from(db.transaction(['userSpectra']).objectStore('userSpectra').indexNames).sort())
+                .toEqual(['created', 'name']);
+            expect(await storage.getCategory('opioids', '1.0.0')).toEqual([{ name: 'Morphine' }]);
+            expect(await storage.getUserSpectra()).toEqual([]);
+
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', spectrum });
+            expect(await storage.getUserSpectra()).toEqual([saved]);
+        });
+
+        it('should give up when an older tab keeps the version 1 database open', async () => {
+            const open = indexedDB.open('SpectralSynthLibrary', 1);
+            open.onupgradeneeded = () => open.result.createObjectStore('categories', { keyPath: 'name' });
+            const v1 = await request(open);
+
+            await expect(storage.init()).rejects.toThrow('IndexedDB upgrade blocked');
+
+            v1.close();
+        });
+
+        it('should create every store in a new database', async () => {
+            const db = await storage.init();
+
+            expect(Array.from(db.objectStoreNames).sort()).toEqual(['categories', 'metadata', 'userSpectra']);
+        });
+
+        it('should open an upgraded database without migrating again', async () => {
+            const db = await storage.init();
+            const saved = await storage.saveUserSpectrum({ name: 'Sample A', spectrum });
+            db.close();
+
+            const reopened = loadStorage();
+            await reopened.init();
+
+            expect(await reopened.getUserSpectra()).toEqual([saved]);
+        });
+    });
+});
@@ -5,7 +5,8 @@
  */
 
 const { loadBrowserModule } = require('./test-helpers');
-const { JCAMPImporter } = loadBrowserModule('jcamp-importer.js');
+const { JCAMPParser } = loadBrowserModule('jcamp-parser.js');
+const { JCAMPImporter } = loadBrowserModule('jcamp-importer.js', { JCAMPParser });
 
 describe('JCAMPImporter', () => {
     // Helper to create mock File
@@ -331,6 +332,37 @@ describe('JCAMPImporter', () => {
 
             expect(result.spectrum.length).toBeGreaterThan(0);
         });
+
+        it('should decompress DIFDUP XYDATA', async () => {
+            const difdupJCAMP = `##TITLE=DIFDUP
+##YUNITS=ABSORBANCE
+##YFACTOR=0.01
+##FIRSTX=400
+##LASTX=406
+##NPOINTS=7
+##XYDATA=(X++(Y..Y))
+400A00J0T%Tn
+405A15N
+406A20
+##END=`;
+
+            const result = await JCAMPImporter.parseJCAMP(createMockFile(difdupJCAMP, 'difdup.jdx'));
+
+            expect(result.spectrum.map(p => p.wavenumber)).toEqual([400, 401, 402, 403, 404, 405, 406]);
+            expect(result.spectrum[0].transmittance).toBeCloseTo(10, 5);
+            expect(result.metadata.yUnits).toBe('ABSORBANCE');
+        });
+
+        it('should reject data failing the Y check', async () => {
+            const broken = `##TITLE=Broken
+##XYDATA=(X++(Y..Y))
+400A00J0
+402A20
+##END=`;
+
+            await expect(JCAMPImporter.parseJCAMP(createMockFile(broken, 'broken.jdx')))
+                .rejects.toThrow('Y check value failed');
+        });
     });
 
     describe('integration with real-world patterns', () => {
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for JCAMPParser Module
+ *
+ * Tests ASDF decompression, XYPOINTS/PEAK TABLE/NTUPLES tables, compound
+ * files and the Y check, X and NPOINTS checks.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { JCAMPParser } = loadBrowserModule('jcamp-parser.js');
+
+describe('JCAMPParser', () => {
+    // 100 110 120 120 120 115 120 in DIFDUP form, with Y check values
+    const difdup = `##TITLE=DIFDUP Test
+##JCAMP-DX=5.01
+##DATA TYPE=INFRARED SPECTRUM
+##YUNITS=ABSORBANCE
+##XFACTOR=1
+##YFACTOR=0.01
+##FIRSTX=400
+##LASTX=406
+##NPOINTS=7
+##XYDATA=(X++(Y..Y))
+400A00J0T%Tn
+405A15N
+406A20
+##END=`;
+
+    const ys = block => block.points.map(point => point.y);
+
+    describe('tokenize', () => {
+        it('should read AFFN, PAC and exponent numbers', () => {
+            expect(JCAMPParser.tokenize('400 95.5,-3+2 1.5E+2').map(token => token.value))
+                .toEqual([400, 95.5, -3, 2, 150]);
+        });
+
+        it('should read SQZ, DIF and DUP characters', () => {
+            expect(JCAMPParser.tokenize('@A1i9J%rS s')).toEqual([
+                { type: 'SQZ', value: 0 },
+                { type: 'SQZ', value: 11 },
+                { type: 'SQZ', value: -99 },
+                { type: 'DIF', value: 1 },
+                { type: 'DIF', value: 0 },
+                { type: 'DIF', value: -9 },
+                { type: 'DUP', value: 1 },
+                { type: 'DUP', value: 9 }
+            ]);
+        });
+
+        it('should read E and e after an X value as SQZ digits', () => {
+            expect(JCAMPParser.tokenize('450E23')).toEqual([
+                { type: 'AFFN', value: 450 },
+                { type: 'SQZ', value: 523 }
+            ]);
+            expect(JCAMPParser.decodeLine('4000e1j2').values).toEqual([4000, -51, -63]);
+        });
+    });
+
+    describe('decodeLine', () => {
+        it('should apply differences and repeat values and differences', () => {
+            expect(JCAMPParser.decodeLine('1 A0U J0T')).toEqual({ values: [1, 10, 10, 10, 20, 30], endsWithDif: true });
+        });
+
+        it('should reject DIF and DUP without a previous value', () => {
+            expect(() => JCAMPParser.decodeLine('J1')).toThrow('DIF with no previous value');
+            expect(() => JCAMPParser.decodeLine('T')).toThrow('DUP with nothing to repeat');
+        });
+    });
+
+    describe('XYDATA', () => {
+        it('should decompress DIFDUP data with Y check values', () => {
+            const [block] = JCAMPParser.parse(difdup);
+
+            expect(block.points.map(point => point.x)).toEqual([400, 401, 402, 403, 404, 405, 406]);
+            ys(block).forEach((y, i) => expect(y).toBeCloseTo([1, 1.1, 1.2, 1.2, 1.2, 1.15, 1.2][i]));
+            expect(block.yUnits).toBe('ABSORBANCE');
+        });
+
+        it('should read AFFN data with DELTAX', () => {
+            const [block] = JCAMPParser.parse(`##TITLE=AFFN
+##XFACTOR=2
+##DELTAX=-4
+##XYDATA=(X++(Y..Y))
+1000 1 2
+998 3
+##END=`);
+
+            expect(block.points).toEqual([{ x: 2000, y: 1 }, { x: 1996, y: 2 }, { x: 1992, y: 3 }]);
+        });
+
+        it('should fail a wrong Y check value', () => {
+            expect(() => JCAMPParser.parse(difdup.replace('405A15N', '405A16N')))
+                .toThrow('Y check value failed on line 12');
+        });
+
+        it('should fail when the point count differs from NPOINTS', () => {
+            expect(() => JCAMPParser.parse(difdup.replace('##NPOINTS=7', '##NPOINTS=8')))
+                .toThrow('expected 8 points (NPOINTS), found 7');
+        });
+
+        it('should fail when line abscissas do not match FIRSTX', () => {
+            expect(() => JCAMPParser.parse(difdup.replace('405A15N', '420A15N')))
+                .toThrow('X value on line 12 does not match');
+        });
+    });
+
+    describe('XYPOINTS and PEAK TABLE', () => {
+        it('should read XY pairs and XYW peaks, ignoring comments', () => {
+            const [block] = JCAMPParser.parse(`##TITLE=Points
+##XYPOINTS=(XY..XY)
+400, 95.0; 500, 90.0 $$ first two
+600, 85.0
+##PEAK TABLE=(XYW..XYW)
+1715, 0.8, 10
+2950, 0.5, 20
+##END=`);
+
+            expect(block.points).toEqual([{ x: 400, y: 95 }, { x: 500, y: 90 }, { x: 600, y: 85 }]);
+            expect(block.peaks).toEqual([{ x: 1715, y: 0.8 }, { x: 2950, y: 0.5 }]);
+        });
+    });
+
+    describe('NTUPLES', () => {
+        it('should read the first page with the column parameters', () => {
+            const [block] = JCAMPParser.parse(`##TITLE=NTUPLES Test
+##JCAMP-DX=5.01
+##NTUPLES=INFRARED SPECTRUM
+##VAR_NAME=WAVENUMBERS, TRANSMITTANCE, PAGE NUMBER
+##SYMBOL=X, Y, PAGE
+##UNITS=1/CM, TRANSMITTANCE,
+##FIRST=1000, 0.5, 1
+##LAST=1002, 0.7, 1
+##FACTOR=1, 0.1,
+##VAR_DIM=3, 3, 1
+##PAGE=PAGE=1
+##DATA TABLE=(X++(Y..Y)), XYDATA
+1000 5 6 7
+##END NTUPLES=INFRARED SPECTRUM
+##END=`);
+
+            expect(block.pages).toBe(1);
+            expect(block.yUnits).toBe('TRANSMITTANCE');
+            expect(block.points.map(point => point.x)).toEqual([1000, 1001, 1002]);
+            ys(block).forEach((y, i) => expect(y).toBeCloseTo([0.5, 0.6, 0.7][i]));
+        });
+    });
+
+    describe('compound files', () => {
+        const compound = `##TITLE=Link
+##JCAMP-DX=5.01
+##BLOCKS=2
+##TITLE=Mass
+##DATA TYPE=MASS SPECTRUM
+##PEAK TABLE=(XY..XY)
+43, 100
+##END=
+##TITLE=Infrared
+##DATA TYPE=INFRARED SPECTRUM
+##XYPOINTS=(XY..XY)
+1000, 50
+##END=
+##END=`;
+
+        it('should read each nested block and skip the link block', () => {
+            const blocks = JCAMPParser.parse(compound);
+
+            expect(blocks.map(block => block.labels.title)).toEqual(['Mass', 'Infrared']);
+        });
+
+        it('should select the infrared spectrum', () => {
+            expect(JCAMPParser.selectSpectrum(JCAMPParser.parse(compound)).labels.title).toBe('Infrared');
+            expect(JCAMPParser.selectSpectrum([])).toBeNull();
+        });
+    });
+
+    describe('labels', () => {
+        it('should normalize label names', () => {
+            const [block] = JCAMPParser.parse(difdup.replace('##DATA TYPE', '##Data_Type'));
+
+            expect(block.labels.datatype).toBe('INFRARED SPECTRUM');
+            expect(block.labels.jcampdx).toBe('5.01');
+        });
+    });
+
+    describe('toWavenumber', () => {
+        it('should convert wavelengths', () => {
+            expect(JCAMPParser.toWavenumber(2.5, 'MICROMETERS')).toBe(4000);
+            expect(JCAMPParser.toWavenumber(2500, 'NANOMETERS')).toBe(4000);
+            expect(JCAMPParser.toWavenumber(1000, '1/CM')).toBe(1000);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for MIDIClock Module
+ *
+ * Tests sending clock as master (pulse timing, Start/Stop), following
+ * incoming clock (tempo measurement, transport callbacks) and validation.
+ * The MIDI output is a stub recording real-time messages.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { MIDIClock } = loadBrowserModule('midi-clock.js');
+
+describe('MIDIClock', () => {
+    let clock;
+    let output;
+    let now;
+
+    beforeEach(() => {
+        now = 1000;
+        jest.useFakeTimers();
+        jest.spyOn(window.performance, 'now').mockImplementation(() => now);
+
+        output = { hasSelectedDevice: () => true, sendRealtime: jest.fn() };
+        clock = new MIDIClock();
+        clock.setMIDIOutput(output);
+    });
+
+    afterEach(() => {
+        clock.stop();
+        window.performance.now.mockRestore();
+        jest.useRealTimers();
+    });
+
+    describe('modes', () => {
+        it('should default to internal', () => {
+            expect(clock.getMode()).toBe(CONFIG.tempo.DEFAULT_CLOCK_MODE);
+            expect(clock.getModes()).toBe(CONFIG.clockModes);
+        });
+
+        it('should reject invalid modes and tempos', () => {
+            expect(() => clock.setMode('slave')).toThrow('Invalid clock mode');
+            expect(() => clock.setTempo(CONFIG.tempo.MAX_BPM + 1)).toThrow('Invalid tempo');
+            expect(() => clock.setTempo('120')).toThrow('Invalid tempo');
+        });
+    });
+
+    describe('master', () => {
+        const pulses = () => output.sendRealtime.mock.calls.filter(([status]) => status === 0xF8).map(([, time]) => time);
+
+        beforeEach(() => {
+            clock.setMode('master');
+            clock.setTempo(125);
+        });
+
+        it('should send Start, then pulses ahead of time at the tempo', () => {
+            expect(clock.start()).toBe(true);
+
+            expect(output.sendRealtime.mock.calls[0]).toEqual([0xFA, 1000]);
+            // 125 BPM at 24 PPQN: a pulse every 20 ms, 100 ms ahead
+            expect(pulses()).toEqual([1000, 1020, 1040, 1060, 1080].map(t => expect.closeTo(t)));
+        });
+
+        it('should keep scheduling pulses as time passes', () => {
+            clock.start();
+            now = 1100;
+            jest.advanceTimersByTime(CONFIG.tempo.SCHEDULER_INTERVAL);
+
+            expect(pulses()).toHaveLength(10);
+            expect(pulses()[9]).toBeCloseTo(1180);
+        });
+
+        it('should send Stop and stop pulsing', () => {
+            clock.start();
+            clock.stop();
+            const sent = output.sendRealtime.mock.calls.length;
+            now = 2000;
+            jest.advanceTimersByTime(1000);
+
+            expect(output.sendRealtime.mock.calls[sent - 1][0]).toBe(0xFC);
+            expect(output.sendRealtime.mock.calls).toHaveLength(sent);
+            expect(clock.isRunning()).toBe(false);
+        });
+
+        it('should not start in other modes or without a device', () => {
+            output.hasSelectedDevice = () => false;
+            expect(clock.start()).toBe(false);
+
+            output.hasSelectedDevice = () => true;
+            clock.setMode('follow');
+            expect(clock.start()).toBe(false);
+            expect(output.sendRealtime).not.toHaveBeenCalled();
+        });
+
+        it('should stop when the mode changes', () => {
+            clock.start();
+            clock.setMode('internal');
+
+            expect(clock.isRunning()).toBe(false);
+            expect(output.sendRealtime).toHaveBeenLastCalledWith(0xFC);
+        });
+    });
+
+    describe('follow', () => {
+        const sendPulses = (count, bpm, start = 0) => {
+            const interval = 60000 / (bpm * CONFIG.tempo.PPQN);
+            for (let i = 0; i < count; i++) {
+                clock.handleMessage(0xF8, start + i * interval);
+            }
+        };
+
+        beforeEach(() => {
+            clock.setMode('follow');
+        });
+
+        it('should measure the tempo once per beat', () => {
+            clock.onTempoChange = jest.fn();
+
+            sendPulses(CONFIG.tempo.PPQN * 3, 90);
+
+            expect(clock.onTempoChange).toHaveBeenCalledTimes(1);
+            expect(clock.onTempoChange).toHaveBeenCalledWith(90);
+            expect(clock.getTempo()).toBe(90);
+        });
+
+        it('should ignore tempo jitter under half a BPM', () => {
+            clock.onTempoChange = jest.fn();
+
+            sendPulses(CONFIG.tempo.PPQN * 3, 120.3);
+
+            expect(clock.onTempoChange).not.toHaveBeenCalled();
+        });
+
+        it('should report transport messages', () => {
+            clock.onStart = jest.fn();
+            clock.onContinue = jest.fn();
+            clock.onStop = jest.fn();
+
+            clock.handleMessage(0xFA, 0);
+            clock.handleMessage(0xFC, 10);
+            clock.handleMessage(0xFB, 20);
+
+            expect(clock.onStart).toHaveBeenCalledTimes(1);
+            expect(clock.onStop).toHaveBeenCalledTimes(1);
+            expect(clock.onContinue).toHaveBeenCalledTimes(1);
+        });
+
+        it('should ignore incoming clock when not following', () => {
+            clock.setMode('internal');
+            clock.onStart = jest.fn();
+            clock.onTempoChange = jest.fn();
+
+            clock.handleMessage(0xFA, 0);
+            sendPulses(CONFIG.tempo.PPQN * 3, 90);
+
+            expect(clock.onStart).not.toHaveBeenCalled();
+            expect(clock.onTempoChange).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for MIDIInput Module
+ *
+ * Tests device access, message parsing, MIDI learn and CC mappings.
+ * The Web MIDI API is mocked with a single input port.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { MIDIInput } = loadBrowserModule('midi-input.js');
+
+describe('MIDIInput', () => {
+    let input;
+    let port;
+
+    const send = (...data) => port.onmidimessage({ data: Uint8Array.from(data) });
+
+    beforeEach(async () => {
+        port = { id: 'port-1', name: 'Keys', manufacturer: 'Acme', state: 'connected', connection: 'open', onmidimessage: null };
+        navigator.requestMIDIAccess = jest.fn().mockResolvedValue({
+            inputs: new Map([[port.id, port]]),
+            outputs: new Map(),
+        });
+
+        input = new MIDIInput();
+        await input.init();
+        input.selectInput(port.id);
+    });
+
+    afterEach(() => {
+        delete navigator.requestMIDIAccess;
+    });
+
+    describe('devices', () => {
+        it('should list input devices', () => {
+            expect(input.isSupported()).toBe(true);
+            expect(input.getInputDevices()).toEqual([
+                { id: 'port-1', name: 'Keys', manufacturer: 'Acme', state: 'connected', connection: 'open' }
+            ]);
+        });
+
+        it('should listen only to the selected device', () => {
+            expect(input.hasSelectedDevice()).toBe(true);
+            expect(typeof port.onmidimessage).toBe('function');
+
+            expect(input.selectInput('')).toBe(false);
+            expect(input.hasSelectedDevice()).toBe(false);
+            expect(port.onmidimessage).toBeNull();
+        });
+
+        it('should reject unknown devices', () => {
+            expect(input.selectInput('missing')).toBe(false);
+        });
+
+        it('should fail without the Web MIDI API', async () => {
+            delete navigator.requestMIDIAccess;
+            const unsupported = new MIDIInput();
+
+            await expect(unsupported.init()).rejects.toThrow('Web MIDI API not supported');
+            expect(unsupported.isSupported()).toBe(false);
+        });
+
+        it('should report denied access', async () => {
+            navigator.requestMIDIAccess = jest.fn().mockRejectedValue(new Error('denied'));
+
+            await expect(new MIDIInput().init()).rejects.toThrow('Failed to access MIDI devices: denied');
+        });
+    });
+
+    describe('messages', () => {
+        it('should report note on with velocity from 0 to 1', () => {
+            input.onNoteOn = jest.fn();
+
+            send(0x90, 60, 127);
+            send(0x93, 64, 0x40);
+
+            expect(input.onNoteOn).toHaveBeenNthCalledWith(1, 60, 1);
+            expect(input.onNoteOn).toHaveBeenNthCalledWith(2, 64, 64 / 127);
+        });
+
+        it('should treat note on with zero velocity as note off', () => {
+            input.onNoteOn = jest.fn();
+            input.onNoteOff = jest.fn();
+
+            send(0x80, 60, 64);
+            send(0x90, 62, 0);
+
+            expect(input.onNoteOn).not.toHaveBeenCalled();
+            expect(input.onNoteOff.mock.calls).toEqual([[60], [62]]);
+        });
+
+        it('should report program changes', () => {
+            input.onProgramChange = jest.fn();
+
+            send(0xC0, 5);
+
+            expect(input.onProgramChange).toHaveBeenCalledWith(5);
+        });
+
+        it('should report All Notes Off', () => {
+            input.onAllNotesOff = jest.fn();
+
+            send(0xB0, 123, 0);
+            send(0xB0, 120, 0);
+
+            expect(input.onAllNotesOff).toHaveBeenCalledTimes(2);
+        });
+
+        it('should pass clock and transport messages on with their timestamps', () => {
+            input.onClock = jest.fn();
+            input.onNoteOn = jest.fn();
+
+            port.onmidimessage({ data: Uint8Array.from([0xF8]), timeStamp: 12.5 });
+            port.onmidimessage({ data: Uint8Array.from([0xFA]), timeStamp: 13 });
+            send(0xFE);
+
+            expect(input.onClock.mock.calls).toEqual([[0xF8, 12.5], [0xFA, 13]]);
+            expect(input.onNoteOn).not.toHaveBeenCalled();
+        });
+
+        it('should ignore unmapped controls and missing callbacks', () => {
+            input.onControlChange = jest.fn();
+
+            send(0xB0, 7, 100);
+            input.onControlChange = null;
+            input.setMapping(7, 'volume');
+
+            expect(() => send(0xB0, 7, 100)).not.toThrow();
+        });
+    });
+
+    describe('control mappings', () => {
+        it('should report mapped controls with values from 0 to 1', () => {
+            input.onControlChange = jest.fn();
+            input.setMapping(74, 'filter');
+
+            send(0xB0, 74, 127);
+
+            expect(input.onControlChange).toHaveBeenCalledWith('filter', 1);
+        });
+
+        it('should map the next control change while learning', () => {
+            input.onLearn = jest.fn();
+            input.onControlChange = jest.fn();
+            input.learn('reverb');
+
+            send(0xB1, 91, 10);
+            send(0xB1, 91, 127);
+
+            expect(input.onLearn).toHaveBeenCalledWith('reverb', 91);
+            expect(input.getLearnTarget()).toBeNull();
+            expect(input.getMappings()).toEqual({ reverb: 91 });
+            expect(input.onControlChange).toHaveBeenCalledTimes(1);
+            expect(input.onControlChange).toHaveBeenCalledWith('reverb', 1);
+        });
+
+        it('should not learn channel mode messages', () => {
+            input.learn('volume');
+
+            send(0xB0, 121, 0);
+
+            expect(input.getLearnTarget()).toBe('volume');
+        });
+
+        it('should cancel learning', () => {
+            input.learn('volume');
+            input.cancelLearn();
+
+            send(0xB0, 7, 0);
+
+            expect(input.getMappings()).toEqual({});
+        });
+
+        it('should keep one control per target and one target per control', () => {
+            input.setMapping(1, 'volume');
+            input.setMapping(2, 'volume');
+            input.setMapping(2, 'sustain');
+
+            expect(input.getMappings()).toEqual({ sustain: 2 });
+        });
+
+        it('should remove a mapping', () => {
+            input.setMapping(1, 'attack');
+            input.removeMapping('attack');
+
+            expect(input.getMappings()).toEqual({});
+        });
+
+        it('should restore mappings and reject invalid ones', () => {
+            input.setMappings({ volume: 7, release: 72 });
+            expect(input.getMappings()).toEqual({ volume: 7, release: 72 });
+
+            expect(() => input.setMappings({ volume: 1, pitch: 2 })).toThrow('Invalid MIDI control target');
+            expect(input.getMappings()).toEqual({ volume: 7, release: 72 });
+        });
+
+        it('should validate controls and targets', () => {
+            expect(() => input.setMapping(CONFIG.midiInput.MAX_CC + 1, 'volume')).toThrow('Invalid control change');
+            expect(() => input.setMapping(1.5, 'volume')).toThrow('Invalid control change');
+            expect(() => input.learn('pitch')).toThrow('Invalid MIDI control target');
+        });
+    });
+});
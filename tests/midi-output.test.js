@@ -0,0 +1,362 @@
+/**
+ * Unit Tests for MIDIOutput Module
+ *
+ * Tests Standard MIDI File export: file layout, tracks, channels, pitch
+ * bend, envelope and filter CCs, and the peak mixer. Files are parsed back
+ * into absolute-tick events. Live output is tested against a mocked Web
+ * MIDI port, with and without MPE pitch bend.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { MIDIOutput } = loadBrowserModule('midi-output.js');
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+const { PeakDetector } = loadBrowserModule('peak-detector.js');
+const { FrequencyMapper } = loadBrowserModule('frequency-mapper.js', { SpectralPreprocessor, PeakDetector });
+const { PeakMixer } = loadBrowserModule('peak-mixer.js');
+
+/**
+ * Parse a MIDI file into its header and per-track events (no running status)
+ */
+function parseMIDI(data) {
+    const word = (i) => (data[i] << 8) | data[i + 1];
+    const header = { format: word(8), tracks: word(10), division: word(12) };
+    const tracks = [];
+    let offset = 14;
+
+    while (offset < data.length) {
+        const length = (data[offset + 4] << 24) | (data[offset + 5] << 16) | (data[offset + 6] << 8) | data[offset + 7];
+        const end = offset + 8 + length;
+        const events = [];
+        let i = offset + 8;
+        let tick = 0;
+
+        const readVLQ = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = data[i++];
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        while (i < end) {
+            tick += readVLQ();
+            const status = data[i++];
+            if (status === 0xFF) {
+                const type = data[i++];
+                const size = readVLQ();
+                events.push({ tick, meta: type, data: Array.from(data.slice(i, i + size)) });
+                i += size;
+            } else {
+                const type = status & 0xF0;
+                const channel = status & 0x0F;
+                const bytes = type === 0xC0 || type === 0xD0 ? 1 : 2;
+                events.push({ tick, type, channel, data: Array.from(data.slice(i, i + bytes)) });
+                i += bytes;
+            }
+        }
+
+        tracks.push(events);
+        offset = end;
+    }
+
+    return { header, tracks };
+}
+
+const trackName = (events) => Buffer.from(events.find(e => e.meta === 0x03).data).toString('utf8');
+
+describe('MIDIOutput', () => {
+    let output;
+
+    const note = (wavenumber, audioFreq, start, duration = 1, absorbance = 1) => ({
+        peak: { wavenumber, absorbance, audioFreq }, start, duration
+    });
+
+    beforeEach(() => {
+        output = new MIDIOutput();
+        output.setVelocity(100);
+    });
+
+    describe('buildMIDIFile', () => {
+        it('should write a format-1 file with a conductor track', () => {
+            const { header, tracks } = parseMIDI(output.buildMIDIFile([note(1715, 440, 0)], { tempo: 90 }));
+
+            expect(header).toEqual({ format: 1, tracks: 2, division: CONFIG.midiExport.TICKS_PER_BEAT });
+            const tempo = tracks[0].find(e => e.meta === 0x51).data;
+            expect((tempo[0] << 16) | (tempo[1] << 8) | tempo[2]).toBe(Math.round(60000000 / 90));
+            expect(tracks[0].some(e => e.type)).toBe(false);
+            expect(trackName(tracks[1])).toBe('Spectrum');
+        });
+
+        it('should place notes at their start and duration', () => {
+            const ticksPerSecond = CONFIG.midiExport.TICKS_PER_BEAT * 2; // 120 BPM
+            const { tracks } = parseMIDI(output.buildMIDIFile([
+                note(1715, 440, 0, 1),
+                note(2950, 880, 0, 1),
+                note(1000, 220, 0.5, 0.25, 0.5),
+            ]));
+
+            const ons = tracks[1].filter(e => e.type === 0x90);
+            const offs = tracks[1].filter(e => e.type === 0x80);
+            expect(ons.map(e => [e.tick, e.data[0]])).toEqual([[0, 69], [0, 81], [ticksPerSecond / 2, 57]]);
+            expect(offs.map(e => [e.tick, e.data[0]])).toEqual([
+                [ticksPerSecond * 0.75, 57], [ticksPerSecond, 69], [ticksPerSecond, 81]
+            ]);
+            expect(ons.map(e => e.data[1])).toEqual([100, 100, 50]);
+        });
+
+        it('should give each functional group its own track and channel', () => {
+            output.setFrequencyMapper(new FrequencyMapper());
+            const { header, tracks } = parseMIDI(output.buildMIDIFile([
+                note(1715, 440, 0),
+                note(2950, 880, 0),
+                note(1720, 450, 1),
+            ], { trackPerGroup: true }));
+
+            expect(header.tracks).toBe(3);
+            expect(trackName(tracks[1])).toBe('C=O stretch (carbonyl)');
+            expect(trackName(tracks[2])).toBe('C-H stretch (aliphatic)');
+            expect(tracks[1].filter(e => e.type === 0x90)).toHaveLength(2);
+            expect(new Set(tracks[1].filter(e => e.type).map(e => e.channel))).toEqual(new Set([0]));
+            expect(new Set(tracks[2].filter(e => e.type).map(e => e.channel))).toEqual(new Set([1]));
+        });
+
+        it('should write UTF-8 track names', () => {
+            output.setFrequencyMapper(new FrequencyMapper());
+            const { tracks } = parseMIDI(output.buildMIDIFile([note(2200, 440, 0)], { trackPerGroup: true }));
+
+            expect(trackName(tracks[1])).toBe('C≡N or C≡C stretch');
+        });
+
+        it('should bend each note to its exact frequency on its own channel', () => {
+            const range = CONFIG.midiExport.PITCH_BEND_RANGE;
+            const sharp = 440 * Math.pow(2, 0.3 / 12);
+            const { tracks } = parseMIDI(output.buildMIDIFile([
+                note(1715, sharp, 0),
+                note(2950, 880, 0),
+            ], { pitchBend: true }));
+            const events = tracks[1];
+
+            const ons = events.filter(e => e.type === 0x90);
+            expect(ons[0].channel).not.toBe(ons[1].channel);
+
+            const bends = events.filter(e => e.type === 0xE0);
+            const bendOf = (channel) => {
+                const bend = bends.find(e => e.channel === channel).data;
+                return bend[0] | (bend[1] << 7);
+            };
+            expect(bendOf(ons[0].channel)).toBe(Math.round(8192 + 0.3 / range * 8192));
+            expect(bendOf(ons[1].channel)).toBe(8192);
+
+            // Bend range (RPN 0) is set on each channel before its notes
+            const rpn = events.filter(e => e.type === 0xB0 && e.channel === ons[0].channel).map(e => e.data);
+            expect(rpn).toEqual(expect.arrayContaining([[101, 0], [100, 0], [6, range]]));
+            expect(events.indexOf(bends[0])).toBeGreaterThan(events.findIndex(e => e.type === 0xB0));
+        });
+
+        it('should never use the drum channel', () => {
+            const notes = Array.from({ length: 16 }, (_, i) => note(1000 + i, 200 + i * 20, 0));
+            const { tracks } = parseMIDI(output.buildMIDIFile(notes, { pitchBend: true }));
+
+            const channels = tracks[1].filter(e => e.type === 0x90).map(e => e.channel);
+            expect(channels).not.toContain(CONFIG.midiExport.DRUM_CHANNEL);
+            expect(new Set(channels).size).toBe(15);
+        });
+
+        it('should reuse channels once their notes have ended', () => {
+            const { tracks } = parseMIDI(output.buildMIDIFile([
+                note(1715, 440, 0, 0.5),
+                note(2950, 880, 1, 0.5),
+            ], { pitchBend: true }));
+
+            const ons = tracks[1].filter(e => e.type === 0x90);
+            expect(ons).toHaveLength(2);
+            expect(ons[1].tick).toBeGreaterThan(0);
+        });
+
+        it('should write envelope and filter controllers', () => {
+            const { adsr } = CONFIG;
+            const { tracks } = parseMIDI(output.buildMIDIFile([note(1715, 440, 0)], {
+                automation: { attack: adsr.MAX_ATTACK, decay: adsr.MIN_DECAY, sustain: 0.5, release: adsr.MAX_RELEASE, filterFrequency: 8000 }
+            }));
+
+            const ccs = Object.fromEntries(tracks[1].filter(e => e.type === 0xB0 && e.tick === 0).map(e => e.data));
+            const cc = CONFIG.midiExport.CC;
+            expect(ccs[cc.ATTACK]).toBe(127);
+            expect(ccs[cc.DECAY]).toBe(0);
+            expect(ccs[cc.SUSTAIN]).toBe(64);
+            expect(ccs[cc.RELEASE]).toBe(127);
+            expect(ccs[cc.CUTOFF]).toBe(127);
+        });
+
+        it('should bend notes when pitch bend is enabled on the output', () => {
+            output.setPitchBend(true);
+            const { tracks } = parseMIDI(output.buildMIDIFile([note(1715, 445, 0)]));
+
+            expect(tracks[1].filter(e => e.type === 0xE0)).toHaveLength(1);
+        });
+
+        it('should not write controllers or bends by default', () => {
+            const { tracks } = parseMIDI(output.buildMIDIFile([note(1715, 445, 0)]));
+
+            expect(tracks[1].filter(e => e.type === 0xB0 || e.type === 0xE0)).toEqual([]);
+        });
+    });
+
+    describe('sendPeaks', () => {
+        let port;
+
+        const peaks = [
+            { wavenumber: 1715, absorbance: 1, audioFreq: 440 * Math.pow(2, 0.3 / 12) },
+            { wavenumber: 2950, absorbance: 1, audioFreq: 880 },
+        ];
+        const sent = (type) => port.send.mock.calls.map(([data]) => data).filter(data => (data[0] & 0xF0) === type);
+        const sentAt = (type) => port.send.mock.calls.filter(([data]) => (data[0] & 0xF0) === type).map(([, time]) => time);
+
+        beforeEach(async () => {
+            jest.spyOn(window.performance, 'now').mockReturnValue(1000);
+            port = { id: 'port-1', name: 'Synth', send: jest.fn() };
+            navigator.requestMIDIAccess = jest.fn().mockResolvedValue({
+                inputs: new Map(),
+                outputs: new Map([[port.id, port]]),
+            });
+
+            await output.init();
+            output.selectOutput(port.id);
+        });
+
+        afterEach(() => {
+            window.performance.now.mockRestore();
+            delete navigator.requestMIDIAccess;
+        });
+
+        it('should round notes to the nearest semitone by default', async () => {
+            output.setNoteDuration(500);
+            await output.sendPeaks(peaks, 'chord');
+
+            expect(sent(0x90)).toEqual([[0x90, 69, 100], [0x90, 81, 100]]);
+            expect(sent(0xE0)).toEqual([]);
+            expect(sent(0x80)).toEqual([[0x80, 69, 0], [0x80, 81, 0]]);
+        });
+
+        it('should map pitches through the frequency mapper and scale quantizer', async () => {
+            const mapper = new FrequencyMapper();
+            const quantizer = { quantizePeaks: jest.fn(mapped => mapped.map(peak => ({ ...peak, audioFreq: 440 }))) };
+            jest.spyOn(mapper, 'mapPeaks');
+            output.setFrequencyMapper(mapper);
+            output.setScaleQuantizer(quantizer);
+
+            await output.sendPeaks(peaks, 'chord');
+
+            expect(mapper.mapPeaks).toHaveBeenCalledWith(peaks, quantizer);
+            expect(sent(0x90)).toEqual([[0x90, 69, 100], [0x90, 69, 100]]);
+        });
+
+        it('should timestamp note offs after the note duration', async () => {
+            output.setNoteDuration(500);
+            await output.sendPeaks(peaks, 'chord');
+
+            expect(sentAt(0x90)).toEqual([1000, 1000]);
+            expect(sentAt(0x80)).toEqual([1500, 1500]);
+        });
+
+        it('should bend notes on MPE member channels', async () => {
+            output.setPitchBend(true);
+            await output.sendPeaks(peaks, 'chord');
+
+            const ons = sent(0x90);
+            const channels = ons.map(([status]) => status & 0x0F);
+            expect(channels).toHaveLength(2);
+            expect(new Set(channels).size).toBe(2);
+            expect(channels).not.toContain(0);
+
+            const bends = sent(0xE0).map(([status, lsb, msb]) => [status & 0x0F, lsb | (msb << 7)]);
+            expect(bends).toEqual([
+                [channels[0], Math.round(8192 + 0.3 / CONFIG.midiExport.PITCH_BEND_RANGE * 8192)],
+                [channels[1], 8192],
+            ]);
+            expect(sent(0x80).map(([status]) => status & 0x0F)).toEqual(channels);
+        });
+
+        it('should configure the MPE zone once per output', async () => {
+            output.setPitchBend(true);
+            await output.sendPeaks(peaks, 'chord');
+            await output.sendPeaks(peaks, 'chord');
+
+            const zone = sent(0xB0).filter(([status, cc, value]) => status === 0xB0 && cc === 100 && value === 6);
+            expect(zone).toHaveLength(1);
+            expect(sent(0xB0)).toContainEqual([0xB0, 6, MIDIOutput.MPE_MEMBER_CHANNELS.length]);
+            expect(sent(0xB0)).toContainEqual([0xB1, 6, CONFIG.midiExport.PITCH_BEND_RANGE]);
+        });
+
+        it('should remove the MPE zone when pitch bend is turned off', async () => {
+            output.setPitchBend(true);
+            await output.sendPeaks(peaks, 'chord');
+            port.send.mockClear();
+
+            output.setPitchBend(false);
+
+            expect(sent(0xB0)).toContainEqual([0xB0, 6, 0]);
+            expect(output.isPitchBendEnabled()).toBe(false);
+        });
+
+        it('should space arpeggio notes over the note duration', async () => {
+            output.setNoteDuration(1000);
+            await output.sendPeaks(peaks, 'arpeggio');
+
+            expect(sentAt(0x90)).toEqual([1000, 1500]);
+            expect(sentAt(0x80)).toEqual([2000, 2500]);
+        });
+
+        it('should put arpeggio notes on tempo steps', async () => {
+            output.setArpeggioStep(125);
+            await output.sendPeaks(peaks, 'arpeggio');
+
+            expect(sentAt(0x90)).toEqual([1000, 1125]);
+            expect(sentAt(0x80)).toEqual([1000, 1125].map(t => t + 125 * CONFIG.tempo.GATE));
+
+            output.setArpeggioStep(null);
+            port.send.mockClear();
+            await output.sendPeaks(peaks, 'arpeggio');
+            expect(sentAt(0x90)).toEqual([1000, 1250]);
+        });
+
+        it('should send real-time messages at a time', () => {
+            output.sendRealtime(0xF8, 1234);
+
+            expect(port.send).toHaveBeenCalledWith([0xF8], 1234);
+        });
+
+        it('should reject unknown modes', async () => {
+            await expect(output.sendPeaks(peaks, 'strum')).rejects.toThrow('Invalid mode');
+        });
+    });
+
+    describe('exportMIDIFile', () => {
+        beforeEach(() => {
+            URL.createObjectURL = jest.fn(() => 'blob:midi');
+            URL.revokeObjectURL = jest.fn();
+        });
+
+        it('should leave out muted peaks', () => {
+            const mixer = new PeakMixer();
+            mixer.setChannel(2950, { mute: true });
+            output.setPeakMixer(mixer);
+            const build = jest.spyOn(output, 'buildMIDIFile');
+
+            output.exportMIDIFile([note(1715, 440, 0), note(2950, 880, 0)], 'test.mid');
+
+            expect(build.mock.calls[0][0].map(n => n.peak.wavenumber)).toEqual([1715]);
+        });
+
+        it('should reject empty schedules and fully muted spectra', () => {
+            const mixer = new PeakMixer();
+            mixer.setChannel(1715, { mute: true });
+            output.setPeakMixer(mixer);
+
+            expect(() => output.exportMIDIFile([])).toThrow('Invalid notes');
+            expect(() => output.exportMIDIFile([note(1715, 440, 0)])).toThrow('No audible peaks');
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for PeakDetector Module
+ *
+ * Tests smoothing, prominence, width, separation and shoulder detection.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { PeakDetector } = loadBrowserModule('peak-detector.js');
+
+describe('PeakDetector', () => {
+    let detector;
+
+    beforeEach(() => {
+        detector = new PeakDetector();
+    });
+
+    const gaussian = (x, center, sigma, amplitude) =>
+        amplitude * Math.exp(-0.5 * Math.pow((x - center) / sigma, 2));
+
+    // Absorbance spectrum built from a list of [center, sigma, amplitude] bands
+    const generateSpectrum = (bands, extra = () => 0) => {
+        const spectrum = [];
+        for (let wn = 1500; wn <= 1900; wn += 2) {
+            const absorbance = bands.reduce((sum, [center, sigma, amplitude]) =>
+                sum + gaussian(wn, center, sigma, amplitude), 0);
+            spectrum.push({ wavenumber: wn, absorbance: absorbance + extra(wn) });
+        }
+        return spectrum;
+    };
+
+    describe('constructor', () => {
+        it('should initialize with CONFIG defaults', () => {
+            expect(detector.getOptions()).toEqual({
+                smoothingWindow: CONFIG.peakDetection.SMOOTHING_WINDOW,
+                smoothingOrder: CONFIG.peakDetection.SMOOTHING_ORDER,
+                minProminence: CONFIG.peakDetection.MIN_PROMINENCE,
+                minSeparation: CONFIG.peakDetection.MIN_SEPARATION,
+                detectShoulders: CONFIG.peakDetection.DETECT_SHOULDERS
+            });
+        });
+
+        it('should throw for invalid options', () => {
+            expect(() => new PeakDetector({ smoothingWindow: 4 })).toThrow('Invalid smoothing window');
+            expect(() => new PeakDetector({ smoothingWindow: 5, smoothingOrder: 5 })).toThrow('Invalid smoothing order');
+            expect(() => new PeakDetector({ minProminence: -1 })).toThrow('Invalid minimum prominence');
+            expect(() => new PeakDetector({ minSeparation: 'wide' })).toThrow('Invalid minimum separation');
+            expect(() => new PeakDetector({ detectShoulders: 1 })).toThrow('Invalid shoulder setting');
+        });
+
+        it('should leave settings unchanged when an update is invalid', () => {
+            expect(() => detector.setOptions({ minSeparation: 20, smoothingWindow: 2 })).toThrow();
+            expect(detector.getOptions().minSeparation).toBe(CONFIG.peakDetection.MIN_SEPARATION);
+        });
+    });
+
+    describe('Savitzky–Golay filter', () => {
+        it('should produce the standard 5-point quadratic coefficients', () => {
+            const smoothing = PeakDetector.savitzkyGolayCoefficients(5, 2, 0).map(c => c * 35);
+            const secondDerivative = PeakDetector.savitzkyGolayCoefficients(5, 2, 2).map(c => c * 7);
+
+            [-3, 12, 17, 12, -3].forEach((c, i) => expect(smoothing[i]).toBeCloseTo(c, 10));
+            [2, -1, -2, -1, 2].forEach((c, i) => expect(secondDerivative[i]).toBeCloseTo(c, 10));
+        });
+
+        it('should preserve quadratics away from the edges', () => {
+            const values = Array.from({ length: 20 }, (_, i) => 0.5 * i * i - 3 * i + 2);
+            const smoothed = detector.smooth(values);
+
+            for (let i = 3; i < 17; i++) {
+                expect(smoothed[i]).toBeCloseTo(values[i], 8);
+            }
+        });
+
+        it('should pass values through when the window is 1', () => {
+            const unsmoothed = new PeakDetector({ smoothingWindow: 1 });
+            expect(unsmoothed.smooth([1, 5, 2])).toEqual([1, 5, 2]);
+        });
+    });
+
+    describe('findLocalMaxima', () => {
+        it('should find interior maxima', () => {
+            expect(PeakDetector.findLocalMaxima([0, 2, 1, 3, 0])).toEqual([1, 3]);
+        });
+
+        it('should report the middle of flat tops', () => {
+            expect(PeakDetector.findLocalMaxima([0, 2, 2, 2, 0])).toEqual([2]);
+        });
+
+        it('should ignore edges and rising plateaus', () => {
+            expect(PeakDetector.findLocalMaxima([5, 1, 2, 2, 3])).toEqual([]);
+        });
+    });
+
+    describe('peakProminence', () => {
+        it('should measure height above the higher surrounding minimum', () => {
+            const values = [0, 3, 1, 4, 0];
+
+            expect(PeakDetector.peakProminence(values, 1)).toEqual({ prominence: 2, leftBase: 0, rightBase: 2 });
+            expect(PeakDetector.peakProminence(values, 3).prominence).toBe(4);
+        });
+    });
+
+    describe('detect', () => {
+        it('should return peaks with width and prominence', () => {
+            const peaks = detector.detect(generateSpectrum([[1700, 15, 1]]), 0.1);
+
+            expect(peaks).toHaveLength(1);
+            expect(peaks[0].wavenumber).toBe(1700);
+            expect(peaks[0].absorbance).toBeCloseTo(1, 10);
+            expect(peaks[0].prominence).toBeCloseTo(1, 2);
+            expect(peaks[0].shoulder).toBe(false);
+        });
+
+        it('should measure the full width at half maximum', () => {
+            const sigma = 15;
+            const peaks = detector.detect(generateSpectrum([[1700, sigma, 1]]), 0.1);
+
+            expect(peaks[0].width).toBeCloseTo(2.3548 * sigma, 0);
+        });
+
+        it('should ignore noise ripples', () => {
+            const noisy = generateSpectrum([[1700, 15, 1]], wn => 0.03 * Math.sin(wn * 1.3));
+            const peaks = detector.detect(noisy, 0.01);
+
+            expect(peaks).toHaveLength(1);
+            expect(peaks[0].wavenumber).toBeCloseTo(1700, -1);
+        });
+
+        it('should keep only the strongest of peaks closer than the minimum separation', () => {
+            const spectrum = generateSpectrum([[1700, 3, 1], [1712, 3, 0.6]]);
+
+            expect(detector.detect(spectrum, 0.1)).toHaveLength(2);
+
+            detector.setOptions({ minSeparation: 20 });
+            const peaks = detector.detect(spectrum, 0.1);
+            expect(peaks).toHaveLength(1);
+            expect(peaks[0].wavenumber).toBe(1700);
+        });
+
+        it('should detect shoulders on the flank of a larger band', () => {
+            const spectrum = generateSpectrum([[1700, 15, 1], [1745, 15, 0.4]]);
+            const peaks = detector.detect(spectrum, 0.1);
+
+            expect(peaks).toHaveLength(2);
+            expect(peaks[1].shoulder).toBe(true);
+            expect(peaks[1].wavenumber).toBeCloseTo(1745, -1);
+            expect(peaks[1].prominence).toBe(0);
+            expect(peaks[1].width).toBeGreaterThan(0);
+        });
+
+        it('should skip shoulders when disabled', () => {
+            detector.setOptions({ detectShoulders: false });
+            const spectrum = generateSpectrum([[1700, 15, 1], [1745, 15, 0.4]]);
+
+            expect(detector.detect(spectrum, 0.1).every(peak => !peak.shoulder)).toBe(true);
+        });
+
+        it('should return an empty array for spectra without bands', () => {
+            const flat = generateSpectrum([]);
+            expect(detector.detect(flat, 0.1)).toEqual([]);
+        });
+
+        it('should return peaks sorted by intensity', () => {
+            const spectrum = generateSpectrum([[1600, 8, 0.5], [1700, 8, 1], [1800, 8, 0.7]]);
+            const peaks = detector.detect(spectrum, 0.1);
+
+            expect(peaks.map(p => p.wavenumber)).toEqual([1700, 1800, 1600]);
+        });
+    });
+});
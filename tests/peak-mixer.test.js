@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for PeakMixer Module
+ *
+ * Tests channel settings, validation, mute/solo levels and applying the
+ * mixer to peak lists.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { PeakMixer } = loadBrowserModule('peak-mixer.js');
+
+describe('PeakMixer', () => {
+    let mixer;
+
+    beforeEach(() => {
+        mixer = new PeakMixer();
+    });
+
+    describe('channels', () => {
+        it('should return defaults for peaks without settings', () => {
+            expect(mixer.getChannel(1715)).toEqual(PeakMixer.defaults());
+            expect(mixer.getChannels()).toEqual([]);
+        });
+
+        it('should merge partial settings', () => {
+            mixer.setChannel(1715, { gain: 0.5 });
+            mixer.setChannel(1715, { detune: -20 });
+
+            expect(mixer.getChannel(1715)).toEqual({ ...PeakMixer.defaults(), gain: 0.5, detune: -20 });
+            expect(mixer.getChannels()).toEqual([{ wavenumber: 1715, ...mixer.getChannel(1715) }]);
+        });
+
+        it('should drop a channel set back to the defaults', () => {
+            mixer.setChannel(1715, { mute: true });
+            mixer.setChannel(1715, { mute: false });
+
+            expect(mixer.getChannels()).toEqual([]);
+        });
+
+        it('should clear every channel on reset', () => {
+            mixer.setChannel(1715, { mute: true });
+            mixer.setChannel(2950, { waveform: 'square' });
+            mixer.reset();
+
+            expect(mixer.getChannels()).toEqual([]);
+        });
+
+        it('should clear peaks not in the list', () => {
+            mixer.setChannel(1715, { solo: true });
+            mixer.setChannel(2950, { gain: 0.5 });
+
+            expect(mixer.retain([2950, 3300])).toBe(1);
+            expect(mixer.getChannels()).toEqual([{ wavenumber: 2950, ...PeakMixer.defaults(), gain: 0.5 }]);
+            expect(mixer.isAudible(3300)).toBe(true);
+            expect(mixer.retain([2950])).toBe(0);
+        });
+
+        it('should return copies of the settings', () => {
+            mixer.setChannel(1715, { gain: 0.5 });
+            mixer.getChannel(1715).gain = 2;
+
+            expect(mixer.getChannel(1715).gain).toBe(0.5);
+        });
+    });
+
+    describe('validation', () => {
+        it('should reject invalid wavenumbers', () => {
+            expect(() => mixer.setChannel('1715', { mute: true })).toThrow('Invalid wavenumber');
+            expect(() => mixer.setChannel(NaN, { mute: true })).toThrow('Invalid wavenumber');
+        });
+
+        it('should reject out-of-range values', () => {
+            expect(() => mixer.setChannel(1715, { mute: 'yes' })).toThrow('Invalid peak mute');
+            expect(() => mixer.setChannel(1715, { gain: -0.1 })).toThrow('Invalid peak gain');
+            expect(() => mixer.setChannel(1715, { gain: CONFIG.peakMixer.MAX_GAIN + 0.1 })).toThrow('Invalid peak gain');
+            expect(() => mixer.setChannel(1715, { detune: CONFIG.audio.MAX_DETUNE + 1 })).toThrow('Invalid peak detune');
+            expect(() => mixer.setChannel(1715, { waveform: 'noise' })).toThrow('Invalid peak waveform');
+            expect(() => mixer.setChannel(1715, { pan: 0 })).toThrow('Invalid mixer setting');
+        });
+
+        it('should leave the channel unchanged when a setting is invalid', () => {
+            expect(() => mixer.setChannel(1715, { gain: 0.5, detune: 5000 })).toThrow();
+            expect(mixer.getChannel(1715)).toEqual(PeakMixer.defaults());
+        });
+    });
+
+    describe('levels', () => {
+        it('should play unmuted peaks at their gain trim', () => {
+            mixer.setChannel(1715, { gain: 1.5 });
+
+            expect(mixer.getLevel(1715)).toBe(1.5);
+            expect(mixer.getLevel(2950)).toBe(1);
+        });
+
+        it('should silence muted peaks', () => {
+            mixer.setChannel(1715, { mute: true, gain: 1.5 });
+
+            expect(mixer.isAudible(1715)).toBe(false);
+            expect(mixer.getLevel(1715)).toBe(0);
+        });
+
+        it('should silence every other peak while one is soloed', () => {
+            mixer.setChannel(1715, { solo: true });
+
+            expect(mixer.hasSolo()).toBe(true);
+            expect(mixer.getLevel(1715)).toBe(1);
+            expect(mixer.getLevel(2950)).toBe(0);
+        });
+
+        it('should let mute override solo', () => {
+            mixer.setChannel(1715, { solo: true, mute: true });
+
+            expect(mixer.isAudible(1715)).toBe(false);
+        });
+    });
+
+    describe('onChange', () => {
+        it('should report the peak and the changed settings', () => {
+            const onChange = jest.fn();
+            mixer.onChange = onChange;
+
+            mixer.setChannel(1715, { gain: 0.5, waveform: 'sine' });
+            mixer.reset();
+
+            expect(onChange).toHaveBeenNthCalledWith(1, { wavenumber: 1715, settings: ['gain', 'waveform'] });
+            expect(onChange).toHaveBeenNthCalledWith(2, { wavenumber: null, settings: Object.keys(PeakMixer.defaults()) });
+        });
+    });
+
+    describe('applyToPeaks', () => {
+        const peaks = [
+            { wavenumber: 1715, absorbance: 0.8, audioFreq: 440 },
+            { wavenumber: 2950, absorbance: 0.5, audioFreq: 880 },
+        ];
+
+        it('should return equal peaks with no settings', () => {
+            expect(mixer.applyToPeaks(peaks)).toEqual(peaks);
+        });
+
+        it('should drop inaudible peaks', () => {
+            mixer.setChannel(2950, { solo: true });
+
+            expect(mixer.applyToPeaks(peaks).map(peak => peak.wavenumber)).toEqual([2950]);
+        });
+
+        it('should scale absorbance by gain and shift frequency by detune', () => {
+            mixer.setChannel(1715, { gain: 0.5, detune: 1200 });
+            const [first] = mixer.applyToPeaks(peaks);
+
+            expect(first.absorbance).toBeCloseTo(0.4);
+            expect(first.audioFreq).toBeCloseTo(880);
+            expect(peaks[0].audioFreq).toBe(440);
+        });
+    });
+});
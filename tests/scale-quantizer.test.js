@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for ScaleQuantizer Module
+ *
+ * Tests scale/key selection, Scala parsing, and peak quantization.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { ScaleQuantizer } = loadBrowserModule('scale-quantizer.js');
+
+describe('ScaleQuantizer', () => {
+    let quantizer;
+
+    beforeEach(() => {
+        quantizer = new ScaleQuantizer();
+    });
+
+    // MIDI note number → equal-tempered frequency
+    const noteToFreq = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+    describe('constructor', () => {
+        it('should initialize with CONFIG defaults', () => {
+            expect(quantizer.getScale()).toBe(CONFIG.quantization.DEFAULT_SCALE);
+            expect(quantizer.getKey()).toBe(CONFIG.quantization.DEFAULT_KEY);
+            expect(quantizer.isEnabled()).toBe(false);
+        });
+    });
+
+    describe('setScale', () => {
+        it('should accept scales from CONFIG', () => {
+            Object.keys(CONFIG.scales).forEach(scale => {
+                quantizer.setScale(scale);
+                expect(quantizer.getScale()).toBe(scale);
+            });
+        });
+
+        it('should throw for unknown scales', () => {
+            expect(() => quantizer.setScale('lydian-dominant')).toThrow('Invalid scale');
+        });
+
+        it('should require a loaded Scala tuning for the scala scale', () => {
+            expect(() => quantizer.setScale('scala')).toThrow('no Scala tuning loaded');
+        });
+    });
+
+    describe('setKey', () => {
+        it('should accept pitch classes 0-11', () => {
+            quantizer.setKey(7);
+            expect(quantizer.getKey()).toBe(7);
+        });
+
+        it('should throw for invalid keys', () => {
+            expect(() => quantizer.setKey(12)).toThrow('Invalid key');
+            expect(() => quantizer.setKey(-1)).toThrow('Invalid key');
+            expect(() => quantizer.setKey(1.5)).toThrow('Invalid key');
+        });
+    });
+
+    describe('quantizeFrequency', () => {
+        it('should pass frequencies through when quantization is off', () => {
+            expect(quantizer.quantizeFrequency(1234.5)).toBe(1234.5);
+        });
+
+        it('should snap to the nearest semitone in chromatic mode', () => {
+            quantizer.setScale('chromatic');
+            expect(quantizer.quantizeFrequency(445)).toBeCloseTo(440, 5);
+            expect(quantizer.quantizeFrequency(460)).toBeCloseTo(noteToFreq(70), 5);
+        });
+
+        it('should only produce pitches from the C major scale', () => {
+            quantizer.setScale('major');
+            const majorPitchClasses = [0, 2, 4, 5, 7, 9, 11];
+
+            for (let freq = 100; freq < 4000; freq *= 1.07) {
+                const quantized = quantizer.quantizeFrequency(freq);
+                const note = Math.round(69 + 12 * Math.log2(quantized / 440));
+                expect(majorPitchClasses).toContain(((note % 12) + 12) % 12);
+            }
+        });
+
+        it('should transpose the scale to the selected key', () => {
+            quantizer.setScale('major');
+            quantizer.setKey(2); // D
+
+            // C natural is not in D major, so it moves to a neighbour
+            const quantized = quantizer.quantizeFrequency(noteToFreq(60));
+            expect(quantized).not.toBeCloseTo(noteToFreq(60), 3);
+            expect(quantizer.quantizeFrequency(noteToFreq(61))).toBeCloseTo(noteToFreq(61), 5);
+        });
+
+        it('should snap up to the next octave root when closer', () => {
+            quantizer.setScale('pentatonic');
+            // B4 is a semitone below C5 and two below A4
+            expect(quantizer.quantizeFrequency(noteToFreq(71))).toBeCloseTo(noteToFreq(72), 5);
+        });
+
+        it('should throw for invalid frequencies', () => {
+            quantizer.setScale('major');
+            expect(() => quantizer.quantizeFrequency(0)).toThrow('Invalid frequency');
+            expect(() => quantizer.quantizeFrequency('440')).toThrow('Invalid frequency');
+        });
+    });
+
+    describe('quantizePeaks', () => {
+        const peaks = [
+            { wavenumber: 1700, absorbance: 0.8, audioFreq: 441 },
+            { wavenumber: 1710, absorbance: 0.3, audioFreq: 438 },
+            { wavenumber: 2950, absorbance: 0.5, audioFreq: 1000 },
+        ];
+
+        it('should return the input unchanged when disabled', () => {
+            expect(quantizer.quantizePeaks(peaks)).toBe(peaks);
+        });
+
+        it('should merge peaks that land on the same pitch', () => {
+            quantizer.setScale('chromatic');
+            const result = quantizer.quantizePeaks(peaks);
+
+            expect(result).toHaveLength(2);
+            expect(result[0].audioFreq).toBeCloseTo(440, 5);
+            expect(result[0].wavenumber).toBe(1700);
+        });
+
+        it('should sum the absorbance of merged peaks', () => {
+            quantizer.setScale('chromatic');
+            const result = quantizer.quantizePeaks([
+                { wavenumber: 1700, absorbance: 0.4, audioFreq: 441 },
+                { wavenumber: 1710, absorbance: 0.3, audioFreq: 438 },
+            ]);
+
+            expect(result[0].absorbance).toBeCloseTo(0.7, 10);
+        });
+
+        it('should cap merged absorbance at 1', () => {
+            quantizer.setScale('chromatic');
+            const result = quantizer.quantizePeaks([
+                ...peaks,
+                { wavenumber: 1705, absorbance: 0.9, audioFreq: 439 },
+            ]);
+
+            expect(result[0].absorbance).toBe(1);
+            expect(result.every(peak => peak.absorbance <= 1)).toBe(true);
+        });
+
+        it('should keep the fields of the strongest merged peak', () => {
+            quantizer.setScale('chromatic');
+            const result = quantizer.quantizePeaks([
+                { wavenumber: 1710, absorbance: 0.3, audioFreq: 438 },
+                { wavenumber: 1700, absorbance: 0.8, audioFreq: 441 },
+            ]);
+
+            expect(result).toHaveLength(1);
+            expect(result[0].wavenumber).toBe(1700);
+        });
+
+        it('should not mutate the input peaks', () => {
+            quantizer.setScale('major');
+            quantizer.quantizePeaks(peaks);
+            expect(peaks[0].audioFreq).toBe(441);
+            expect(peaks[0].absorbance).toBe(0.8);
+        });
+    });
+
+    describe('Scala tunings', () => {
+        const pythagoreanPentatonic = [
+            '! pyth5.scl',
+            '!',
+            'Pythagorean pentatonic',
+            ' 5',
+            '!',
+            ' 9/8',
+            ' 81/64',
+            ' 3/2',
+            ' 27/16',
+            ' 2/1',
+        ].join('\n');
+
+        it('should parse ratios and cents', () => {
+            const tuning = ScaleQuantizer.parseScala('Test\n3\n100.0\n3/2 fifth\n1200.0\n');
+
+            expect(tuning.name).toBe('Test');
+            expect(tuning.degrees[0]).toBe(0);
+            expect(tuning.degrees[1]).toBeCloseTo(100, 10);
+            expect(tuning.degrees[2]).toBeCloseTo(701.955, 3);
+            expect(tuning.period).toBeCloseTo(1200, 10);
+        });
+
+        it('should skip comment lines', () => {
+            const tuning = ScaleQuantizer.parseScala(pythagoreanPentatonic);
+            expect(tuning.name).toBe('Pythagorean pentatonic');
+            expect(tuning.degrees).toHaveLength(5);
+        });
+
+        it('should throw for malformed files', () => {
+            expect(() => ScaleQuantizer.parseScala('Only a name')).toThrow('Invalid Scala file');
+            expect(() => ScaleQuantizer.parseScala('Name\nabc\n')).toThrow('note count');
+            expect(() => ScaleQuantizer.parseScala('Name\n3\n100.0\n')).toThrow('expected 3 pitches');
+            expect(() => ScaleQuantizer.parseScala('Name\n1\nfoo\n')).toThrow('Invalid Scala pitch');
+        });
+
+        it('should activate the tuning when loaded', () => {
+            quantizer.loadScala(pythagoreanPentatonic);
+
+            expect(quantizer.getScale()).toBe('scala');
+            expect(quantizer.getScales().scala.description).toBe('Pythagorean pentatonic');
+        });
+
+        it('should quantize to just-intonation pitches', () => {
+            quantizer.loadScala(pythagoreanPentatonic);
+            const root = noteToFreq(60);
+
+            // A fifth above C, slightly flat, snaps to the pure 3/2
+            expect(quantizer.quantizeFrequency(root * 1.49)).toBeCloseTo(root * 1.5, 5);
+            // Octave equivalence
+            expect(quantizer.quantizeFrequency(root * 3.01)).toBeCloseTo(root * 3, 5);
+        });
+    });
+
+    describe('getDescription', () => {
+        it('should combine key and scale names', () => {
+            quantizer.setScale('minor');
+            quantizer.setKey(9);
+            expect(quantizer.getDescription()).toBe('A Minor');
+        });
+    });
+});
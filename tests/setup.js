@@ -21,10 +21,52 @@ global.CONFIG = {
         IR_MAX: 4000,
         AUDIO_MIN: 100,
         AUDIO_MAX: 8000,
+        DEFAULT_STRATEGY: 'logarithmic',
+        FOLD_OCTAVES: 2,
+    },
+    mappingStrategies: {
+        'linear': { name: 'Linear', description: 'Equal Hz steps' },
+        'logarithmic': { name: 'Logarithmic', description: 'Equal musical intervals' },
+        'mel': { name: 'Mel', description: 'Mel scale' },
+        'bark': { name: 'Bark', description: 'Bark scale' },
+        'octave-folded': { name: 'Octave-Folded', description: 'Folded octave window' },
+    },
+    quantization: {
+        DEFAULT_SCALE: 'off',
+        DEFAULT_KEY: 0,
+        REFERENCE_FREQUENCY: 440,
+        KEY_NAMES: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    },
+    scales: {
+        'off': { name: 'Off', description: 'No quantization', intervals: null },
+        'chromatic': { name: 'Chromatic', description: 'All semitones', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+        'major': { name: 'Major', description: 'Major scale', intervals: [0, 2, 4, 5, 7, 9, 11] },
+        'minor': { name: 'Minor', description: 'Natural minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+        'pentatonic': { name: 'Pentatonic', description: 'Major pentatonic', intervals: [0, 2, 4, 7, 9] },
+        'whole-tone': { name: 'Whole-Tone', description: 'Whole steps', intervals: [0, 2, 4, 6, 8, 10] },
+    },
+    preprocessing: {
+        DEFAULT_BASELINE: 'rubberband',
+        VECTOR_NORMALIZE: false,
+        MIN_TRANSMITTANCE: 0.01,
+        ALS_LAMBDA: 1e5,
+        ALS_P: 0.01,
+        ALS_ITERATIONS: 10,
+    },
+    baselineMethods: {
+        'none': { name: 'None', description: 'As measured' },
+        'rubberband': { name: 'Rubber Band', description: 'Lower convex hull' },
+        'als': { name: 'Asymmetric Least Squares', description: 'Smooth fit' },
     },
     peakDetection: {
         DEFAULT_THRESHOLD: 0.15,
         DEFAULT_MAX_PEAKS: 20,
+        SMOOTHING_WINDOW: 7,
+        SMOOTHING_ORDER: 2,
+        MIN_PROMINENCE: 0.05,
+        MIN_SEPARATION: 8,
+        DETECT_SHOULDERS: true,
+        SHOULDER_MIN_CURVATURE: 0.1,
     },
     audio: {
         DEFAULT_VOLUME: 0.3,
@@ -37,6 +79,21 @@ global.CONFIG = {
         DEFAULT_DURATION: 2.0,
         MIN_DURATION: 0.5,
         MAX_DURATION: 5.0,
+        DEFAULT_SEED: 1,
+        PARAM_RAMP_TIME: 0.03,
+        MAX_DETUNE: 1200,
+    },
+    timbre: {
+        TONE_MAX_WIDTH: 12,
+        FM_MAX_WIDTH: 30,
+        NOISE_MIN_WIDTH: 60,
+        FM_RATIO: 1,
+        FM_MAX_INDEX: 3,
+        AM_DEPTH: 0.6,
+        MIN_NOISE_Q: 0.5,
+        MAX_NOISE_Q: 30,
+        NOISE_MAX_BOOST: 8,
+        NOISE_BUFFER_DURATION: 2,
     },
     adsr: {
         DEFAULT_ATTACK: 0.05,
@@ -65,6 +122,7 @@ global.CONFIG = {
         SPECTRUM_COLOR: '#8b5cf6',
         PEAK_COLOR: '#ec4899',
         SELECTED_PEAK_COLOR: '#10b981',
+        SCAN_CURSOR_COLOR: '#fbbf24',
     },
     ui: {
         DEBOUNCE_DELAY: 300,
@@ -77,16 +135,208 @@ global.CONFIG = {
         'clean': { name: 'Clean', description: 'No effects', reverb: 0, filterFreq: 8000 },
         'ambient': { name: 'Ambient', description: 'Large reverb', reverb: 0.7, filterFreq: 6000 },
         'warm': { name: 'Warm', description: 'Low-pass filter', reverb: 0.2, filterFreq: 2000 },
+        'space-echo': {
+            name: 'Space Echo',
+            description: 'Echoes into a room',
+            chain: [
+                { type: 'filter', params: { frequency: 5000 } },
+                { type: 'delay', params: { time: 0.375, feedback: 0.5, mix: 0.35 } },
+                { type: 'reverb', params: { mix: 0.4 } },
+            ],
+        },
+    },
+    effects: {
+        'filter': {
+            name: 'Low-pass Filter',
+            description: 'Removes high frequencies',
+            params: {
+                frequency: { label: 'Cutoff', min: 100, max: 8000, step: 100, default: 8000, unit: 'Hz' },
+                q: { label: 'Resonance', min: 0.1, max: 20, step: 0.1, default: 1, unit: '' },
+            },
+        },
+        'reverb': {
+            name: 'Reverb',
+            description: 'Convolution reverb',
+            params: {
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0, unit: '' },
+                duration: { label: 'Length', min: 0.5, max: 5, step: 0.1, default: 2, unit: 's' },
+            },
+        },
+        'delay': {
+            name: 'Delay',
+            description: 'Echoes',
+            params: {
+                time: { label: 'Time', min: 0.01, max: 2, step: 0.01, default: 0.3, unit: 's' },
+                feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, default: 0.35, unit: '' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3, unit: '' },
+            },
+        },
+        'chorus': {
+            name: 'Chorus',
+            description: 'Modulated delay',
+            params: {
+                rate: { label: 'Rate', min: 0.1, max: 5, step: 0.1, default: 1.5, unit: 'Hz' },
+                depth: { label: 'Depth', min: 0, max: 10, step: 0.1, default: 3, unit: 'ms' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.5, unit: '' },
+            },
+        },
+        'widener': {
+            name: 'Stereo Widener',
+            description: 'Mid/side width',
+            params: {
+                width: { label: 'Width', min: 0, max: 2, step: 0.05, default: 1.5, unit: '' },
+            },
+        },
+        'compressor': {
+            name: 'Compressor / Limiter',
+            description: 'Dynamics',
+            params: {
+                threshold: { label: 'Threshold', min: -60, max: 0, step: 1, default: -18, unit: 'dB' },
+                ratio: { label: 'Ratio', min: 1, max: 20, step: 0.5, default: 4, unit: ':1' },
+                attack: { label: 'Attack', min: 0, max: 1, step: 0.001, default: 0.003, unit: 's' },
+                release: { label: 'Release', min: 0.01, max: 1, step: 0.01, default: 0.25, unit: 's' },
+                makeup: { label: 'Makeup', min: 0, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            },
+        },
+        'distortion': {
+            name: 'Distortion',
+            description: 'Wave shaper',
+            params: {
+                drive: { label: 'Drive', min: 0, max: 1, step: 0.01, default: 0.3, unit: '' },
+                mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 1, unit: '' },
+            },
+        },
+        'eq': {
+            name: '3-Band EQ',
+            description: 'Shelves and mid peak',
+            params: {
+                low: { label: 'Low', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+                mid: { label: 'Mid', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+                high: { label: 'High', min: -24, max: 24, step: 0.5, default: 0, unit: 'dB' },
+            },
+        },
+    },
+    effectsChain: {
+        DEFAULT: [
+            { type: 'filter' },
+            { type: 'reverb' },
+        ],
+        MAX_EFFECTS: 12,
+        CHORUS_BASE_DELAY: 0.02,
+        EQ_LOW_FREQUENCY: 250,
+        EQ_MID_FREQUENCY: 1000,
+        EQ_HIGH_FREQUENCY: 4000,
+    },
+    peakMixer: {
+        MAX_GAIN: 2,
+        WAVEFORMS: {
+            'auto': { name: 'Auto', description: 'Band shape' },
+            'sine': { name: 'Sine', description: 'Pure tone' },
+            'triangle': { name: 'Triangle', description: 'Soft' },
+            'square': { name: 'Square', description: 'Hollow' },
+            'sawtooth': { name: 'Sawtooth', description: 'Bright' },
+        },
     },
     playbackModes: {
         'chord': { name: 'Chord', description: 'All peaks play simultaneously' },
         'arpeggio-up': { name: 'Arpeggio (Up)', description: 'Low to high' },
         'sequential': { name: 'Sequential', description: 'By intensity' },
         'random': { name: 'Random', description: 'Random order' },
+        'spectrum': { name: 'Full Spectrum', description: 'Whole spectrum' },
+        'scan': { name: 'Scan', description: 'Sweep a cursor' },
+        'drone': { name: 'Drone (Sustain)', description: 'Held until stopped' },
+    },
+    spectrumSynthesis: {
+        FUNDAMENTAL: 20,
+        GAIN: 0.4,
+    },
+    scanSynthesis: {
+        DEFAULT_SOURCE: 'tone',
+        CURVE_POINTS: 512,
+        NOISE_Q: 12,
+        GAIN: 0.5,
+    },
+    scanSources: {
+        'tone': { name: 'Tracking Tone', description: 'Oscillator' },
+        'noise': { name: 'Filtered Noise', description: 'Band-pass noise' },
+    },
+    spatialModes: {
+        'off': { name: 'Off', description: 'Centred' },
+        'wavenumber': { name: 'By Wavenumber', description: 'Pan by wavenumber' },
+        'region': { name: 'By Region', description: 'Pan by region' },
+        'hrtf': { name: '3D (HRTF)', description: 'Around the head' },
+    },
+    spatialization: {
+        DEFAULT_MODE: 'off',
+        WIDTH: 0.9,
+        HRTF_MAX_AZIMUTH: 90,
+        HRTF_DISTANCE: 1,
+        REGIONS: [
+            { name: 'Fingerprint', min: 0, max: 1500, pan: -0.75 },
+            { name: 'Double bond', min: 1500, max: 2000, pan: -0.25 },
+            { name: 'Triple bond', min: 2000, max: 2500, pan: 0.25 },
+            { name: 'X–H stretch', min: 2500, max: Infinity, pan: 0.75 },
+        ],
+    },
+    instrument: {
+        DEFAULT_ROOT: 'strongest',
+        MAX_POLYPHONY: 8,
+        GAIN: 0.5,
+        PIANO_LOW_NOTE: 48,
+        PIANO_HIGH_NOTE: 72,
+        KEYBOARD_BASE_NOTE: 60,
+        MAX_OCTAVE_SHIFT: 3,
+    },
+    instrumentRoots: {
+        'strongest': { name: 'Strongest Peak', description: 'Most intense peak' },
+        'fundamental': { name: 'Fundamental', description: 'Lowest peak' },
+    },
+    midiInput: {
+        MAX_CC: 119,
+        TARGETS: {
+            'volume': { name: 'Volume' },
+            'reverb': { name: 'Reverb' },
+            'filter': { name: 'Filter Cutoff' },
+            'attack': { name: 'Attack' },
+            'decay': { name: 'Decay' },
+            'sustain': { name: 'Sustain' },
+            'release': { name: 'Release' },
+        },
+    },
+    midiExport: {
+        TICKS_PER_BEAT: 480,
+        PITCH_BEND_RANGE: 2,
+        DRUM_CHANNEL: 9,
+        CC: { ATTACK: 73, DECAY: 75, SUSTAIN: 79, RELEASE: 72, CUTOFF: 74 },
     },
     looping: {
         DEFAULT_LOOP_ENABLED: true,
     },
+    tempo: {
+        DEFAULT_BPM: 120,
+        MIN_BPM: 30,
+        MAX_BPM: 300,
+        DEFAULT_SUBDIVISION: '1/16',
+        BEATS_PER_BAR: 4,
+        GATE: 0.9,
+        PPQN: 24,
+        LOOKAHEAD: 0.1,
+        SCHEDULER_INTERVAL: 25,
+        DEFAULT_CLOCK_MODE: 'internal',
+    },
+    subdivisions: {
+        '1/4': { name: '1/4 (Quarter)', beats: 1 },
+        '1/8': { name: '1/8 (Eighth)', beats: 1 / 2 },
+        '1/8T': { name: '1/8 Triplet', beats: 1 / 3 },
+        '1/16': { name: '1/16 (Sixteenth)', beats: 1 / 4 },
+        '1/16T': { name: '1/16 Triplet', beats: 1 / 6 },
+        '1/32': { name: '1/32 (Thirty-second)', beats: 1 / 8 },
+    },
+    clockModes: {
+        'internal': { name: 'Internal', description: 'No MIDI clock' },
+        'master': { name: 'Send MIDI Clock', description: 'Send clock while playing' },
+        'follow': { name: 'Follow MIDI Clock', description: 'Follow the MIDI input clock' },
+    },
 };
 
 // Freeze CONFIG like in production
@@ -106,17 +356,33 @@ global.Logger = {
 };
 
 // Mock Web Audio API
+// AudioParam: automation is recorded; setTargetAtTime settles on its target at once
+const mockParam = (value) => ({
+    value,
+    setValueAtTime: jest.fn(),
+    linearRampToValueAtTime: jest.fn(),
+    exponentialRampToValueAtTime: jest.fn(),
+    setTargetAtTime: jest.fn(function (target) {
+        this.value = target;
+    }),
+    setValueCurveAtTime: jest.fn(),
+    cancelScheduledValues: jest.fn(),
+});
+
 class MockAudioContext {
     constructor() {
         this.sampleRate = 44100;
         this.state = 'running';
         this.currentTime = 0;
+        this.destination = { channelCount: 2 };
     }
 
     createOscillator() {
         return {
             type: 'sine',
-            frequency: { value: 440, setValueAtTime: jest.fn() },
+            frequency: mockParam(440),
+            detune: mockParam(0),
+            setPeriodicWave: jest.fn(),
             connect: jest.fn(),
             start: jest.fn(),
             stop: jest.fn(),
@@ -127,24 +393,102 @@ class MockAudioContext {
 
     createGain() {
         return {
-            gain: {
-                value: 1,
-                setValueAtTime: jest.fn(),
-                linearRampToValueAtTime: jest.fn(),
-                exponentialRampToValueAtTime: jest.fn(),
-                setTargetAtTime: jest.fn(),
-                cancelScheduledValues: jest.fn(),
-            },
+            gain: mockParam(1),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createPeriodicWave(real, imag) {
+        return { real, imag };
+    }
+
+    createBufferSource() {
+        return {
+            buffer: null,
+            loop: false,
             connect: jest.fn(),
+            start: jest.fn(),
+            stop: jest.fn(),
             disconnect: jest.fn(),
+            onended: null,
         };
     }
 
     createBiquadFilter() {
         return {
             type: 'lowpass',
-            frequency: { value: 8000 },
-            Q: { value: 1 },
+            frequency: mockParam(8000),
+            detune: mockParam(0),
+            Q: mockParam(1),
+            gain: mockParam(0),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createStereoPanner() {
+        return {
+            pan: mockParam(0),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createPanner() {
+        return {
+            panningModel: 'equalpower',
+            distanceModel: 'inverse',
+            refDistance: 1,
+            positionX: mockParam(0),
+            positionY: mockParam(0),
+            positionZ: mockParam(0),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createDelay(maxDelayTime = 1) {
+        return {
+            maxDelayTime,
+            delayTime: mockParam(0),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createWaveShaper() {
+        return {
+            curve: null,
+            oversample: 'none',
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createDynamicsCompressor() {
+        return {
+            threshold: mockParam(-24),
+            knee: mockParam(30),
+            ratio: mockParam(12),
+            attack: mockParam(0.003),
+            release: mockParam(0.25),
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createChannelSplitter(outputs = 6) {
+        return {
+            numberOfOutputs: outputs,
+            connect: jest.fn(),
+            disconnect: jest.fn(),
+        };
+    }
+
+    createChannelMerger(inputs = 6) {
+        return {
+            numberOfInputs: inputs,
             connect: jest.fn(),
             disconnect: jest.fn(),
         };
@@ -216,17 +560,30 @@ global.OfflineAudioContext = MockOfflineAudioContext;
 global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
 global.URL.revokeObjectURL = jest.fn();
 
+// jsdom has no TextEncoder; Node's encodes the same way
+if (typeof global.TextEncoder === 'undefined') {
+    global.TextEncoder = require('util').TextEncoder;
+}
+
 // Mock File API
 global.File = class MockFile {
     constructor(parts, name, options = {}) {
         this.parts = parts;
         this.name = name;
         this.type = options.type || '';
-        this.size = parts.reduce((acc, part) => acc + part.length, 0);
+        this.size = parts.reduce((acc, part) => acc + (typeof part === 'string' ? part.length : part.byteLength), 0);
     }
 
     text() {
-        return Promise.resolve(this.parts.join(''));
+        return Promise.resolve(this.parts.map(part => (typeof part === 'string' ? part : Buffer.from(part).toString())).join(''));
+    }
+
+    // Strings are UTF-8 encoded; ArrayBuffers and typed arrays are copied
+    arrayBuffer() {
+        const bytes = Buffer.concat(this.parts.map(part => (typeof part === 'string'
+            ? Buffer.from(part)
+            : Buffer.from(part.buffer || part, part.byteOffset || 0, part.byteLength))));
+        return Promise.resolve(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
     }
 };
 
@@ -0,0 +1,226 @@
+/**
+ * Unit Tests for SpectralPreprocessor Module
+ *
+ * Tests absorbance conversion, baseline correction and normalization.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+
+describe('SpectralPreprocessor', () => {
+    let preprocessor;
+
+    beforeEach(() => {
+        preprocessor = new SpectralPreprocessor();
+    });
+
+    // Gaussian band on a sloping baseline, expressed as transmittance
+    const generateSlopedSpectrum = () => {
+        const spectrum = [];
+        for (let wn = 400; wn <= 4000; wn += 10) {
+            const baseline = 0.05 + 0.1 * (wn - 400) / 3600;
+            const band = 0.8 * Math.exp(-Math.pow((wn - 1700) / 20, 2));
+            spectrum.push({
+                wavenumber: wn,
+                transmittance: SpectralPreprocessor.absorbanceToTransmittance(baseline + band)
+            });
+        }
+        return spectrum;
+    };
+
+    describe('constructor', () => {
+        it('should initialize with CONFIG defaults', () => {
+            expect(preprocessor.getBaselineMethod()).toBe(CONFIG.preprocessing.DEFAULT_BASELINE);
+            expect(preprocessor.getVectorNormalization()).toBe(CONFIG.preprocessing.VECTOR_NORMALIZE);
+        });
+
+        it('should accept options', () => {
+            const custom = new SpectralPreprocessor({ baseline: 'als', normalize: true });
+            expect(custom.getBaselineMethod()).toBe('als');
+            expect(custom.getVectorNormalization()).toBe(true);
+        });
+
+        it('should throw for invalid options', () => {
+            expect(() => new SpectralPreprocessor({ baseline: 'polynomial' })).toThrow('Invalid baseline method');
+            expect(() => new SpectralPreprocessor({ normalize: 'yes' })).toThrow('Invalid normalization setting');
+        });
+    });
+
+    describe('Beer–Lambert conversion', () => {
+        it('should convert transmittance to absorbance', () => {
+            expect(SpectralPreprocessor.transmittanceToAbsorbance(100)).toBeCloseTo(0, 10);
+            expect(SpectralPreprocessor.transmittanceToAbsorbance(10)).toBeCloseTo(1, 10);
+            expect(SpectralPreprocessor.transmittanceToAbsorbance(1)).toBeCloseTo(2, 10);
+        });
+
+        it('should clamp near-zero transmittance to a finite absorbance', () => {
+            const absorbance = SpectralPreprocessor.transmittanceToAbsorbance(0);
+            expect(isFinite(absorbance)).toBe(true);
+            expect(absorbance).toBeCloseTo(-Math.log10(CONFIG.preprocessing.MIN_TRANSMITTANCE / 100), 10);
+        });
+
+        it('should round-trip absorbance and transmittance', () => {
+            [0, 0.25, 1.3, 2].forEach(a => {
+                const t = SpectralPreprocessor.absorbanceToTransmittance(a);
+                expect(SpectralPreprocessor.transmittanceToAbsorbance(t)).toBeCloseTo(a, 10);
+            });
+        });
+
+        it('should treat 0% transmittance as Beer–Lambert data', () => {
+            preprocessor.setBaselineMethod('none');
+            const result = preprocessor.process([
+                { wavenumber: 1000, transmittance: 0 },
+                { wavenumber: 1100, transmittance: 10 },
+            ]);
+
+            expect(result[0].absorbance).toBeCloseTo(-Math.log10(CONFIG.preprocessing.MIN_TRANSMITTANCE / 100), 10);
+            expect(result[1].absorbance).toBeCloseTo(1, 10);
+        });
+    });
+
+    describe('upgradeLibraryEntry', () => {
+        it('should convert entries without a format version linearly', () => {
+            preprocessor.setBaselineMethod('none');
+            const legacy = {
+                id: 'caffeine',
+                spectrum: [
+                    { wavenumber: 1000, transmittance: 0 },
+                    { wavenumber: 1100, transmittance: 50 },
+                ]
+            };
+
+            const upgraded = SpectralPreprocessor.upgradeLibraryEntry(legacy);
+            const result = preprocessor.process(upgraded.spectrum);
+
+            expect(upgraded.id).toBe('caffeine');
+            expect(upgraded.formatVersion).toBe(SpectralPreprocessor.LIBRARY_FORMAT_VERSION);
+            expect(result[0].absorbance).toBeCloseTo(1, 10);
+            expect(result[1].absorbance).toBeCloseTo(0.5, 10);
+            expect(legacy.spectrum[0].transmittance).toBe(0);
+            expect(SpectralPreprocessor.upgradeLibraryEntry(upgraded)).toBe(upgraded);
+        });
+
+        it('should keep current entries, even ones reaching 0%', () => {
+            const entry = {
+                formatVersion: SpectralPreprocessor.LIBRARY_FORMAT_VERSION,
+                spectrum: [{ wavenumber: 1000, transmittance: 0 }]
+            };
+
+            expect(SpectralPreprocessor.upgradeLibraryEntry(entry)).toBe(entry);
+        });
+
+        it('should reject unknown format versions', () => {
+            expect(() => SpectralPreprocessor.upgradeLibraryEntry({ formatVersion: 3, spectrum: [] }))
+                .toThrow('Invalid library format version: 3');
+        });
+    });
+
+    describe('process', () => {
+        it('should return absorbance sorted by ascending wavenumber', () => {
+            preprocessor.setBaselineMethod('none');
+            const result = preprocessor.process([
+                { wavenumber: 3000, transmittance: 10 },
+                { wavenumber: 1000, transmittance: 100 },
+            ]);
+
+            expect(result.map(p => p.wavenumber)).toEqual([1000, 3000]);
+            expect(result[1].absorbance).toBeCloseTo(1, 10);
+        });
+
+        it('should not mutate the input spectrum', () => {
+            const spectrum = generateSlopedSpectrum().reverse();
+            const first = spectrum[0];
+            preprocessor.process(spectrum);
+
+            expect(spectrum[0]).toBe(first);
+            expect(first).not.toHaveProperty('absorbance');
+        });
+
+        it('should throw for invalid spectra', () => {
+            expect(() => preprocessor.process([])).toThrow('Invalid spectrum');
+            expect(() => preprocessor.process(null)).toThrow('Invalid spectrum');
+        });
+
+        it('should remove a sloping baseline with rubber band correction', () => {
+            const result = preprocessor.process(generateSlopedSpectrum());
+            const peak = result.find(p => p.wavenumber === 1700);
+            const offPeak = result.find(p => p.wavenumber === 3500);
+
+            expect(peak.absorbance).toBeCloseTo(0.8, 2);
+            expect(offPeak.absorbance).toBeCloseTo(0, 5);
+        });
+
+        it('should remove a sloping baseline with ALS correction', () => {
+            preprocessor.setBaselineMethod('als');
+            const result = preprocessor.process(generateSlopedSpectrum());
+            const peak = result.find(p => p.wavenumber === 1700);
+            const offPeak = result.find(p => p.wavenumber === 3500);
+
+            expect(peak.absorbance).toBeGreaterThan(0.7);
+            expect(offPeak.absorbance).toBeLessThan(0.02);
+        });
+
+        it('should never return negative absorbance after correction', () => {
+            ['rubberband', 'als'].forEach(method => {
+                preprocessor.setBaselineMethod(method);
+                preprocessor.process(generateSlopedSpectrum()).forEach(point => {
+                    expect(point.absorbance).toBeGreaterThanOrEqual(0);
+                });
+            });
+        });
+
+        it('should apply vector normalization when enabled', () => {
+            preprocessor.setVectorNormalization(true);
+            const result = preprocessor.process(generateSlopedSpectrum());
+            const norm = Math.sqrt(result.reduce((sum, p) => sum + p.absorbance * p.absorbance, 0));
+
+            expect(norm).toBeCloseTo(1, 10);
+        });
+    });
+
+    describe('rubberBandBaseline', () => {
+        it('should follow the lower convex hull', () => {
+            const x = [0, 1, 2, 3, 4];
+            const y = [0, 1, 5, 1, 0];
+            expect(SpectralPreprocessor.rubberBandBaseline(x, y)).toEqual([0, 0, 0, 0, 0]);
+        });
+
+        it('should leave straight lines unchanged', () => {
+            const x = [0, 1, 2, 3];
+            const y = [1, 2, 3, 4];
+            expect(SpectralPreprocessor.rubberBandBaseline(x, y)).toEqual(y);
+        });
+    });
+
+    describe('solvePentadiagonal', () => {
+        it('should solve a symmetric pentadiagonal system', () => {
+            const diag = [6, 7, 8, 7, 6];
+            const off1 = [-2, -1, -2, -1];
+            const off2 = [1, 1, 1];
+            const expected = [1, -2, 3, 0.5, 2];
+
+            // rhs = A · expected
+            const rhs = expected.map((_, i) => {
+                let sum = diag[i] * expected[i];
+                if (i >= 1) sum += off1[i - 1] * expected[i - 1];
+                if (i < 4) sum += off1[i] * expected[i + 1];
+                if (i >= 2) sum += off2[i - 2] * expected[i - 2];
+                if (i < 3) sum += off2[i] * expected[i + 2];
+                return sum;
+            });
+
+            const solution = SpectralPreprocessor.solvePentadiagonal(diag, off1, off2, rhs);
+            solution.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+        });
+    });
+
+    describe('vectorNormalize', () => {
+        it('should scale to unit L2 norm', () => {
+            expect(SpectralPreprocessor.vectorNormalize([3, 4])).toEqual([0.6, 0.8]);
+        });
+
+        it('should leave zero vectors unchanged', () => {
+            expect(SpectralPreprocessor.vectorNormalize([0, 0])).toEqual([0, 0]);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for SpectrumExporter Module
+ *
+ * Tests JCAMP-DX, CSV and JSON output, the peak table, and round trips
+ * through JCAMPParser/JCAMPImporter and CSVImporter.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { MIDIOutput } = loadBrowserModule('midi-output.js');
+const { SpectrumExporter } = loadBrowserModule('spectrum-exporter.js', { MIDIOutput });
+const { CSVImporter } = loadBrowserModule('csv-importer.js');
+const { JCAMPParser } = loadBrowserModule('jcamp-parser.js');
+const { JCAMPImporter } = loadBrowserModule('jcamp-importer.js', { JCAMPParser });
+const { SpectralPreprocessor } = loadBrowserModule('spectral-preprocessor.js');
+const { PeakDetector } = loadBrowserModule('peak-detector.js');
+const { FrequencyMapper } = loadBrowserModule('frequency-mapper.js', { SpectralPreprocessor, PeakDetector });
+const { ScaleQuantizer } = loadBrowserModule('scale-quantizer.js');
+const { PeakMixer } = loadBrowserModule('peak-mixer.js');
+
+describe('SpectrumExporter', () => {
+    const substance = { name: 'Test Compound', formula: 'C8H10N4O2', source: 'User Import' };
+    const spectrum = [
+        { wavenumber: 1200, transmittance: 60 },
+        { wavenumber: 400, transmittance: 95 },
+        { wavenumber: 800, transmittance: 80.5 }
+    ];
+    const date = new Date(2026, 0, 2, 3, 4, 5);
+
+    describe('getSpectrumData', () => {
+        it('should sort the raw transmittance spectrum', () => {
+            const data = SpectrumExporter.getSpectrumData(spectrum);
+
+            expect(data.yUnits).toBe('transmittance');
+            expect(data.preprocessing).toBeNull();
+            expect(data.points).toEqual([{ x: 400, y: 95 }, { x: 800, y: 80.5 }, { x: 1200, y: 60 }]);
+        });
+
+        it('should run the preprocessing pipeline and describe it', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none', normalize: true });
+            const data = SpectrumExporter.getSpectrumData(spectrum, preprocessor);
+
+            expect(data.yUnits).toBe('absorbance');
+            expect(data.preprocessing).toBe('Absorbance (-log10 T), vector normalized');
+            expect(data.points.map(point => point.x)).toEqual([400, 800, 1200]);
+        });
+
+        it('should reject empty spectra', () => {
+            expect(() => SpectrumExporter.getSpectrumData([])).toThrow('Invalid spectrum');
+        });
+    });
+
+    describe('toJCAMP', () => {
+        it('should write JCAMP-DX 5.01 headers and XY pairs', () => {
+            const jdx = SpectrumExporter.toJCAMP(substance, SpectrumExporter.getSpectrumData(spectrum), date);
+
+            expect(jdx).toContain('##TITLE=Test Compound\n##JCAMP-DX=5.01\n##DATA TYPE=INFRARED SPECTRUM');
+            expect(jdx).toContain('##LONG DATE=2026/01/02 03:04:05');
+            expect(jdx).toContain('##MOLFORM=C8H10N4O2');
+            expect(jdx).toContain('##YUNITS=TRANSMITTANCE');
+            expect(jdx).toContain('##FIRSTX=400\n##LASTX=1200\n##FIRSTY=0.95\n##MINY=0.6\n##MAXY=0.95\n##NPOINTS=3');
+            expect(jdx).toContain('##XYPOINTS=(XY..XY)\n400, 0.95\n800, 0.805\n1200, 0.6\n##END=');
+        });
+
+        it('should keep label values on one line', () => {
+            const jdx = SpectrumExporter.toJCAMP({ name: 'Bad\n##END=' }, SpectrumExporter.getSpectrumData(spectrum), date);
+
+            expect(jdx.split('\n')[0]).toBe('##TITLE=Bad #END=');
+        });
+
+        it('should import again with JCAMPImporter', () => {
+            const jdx = SpectrumExporter.toJCAMP(substance, SpectrumExporter.getSpectrumData(spectrum), date);
+            const [block] = JCAMPParser.parse(jdx);
+            const imported = JCAMPImporter.parseSpectrum(block);
+
+            expect(block.labels.title).toBe('Test Compound');
+            imported.forEach((point, i) => {
+                expect(point.wavenumber).toBe([400, 800, 1200][i]);
+                expect(point.transmittance).toBeCloseTo([95, 80.5, 60][i]);
+            });
+        });
+
+        it('should write preprocessed data as absorbance', () => {
+            const preprocessor = new SpectralPreprocessor({ baseline: 'none', normalize: false });
+            const jdx = SpectrumExporter.toJCAMP(substance, SpectrumExporter.getSpectrumData(spectrum, preprocessor), date);
+            const [block] = JCAMPParser.parse(jdx);
+
+            expect(jdx).toContain('##$PREPROCESSING=Absorbance (-log10 T)');
+            expect(block.yUnits).toBe('ABSORBANCE');
+            expect(JCAMPImporter.parseSpectrum(block)[2].transmittance).toBeCloseTo(60);
+        });
+    });
+
+    describe('toCSV', () => {
+        it('should import again with CSVImporter', () => {
+            const csv = SpectrumExporter.toCSV(SpectrumExporter.getSpectrumData(spectrum));
+            const analysis = CSVImporter.analyze(csv);
+            const [imported] = CSVImporter.createSpectra(analysis, CSVImporter.getDefaultMapping(analysis), 'export.csv');
+
+            expect(csv.split('\n')[0]).toBe('wavenumber,transmittance');
+            expect(imported.spectrum).toEqual([
+                { wavenumber: 400, transmittance: 95 },
+                { wavenumber: 800, transmittance: 80.5 },
+                { wavenumber: 1200, transmittance: 60 }
+            ]);
+        });
+    });
+
+    describe('peak table', () => {
+        const mapper = new FrequencyMapper({ strategy: 'linear', irMin: 400, irMax: 4000, audioMin: 100, audioMax: 3700 });
+        const peaks = [
+            { wavenumber: 2950, absorbance: 0.5 },
+            { wavenumber: 1715, absorbance: 1 }
+        ];
+
+        it('should list peaks with audio frequency, MIDI note and functional group', () => {
+            const table = SpectrumExporter.getPeakTable(peaks, mapper);
+
+            expect(table).toEqual([
+                { wavenumber: 1715, absorbance: 1, audioFrequency: 1415, midiNote: 89, functionalGroup: 'C=O stretch (carbonyl)' },
+                { wavenumber: 2950, absorbance: 0.5, audioFrequency: 2650, midiNote: 100, functionalGroup: 'C-H stretch (aliphatic)' }
+            ]);
+        });
+
+        it('should apply the scale quantizer', () => {
+            const quantizer = new ScaleQuantizer();
+            quantizer.setScale('chromatic');
+            quantizer.setKey(9);
+
+            const [row] = SpectrumExporter.getPeakTable([{ wavenumber: 1715, absorbance: 1 }], mapper, quantizer);
+
+            // 1415 Hz snaps to F6 (MIDI 89)
+            expect(row.audioFrequency).toBeCloseTo(440 * Math.pow(2, 20 / 12));
+            expect(row.midiNote).toBe(89);
+        });
+
+        it('should list peaks merged by the quantizer once', () => {
+            const quantizer = new ScaleQuantizer();
+            quantizer.setScale('chromatic');
+
+            // 1415 and 1420 Hz both snap to F6
+            const table = SpectrumExporter.getPeakTable([...peaks, { wavenumber: 1720, absorbance: 0.25 }], mapper, quantizer);
+
+            expect(table.map(row => [row.wavenumber, row.absorbance])).toEqual([[1715, 1], [2950, 0.5]]);
+        });
+
+        it('should apply the peak mixer', () => {
+            const mixer = new PeakMixer();
+            mixer.setChannel(1715, { mute: true });
+            mixer.setChannel(2950, { gain: 0.5, detune: 100 });
+
+            const table = SpectrumExporter.getPeakTable(peaks, mapper, null, mixer);
+
+            expect(table).toHaveLength(1);
+            expect(table[0].absorbance).toBe(0.25);
+            expect(table[0].audioFrequency).toBeCloseTo(2650 * Math.pow(2, 1 / 12));
+            expect(table[0].midiNote).toBe(101);
+        });
+
+        it('should write CSV with quoted functional groups', () => {
+            const csv = SpectrumExporter.peakTableToCSV(SpectrumExporter.getPeakTable(peaks, mapper));
+
+            expect(csv.split('\n')).toEqual([
+                'wavenumber_cm-1,relative_absorbance,audio_frequency_hz,midi_note,functional_group',
+                '1715,1,1415,89,"C=O stretch (carbonyl)"',
+                '2950,0.5,2650,100,"C-H stretch (aliphatic)"',
+                ''
+            ]);
+        });
+    });
+
+    describe('toJSON', () => {
+        it('should include the spectrum, peaks and mapping', () => {
+            const json = JSON.parse(SpectrumExporter.toJSON(
+                substance,
+                SpectrumExporter.getSpectrumData(spectrum),
+                [{ wavenumber: 1715 }],
+                { strategy: 'Linear' },
+                date
+            ));
+
+            expect(json.name).toBe('Test Compound');
+            expect(json.yUnits).toBe('%T');
+            expect(json.spectrum[0]).toEqual({ wavenumber: 400, transmittance: 95 });
+            expect(json.peaks).toEqual([{ wavenumber: 1715 }]);
+            expect(json.mapping).toEqual({ strategy: 'Linear' });
+            expect(json.exported).toBe(date.toISOString());
+        });
+    });
+
+    describe('createFilename', () => {
+        it('should make a safe file name', () => {
+            expect(SpectrumExporter.createFilename('4-Fluoro Amphetamine (HCl)', 'peaks', 'csv')).toBe('4_fluoro_amphetamine_hcl_peaks.csv');
+            expect(SpectrumExporter.createFilename('', 'spectrum', 'jdx')).toBe('spectrum_spectrum.jdx');
+        });
+    });
+});
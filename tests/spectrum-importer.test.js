@@ -0,0 +1,314 @@
+/**
+ * Unit Tests for SpectrumImporter Module
+ *
+ * Tests the format registry, magic-byte detection and the SPA, OPUS, SPC
+ * and SP parsers on small synthetic files.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { CSVImporter } = loadBrowserModule('csv-importer.js');
+const { JCAMPParser } = loadBrowserModule('jcamp-parser.js');
+const { JCAMPImporter } = loadBrowserModule('jcamp-importer.js', { JCAMPParser });
+const { SpectrumImporter } = loadBrowserModule('spectrum-importer.js', { CSVImporter, JCAMPImporter });
+
+// Little-endian binary file writer
+class BinaryWriter {
+    constructor(size) {
+        this.bytes = new Uint8Array(size);
+        this.view = new DataView(this.bytes.buffer);
+    }
+
+    ascii(offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            this.bytes[offset + i] = text.charCodeAt(i);
+        }
+        return this;
+    }
+
+    set(type, offset, value) {
+        this.view[`set${type}`](offset, value, true);
+        return this;
+    }
+
+    array(type, offset, values) {
+        const size = { Float32: 4, Float64: 8, Int32: 4, Int16: 2 }[type];
+        values.forEach((value, i) => this.set(type, offset + i * size, value));
+        return this;
+    }
+}
+
+describe('SpectrumImporter', () => {
+    const createMockFile = (bytes, name) => new File([bytes], name);
+
+    // Thermo SPA: directory at 304, header at 400, intensities at 464
+    const buildSPA = ({ title = 'Polystyrene', xUnits = 1, yUnits = 17, values = [0, 1, 2] } = {}) => {
+        return new BinaryWriter(464 + values.length * 4)
+            .ascii(0, 'Spectral Data File')
+            .ascii(30, title)
+            .set('Uint8', 304, 2).set('Uint32', 306, 400)
+            .set('Uint8', 320, 3).set('Uint32', 322, 464).set('Uint32', 326, values.length * 4)
+            .set('Uint32', 404, values.length)
+            .set('Uint8', 408, xUnits)
+            .set('Uint8', 412, yUnits)
+            .set('Float32', 416, 4000)
+            .set('Float32', 420, 400)
+            .set('Uint32', 436, 32)
+            .array('Float32', 464, values)
+            .bytes;
+    };
+
+    // Bruker OPUS parameter block entries: [name, type, value]
+    const writeOPUSParameters = (writer, offset, parameters) => {
+        let pos = offset;
+        parameters.forEach(([name, type, value]) => {
+            const size = type === 0 ? 4 : type === 1 ? 8 : Math.ceil((value.length + 1) / 2) * 2;
+            writer.ascii(pos, name).set('Uint16', pos + 4, type).set('Uint16', pos + 6, size / 2);
+            if (type === 0) writer.set('Int32', pos + 8, value);
+            else if (type === 1) writer.set('Float64', pos + 8, value);
+            else writer.ascii(pos + 8, value);
+            pos += 8 + size;
+        });
+        writer.ascii(pos, 'END');
+    };
+
+    // Bruker OPUS: directory at 24, AB data at 100, parameters at 200, sample at 400
+    const buildOPUS = (values = [0.1, 0.2, 0.3]) => {
+        const writer = new BinaryWriter(500)
+            .ascii(0, '\x0A\x0A\xFE\xFE')
+            .set('Int32', 12, 24)
+            .set('Int32', 20, 3)
+            .set('Uint8', 24, 15).set('Int32', 28, values.length).set('Int32', 32, 100)
+            .set('Uint8', 36, 31).set('Int32', 40, 20).set('Int32', 44, 200)
+            .set('Uint8', 48, 160).set('Int32', 52, 10).set('Int32', 56, 400)
+            .array('Float32', 100, values);
+        writeOPUSParameters(writer, 200, [
+            ['NPT', 0, values.length],
+            ['FXV', 1, 1000],
+            ['LXV', 1, 3000],
+            ['CSF', 1, 2],
+            ['DXU', 2, 'WN']
+        ]);
+        writeOPUSParameters(writer, 400, [['SNM', 2, 'Ethanol']]);
+        return writer.bytes;
+    };
+
+    // Galactic SPC: 512-byte header, 32-byte subheader, Y values
+    const buildSPC = ({ flags = 0, exponent = -128, xUnits = 1, yUnits = 2, values = [0, 1, 2], comment = 'Acetone' } = {}) => {
+        const fixed = exponent !== -128;
+        const writer = new BinaryWriter(544 + values.length * 4)
+            .set('Uint8', 0, flags)
+            .set('Uint8', 1, 0x4B)
+            .set('Int8', 3, exponent)
+            .set('Int32', 4, values.length)
+            .set('Float64', 8, 500)
+            .set('Float64', 16, 1500)
+            .set('Uint8', 28, xUnits)
+            .set('Uint8', 29, yUnits)
+            .ascii(88, comment)
+            .set('Int8', 513, exponent)
+            .set('Int32', 528, values.length);
+        return writer.array(fixed ? 'Int32' : 'Float32', 544, values).bytes;
+    };
+
+    // Perkin-Elmer SP: signature, description, data set block with members
+    const buildSP = ({ yLabel = '%T', values = [90, 50, 10] } = {}) => {
+        const member = (writer, pos, id, size) => writer.set('Int16', pos, id).set('Int32', pos + 2, size);
+        const writer = new BinaryWriter(200 + values.length * 8).ascii(0, 'PEPE').ascii(4, 'PerkinElmer IR');
+        const { DATA_SET, ABSCISSA_RANGE, NUM_POINTS, Y_LABEL, NAME, DATA } = SpectrumImporter.SP_MEMBERS;
+
+        member(writer, 44, DATA_SET, 0);
+        member(writer, 50, ABSCISSA_RANGE, 18).set('Float64', 58, 4000).set('Float64', 66, 1000);
+        member(writer, 74, NUM_POINTS, 6).set('Int32', 82, values.length);
+        member(writer, 86, Y_LABEL, 4 + yLabel.length).set('Int16', 94, yLabel.length).ascii(96, yLabel);
+        const name = 96 + yLabel.length;
+        member(writer, name, NAME, 11).set('Int16', name + 8, 7).ascii(name + 10, 'Toluene');
+        const data = name + 17;
+        member(writer, data, DATA, 6 + values.length * 8).set('Int32', data + 8, values.length * 8)
+            .array('Float64', data + 12, values);
+        return writer.bytes.slice(0, data + 12 + values.length * 8);
+    };
+
+    describe('registry', () => {
+        it('should list the built-in formats', () => {
+            expect(SpectrumImporter.getFormats().map(format => format.id))
+                .toEqual(['spa', 'opus', 'spc', 'sp', 'jcamp', 'csv']);
+        });
+
+        it('should register and replace formats', async () => {
+            const parse = jest.fn(() => ({
+                name: 'Custom',
+                spectrum: [{ wavenumber: 1000, transmittance: 50 }],
+                metadata: {}
+            }));
+            SpectrumImporter.register({ id: 'custom', name: 'Custom', extensions: ['.cus'], parse });
+
+            const data = await SpectrumImporter.importFile(createMockFile('x', 'sample.cus'));
+
+            expect(parse).toHaveBeenCalled();
+            expect(data.metadata.format).toBe('custom');
+
+            SpectrumImporter.register({ id: 'custom', name: 'Custom 2', extensions: ['.cus'], parse });
+            expect(SpectrumImporter.getFormats().filter(format => format.id === 'custom')).toHaveLength(1);
+            SpectrumImporter.formats = SpectrumImporter.formats.filter(format => format.id !== 'custom');
+        });
+
+        it('should reject incomplete formats', () => {
+            expect(() => SpectrumImporter.register({ id: 'x', name: 'X', extensions: ['.x'] }))
+                .toThrow('Invalid import format');
+        });
+    });
+
+    describe('detection', () => {
+        it('should detect formats by magic bytes whatever the file name', async () => {
+            expect((await SpectrumImporter.importFile(createMockFile(buildSPA(), 'scan.dat'))).metadata.format).toBe('spa');
+            expect((await SpectrumImporter.importFile(createMockFile(buildOPUS(), 'scan.bin'))).metadata.format).toBe('opus');
+            expect((await SpectrumImporter.importFile(createMockFile(buildSPC(), 'scan.dat'))).metadata.format).toBe('spc');
+            expect((await SpectrumImporter.importFile(createMockFile(buildSP(), 'scan.dat'))).metadata.format).toBe('sp');
+        });
+
+        it('should fall back to the extension for text formats', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile('wavenumber,transmittance\n1000,90\n2000,80', 'sample.csv'));
+
+            expect(data.metadata.format).toBe('csv');
+            expect(data.spectrum).toHaveLength(2);
+        });
+
+        it('should reject unrecognized and empty files', async () => {
+            await expect(SpectrumImporter.importFile(createMockFile('hello', 'notes.doc')))
+                .rejects.toThrow('Unrecognized file format: notes.doc');
+            await expect(SpectrumImporter.importFile(createMockFile('', 'empty.spa')))
+                .rejects.toThrow('File is empty');
+        });
+
+        it('should report truncated files', async () => {
+            const bytes = buildSPA().slice(0, 470);
+
+            await expect(SpectrumImporter.importFile(createMockFile(bytes, 'cut.spa')))
+                .rejects.toThrow('Invalid Thermo SPA file: unexpected end of data');
+        });
+    });
+
+    describe('Thermo SPA', () => {
+        it('should read the title, axis and absorbance as transmittance', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile(buildSPA(), 'scan.spa'));
+
+            expect(data.name).toBe('Polystyrene');
+            expect(data.source).toBe('Thermo SPA Import');
+            expect(data.metadata.scans).toBe(32);
+            expect(data.metadata.yUnits).toBe('Absorbance');
+            expect(data.spectrum.map(p => p.wavenumber)).toEqual([400, 2200, 4000]);
+            expect(data.spectrum.map(p => p.transmittance)).toEqual([1, 10, 100]);
+        });
+
+        it('should convert wavelength axes to wavenumbers', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile(buildSPA({ xUnits: 4, yUnits: 16, values: [50, 60] }), 'nir.spa'));
+
+            expect(data.spectrum.map(p => p.wavenumber)).toEqual([1e4 / 4000, 1e4 / 400]);
+            expect(data.spectrum.map(p => p.transmittance)).toEqual([50, 60]);
+        });
+
+        it('should reject unsupported axes', async () => {
+            await expect(SpectrumImporter.importFile(createMockFile(buildSPA({ xUnits: 32 }), 'kinetics.spa')))
+                .rejects.toThrow('Unsupported Thermo SPA X axis');
+        });
+    });
+
+    describe('Bruker OPUS', () => {
+        it('should read the AB spectrum with its parameters and sample name', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile(buildOPUS(), 'ethanol.0'));
+
+            expect(data.name).toBe('Ethanol');
+            expect(data.spectrum.map(p => p.wavenumber)).toEqual([1000, 2000, 3000]);
+            // CSF 2 scales the absorbance before conversion
+            data.spectrum.forEach((point, i) => {
+                expect(point.transmittance).toBeCloseTo(Math.pow(10, -[0.2, 0.4, 0.6][i]) * 100, 3);
+            });
+        });
+
+        it('should reject files without an AB spectrum', () => {
+            const bytes = buildOPUS();
+            bytes[24] = 7;
+
+            expect(() => SpectrumImporter.parseOPUS(bytes)).toThrow('Invalid OPUS file: no AB spectrum found');
+        });
+    });
+
+    describe('Galactic SPC', () => {
+        it('should read float data with an evenly spaced axis', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile(buildSPC(), 'acetone.spc'));
+
+            expect(data.name).toBe('Acetone');
+            expect(data.spectrum.map(p => p.wavenumber)).toEqual([500, 1000, 1500]);
+            expect(data.spectrum.map(p => p.transmittance)).toEqual([100, 10, 1]);
+        });
+
+        it('should scale fixed-point data by the exponent', () => {
+            const raw = SpectrumImporter.parseSPC(buildSPC({ exponent: 16, values: [32768, 65536] }));
+
+            expect(raw.y).toEqual([0.5, 1]);
+        });
+
+        it('should read explicit X values', () => {
+            const { TXVALS } = SpectrumImporter.SPC_FLAGS;
+            const writer = new BinaryWriter(560)
+                .set('Uint8', 0, TXVALS).set('Uint8', 1, 0x4B).set('Int8', 3, -128).set('Int32', 4, 2)
+                .array('Float32', 512, [700, 900])
+                .array('Float32', 552, [80, 40]);
+
+            const raw = SpectrumImporter.parseSPC(writer.bytes);
+
+            expect(raw.x).toEqual([700, 900]);
+            expect(raw.y).toEqual([80, 40]);
+        });
+
+        it('should only sniff plausible SPC headers', () => {
+            const { TXYXYS } = SpectrumImporter.SPC_FLAGS;
+            const text = 'OK,wavenumber,transmittance\n' + '1000,90\n'.repeat(80);
+            const truncated = buildSPC();
+            new DataView(truncated.buffer).setInt32(4, 1000, true);
+            const xyxyWithoutMulti = buildSPC({ flags: TXYXYS });
+
+            expect(SpectrumImporter.isSPC(buildSPC())).toBe(true);
+            expect(SpectrumImporter.isSPC(Uint8Array.from(text, char => char.charCodeAt(0)))).toBe(false);
+            expect(SpectrumImporter.isSPC(truncated)).toBe(false);
+            expect(SpectrumImporter.isSPC(xyxyWithoutMulti)).toBe(false);
+            expect(SpectrumImporter.detect({ name: 'ok.csv' }, Uint8Array.from(text, char => char.charCodeAt(0))).id).toBe('csv');
+        });
+
+        it('should reject other SPC versions', () => {
+            const bytes = buildSPC();
+            bytes[1] = 0x4D;
+
+            expect(() => SpectrumImporter.parseSPC(bytes)).toThrow('Unsupported SPC file');
+        });
+    });
+
+    describe('Perkin-Elmer SP', () => {
+        it('should read the data set members', async () => {
+            const data = await SpectrumImporter.importFile(createMockFile(buildSP(), 'toluene.sp'));
+
+            expect(data.name).toBe('Toluene');
+            expect(data.metadata.yUnits).toBe('Transmittance');
+            expect(data.spectrum.map(p => p.wavenumber)).toEqual([1000, 2500, 4000]);
+            expect(data.spectrum.map(p => p.transmittance)).toEqual([10, 50, 90]);
+        });
+
+        it('should convert absorbance data', () => {
+            const raw = SpectrumImporter.parseSP(buildSP({ yLabel: 'A', values: [1, 2, 3] }));
+
+            expect(raw.yUnits).toBe('absorbance');
+            expect(raw.y).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('toTransmittance', () => {
+        it('should scale fractional transmittance to percent', () => {
+            expect(SpectrumImporter.toTransmittance([0.5, 1], 'transmittance')).toEqual([50, 100]);
+        });
+
+        it('should guess units from the value range when unknown', () => {
+            expect(SpectrumImporter.toTransmittance([20, 80], null)).toEqual([20, 80]);
+            expect(SpectrumImporter.toTransmittance([1], null)).toEqual([10]);
+        });
+    });
+});
@@ -38,6 +38,7 @@ function loadBrowserModule(filename, additionalGlobals = {}) {
         DataView: DataView,
         ArrayBuffer: ArrayBuffer,
         Blob: global.Blob || Blob,
+        TextEncoder: global.TextEncoder,
         Map: Map,
         Set: Set,
         Promise: Promise,
@@ -47,6 +48,8 @@ function loadBrowserModule(filename, additionalGlobals = {}) {
         isFinite: isFinite,
         setTimeout: setTimeout,
         clearTimeout: clearTimeout,
+        // Hide Node's module object so CommonJS export guards stay inert
+        module: undefined,
         ...additionalGlobals,
     };
 
@@ -59,8 +62,25 @@ function loadBrowserModule(filename, additionalGlobals = {}) {
 
             // Capture all class definitions
             try { if (typeof FrequencyMapper !== 'undefined') exports.FrequencyMapper = FrequencyMapper; } catch(e) {}
+            try { if (typeof SpectralPreprocessor !== 'undefined') exports.SpectralPreprocessor = SpectralPreprocessor; } catch(e) {}
+            try { if (typeof PeakDetector !== 'undefined') exports.PeakDetector = PeakDetector; } catch(e) {}
+            try { if (typeof ScaleQuantizer !== 'undefined') exports.ScaleQuantizer = ScaleQuantizer; } catch(e) {}
             try { if (typeof CSVImporter !== 'undefined') exports.CSVImporter = CSVImporter; } catch(e) {}
+            try { if (typeof JCAMPParser !== 'undefined') exports.JCAMPParser = JCAMPParser; } catch(e) {}
             try { if (typeof JCAMPImporter !== 'undefined') exports.JCAMPImporter = JCAMPImporter; } catch(e) {}
+            try { if (typeof SpectrumImporter !== 'undefined') exports.SpectrumImporter = SpectrumImporter; } catch(e) {}
+            try { if (typeof SpectrumExporter !== 'undefined') exports.SpectrumExporter = SpectrumExporter; } catch(e) {}
+            try { if (typeof FLACEncoder !== 'undefined') exports.FLACEncoder = FLACEncoder; } catch(e) {}
+            try { if (typeof AudioFileEncoder !== 'undefined') exports.AudioFileEncoder = AudioFileEncoder; } catch(e) {}
+            try { if (typeof ZipWriter !== 'undefined') exports.ZipWriter = ZipWriter; } catch(e) {}
+            try { if (typeof BatchRenderer !== 'undefined') exports.BatchRenderer = BatchRenderer; } catch(e) {}
+            try { if (typeof BatchImporter !== 'undefined') exports.BatchImporter = BatchImporter; } catch(e) {}
+            try { if (typeof IndexedDBStorage !== 'undefined') exports.IndexedDBStorage = IndexedDBStorage; } catch(e) {}
+            try { if (typeof EffectsChain !== 'undefined') exports.EffectsChain = EffectsChain; } catch(e) {}
+            try { if (typeof PeakMixer !== 'undefined') exports.PeakMixer = PeakMixer; } catch(e) {}
+            try { if (typeof MIDIInput !== 'undefined') exports.MIDIInput = MIDIInput; } catch(e) {}
+            try { if (typeof MIDIClock !== 'undefined') exports.MIDIClock = MIDIClock; } catch(e) {}
+            try { if (typeof MIDIOutput !== 'undefined') exports.MIDIOutput = MIDIOutput; } catch(e) {}
             try { if (typeof AudioEngine !== 'undefined') exports.AudioEngine = AudioEngine; } catch(e) {}
             try { if (typeof Visualizer !== 'undefined') exports.Visualizer = Visualizer; } catch(e) {}
             try { if (typeof calculateSpectralSimilarity !== 'undefined') exports.calculateSpectralSimilarity = calculateSpectralSimilarity; } catch(e) {}
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for ZipWriter Module
+ *
+ * Tests the CRC, local and central headers, UTF-8 names and name checks.
+ */
+
+const { loadBrowserModule } = require('./test-helpers');
+const { ZipWriter } = loadBrowserModule('zip-writer.js', { Uint32Array });
+
+describe('ZipWriter', () => {
+    const date = new Date(2026, 9, 19, 14, 30, 10);
+
+    /**
+     * Read entries back through the central directory
+     */
+    function readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        const end = bytes.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            expect(view.getUint32(offset, true)).toBe(0x02014B50);
+            const nameLength = view.getUint16(offset + 28, true);
+            const local = view.getUint32(offset + 42, true);
+            const size = view.getUint32(offset + 20, true);
+            const localNameLength = view.getUint16(local + 26, true);
+            const dataStart = local + 30 + localNameLength;
+
+            expect(view.getUint32(local, true)).toBe(0x04034B50);
+            entries.push({
+                name: Buffer.from(bytes.subarray(offset + 46, offset + 46 + nameLength)).toString('utf8'),
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                time: view.getUint16(offset + 12, true),
+                date: view.getUint16(offset + 14, true),
+                crc: view.getUint32(offset + 16, true),
+                data: bytes.subarray(dataStart, dataStart + size)
+            });
+            offset += 46 + nameLength;
+        }
+        return entries;
+    }
+
+    describe('crc32', () => {
+        it('should match the standard check value', () => {
+            expect(ZipWriter.crc32(Uint8Array.from('123456789', char => char.charCodeAt(0)))).toBe(0xCBF43926);
+            expect(ZipWriter.crc32(new Uint8Array(0))).toBe(0);
+        });
+    });
+
+    describe('toBytes', () => {
+        it('should store files with their CRCs and dates', () => {
+            const zip = new ZipWriter();
+            zip.addFile('caffeine.wav', new Uint8Array([1, 2, 3, 4]), date);
+            zip.addFile('manifest.csv', 'file,name\n', date);
+
+            const entries = readZip(zip.toBytes());
+
+            expect(zip.getFileCount()).toBe(2);
+            expect(entries.map(entry => entry.name)).toEqual(['caffeine.wav', 'manifest.csv']);
+            expect(Array.from(entries[0].data)).toEqual([1, 2, 3, 4]);
+            expect(Buffer.from(entries[1].data).toString()).toBe('file,name\n');
+            entries.forEach(entry => {
+                expect(entry.method).toBe(0);
+                expect(entry.crc).toBe(ZipWriter.crc32(entry.data));
+                expect(entry.date).toBe(((2026 - 1980) << 9) | (10 << 5) | 19);
+                expect(entry.time).toBe((14 << 11) | (30 << 5) | 5);
+            });
+        });
+
+        it('should write UTF-8 names with the language encoding flag', () => {
+            const zip = new ZipWriter();
+            zip.addFile('α-pinène.flac', new Uint8Array(1), date);
+
+            const [entry] = readZip(zip.toBytes());
+
+            expect(entry.name).toBe('α-pinène.flac');
+            expect(entry.flags & 0x0800).toBe(0x0800);
+        });
+
+        it('should replace lone surrogates in names and text', () => {
+            const zip = new ZipWriter();
+            zip.addFile('cut \uD83C.txt', 'cut \uDFB5', date);
+
+            const [entry] = readZip(zip.toBytes());
+
+            expect(entry.name).toBe('cut \uFFFD.txt');
+            expect(Array.from(entry.data)).toEqual([0x63, 0x75, 0x74, 0x20, 0xEF, 0xBF, 0xBD]);
+        });
+
+        it('should write an empty archive', () => {
+            const bytes = new ZipWriter().toBytes();
+
+            expect(bytes.length).toBe(22);
+            expect(readZip(bytes)).toEqual([]);
+        });
+    });
+
+    describe('toBlob', () => {
+        it('should create a ZIP blob', () => {
+            const zip = new ZipWriter();
+            zip.addFile('a.txt', 'a');
+
+            const blob = zip.toBlob();
+
+            expect(blob.type).toBe('application/zip');
+            expect(blob.size).toBe(zip.toBytes().length);
+        });
+    });
+
+    describe('addFile', () => {
+        it('should reject empty and duplicate names', () => {
+            const zip = new ZipWriter();
+            zip.addFile('a.txt', 'a');
+
+            expect(() => zip.addFile('', 'b')).toThrow('Invalid file name');
+            expect(() => zip.addFile('a.txt', 'b')).toThrow("'a.txt' is already in the archive");
+        });
+    });
+});
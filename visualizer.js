@@ -79,10 +79,13 @@ class Visualizer {
 
         this.animationId = null;
         this.audioEngine = null;
+        this.frequencyMapper = null;
 
         // Peak selection state
         this.currentSpectrum = null;
         this.currentPeaks = null;
+        this.ftirRange = null;  // {minWavenumber, maxWavenumber} of the drawn spectrum
+        this.scanCursorVisible = false;
         this.selectedPeakIndices = new Set();
         this.peakPositions = []; // Store peak positions for click detection
         this.onPeakSelectionChange = null; // Callback for selection changes
@@ -306,6 +309,8 @@ class Visualizer {
             <div><strong>Wavenumber:</strong> ${peak.wavenumber.toFixed(1)} cm⁻¹</div>
             <div><strong>Intensity:</strong> ${(peak.absorbance * 100).toFixed(1)}%</div>
             <div><strong>Audio Freq:</strong> ${peak.audioFreq.toFixed(1)} Hz</div>
+            ${peak.width !== undefined ? `<div><strong>Width:</strong> ${peak.width.toFixed(1)} cm⁻¹${peak.shoulder ? ' (shoulder)' : ''}</div>` : ''}
+            ${peak.prominence !== undefined && !peak.shoulder ? `<div><strong>Prominence:</strong> ${(peak.prominence * 100).toFixed(1)}%</div>` : ''}
             <div><strong>Group:</strong> ${functionalGroup}</div>
             <div style="margin-top: 0.5rem; font-size: 0.85em; color: #a78bfa;">Click to ${isSelected ? 'deselect' : 'select'}</div>
         `;
@@ -372,6 +377,29 @@ class Visualizer {
         this.audioEngine = audioEngine;
     }
 
+    /**
+     * Set frequency mapper used to label axes with mapped audio frequencies
+     * @param {FrequencyMapper} frequencyMapper - Frequency mapper instance
+     */
+    setFrequencyMapper(frequencyMapper) {
+        this.frequencyMapper = frequencyMapper;
+        // Audio axis range depends on the mapper, so rebuild the cached axes
+        this.audioStaticCached = false;
+    }
+
+    /**
+     * Get the upper frequency shown on the audio FFT display
+     *
+     * Shows up to 10kHz for clarity, extended to cover the mapper's audio range.
+     *
+     * @returns {number} Maximum displayed frequency in Hz
+     * @private
+     */
+    getAudioDisplayMaxFrequency() {
+        const mappedMax = this.frequencyMapper ? this.frequencyMapper.AUDIO_MAX : 0;
+        return Math.max(10000, mappedMax);
+    }
+
     /**
      * Draw FTIR spectrum
      * @param {Array} spectrum - Array of {wavenumber, transmittance} objects
@@ -404,6 +432,7 @@ class Visualizer {
         const wavenumbers = sortedSpectrum.map(p => p.wavenumber);
         const minWavenumber = Math.min(...wavenumbers);
         const maxWavenumber = Math.max(...wavenumbers);
+        this.ftirRange = { minWavenumber, maxWavenumber };
 
         // Scale functions for mapping data coordinates to canvas pixels
         // X: Map wavenumber range to canvas width (with 20px margins)
@@ -495,6 +524,43 @@ class Visualizer {
         this.drawFTIRAxes(ctx, width, height, minWavenumber, maxWavenumber);
     }
 
+    /**
+     * Draw the scan playback cursor over the FTIR spectrum
+     *
+     * Redraws the spectrum, then a vertical line at the cursor wavenumber.
+     *
+     * @param {number|null} wavenumber - Cursor position in cm⁻¹, or null to remove the cursor
+     */
+    drawScanCursor(wavenumber) {
+        if (!this.currentSpectrum || !this.ftirRange) return;
+
+        this.drawFTIRSpectrum(this.currentSpectrum, this.currentPeaks);
+        this.scanCursorVisible = wavenumber !== null;
+        if (!this.scanCursorVisible) return;
+
+        const ctx = this.ftirCtx;
+        const width = this.ftirCanvas.width;
+        const height = this.ftirCanvas.height;
+        const { minWavenumber, maxWavenumber } = this.ftirRange;
+        const x = ((wavenumber - minWavenumber) / (maxWavenumber - minWavenumber)) * (width - 40) + 20;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.strokeStyle = CONFIG.visualization.SCAN_CURSOR_COLOR;
+        ctx.lineWidth = 2;
+        ctx.moveTo(x, 20);
+        ctx.lineTo(x, height - 20);
+        ctx.stroke();
+
+        // Label on the side with room for it
+        const alignRight = x > width - 80;
+        ctx.fillStyle = CONFIG.visualization.SCAN_CURSOR_COLOR;
+        ctx.font = '12px monospace';
+        ctx.textAlign = alignRight ? 'right' : 'left';
+        ctx.fillText(`${wavenumber.toFixed(0)} cm⁻¹`, x + (alignRight ? -4 : 4), 32);
+        ctx.restore();
+    }
+
     /**
      * Cache static audio visualization elements (grid and axes)
      * @private
@@ -517,7 +583,7 @@ class Visualizer {
         this.drawGrid(staticCtx, width, height);
 
         // Draw axes labels
-        this.drawAudioAxes(staticCtx, width, height, 10000);
+        this.drawAudioAxes(staticCtx, width, height, this.getAudioDisplayMaxFrequency());
 
         this.audioStaticCached = true;
     }
@@ -541,6 +607,12 @@ class Visualizer {
 
         if (!this.audioEngine) return;
 
+        // Scan cursor follows the audio clock
+        const scanPosition = this.audioEngine.getScanPosition ? this.audioEngine.getScanPosition() : null;
+        if (scanPosition !== null || this.scanCursorVisible) {
+            this.drawScanCursor(scanPosition);
+        }
+
         // Get frequency data
         const frequencyData = this.audioEngine.getFrequencyData();
         if (!frequencyData) return;
@@ -548,8 +620,7 @@ class Visualizer {
         const bufferLength = frequencyData.length;
         const sampleRate = this.audioEngine.getSampleRate();
 
-        // Only show frequencies up to 10kHz for clarity
-        const maxFreq = 10000;
+        const maxFreq = Math.min(this.getAudioDisplayMaxFrequency(), sampleRate / 2);
         const maxBin = Math.floor((maxFreq / sampleRate) * bufferLength * 2);
 
         const barWidth = (width - 40) / maxBin;
@@ -593,6 +664,10 @@ class Visualizer {
             this.animationId = null;
         }
 
+        if (this.scanCursorVisible) {
+            this.drawScanCursor(null);
+        }
+
         // Use cached static elements if available
         if (this.audioStaticCached && this.audioStaticCanvas) {
             this.audioCtx.drawImage(this.audioStaticCanvas, 0, 0);
@@ -649,6 +724,13 @@ class Visualizer {
             const wavenumber = Math.round(minWavenumber + (step * i));
             const x = 20 + ((width - 40) / 5) * i;
             ctx.fillText(wavenumber.toString(), x - 20, height - 5);
+
+            // Top axis: audio frequency under the active mapping strategy
+            if (this.frequencyMapper) {
+                const freq = Math.round(this.frequencyMapper.irToAudio(wavenumber));
+                const label = freq >= 1000 ? (freq / 1000).toFixed(1) + 'k' : freq.toString();
+                ctx.fillText(label + ' Hz', x - 20, 14);
+            }
         }
 
         // Y-axis numeric markers (transmittance percentages)
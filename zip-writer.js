@@ -0,0 +1,203 @@
+/**
+ * ZIP Writer - Dependency-free ZIP archive builder
+ *
+ * Purpose: Bundle several files (such as batch-rendered audio) into one
+ * download
+ *
+ * Dependencies: None
+ *
+ * Exports:
+ * - ZipWriter class - Archive builder
+ *
+ * Usage:
+ * ```javascript
+ * const zip = new ZipWriter();
+ * zip.addFile('caffeine.flac', flacBytes);
+ * zip.addFile('manifest.csv', 'file,name\n...');
+ * const blob = zip.toBlob();
+ * ```
+ *
+ * Files are stored without compression: audio formats are already
+ * compressed or compress poorly, and storing keeps the writer small.
+ * File names are UTF-8 (general purpose flag bit 11). Archives are limited
+ * to 65535 files and 4 GiB, as ZIP64 is not written.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file to the archive
+     *
+     * @param {string} name - Path inside the archive (use '/' for folders)
+     * @param {Uint8Array|string} data - File contents; strings are written as UTF-8
+     * @param {Date} [date] - Modification date
+     * @throws {Error} If the name is empty or duplicated, or the archive would exceed the ZIP limits
+     */
+    addFile(name, data, date = new Date()) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Invalid file name: must be a non-empty string');
+        }
+        if (this.entries.some(entry => entry.name === name)) {
+            throw new Error(`Invalid file name: '${name}' is already in the archive`);
+        }
+        if (this.entries.length === 0xFFFF) {
+            throw new Error('ZIP archive is full: at most 65535 files are supported');
+        }
+
+        const encoder = new TextEncoder();
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        const nameBytes = encoder.encode(name);
+        if (this.offset + 30 + nameBytes.length + bytes.length > 0xFFFFFFFF) {
+            throw new Error('ZIP archive is too large: at most 4 GiB is supported');
+        }
+
+        const entry = {
+            name,
+            nameBytes,
+            crc: ZipWriter.crc32(bytes),
+            size: bytes.length,
+            offset: this.offset,
+            ...ZipWriter.toDosDateTime(date)
+        };
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true); // Local file header signature
+        this.writeEntryFields(view, 4, entry);
+        header.set(nameBytes, 30);
+
+        this.parts.push(header, bytes);
+        this.entries.push(entry);
+        this.offset += header.length + bytes.length;
+    }
+
+    /**
+     * Write the fields shared by local and central headers, from "version needed"
+     * @param {DataView} view - Header view
+     * @param {number} offset - Offset of "version needed to extract"
+     * @param {Object} entry - File entry
+     * @private
+     */
+    writeEntryFields(view, offset, entry) {
+        view.setUint16(offset, 20, true); // Version needed to extract (2.0)
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // Stored
+        view.setUint16(offset + 6, entry.time, true);
+        view.setUint16(offset + 8, entry.date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.size, true); // Compressed size
+        view.setUint32(offset + 18, entry.size, true); // Uncompressed size
+        view.setUint16(offset + 22, entry.nameBytes.length, true);
+        view.setUint16(offset + 24, 0, true); // Extra field length
+    }
+
+    /**
+     * Get the number of files added
+     * @returns {number} File count
+     */
+    getFileCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * Build the archive
+     * @returns {Uint8Array} ZIP file bytes
+     */
+    toBytes() {
+        const parts = this.getArchiveParts();
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Build the archive as a Blob, without copying the file contents
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        return new Blob(this.getArchiveParts(), { type: 'application/zip' });
+    }
+
+    /**
+     * Get the local entries followed by the central directory
+     * @returns {Array<Uint8Array>} Archive parts
+     * @private
+     */
+    getArchiveParts() {
+        const central = this.entries.map(entry => {
+            const header = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x02014B50, true); // Central directory header signature
+            view.setUint16(4, 20, true); // Version made by (2.0, MS-DOS attributes)
+            this.writeEntryFields(view, 6, entry);
+            view.setUint16(32, 0, true); // Comment length
+            view.setUint16(34, 0, true); // Disk number
+            view.setUint16(36, 0, true); // Internal attributes
+            view.setUint32(38, 0, true); // External attributes
+            view.setUint32(42, entry.offset, true);
+            header.set(entry.nameBytes, 46);
+            return header;
+        });
+        const centralSize = central.reduce((sum, header) => sum + header.length, 0);
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054B50, true); // End of central directory signature
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, this.offset, true);
+
+        return [...this.parts, ...central, end];
+    }
+
+    /**
+     * Convert a date to MS-DOS date and time fields (local time, 2-second resolution)
+     * @param {Date} date - Date (clamped to 1980-2107)
+     * @returns {Object} {date, time}
+     * @private
+     */
+    static toDosDateTime(date) {
+        const year = Math.min(2107, Math.max(1980, date.getFullYear()));
+        return {
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+        };
+    }
+
+    /**
+     * CRC-32 (IEEE 802.3, as used by ZIP)
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} CRC
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.CRC_TABLE[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// CRC-32 lookup table, built on first use
+ZipWriter.CRC_TABLE = null;